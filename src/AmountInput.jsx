@@ -0,0 +1,39 @@
+import { useState } from "react";
+
+/**
+ * Cost entry field that reads and shows locale-formatted amounts
+ * - Unfocused: the value with the locale's grouping (1,250,000 / 1.250.000)
+ * - While typing: the text as entered; each change reports the parsed number ("" when blank,
+ *   the raw text when it is not a number so validation can flag it)
+ * - Accepts currency symbols and k/m suffixes ("$1.2m", "250k")
+ * format: { formatAmount, parseAmount } from createMoneyFormat()
+ */
+function AmountInput({ value, onChange, format, style, ...rest }) {
+  const [draft, setDraft] = useState(null);
+
+  function handleChange(e) {
+    const text = e.target.value;
+    setDraft(text);
+    if (text.trim() === "") {
+      onChange("");
+      return;
+    }
+    const n = format.parseAmount(text);
+    onChange(Number.isFinite(n) ? n : text);
+  }
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft ?? format.formatAmount(value)}
+      onChange={handleChange}
+      onFocus={() => setDraft(value === null || value === undefined ? "" : format.formatAmount(value))}
+      onBlur={() => setDraft(null)}
+      style={style}
+      {...rest}
+    />
+  );
+}
+
+export default AmountInput;
@@ -5,110 +5,172 @@ import {
   getConfidenceFactors,
   exportJson
 } from "./api";
+import { createProjectFile, readProjectFile, loadProjectDoc } from "./projectFile";
+import {
+  isLibraryAvailable,
+  newLibraryKey,
+  listProjects,
+  getProject,
+  saveProject as saveLibraryProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  listVersions,
+  saveVersion,
+  getVersion,
+  deleteVersion,
+} from "./projectLibrary";
+import {
+  formatCbsIdDisplay,
+  formatRiskIdDisplay,
+  formatTimestamp,
+  createMoneyFormat,
+  normaliseNumberFormat,
+  DEFAULT_NUMBER_FORMAT,
+  CURRENCIES,
+  LOCALES,
+  DISPLAY_UNITS,
+} from "./format";
+import { card, table, th, stickyTh, td, input, label } from "./styles";
+import { createScenario, describeSensitivityRow } from "./scenarios";
+import ScenarioComparison from "./ScenarioComparison";
+import { distributionFromResponse } from "./distribution";
+import { downloadBlob, collectReportCharts } from "./chartExport";
+import CostDistributionChart from "./CostDistributionChart";
+import TornadoChart from "./TornadoChart";
+import CashflowChart from "./CashflowChart";
+import { simulateLocally, cacheConfidenceFactors, loadCachedConfidenceFactors } from "./localSimulation";
+import { mapCbsRows, mapRiskRows, loadImportMapping, saveImportMapping } from "./registerImport";
+import { parseCsv } from "./csv";
+import { readXlsx, isSpreadsheetFile } from "./xlsx";
+import ImportWizard from "./ImportWizard";
+import AmountInput from "./AmountInput";
+import { planCbsImport, planRiskImport } from "./registerMerge";
+import { cbsItemsToCsv, risksToCsv, cbsTemplateCsv, riskTemplateCsv } from "./registerExport";
+import { evenShares, linksTotal, cbsLinkIssues } from "./riskLinks";
+import {
+  DEFAULT_TIME_PHASING,
+  MONTHS,
+  dateRangeIssue,
+  dateSpan,
+  escalationGroups,
+  escalationRange,
+  timePhasingIssues,
+  timePhasingToPayload,
+  cashflowToCsv,
+} from "./timePhasing";
+import {
+  DEFAULT_CONFIDENCE_LEVELS,
+  CONFIDENCE_PRESETS,
+  isValidPercentile,
+  confidenceLevelIssues,
+  resultMetrics,
+  confidenceLevelsFromSettings,
+  confidenceLevelsToSettings,
+  contingencyKey,
+  withContingency,
+} from "./confidenceLevels";
+import {
+  buildCbsTree,
+  leafCbsItems,
+  indentCbsItem,
+  outdentCbsItem,
+  removeCbsSubtree,
+  rollUpCbs,
+  visibleCbsItems,
+  cbsLevelGroups,
+  cbsHierarchy,
+  subtreeIds,
+} from "./cbsTree";
+import {
+  DEFAULT_DRIVER_GROUPS,
+  DEFAULT_SENSITIVITY_WEIGHTS,
+  SENSITIVITY_LEVELS,
+  driverNameIssue,
+  driverGroupIssues,
+  uniqueDriverName,
+  driversToPayload,
+  sensitivityWeightsToPayload,
+  driverLoading,
+  combinedLoading,
+} from "./driverGroups";
+import {
+  correlationEntities,
+  correlationMatrixIssues,
+  entityKey,
+  correlationMatrixToPayload,
+  correlationMatrixToCsv,
+  correlationMatrixFromCsv,
+  matrixFor,
+  minEigenvalue,
+  nearestCorrelationMatrix,
+  pairsFromMatrix,
+  pairsWithoutEntities,
+  PSD_TOLERANCE,
+} from "./correlationMatrix";
+import CorrelationMatrixEditor from "./CorrelationMatrixEditor";
+import {
+  STANDARD_TABLE_ID,
+  EXCLUDED_FACTORS,
+  factorMap,
+  factorOptions,
+  factorLabel,
+  factorDescription,
+  resolveConfidenceTable,
+  confidenceTableLabel,
+  mergeStandardTable,
+  standardTableFromCache,
+  createCustomTable,
+  addTableVersion,
+  tableNameIssue,
+  confidenceTableIssues,
+  cleanFactors,
+  nextVersionLabel,
+  confidenceTableToPayload,
+  ensureTableVersion,
+  loadConfidenceTables,
+  saveConfidenceTables,
+} from "./confidenceTables";
+import DriverChips from "./DriverChips";
+import DistributionPicker from "./DistributionPicker";
+import {
+  SIMULATE_AS,
+  DEFAULT_SIMULATE_AS,
+  POST_FIELDS,
+  hasMitigation,
+  riskValues,
+  mitigationIssues,
+  totalMitigationSpend,
+  mitigationComparison,
+  mitigationToPayload,
+} from "./mitigation";
+import {
+  DEFAULT_DISTRIBUTION,
+  distributionKey,
+  distributionIssues,
+  discreteSummary,
+  outcomesToPayload,
+  usesMostLikely,
+} from "./itemDistributions";
+import {
+  RISK_STATUSES,
+  RISK_SORT_FIELDS,
+  DEFAULT_RISK_STATUS,
+  EMPTY_RISK_FILTER,
+  isClosedRisk,
+  sortRisks,
+  nextRiskSort,
+  filterRisks,
+  isRiskFilterActive,
+  riskFieldValues,
+  riskDetailsToPayload,
+} from "./riskRegister";
+import { DEFAULT_RISK_MATRIX } from "./riskMatrix";
+import RiskHeatMap from "./RiskHeatMap";
 
 import { useEffect, useMemo, useRef, useState } from "react";
 
 
-const DRIVER_OPTIONS = [
-  "Market & economic conditions",
-  "Labour market & productivity",
-  "Site & environmental conditions",
-  "Regulatory environments",
-  "Procurement & contract complexities",
-  "Technology & commissioning complexity",
-];
-
-const DRIVER_TOOLTIPS = {
-  "Market & economic conditions":
-    "Changes in market prices and economic conditions that affect multiple cost items at the same time (e.g. materials escalation, inflation, fuel or energy costs). Use this when costs tend to rise or fall together due to broader market forces.",
-  "Labour market & productivity":
-    "Availability, cost, and productivity of labour that can influence multiple work packages simultaneously (e.g. wage pressure, labour shortages, industrial action, productivity variation).",
-  "Site & environmental conditions":
-    "Physical site conditions or environmental factors that can impact several cost items together (e.g. ground conditions, access constraints, utilities, weather).",
-  "Regulatory environments":
-    "Regulatory, approval, or authority requirements that may constrain delivery and affect multiple cost items at once (e.g. permits, possessions, third-party approvals, compliance conditions).",
-  "Procurement & contract complexities":
-    "Commercial and procurement factors that can influence costs across multiple packages (e.g. tender market behaviour, contract packaging, risk allocation, claims environment).",
-  "Technology & commissioning complexity":
-    "Complexity or uncertainty associated with systems, technology, testing, or commissioning that may affect multiple cost items together (e.g. system integration or unproven technology).",
-};
-
-const SENSITIVITY_LEVELS = ["none", "low", "medium", "high"];
-
-
-function formatCbsIdDisplay(id) {
-  const raw = String(id || "");
-  const m = raw.match(/^([a-zA-Z]+)\s*0*(\d+)$/);
-  if (!m) return raw.toUpperCase();
-  const prefix = m[1].toUpperCase();
-  const num = String(parseInt(m[2], 10)).padStart(3, "0");
-  return `${prefix}${num}`;
-}
-
-
-function formatRiskIdDisplay(id) {
-  // Display-only formatting: e.g. r1 -> R001, R0003 -> R003
-  const raw = String(id || "");
-  const m = raw.match(/^([a-zA-Z]+)\s*0*(\d+)$/);
-  if (!m) return raw.toUpperCase();
-  const prefix = m[1].toUpperCase();
-  const num = String(parseInt(m[2], 10)).padStart(3, "0");
-  return `${prefix}${num}`;
-}
-
-
-function sensitivityToIndex(s) {
-  const i = SENSITIVITY_LEVELS.indexOf(String(s || "").toLowerCase());
-  return i === -1 ? 2 : i; // default = medium
-}
-
-function indexToSensitivity(i) {
-  const idx = Math.min(3, Math.max(0, Number(i) || 0));
-  return SENSITIVITY_LEVELS[idx];
-}
-
-
-const EXCLUDED_FACTORS = new Set(["% Allocation"]);
-
-// PM-friendly labels + tooltips for confidence factors (frontend-only; backend keys remain unchanged)
-const CONFIDENCE_LABELS = {
-  "Very Conservative": "No Upside Risk",
-  "Conservative": "Low Upside Risk",
-  "Realistic": "Balanced Cost Range",
-  "Target": "Target Cost with Upside Risk",
-  "Aggressive": "High Upside Risk",
-  "Very Aggressive": "Extreme Upside Risk",
-  "User defined": "User Defined"
-};
-
-const CONFIDENCE_TOOLTIPS = {
-  "Very Conservative": "Costs cannot exceed the base estimate.",
-  "Conservative": "Limited cost growth above the base estimate.",
-  "Realistic": "Typical cost variation around the base estimate.",
-  "Target": "Stretch target with potential cost growth.",
-  "Aggressive": "Significant exposure to cost growth.",
-  "Very Aggressive": "Very large potential cost overruns.",
-  "User defined": "Cost range entered directly by the user."
-};
-
-function confidenceLabel(k) {
-  return CONFIDENCE_LABELS[k] || k;
-}
-
-function confidenceTooltip(k) {
-  return CONFIDENCE_TOOLTIPS[k] || "";
-}
-
-
-function money(n) {
-  if (n === null || n === undefined || Number.isNaN(n)) return "";
-  return new Intl.NumberFormat("en-AU", {
-    style: "currency",
-    currency: "AUD",
-    maximumFractionDigits: 0,
-  }).format(n);
-}
-
 function safeFilename(name) {
   return String(name || "")
     .trim()
@@ -123,6 +185,18 @@ function makeSequentialId(prefix, n) {
   return `${prefix}${s}`;
 }
 
+// Import warnings for file rows the merge plan skipped
+function describeSkipped(changes) {
+  return changes
+    .filter((c) => c.change === "duplicate")
+    .map((c) => `Row ${c.sourceRow}: '${c.name}' ${c.note.charAt(0).toLowerCase()}${c.note.slice(1)}`);
+}
+
+// Import warning for correlation matrix entries cleared with the rows / risks the import replaced or removed
+function correlationClearedNote(count, what) {
+  return `${count} correlation matrix entr${count === 1 ? "y" : "ies"} cleared: they were on ${what} the import replaced or removed.`;
+}
+
 async function fetchJsonOrThrow(res) {
   const text = await res.text();
   let data = {};
@@ -140,244 +214,81 @@ async function fetchJsonOrThrow(res) {
   return data;
 }
 
-/**
- * Minimal CSV parsing helpers
- * - Splits by newlines then commas
- * - Strips surrounding quotes
- * - Good enough for MVP (no embedded commas inside quotes)
- */
-function normaliseLines(text) {
-  return text
-    .replace(/\r\n/g, "\n")
-    .replace(/\r/g, "\n")
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0);
-}
-
-function splitRow(row) {
-  return row
-    .split(",")
-    .map((c) => c.trim())
-    .map((c) => c.replace(/^"(.*)"$/, "$1").replace(/^'(.*)'$/, "$1"));
+// Starter content for a new project (4 CBS headers + 2 example risks)
+function defaultCbsItems() {
+  return ["INVESTIGATION", "FUNCTIONAL DESIGN", "DETAILED DESIGN", "CONSTRUCTION"].map((name, idx) => ({
+    id: makeSequentialId("cbs", idx + 1),
+    name,
+    baseCost: 0,
+    confidenceFactor: "Realistic",
+    bestCaseCost: null,
+    mostLikelyCost: null,
+    worstCaseCost: null,
+    drivers: [],
+  }));
 }
 
-/**
- * CBS CSV: names only
- * Supports:
- *  - Header: name
- *  - Single column without header
- *  - One name per line
- */
-/**
- * CBS CSV: supports names only OR name + baseCost
- * Supports:
- *  - Header: name, baseCost (preferred)
- *  - Header aliases: cost, base_cost, base (for baseCost)
- *  - Single column without header (names only)
- *  - One name per line
- *
- * Returns: [{ name: string, baseCost: number|null }]
- */
-function parseCbsCsv(csvText) {
-  const lines = normaliseLines(csvText);
-  if (lines.length === 0) return [];
-
-  const header = splitRow(lines[0]).map((h) => String(h || "").toLowerCase());
-
-  const findIdx = (aliases) => {
-    for (const a of aliases) {
-      const i = header.indexOf(String(a).toLowerCase());
-      if (i !== -1) return i;
-    }
-    return -1;
-  };
-
-  const nameIdx = findIdx(["name", "cbs", "cbsname"]);
-  const baseIdx = findIdx(["basecost", "base_cost", "cost", "base"]);
-
-  // 3-point (user defined) support
-  const lowIdx = findIdx(["low", "lowcost", "best", "bestcase", "min"]);
-  const mlIdx = findIdx(["mostlikely", "most_likely", "mostlikelycost", "mode", "ml"]);
-  const highIdx = findIdx(["high", "highcost", "worst", "worstcase", "max"]);
-
-  const out = [];
-  const seen = new Set();
-
-  const toNumOrNull = (v) => {
-    const s = String(v ?? "").trim();
-    if (s === "") return null;
-    const n = Number(s);
-    return Number.isFinite(n) ? n : null;
-  };
-
-  const hasTrioCols = lowIdx !== -1 && mlIdx !== -1 && highIdx !== -1;
-
-  // Case A: Has header row with a name column
-  if (nameIdx !== -1) {
-    for (let i = 1; i < lines.length; i++) {
-      const cells = splitRow(lines[i]);
-      const name = (cells[nameIdx] || "").trim();
-      if (!name) continue;
-
-      const key = name.toLowerCase();
-      if (seen.has(key)) continue;
-      seen.add(key);
-
-      const baseCost = baseIdx !== -1 ? toNumOrNull(cells[baseIdx]) : null;
-
-      let low = null, mostLikely = null, high = null;
-      if (hasTrioCols) {
-        low = toNumOrNull(cells[lowIdx]);
-        mostLikely = toNumOrNull(cells[mlIdx]);
-        high = toNumOrNull(cells[highIdx]);
-      }
-
-      out.push({ name, baseCost, low, mostLikely, high });
-    }
-    return out;
-  }
-
-  // Case B: No header row => treat as names-only (first col)
-  for (let i = 0; i < lines.length; i++) {
-    const cells = splitRow(lines[i]);
-    const name = (cells[0] || "").trim();
-    if (!name) continue;
-
-    const key = name.toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-
-    out.push({ name, baseCost: null, low: null, mostLikely: null, high: null });
-  }
-
-  return out;
+function defaultRisks() {
+  return [
+    {
+      id: "r01",
+      name: "Unknown services relocation",
+      riskType: "contingent",
+      probability: 0.2,
+      lowCost: 200000,
+      mostLikelyCost: 600000,
+      highCost: 1200000,
+      cbsLinks: [],
+    },
+    {
+      id: "r02",
+      name: "Contamination disposal",
+      riskType: "contingent",
+      probability: 0.1,
+      lowCost: 150000,
+      mostLikelyCost: 400000,
+      highCost: 900000,
+      cbsLinks: [],
+    },
+  ];
 }
 
-/**
- * Risks CSV: full fields (+ optional riskType)
- * Expected headers (aliases supported):
- *  name/risk, riskType/type, probability/p, low/lowCost, mostLikely/mostLikelyCost/mode, high/highCost
- */
-function parseRisksCsv(csvText) {
-  const lines = normaliseLines(csvText);
-  if (lines.length === 0) return { risks: [], warnings: ["No rows found."] };
-
-  const headerCells = splitRow(lines[0]).map((h) => h.toLowerCase());
-
-  const idx = (aliases) => {
-    for (const a of aliases) {
-      const i = headerCells.indexOf(a.toLowerCase());
-      if (i !== -1) return i;
-    }
-    return -1;
-  };
-
-  const nameIdx = idx(["name", "risk"]);
-  const typeIdx = idx(["risktype", "type"]);
-  const pIdx = idx(["probability", "p"]);
-  const lowIdx = idx(["lowcost", "low"]);
-  const mlIdx = idx(["mostlikelycost", "mostlikely", "mode"]);
-  const highIdx = idx(["highcost", "high"]);
-
-  const missing = [];
-  if (nameIdx === -1) missing.push("name (or risk)");
-  if (pIdx === -1) missing.push("probability (or p)");
-  if (lowIdx === -1) missing.push("lowCost (or low)");
-  if (mlIdx === -1) missing.push("mostLikelyCost (or mostLikely/mode)");
-  if (highIdx === -1) missing.push("highCost (or high)");
-
-  if (missing.length) {
-    return {
-      risks: [],
-      warnings: [`Missing required headers: ${missing.join(", ")}`],
-    };
-  }
-
-  const warnings = [];
-  const parsed = [];
-
-  for (let rowNum = 1; rowNum < lines.length; rowNum++) {
-    const cells = splitRow(lines[rowNum]);
-
-    const name = (cells[nameIdx] || "").trim();
-    if (!name) {
-      warnings.push(`Row ${rowNum + 1}: missing risk name; skipped.`);
-      continue;
-    }
-
-    const toNum = (v) => {
-      const n = Number(String(v || "").trim());
-      return Number.isFinite(n) ? n : NaN;
-    };
-
-    let riskType = "contingent";
-    if (typeIdx !== -1) {
-      const raw = String(cells[typeIdx] || "").trim().toLowerCase();
-      if (raw === "inherent" || raw === "contingent") {
-        riskType = raw;
-      } else if (raw) {
-        warnings.push(`Row ${rowNum + 1}: invalid riskType '${raw}', defaulted to 'contingent'.`);
-      }
-    }
-
-    let probability = toNum(cells[pIdx]);
-    let lowCost = toNum(cells[lowIdx]);
-    let mostLikelyCost = toNum(cells[mlIdx]);
-    let highCost = toNum(cells[highIdx]);
-
-    if (!Number.isFinite(probability)) {
-      warnings.push(`Row ${rowNum + 1}: probability not a number; set to 0.`);
-      probability = 0;
-    }
-    if (probability < 0 || probability > 1) {
-      warnings.push(`Row ${rowNum + 1}: probability out of range; clamped to 0–1.`);
-      probability = Math.min(1, Math.max(0, probability));
-    }
-
-    const fixCost = (val, label) => {
-      if (!Number.isFinite(val)) {
-        warnings.push(`Row ${rowNum + 1}: ${label} not a number; set to 0.`);
-        return 0;
-      }
-      if (val < 0) {
-        warnings.push(`Row ${rowNum + 1}: ${label} < 0; set to 0.`);
-        return 0;
-      }
-      return val;
-    };
-
-    lowCost = fixCost(lowCost, "lowCost");
-    mostLikelyCost = fixCost(mostLikelyCost, "mostLikelyCost");
-    highCost = fixCost(highCost, "highCost");
-
-    if (riskType === "inherent") {
-      // Costs are ignored by your backend logic; keep UI consistent:
-      lowCost = 0;
-      mostLikelyCost = 0;
-      highCost = 0;
-    } else {
-      // Optional sanity: warn only
-      if (!(lowCost <= mostLikelyCost && mostLikelyCost <= highCost)) {
-        warnings.push(
-          `Row ${rowNum + 1}: expected low <= mostLikely <= high (got ${lowCost}, ${mostLikelyCost}, ${highCost}). Simulation will still run.`
-        );
-      }
-    }
+// How CBS rows name the three-point inputs in distribution messages
+const CBS_POINT_NAMES = { low: "Best case", ml: "Most likely", high: "Worst case" };
 
-    parsed.push({ name, riskType, probability, lowCost, mostLikelyCost, highCost });
-  }
+// Sensitivity grouping on |ρ| (Spearman) + number of drivers shown in the tornado chart
+const DEFAULT_SENSITIVITY_DISPLAY = { dominant: 0.3, moderate: 0.15, topN: 10 };
 
-  return { risks: parsed, warnings };
-}
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1500;
+const EMPTY_HISTORY = { past: [], future: [] };
 
 function App() {
-  const DOMINANT_MIN = 0.30;
-  const MODERATE_MIN = 0.15;
-  const MAX_PER_GROUP = 6;
   const [status, setStatus] = useState("Loading…");
-  const [confidenceFactors, setConfidenceFactors] = useState([]);
-  const [confidenceFactorMap, setConfidenceFactorMap] = useState({});
+  // Confidence factor tables kept in this browser + the table / version this project uses (see confidenceTables.js)
+  const [confidenceTables, setConfidenceTables] = useState(() =>
+    standardTableFromCache(loadConfidenceTables(), loadCachedConfidenceFactors())
+  );
+  const [confidenceTable, setConfidenceTable] = useState({ id: STANDARD_TABLE_ID, version: null }); // version null = latest
+  // A table that is no longer in the library falls back to the organisation standard
+  const activeConfidenceTable = useMemo(
+    () =>
+      resolveConfidenceTable(confidenceTables, confidenceTable) ||
+      resolveConfidenceTable(confidenceTables, { id: STANDARD_TABLE_ID, version: null }),
+    [confidenceTables, confidenceTable]
+  );
+  const activeFactors = useMemo(() => activeConfidenceTable?.version.factors || [], [activeConfidenceTable]);
+  const confidenceFactors = useMemo(() => factorOptions(activeFactors), [activeFactors]);
+  const confidenceFactorMap = useMemo(() => factorMap(activeFactors), [activeFactors]);
+  // Projects saved before confidence tables use the organisation standard
+  const standardFactorKeys = useMemo(
+    () => factorOptions(resolveConfidenceTable(confidenceTables, { id: STANDARD_TABLE_ID, version: null })?.version.factors),
+    [confidenceTables]
+  );
+  const confidenceLabel = (k) => factorLabel(activeFactors, k);
+  const confidenceTooltip = (k) => factorDescription(activeFactors, k);
+  const [tableDraft, setTableDraft] = useState(null); // confidence table editor: { mode: "new" | "version", id, name, factors }
+  const [tableEditError, setTableEditError] = useState(null);
   const [errors, setErrors] = useState([]);
 
   // Project metadata (UI-only; used later for Excel export)
@@ -386,88 +297,50 @@ function App() {
   const [projectManager, setProjectManager] = useState("");
   const [projectDate, setProjectDate] = useState("");
   const [projectNotes, setProjectNotes] = useState("");
+  // Currency, locale and display unit for every figure (inputs always take full amounts)
+  const [numberFormat, setNumberFormat] = useState(DEFAULT_NUMBER_FORMAT);
+  const moneyFormat = useMemo(() => createMoneyFormat(numberFormat), [numberFormat]);
+  const { money, moneyCompact } = moneyFormat;
 
   // Counters so new rows get nice IDs
   const cbsCounterRef = useRef(4); // start with 4 CBS items
   const riskCounterRef = useRef(2); // start with 2 risks
 
   // Default CBS starter headers
-  const [cbsItems, setCbsItems] = useState([
-    {
-      id: "cbs01",
-      name: "INVESTIGATION",
-      baseCost: 0,
-      confidenceFactor: "Realistic",
-      bestCaseCost: null,
-      mostLikelyCost: null,
-      worstCaseCost: null,
-      driverGroup: "",
-      sensitivity: "medium",
-    },
-    {
-      id: "cbs02",
-      name: "FUNCTIONAL DESIGN",
-      baseCost: 0,
-      confidenceFactor: "Realistic",
-      bestCaseCost: null,
-      mostLikelyCost: null,
-      worstCaseCost: null,
-      driverGroup: "",
-      sensitivity: "medium",
-    },
-    {
-      id: "cbs03",
-      name: "DETAILED DESIGN",
-      baseCost: 0,
-      confidenceFactor: "Realistic",
-      bestCaseCost: null,
-      mostLikelyCost: null,
-      worstCaseCost: null,
-      driverGroup: "",
-      sensitivity: "medium",
-    },
-    {
-      id: "cbs04",
-      name: "CONSTRUCTION",
-      baseCost: 0,
-      confidenceFactor: "Realistic",
-      bestCaseCost: null,
-      mostLikelyCost: null,
-      worstCaseCost: null,
-      driverGroup: "",
-      sensitivity: "medium",
-    },
-  ]);
+  const [cbsItems, setCbsItems] = useState(defaultCbsItems);
+  const [collapsedCbs, setCollapsedCbs] = useState(() => new Set()); // summary rows folded in the cost model
 
   // Risk Register
-  const [risks, setRisks] = useState([
-    {
-      id: "r01",
-      name: "Unknown services relocation",
-      riskType: "contingent",
-      probability: 0.2,
-      lowCost: 200000,
-      mostLikelyCost: 600000,
-      highCost: 1200000,
-    },
-    {
-      id: "r02",
-      name: "Contamination disposal",
-      riskType: "contingent",
-      probability: 0.1,
-      lowCost: 150000,
-      mostLikelyCost: 400000,
-      highCost: 900000,
-    },
-  ]);
+  const [risks, setRisks] = useState(defaultRisks);
 
   // Settings
   const [iterations, setIterations] = useState(5000);
   const [seed, setSeed] = useState(123456);
+  // Reported percentiles + contingency definition (see confidenceLevels.js)
+  const [confidenceLevels, setConfidenceLevels] = useState(DEFAULT_CONFIDENCE_LEVELS);
+  // Financial-year phasing + escalation rates per driver group (see timePhasing.js)
+  const [timePhasing, setTimePhasing] = useState(DEFAULT_TIME_PHASING);
+  const [percentileDraft, setPercentileDraft] = useState("");
+
+
+  // Risk values to simulate: "pre" | "post" mitigation, or "both" to compare them (see mitigation.js)
+  const [simulateAs, setSimulateAs] = useState(DEFAULT_SIMULATE_AS);
+  // Risk table view only (the register keeps its order): { key, dir } or null, and the filters
+  const [riskSort, setRiskSort] = useState(null);
+  const [riskFilter, setRiskFilter] = useState(EMPTY_RISK_FILTER);
+  const [riskView, setRiskView] = useState("table"); // "table" | "heatmap"
+  const [openedRisk, setOpenedRisk] = useState(null); // { id } of the row opened from the heat map
+  const [riskMatrix, setRiskMatrix] = useState(DEFAULT_RISK_MATRIX);
 
+  // Simulation engine: "server" (/simulate) or "browser" (Web Worker; offline + cross-check)
+  const [simEngine, setSimEngine] = useState("server");
 
   // Correlation modelling (None | Standard)
   const [correlationMode, setCorrelationMode] = useState("none");
+  const [driverGroups, setDriverGroups] = useState(DEFAULT_DRIVER_GROUPS); // [{ name, description, strength }]
+  const [sensitivityWeights, setSensitivityWeights] = useState(DEFAULT_SENSITIVITY_WEIGHTS);
+  const [driverEditError, setDriverEditError] = useState(null);
+  const [correlationPairs, setCorrelationPairs] = useState({}); // Advanced mode: { pairKey: ρ }, see correlationMatrix.js
 
   // UI tabs (PR2)
   const [activeTab, setActiveTab] = useState("project");
@@ -477,6 +350,19 @@ function App() {
   const [isRunning, setIsRunning] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const [sensitivity, setSensitivity] = useState([]);
+  const [runPayload, setRunPayload] = useState(null); // inputs that produced `results`
+  const [sensitivityDisplay, setSensitivityDisplay] = useState(DEFAULT_SENSITIVITY_DISPLAY);
+  const [distribution, setDistribution] = useState(null); // total-cost histogram/S-curve, when /simulate sends one
+  const [cbsBreakdown, setCbsBreakdown] = useState(null); // per-CBS-node percentiles/ρ (summary rows = sum of their leaves)
+  const [contingencyAllocation, setContingencyAllocation] = useState(null); // contingency split over CBS items (engine allocateContingency)
+  const [cashflow, setCashflow] = useState(null); // cost per financial year (engine cashflowByPeriod)
+  const [mitigationResults, setMitigationResults] = useState(null); // "both" runs: { pre, post, spend } (results objects)
+  const [breakdownLevel, setBreakdownLevel] = useState(0); // CBS level for the results breakdown; 0 = cost items
+
+  // Pinned scenarios (side-by-side comparison of runs)
+  const [scenarios, setScenarios] = useState([]);
+  const [baselineScenarioId, setBaselineScenarioId] = useState(null);
+  const [scenarioName, setScenarioName] = useState("");
 
   // Commentary (AI)
   const [commentary, setCommentary] = useState(null);
@@ -487,6 +373,12 @@ function App() {
   const resetResults = () => {
     setResults(null);
     setSensitivity([]);
+    setRunPayload(null);
+    setDistribution(null);
+    setCbsBreakdown(null);
+    setContingencyAllocation(null);
+    setCashflow(null);
+    setMitigationResults(null);
 
     // reset commentary as well
     setCommentary(null);
@@ -495,28 +387,190 @@ function App() {
     setCommentaryError(null);
   };
 
+  // Project library (IndexedDB) — libraryKey is the library record the current project autosaves into
+  const [libraryKey, setLibraryKey] = useState(null);
+  const [libraryProjects, setLibraryProjects] = useState([]);
+  const [libraryVersions, setLibraryVersions] = useState([]);
+  const [libraryStatus, setLibraryStatus] = useState("");
+  const [libraryError, setLibraryError] = useState(null);
+  const [versionLabel, setVersionLabel] = useState("");
+  const [renamingKey, setRenamingKey] = useState(null);
+  const [renameDraft, setRenameDraft] = useState("");
+  const lastAutosaveRef = useRef(null);
+
+  // Undo / redo for cost model + risk register edits (entries hold the state *before* each edit). Driver
+  // renames / deletes also change the driver list, escalation rates and weights, and deleting a row clears
+  // its correlation entries, so those are kept too
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+
+  function captureEditState() {
+    return {
+      cbsItems,
+      risks,
+      driverGroups,
+      timePhasing,
+      sensitivityWeights,
+      correlationPairs,
+      cbsCounter: cbsCounterRef.current,
+      riskCounter: riskCounterRef.current,
+      results,
+      sensitivity,
+      runPayload,
+      distribution,
+      cbsBreakdown,
+      contingencyAllocation,
+      cashflow,
+      mitigationResults,
+      commentary,
+      commentaryMode,
+    };
+  }
+
+  // coalesceKey: consecutive edits with the same key (e.g. typing in one cell) collapse into one undo step
+  function recordHistory(label, coalesceKey = null) {
+    const now = Date.now();
+    const state = captureEditState();
+    setHistory((h) => {
+      const last = h.past[h.past.length - 1];
+      if (coalesceKey && last && last.coalesceKey === coalesceKey && now - last.at < HISTORY_COALESCE_MS) {
+        return { past: [...h.past.slice(0, -1), { ...last, at: now }], future: [] };
+      }
+      return { past: [...h.past, { label, coalesceKey, at: now, state }].slice(-HISTORY_LIMIT), future: [] };
+    });
+  }
+
+  function restoreEditState(state) {
+    setCbsItems(state.cbsItems);
+    setRisks(state.risks);
+    setDriverGroups(state.driverGroups);
+    setTimePhasing(state.timePhasing);
+    setSensitivityWeights(state.sensitivityWeights);
+    setCorrelationPairs(state.correlationPairs);
+    cbsCounterRef.current = state.cbsCounter;
+    riskCounterRef.current = state.riskCounter;
+    setResults(state.results);
+    setSensitivity(state.sensitivity);
+    setRunPayload(state.runPayload);
+    setDistribution(state.distribution);
+    setCbsBreakdown(state.cbsBreakdown);
+    setContingencyAllocation(state.contingencyAllocation);
+    setCashflow(state.cashflow);
+    setMitigationResults(state.mitigationResults);
+    setCommentary(state.commentary);
+    setCommentaryMode(state.commentaryMode);
+    setIsCommentaryRunning(false);
+    setCommentaryError(null);
+  }
+
+  function undo() {
+    const entry = history.past[history.past.length - 1];
+    if (!entry || isRunning) return;
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [{ ...entry, coalesceKey: null, state: captureEditState() }, ...history.future],
+    });
+    restoreEditState(entry.state);
+  }
+
+  function redo() {
+    const entry = history.future[0];
+    if (!entry || isRunning) return;
+    setHistory({
+      past: [...history.past, { ...entry, state: captureEditState() }],
+      future: history.future.slice(1),
+    });
+    restoreEditState(entry.state);
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes. Form fields keep the browser's own text undo
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target instanceof Element && e.target.closest("input, textarea, select, [contenteditable]")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((k === "z" && e.shiftKey) || k === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
   // File inputs
   const cbsFileInputRef = useRef(null);
   const risksFileInputRef = useRef(null);
+  const projectFileInputRef = useRef(null);
+  const correlationFileInputRef = useRef(null);
+
+  // Import waiting in the mapping wizard: { kind: "cbs" | "risk", source: "CSV" | "Excel", fileName, sheets, savedMapping }
+  const [importWizard, setImportWizard] = useState(null);
 
   useEffect(() => {
-  getConfidenceFactors()
-    .then((data) => {
-      const factors = data.factors || {};
-      const keysRaw = Object.keys(factors);
-      const keys = keysRaw.filter((k) => !EXCLUDED_FACTORS.has(k));
-      setConfidenceFactors(keys);
-      setConfidenceFactorMap(factors);
-      setStatus("Ready ✔");
-    })
-    .catch((err) => {
-      console.error(err);
-      setStatus("Backend NOT reachable ✖");
-    });
-}, []);
+    getConfidenceFactors()
+      .then((data) => {
+        const factors = data.factors || {};
+        // The backend table is the built-in "Organisation standard"; an unversioned response is v1
+        setConfidenceTables((tables) => mergeStandardTable(tables, factors, data.version || "v1"));
+        cacheConfidenceFactors(factors);
+        setStatus("Ready ✔");
+      })
+      .catch((err) => {
+        console.error(err);
+        // Offline: the table library (seeded from the last factors we saw) still lets the in-browser engine derive ranges
+        const cached = loadCachedConfidenceFactors();
+        setSimEngine("browser");
+        setStatus(
+          cached?.factors
+            ? "Backend NOT reachable ✖ — using in-browser engine (cached confidence factors)"
+            : "Backend NOT reachable ✖ — using in-browser engine (User defined ranges only)"
+        );
+      });
+  }, []);
+
+  useEffect(() => {
+    saveConfidenceTables(confidenceTables);
+  }, [confidenceTables]);
 
   const confidenceSet = useMemo(() => new Set(confidenceFactors), [confidenceFactors]);
 
+  // CBS items, escalation rates and imports refer to drivers by name
+  const driverOptions = useMemo(() => driverGroups.map((d) => d.name), [driverGroups]);
+  const driverTooltips = useMemo(() => Object.fromEntries(driverGroups.map((d) => [d.name, d.description])), [driverGroups]);
+  const driverUsage = useMemo(() => {
+    const counts = new Map();
+    cbsItems.forEach((x) => (x.drivers || []).forEach((a) => counts.set(a.driverGroup, (counts.get(a.driverGroup) || 0) + 1)));
+    return counts;
+  }, [cbsItems]);
+  const driverStrengths = useMemo(() => new Map(driverGroups.map((d) => [d.name, Number(d.strength)])), [driverGroups]);
+
+  // Standard correlation: items whose drivers together explain more than all of their variation (not blocking;
+  // the engine scales such loadings down to 1)
+  const driverWeightWarnings = useMemo(() => {
+    if (correlationMode !== "standard") return [];
+    return leafCbsItems(cbsItems)
+      .map((x) => ({ x, combined: combinedLoading(x.drivers, driverStrengths, sensitivityWeights) }))
+      .filter(({ combined }) => combined > 1 + 1e-9)
+      .map(({ x, combined }) => `${x.name || x.id}: combined driver weight ${combined.toFixed(2)} exceeds 1 and is scaled down to 1.`);
+  }, [correlationMode, cbsItems, driverStrengths, sensitivityWeights]);
+
+  // Import cells may name a factor by key or by its display label
+  const cbsImportOptions = useMemo(
+    () => ({
+      driverOptions,
+      confidenceFactors: confidenceFactors.length
+        ? Object.fromEntries(confidenceFactors.map((k) => [k, factorLabel(activeFactors, k)]))
+        : null,
+    }),
+    [activeFactors, confidenceFactors, driverOptions]
+  );
+
+  // Risk CBS links in a file may point at any cost item in the model
+  const riskImportOptions = useMemo(() => ({ cbsIds: leafCbsItems(cbsItems).map((x) => x.id) }), [cbsItems]);
+
   // Ensure CBS confidenceFactor stays valid after config loads
   useEffect(() => {
     if (confidenceFactors.length === 0) return;
@@ -533,18 +587,85 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [confidenceFactors]);
 
+  // ---- PROJECT LIBRARY: autosave ----
+  // Everything the project file stores except UI navigation; a change here schedules an autosave.
+  const autosaveSnapshot = useMemo(
+    () =>
+      JSON.stringify([projectName, projectId, projectManager, projectDate, projectNotes, numberFormat, iterations, seed, confidenceLevels, confidenceTable, timePhasing, correlationMode, driverGroups, sensitivityWeights, correlationPairs, cbsItems, risks, simulateAs, riskMatrix]),
+    [projectName, projectId, projectManager, projectDate, projectNotes, numberFormat, iterations, seed, confidenceLevels, confidenceTable, timePhasing, correlationMode, driverGroups, sensitivityWeights, correlationPairs, cbsItems, risks, simulateAs, riskMatrix]
+  );
+
+  useEffect(() => {
+    if (!isLibraryAvailable()) return;
+
+    // First run is the untouched starter project: record it, don't create a library entry for it.
+    if (lastAutosaveRef.current === null) {
+      lastAutosaveRef.current = autosaveSnapshot;
+      return;
+    }
+    if (lastAutosaveRef.current === autosaveSnapshot) return;
+
+    const timer = setTimeout(() => {
+      lastAutosaveRef.current = autosaveSnapshot;
+      const key = libraryKey || newLibraryKey();
+      if (!libraryKey) setLibraryKey(key);
+
+      saveLibraryProject(key, buildProjectFile())
+        .then((record) => {
+          setLibraryStatus(`Autosaved ${formatTimestamp(record.updatedAt)}`);
+          refreshLibrary(key);
+        })
+        .catch((err) => {
+          console.error(err);
+          setLibraryStatus("Autosave failed");
+        });
+    }, 800);
+
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [autosaveSnapshot, libraryKey]);
+
+  useEffect(() => {
+    refreshLibrary(null);
+  }, []);
+
+  const cbsTree = useMemo(() => buildCbsTree(cbsItems), [cbsItems]);
+
+  // Closed risks stay in the register but are not simulated
+  const simulatedRisks = useMemo(() => risks.filter((r) => !isClosedRisk(r)), [risks]);
+  const visibleRisks = useMemo(() => filterRisks(sortRisks(risks, riskSort), riskFilter), [risks, riskSort, riskFilter]);
+
+  // A risk opened from the heat map: bring its row into view and put the cursor in its name
+  useEffect(() => {
+    if (!openedRisk) return;
+    const row = document.getElementById(`risk-row-${openedRisk.id}`);
+    row?.scrollIntoView({ block: "center", behavior: "smooth" });
+    row?.querySelector("input")?.focus({ preventScroll: true });
+  }, [openedRisk]);
+
+  // Advanced correlation: matrix rows / columns and its smallest eigenvalue (only recomputed when the
+  // set of items or an entry changes, not on every cost edit)
+  const correlationItems = useMemo(() => correlationEntities(leafCbsItems(cbsItems), simulatedRisks), [cbsItems, simulatedRisks]);
+  const correlationKeys = correlationItems.map((e) => e.key).join("\n");
+  const correlationMinEigen = useMemo(() => {
+    if (correlationMode !== "advanced" || !correlationKeys) return null;
+    return minEigenvalue(matrixFor(correlationKeys.split("\n").map((key) => ({ key })), correlationPairs));
+  }, [correlationMode, correlationKeys, correlationPairs]);
+  const isSummaryRow = (id) => (cbsTree.nodes.get(id)?.children.length || 0) > 0;
+
+  // Summary rows only roll up their leaves, so they are left out of the total
   const totalBase = useMemo(() => {
-    return cbsItems.reduce((sum, r) => sum + (Number(r.baseCost) || 0), 0);
+    return leafCbsItems(cbsItems).reduce((sum, r) => sum + (Number(r.baseCost) || 0), 0);
   }, [cbsItems]);
 
-  // Risk register total shown as sum of 'Most Likely ($)' for contingent risks.
+  // Risk register total shown as sum of 'Most Likely' for contingent risks that are not closed.
   const totalRiskMostLikely = useMemo(() => {
-    return risks.reduce((sum, r) => {
+    return simulatedRisks.reduce((sum, r) => {
       const isInherent = String(r.riskType || "contingent").toLowerCase() === "inherent";
       if (isInherent) return sum;
       return sum + (Number(r.mostLikelyCost) || 0);
     }, 0);
-  }, [risks]);
+  }, [simulatedRisks]);
 
 
   // Input validation to control Run Simulation state (UI-only gate; backend still validates).
@@ -557,36 +678,54 @@ function App() {
     const it = Number(iterations);
     if (!Number.isFinite(it) || it <= 0) issues.push("Iterations must be a positive number.");
     if (Number.isFinite(it) && it > 20000) issues.push("Iterations must be 20,000 or less.");
+    issues.push(...confidenceLevelIssues(confidenceLevels));
+    issues.push(...timePhasingIssues(timePhasing, driverOptions));
+    issues.push(...driverGroupIssues(driverGroups, sensitivityWeights));
+    if (correlationMode === "advanced") issues.push(...correlationMatrixIssues(correlationItems, correlationPairs, correlationMinEigen));
 
     // CBS items
     if (!Array.isArray(cbsItems) || cbsItems.length === 0) issues.push("At least one CBS cost item is required.");
     (cbsItems || []).forEach((x, i) => {
       const row = `CBS row ${i + 1}`;
       if (!String(x.name || "").trim()) issues.push(`${row}: Name is required.`);
+      // Summary rows are not simulated; their values are roll-ups
+      if (cbsTree.nodes.get(x.id)?.children.length) return;
       if (!isNum(x.baseCost) || Number(x.baseCost) < 0) issues.push(`${row}: Base Cost must be 0 or more.`);
       if (!x.confidenceFactor) issues.push(`${row}: Confidence Factor is required.`);
+      const dateIssue = dateRangeIssue(x.startDate, x.finishDate);
+      if (dateIssue) issues.push(`${row}: ${dateIssue}`);
 
       // Standard correlation requires driver group assignment
       if (String(correlationMode).toLowerCase() === "standard") {
-        if (!String(x.driverGroup || "").trim()) issues.push(`${row}: Driver group is required in Standard correlation mode.`);
-        const s = String(x.sensitivity || "medium").toLowerCase();
-        if (!["low", "medium", "high"].includes(s)) issues.push(`${row}: Sensitivity must be Low/Medium/High.`);
+        const drivers = x.drivers || [];
+        if (drivers.length === 0) issues.push(`${row}: At least one driver is required in Standard correlation mode.`);
+        drivers.forEach((a) => {
+          if (!driverOptions.includes(a.driverGroup)) issues.push(`${row}: Driver group '${a.driverGroup}' is not defined in Project Settings.`);
+          if (!SENSITIVITY_LEVELS.includes(String(a.sensitivity || "medium").toLowerCase())) issues.push(`${row}: Sensitivity to '${a.driverGroup}' must be None/Low/Medium/High.`);
+        });
       }
 
-      if (String(x.confidenceFactor).toLowerCase() === "user defined") {
+      // Discrete items only use their outcomes; the others need the three-point inputs their shape reads
+      const discrete = distributionKey(x.distribution) === "discrete";
+      const userDefined = String(x.confidenceFactor).toLowerCase() === "user defined";
+      if (userDefined && !discrete) {
         if (!isNum(x.bestCaseCost) || Number(x.bestCaseCost) < 0) issues.push(`${row}: Best case is required (0 or more).`);
-        if (!isNum(x.mostLikelyCost) || Number(x.mostLikelyCost) < 0) issues.push(`${row}: Most likely is required (0 or more).`);
+        if (usesMostLikely(x.distribution) && (!isNum(x.mostLikelyCost) || Number(x.mostLikelyCost) < 0)) issues.push(`${row}: Most likely is required (0 or more).`);
         if (!isNum(x.worstCaseCost) || Number(x.worstCaseCost) < 0) issues.push(`${row}: Worst case is required (0 or more).`);
-
-        const b = Number(x.bestCaseCost);
-        const ml = Number(x.mostLikelyCost);
-        const w = Number(x.worstCaseCost);
-        if (Number.isFinite(b) && Number.isFinite(ml) && b > ml) issues.push(`${row}: Best case must be ≤ Most likely.`);
-        if (Number.isFinite(ml) && Number.isFinite(w) && ml > w) issues.push(`${row}: Most likely must be ≤ Worst case.`);
       }
+      const f = confidenceFactorMap[x.confidenceFactor];
+      const base = Number(x.baseCost) || 0;
+      const points = userDefined
+        ? { low: x.bestCaseCost, ml: x.mostLikelyCost, high: x.worstCaseCost }
+        : f
+          ? { low: base * f.best, ml: base * f.most_likely, high: base * f.worst }
+          : { low: NaN, ml: NaN, high: NaN };
+      distributionIssues(x.distribution, points, x.outcomes, CBS_POINT_NAMES).forEach((msg) => issues.push(`${row}: ${msg}`));
     });
 
     // Risks
+    const allIds = new Set(cbsItems.map((x) => x.id));
+    const leafIds = new Set(leafCbsItems(cbsItems).map((x) => x.id));
     (risks || []).forEach((r, i) => {
       const row = `Risk row ${i + 1}`;
       if (!String(r.name || "").trim()) issues.push(`${row}: Risk name is required.`);
@@ -595,18 +734,35 @@ function App() {
       const lo = Number(r.lowCost);
       const ml = Number(r.mostLikelyCost);
       const hi = Number(r.highCost);
-      if (!Number.isFinite(lo) || lo < 0) issues.push(`${row}: Low cost must be 0 or more.`);
-      if (!Number.isFinite(ml) || ml < 0) issues.push(`${row}: Most likely cost must be 0 or more.`);
-      if (!Number.isFinite(hi) || hi < 0) issues.push(`${row}: High cost must be 0 or more.`);
-      if (Number.isFinite(lo) && Number.isFinite(ml) && lo > ml) issues.push(`${row}: Low must be ≤ Most likely.`);
-      if (Number.isFinite(ml) && Number.isFinite(hi) && ml > hi) issues.push(`${row}: Most likely must be ≤ High.`);
+      // Discrete risks take low / most likely / high from their outcomes
+      if (distributionKey(r.distribution) !== "discrete") {
+        if (!Number.isFinite(lo) || lo < 0) issues.push(`${row}: Low cost must be 0 or more.`);
+        if (usesMostLikely(r.distribution) && (!Number.isFinite(ml) || ml < 0)) issues.push(`${row}: Most likely cost must be 0 or more.`);
+        if (!Number.isFinite(hi) || hi < 0) issues.push(`${row}: High cost must be 0 or more.`);
+      }
+      distributionIssues(r.distribution, { low: r.lowCost, ml: r.mostLikelyCost, high: r.highCost }, r.outcomes).forEach((msg) =>
+        issues.push(`${row}: ${msg}`)
+      );
+      mitigationIssues(r).forEach((msg) => issues.push(`${row}: ${msg}`));
+      if (hasMitigation(r) && distributionKey(r.distribution) !== "discrete") {
+        const post = riskValues(r, "post");
+        distributionIssues(r.distribution, { low: post.lowCost, ml: post.mostLikelyCost, high: post.highCost }, r.outcomes).forEach((msg) =>
+          issues.push(`${row} (post-mitigation): ${msg}`)
+        );
+      }
+      cbsLinkIssues(r.cbsLinks, leafIds, allIds).forEach((msg) => issues.push(`${row}: ${msg.charAt(0).toUpperCase()}${msg.slice(1)}`));
+      const dateIssue = dateRangeIssue(r.startDate, r.finishDate);
+      if (dateIssue) issues.push(`${row}: ${dateIssue}`);
     });
 
     return issues;
-  }, [iterations, cbsItems, risks, correlationMode]);
+  }, [iterations, confidenceLevels, confidenceFactorMap, timePhasing, driverOptions, driverGroups, sensitivityWeights, correlationItems, correlationPairs, correlationMinEigen, cbsItems, cbsTree, risks, correlationMode]);
 
   const isInputsValid = validationIssues.length === 0;
 
+  // Dated range of the cost model + risks (null until something has dates)
+  const phasingSpan = useMemo(() => dateSpan([...leafCbsItems(cbsItems), ...risks]), [cbsItems, risks]);
+
 
   // Cost model column widths (shrink when Standard correlation is selected to avoid horizontal scrolling)
   const isStandardCorr = correlationMode === "standard";
@@ -622,6 +778,12 @@ function App() {
   }
 
   function calcDerivedCosts(row) {
+    // Discrete: the columns show the smallest / heaviest / largest outcome
+    if (distributionKey(row.distribution) === "discrete") {
+      const s = discreteSummary(row.outcomes);
+      return { best: s.low, ml: s.ml, worst: s.high, isDerived: true };
+    }
+
     // If User defined: take explicit fields
     if (isUserDefinedFactor(row.confidenceFactor)) {
       return {
@@ -645,6 +807,7 @@ function App() {
   }
 
   function addCbsRow() {
+    recordHistory("Add CBS row");
     const defaultFactor = confidenceFactors.includes("Realistic")
       ? "Realistic"
       : confidenceFactors[0] || "Realistic";
@@ -662,20 +825,66 @@ function App() {
         bestCaseCost: null,
         mostLikelyCost: null,
         worstCaseCost: null,
-      driverGroup: "",
-        sensitivity: "medium",
+        distribution: DEFAULT_DISTRIBUTION,
+        outcomes: [],
+        drivers: [],
+        startDate: "",
+        finishDate: "",
       },
     ]);
 
     resetResults();
   }
 
+  // Deleting a summary row removes everything below it
   function deleteCbsRow(id) {
-    setCbsItems((prev) => prev.filter((x) => x.id !== id));
+    const node = cbsTree.nodes.get(id);
+    if (node?.children.length) {
+      if (!window.confirm(`Delete "${node.item.name || formatCbsIdDisplay(id)}" and all the CBS rows below it?`)) return;
+    }
+    recordHistory("Delete CBS row");
+    const removed = new Set(subtreeIds(cbsTree, id));
+    setCbsItems((prev) => removeCbsSubtree(prev, id));
+    // Risks linked to the deleted rows keep 100% across their remaining links
+    setRisks((prev) =>
+      prev.map((r) => {
+        const links = r.cbsLinks || [];
+        return links.some((l) => removed.has(l.cbsId)) ? { ...r, cbsLinks: rescaleLinks(links.filter((l) => !removed.has(l.cbsId))) } : r;
+      })
+    );
+    setCorrelationPairs((p) => pairsWithoutEntities(p, new Set([...removed].map((x) => entityKey("cbs", x)))).pairs);
+    resetResults();
+  }
+
+  function indentCbsRow(id) {
+    recordHistory("Indent CBS row");
+    setCbsItems((prev) => indentCbsItem(prev, id));
     resetResults();
   }
 
+  function outdentCbsRow(id) {
+    recordHistory("Outdent CBS row");
+    setCbsItems((prev) => outdentCbsItem(prev, id));
+    resetResults();
+  }
+
+  function toggleCbsCollapsed(id) {
+    setCollapsedCbs((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  // Base / best / most likely / worst per row; summary rows sum the leaves below them
+  const cbsRollUps = rollUpCbs(cbsItems, (x) => {
+    const d = calcDerivedCosts(x);
+    return { base: Number(x.baseCost) || 0, best: d.best, ml: d.ml, worst: d.worst };
+  });
+
   function updateCbsRow(id, patch) {
+    recordHistory("Edit CBS row", `cbs:${id}:${Object.keys(patch).join(",")}`);
     setCbsItems((prev) =>
       prev.map((x) => {
         if (x.id !== id) return x;
@@ -695,6 +904,7 @@ function App() {
   }
 
   function addRiskRow() {
+    recordHistory("Add risk");
     riskCounterRef.current += 1;
     const newId = makeSequentialId("r", riskCounterRef.current);
 
@@ -708,18 +918,47 @@ function App() {
         lowCost: 0,
         mostLikelyCost: 0,
         highCost: 0,
+        distribution: DEFAULT_DISTRIBUTION,
+        outcomes: [],
+        cbsLinks: [],
+        startDate: "",
+        finishDate: "",
+        category: "",
+        cause: "",
+        event: "",
+        effect: "",
+        status: DEFAULT_RISK_STATUS,
+        dateRaised: new Date().toISOString().slice(0, 10),
+        reviewDate: "",
+        mitigationAction: "",
+        owner: "",
+        mitigationCost: null,
+        postProbability: null,
+        postLowCost: null,
+        postMostLikelyCost: null,
+        postHighCost: null,
       },
     ]);
 
     resetResults();
   }
 
+  // Heat map → table: filters are cleared so the row is shown
+  function openRiskRow(id) {
+    setRiskView("table");
+    setRiskFilter(EMPTY_RISK_FILTER);
+    setOpenedRisk({ id });
+  }
+
   function deleteRiskRow(id) {
+    recordHistory("Delete risk");
     setRisks((prev) => prev.filter((x) => x.id !== id));
+    setCorrelationPairs((p) => pairsWithoutEntities(p, new Set([entityKey("risk", id)])).pairs);
     resetResults();
   }
 
   function updateRiskRow(id, patch) {
+    recordHistory("Edit risk", `risk:${id}:${Object.keys(patch).join(",")}`);
     setRisks((prev) =>
       prev.map((x) => {
         if (x.id !== id) return x;
@@ -732,20 +971,106 @@ function App() {
           next.highCost = 0;
         }
 
+        // Discrete: low / most likely / high follow the outcomes so totals and exports stay meaningful
+        if (("outcomes" in patch || "distribution" in patch) && distributionKey(next.distribution) === "discrete") {
+          const summary = discreteSummary(next.outcomes);
+          if (Number.isFinite(summary.low)) {
+            next.lowCost = summary.low;
+            next.mostLikelyCost = summary.ml;
+            next.highCost = summary.high;
+          }
+        }
+
         return next;
       })
     );
     resetResults();
   }
 
-  function buildPayload() {
+  // Only leaf CBS items are simulated; the outline (incl. summary rows) travels as cbsHierarchy
+  // ---- CONFIDENCE LEVELS ----
+  const draftPercentile = Number(percentileDraft);
+  const canAddPercentile =
+    percentileDraft !== "" && isValidPercentile(draftPercentile) && !confidenceLevels.percentiles.includes(draftPercentile);
+
+  function addPercentile() {
+    if (!canAddPercentile) return;
+    setConfidenceLevels((prev) => ({ ...prev, percentiles: [...prev.percentiles, draftPercentile].sort((a, b) => a - b) }));
+    setPercentileDraft("");
+  }
+
+  function removePercentile(p) {
+    setConfidenceLevels((prev) => ({ ...prev, percentiles: prev.percentiles.filter((x) => x !== p) }));
+  }
+
+  function setContingencyEnd(end, p) {
+    setConfidenceLevels((prev) => ({ ...prev, contingency: { ...prev.contingency, [end]: Number(p) } }));
+  }
+
+  // ---- RISK → CBS LINKS ----
+  function rescaleLinks(links) {
+    const total = linksTotal(links);
+    if (links.length === 0 || total <= 0) return evenShares(links.map((l) => l.cbsId));
+    return links.map((l) => ({ ...l, share: Math.round((Number(l.share) / total) * 10000) / 10000 }));
+  }
+
+  // A new link splits the risk evenly over all its links; shares can then be edited
+  function addRiskLink(riskId, cbsId) {
+    if (!cbsId) return;
+    const r = risks.find((x) => x.id === riskId);
+    const ids = [...(r?.cbsLinks || []).map((l) => l.cbsId), cbsId];
+    updateRiskRow(riskId, { cbsLinks: evenShares(ids) });
+  }
+
+  function updateRiskLinkShare(riskId, cbsId, percent) {
+    recordHistory("Edit risk", `risk:${riskId}:link:${cbsId}`);
+    const share = percent === "" ? "" : Number(percent) / 100;
+    setRisks((prev) =>
+      prev.map((x) =>
+        x.id === riskId ? { ...x, cbsLinks: (x.cbsLinks || []).map((l) => (l.cbsId === cbsId ? { ...l, share } : l)) } : x
+      )
+    );
+    resetResults();
+  }
+
+  function removeRiskLink(riskId, cbsId) {
+    const r = risks.find((x) => x.id === riskId);
+    updateRiskRow(riskId, { cbsLinks: rescaleLinks((r?.cbsLinks || []).filter((l) => l.cbsId !== cbsId)) });
+  }
+
+  // view: which risk values to simulate ("pre" | "post"); defaults to what Simulate as reports as the main result
+  function riskToPayload(r, view) {
+    const v = riskValues(r, view);
+    return {
+      id: r.id,
+      name: r.name,
+      riskType: r.riskType || "contingent",
+      probability: Number(v.probability) || 0,
+      lowCost: Number(v.lowCost) || 0,
+      mostLikelyCost: Number(v.mostLikelyCost) || 0,
+      highCost: Number(v.highCost) || 0,
+      ...mitigationToPayload(r),
+      ...riskDetailsToPayload(r),
+      distribution: distributionKey(r.distribution),
+      discreteOutcomes: outcomesToPayload(r.distribution, r.outcomes),
+      cbsLinks: (r.cbsLinks || []).map((l) => ({ cbsId: l.cbsId, share: Number(l.share) || 0 })),
+      startDate: r.startDate || null,
+      finishDate: r.finishDate || null,
+    };
+  }
+
+  function buildPayload(view = simulateAs === "pre" ? "pre" : "post") {
+    const hierarchy = cbsHierarchy(cbsItems);
+    const wbsCodes = new Map(hierarchy.map((h) => [h.id, h.wbsCode]));
     return {
       settings: {
         iterations: Number(iterations),
         seed: Number(seed),
-        percentiles: [0.05, 0.1, 0.5, 0.9],
+        ...confidenceLevelsToSettings(confidenceLevels),
       },
-      confidenceTableVersion: "v1",
+      // Table behind the derived CBS ranges, with its multipliers, so the run can be reproduced later
+      confidenceTableVersion: activeConfidenceTable?.version.version || "v1",
+      confidenceTable: confidenceTableToPayload(activeConfidenceTable),
       // Project metadata (Excel export)
       projectInfo: {
         projectName,
@@ -753,15 +1078,36 @@ function App() {
         projectManager,
         simulationDate: projectDate,
         projectNotes,
+        // Number format for exports / commentary; payload amounts are always full, unformatted numbers
+        currency: numberFormat.currency,
+        locale: numberFormat.locale,
+        displayUnit: numberFormat.unit,
       },
       correlation_mode: correlationMode,
-      cbsItems: cbsItems.map((x) => ({
+      cbsItems: leafCbsItems(cbsItems).map((x) => ({
         id: x.id,
+        wbsCode: wbsCodes.get(x.id),
+        parentId: x.parentId || null,
         name: x.name,
         baseCost: Number(x.baseCost) || 0,
         confidenceFactor: x.confidenceFactor,
-        driver_group: correlationMode === "standard" ? (x.driverGroup || null) : null,
-        sensitivity: correlationMode === "standard" ? (x.sensitivity || "medium") : null,
+        // Primary (first) driver for backends that take one driver per item; driver_assignments has them all
+        driver_group: correlationMode === "standard" ? (x.drivers?.[0]?.driverGroup || null) : null,
+        sensitivity: correlationMode === "standard" ? (x.drivers?.[0]?.sensitivity || "medium") : null,
+        driver_assignments:
+          correlationMode === "standard"
+            ? (x.drivers || []).map((a) => ({ driver_group: a.driverGroup, sensitivity: a.sensitivity || "medium" }))
+            : null,
+        // Time phasing: undated items are spread over the project span; escalation follows the item's
+        // drivers whatever the correlation mode, each on an equal share of its cost (escalationGroup: the
+        // first driver, for backends that take one group per item)
+        startDate: x.startDate || null,
+        finishDate: x.finishDate || null,
+        escalationGroup: x.drivers?.[0]?.driverGroup || null,
+        escalationGroups: [...new Set((x.drivers || []).map((a) => a.driverGroup).filter(Boolean))],
+        // Shape drawn over best / most likely / worst (Discrete: the outcomes instead), see itemDistributions.js
+        distribution: distributionKey(x.distribution),
+        discreteOutcomes: outcomesToPayload(x.distribution, x.outcomes),
         // backend uses these only when confidenceFactor == "User defined"
         bestCaseCost:
           x.bestCaseCost === null || x.bestCaseCost === undefined || x.bestCaseCost === ""
@@ -776,15 +1122,37 @@ function App() {
             ? null
             : Number(x.worstCaseCost),
       })),
-      contingentRisks: risks.map((r) => ({
-        id: r.id,
-        name: r.name,
-        riskType: r.riskType || "contingent",
-        probability: Number(r.probability) || 0,
-        lowCost: Number(r.lowCost) || 0,
-        mostLikelyCost: Number(r.mostLikelyCost) || 0,
-        highCost: Number(r.highCost) || 0,
-      })),
+      // Risk values as simulated (see riskView); pre / post sets and the mitigation travel alongside
+      riskView: view,
+      // Closed risks are left out (buildProjectFile keeps them in the UI block)
+      contingentRisks: simulatedRisks.map((r) => riskToPayload(r, view)),
+      cbsHierarchy: hierarchy,
+      timePhasing: timePhasingToPayload(timePhasing, driverOptions),
+      // Driver definitions: copula loading = sensitivity weight × driver strength (Standard mode)
+      drivers: driversToPayload(driverGroups),
+      sensitivityWeights: sensitivityWeightsToPayload(sensitivityWeights),
+      correlationMatrix: correlationMode === "advanced" ? correlationMatrixToPayload(correlationItems, correlationPairs) : null,
+    };
+  }
+
+  // CBS roll-ups, the contingency allocation and the cashflow need the per-item samples, which /simulate
+  // does not return; for server runs they are computed in the browser from the same inputs and seed.
+  async function itemResultsFor(payload, data) {
+    let source = data;
+    let inBrowser = false;
+    if (!data.contingencyAllocation) {
+      try {
+        source = await simulateLocally(payload, confidenceFactorMap);
+        inBrowser = true;
+      } catch (e) {
+        console.error(e);
+        return { breakdown: null, allocation: null, cashflow: null };
+      }
+    }
+    return {
+      breakdown: Array.isArray(source.cbsBreakdown) ? { rows: source.cbsBreakdown, inBrowser } : null,
+      allocation: source.contingencyAllocation ? { ...source.contingencyAllocation, inBrowser } : null,
+      cashflow: source.cashflow ? { ...source.cashflow, inBrowser } : null,
     };
   }
 
@@ -794,12 +1162,29 @@ function App() {
    setIsRunning(true);
 
     const payload = buildPayload();
+    const runEngine = (p) => (simEngine === "browser" ? simulateLocally(p, confidenceFactorMap) : simulate(p));
 
     try {
-      const data = await simulate(payload);
-      setResults(data.results || null);
+      // "both": a pre-mitigation run first; the post-mitigation run is the main result
+      const preData = simulateAs === "both" ? await runEngine(buildPayload("pre")) : null;
+      const data = await runEngine(payload);
+      const runResults = withContingency(data.results || null, confidenceLevels);
+      setResults(runResults);
+      if (preData) {
+        setMitigationResults({ pre: withContingency(preData.results || null, confidenceLevels), post: runResults, spend: totalMitigationSpend(simulatedRisks) });
+      }
       setSensitivity(Array.isArray(data.sensitivity) ? data.sensitivity : []);
-      runCommentary(payload);
+      setRunPayload(payload);
+      setDistribution(distributionFromResponse(data));
+      const itemResults = await itemResultsFor(payload, data);
+      setCbsBreakdown(itemResults.breakdown);
+      setContingencyAllocation(itemResults.allocation);
+      setCashflow(itemResults.cashflow);
+      if (simEngine === "browser") {
+        setCommentaryError("Commentary is generated by the backend and is not available for in-browser runs.");
+      } else {
+        runCommentary(payload);
+      }
     }   catch (e) {
     console.error(e);
     setErrors(e.detail || [{ msg: "Network/API error", detail: String(e) }]);
@@ -829,16 +1214,6 @@ function App() {
   }
 
 
-  function triggerDownload(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 500);
-  }
 
   
   async function downloadJson() {
@@ -847,14 +1222,15 @@ function App() {
   setErrors([]);
   setIsExporting(true);
 
-  const payload = buildPayload();
+  // The cashflow is computed in the browser (see itemResultsFor), so the report gets it from here
+  const payload = { ...buildPayload(), reportCharts: collectReportCharts(), cashflow };
 
   try {
     const blob = await exportJson(payload);
     if (!blob) return;
 
     const filename = `cost-risk-${safeFilename("scenario") || "scenario"}.json`;
-    triggerDownload(blob, filename);
+    downloadBlob(blob, filename);
   } catch (err) {
     setErrors([err.message || "Failed to export JSON"]);
   } finally {
@@ -869,14 +1245,15 @@ function App() {
   setErrors([]);
   setIsExporting(true);
 
-  const payload = buildPayload();
+  // The cashflow is computed in the browser (see itemResultsFor), so the report gets it from here
+  const payload = { ...buildPayload(), reportCharts: collectReportCharts(), cashflow };
 
   try {
     const blob = await exportExcel(payload);
     if (!blob) return;
 
     const filename = `cost-risk-results.xlsx`;
-    triggerDownload(blob, filename);
+    downloadBlob(blob, filename);
   } catch (err) {
     setErrors([err.message || "Export Excel failed"]);
   } finally {
@@ -886,122 +1263,717 @@ function App() {
 
 
 
-  // ---- CSV IMPORTS ----
-  function openCbsCsvPicker() {
+  // ---- PROJECT FILES (save / open) ----
+  function buildProjectFile() {
+    return createProjectFile(buildPayload(), {
+      activeTab,
+      sensitivityDisplay,
+      simulateAs,
+      riskMatrix,
+      counters: { cbs: cbsCounterRef.current, risk: riskCounterRef.current },
+      // payload drops driver assignments when correlation is "none"; keep them so switching back restores them
+      cbsDrivers: cbsItems.map((x) => ({ id: x.id, drivers: x.drivers || [] })),
+      // likewise the Advanced correlation matrix (closed risks included, so reopening one keeps its entries)
+      correlationMatrix: correlationMatrixToPayload(correlationEntities(leafCbsItems(cbsItems), risks), correlationPairs),
+      // and the closed risks, with the register order
+      closedRisks: risks.filter(isClosedRisk).map((r) => riskToPayload(r, simulateAs === "pre" ? "pre" : "post")),
+      riskOrder: risks.map((r) => r.id),
+    });
+  }
+
+  function applyProject(project) {
+    setProjectName(project.projectName);
+    setProjectId(project.projectId);
+    setProjectManager(project.projectManager);
+    setProjectDate(project.projectDate);
+    setProjectNotes(project.projectNotes);
+    setNumberFormat(project.numberFormat || DEFAULT_NUMBER_FORMAT);
+    setIterations(project.iterations);
+    setSeed(project.seed);
+    setConfidenceLevels(project.confidenceLevels || DEFAULT_CONFIDENCE_LEVELS);
+    // A table version from another browser joins the library so the project keeps its multipliers
+    const snapshot = project.confidenceTable;
+    if (snapshot) setConfidenceTables((tables) => ensureTableVersion(tables, snapshot).tables);
+    setConfidenceTable(snapshot ? { id: snapshot.id, version: snapshot.version } : { id: STANDARD_TABLE_ID, version: null });
+    setTableDraft(null);
+    setTableEditError(null);
+    setTimePhasing(project.timePhasing || DEFAULT_TIME_PHASING);
+    setCorrelationMode(project.correlationMode);
+    setDriverGroups(project.driverGroups || DEFAULT_DRIVER_GROUPS);
+    setSensitivityWeights(project.sensitivityWeights || DEFAULT_SENSITIVITY_WEIGHTS);
+    setDriverEditError(null);
+    setCorrelationPairs(project.correlationPairs || {});
+    setCbsItems(project.cbsItems);
+    setCollapsedCbs(new Set());
+    setRisks(project.risks);
+    cbsCounterRef.current = project.cbsCounter;
+    riskCounterRef.current = project.riskCounter;
+    setActiveTab(project.activeTab);
+    setSensitivityDisplay(project.sensitivityDisplay || DEFAULT_SENSITIVITY_DISPLAY);
+    setSimulateAs(project.simulateAs || DEFAULT_SIMULATE_AS);
+    setRiskSort(null);
+    setRiskFilter(EMPTY_RISK_FILTER);
+    setOpenedRisk(null);
+    setRiskMatrix(project.riskMatrix || DEFAULT_RISK_MATRIX);
+    setHistory(EMPTY_HISTORY);
+    resetResults();
+  }
+
+  function saveProjectToFile() {
     setErrors([]);
-    cbsFileInputRef.current?.click();
+    const file = buildProjectFile();
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    downloadBlob(blob, `${safeFilename(projectName) || "project"}.project.json`);
+  }
+
+  function openProjectPicker() {
+    setErrors([]);
+    projectFileInputRef.current?.click();
   }
 
-  async function onCbsCsvSelected(e) {
+  async function onProjectFileSelected(e) {
     const file = e.target.files?.[0];
     e.target.value = "";
     if (!file) return;
 
     try {
       const text = await file.text();
-      const rows = parseCbsCsv(text);
-
-      if (rows.length === 0) {
-        setErrors([{ msg: "CBS import failed", detail: "No CBS names found in CSV." }]);
-        return;
-      }
+      const { project, warnings } = readProjectFile(text, { confidenceFactors: standardFactorKeys });
 
-      const defaultFactor = confidenceFactors.includes("Realistic")
-        ? "Realistic" // UI label will show "Balanced Cost Range"
-        : (confidenceFactors[0] || "Realistic");
-
-      const newItems = rows.map((row, idx) => {
-        const isNum = (v) => typeof v === "number" && Number.isFinite(v);
-        const hasUserDefined =
-          isNum(row.baseCost) &&
-          isNum(row.low) &&
-          isNum(row.mostLikely) &&
-          isNum(row.high);
-
-        return {
-          id: makeSequentialId("cbs", idx + 1),
-          name: row.name,
-          // keep baseCost if provided (even when user-defined trio is present)
-          baseCost: row.baseCost ?? 0,
-          confidenceFactor: hasUserDefined ? "User defined" : defaultFactor,
-          bestCaseCost: hasUserDefined ? Number(row.low) : null,
-          mostLikelyCost: hasUserDefined ? Number(row.mostLikely) : null,
-          worstCaseCost: hasUserDefined ? Number(row.high) : null,
-          driverGroup: "",
-          sensitivity: "medium",
-        };
-      });
+      applyProject(project);
+      // An opened file becomes a new library project instead of overwriting the current one
+      setLibraryKey(null);
 
-      setCbsItems(newItems);
-      cbsCounterRef.current = newItems.length;
-      resetResults();
+      if (warnings.length) {
+        setErrors([{ msg: "Project open warnings (project loaded)", detail: warnings.join("\n") }]);
+      }
     } catch (err) {
       console.error(err);
-      setErrors([{ msg: "CBS import failed", detail: String(err) }]);
+      setErrors([{ msg: "Open project failed", detail: err.message || String(err) }]);
     }
   }
 
-  function openRisksCsvPicker() {
-    setErrors([]);
+  // ---- PROJECT LIBRARY ----
+  async function refreshLibrary(key) {
+    if (!isLibraryAvailable()) return;
+    try {
+      const [projects, versions] = await Promise.all([
+        listProjects(),
+        key ? listVersions(key) : Promise.resolve([]),
+      ]);
+      setLibraryProjects(projects);
+      setLibraryVersions(versions);
+    } catch (err) {
+      console.error(err);
+      setLibraryError(String(err?.message || err));
+    }
+  }
+
+  // Runs a library action and refreshes the list; failures go to the library panel
+  async function libraryAction(fn, key = libraryKey) {
+    setLibraryError(null);
+    try {
+      await fn();
+      await refreshLibrary(key);
+    } catch (err) {
+      console.error(err);
+      setLibraryError(String(err?.message || err));
+    }
+  }
+
+  function loadIntoEditor(file, key) {
+    const { project, warnings } = loadProjectDoc(file, { confidenceFactors: standardFactorKeys });
+    applyProject({ ...project, activeTab: "project" });
+    setLibraryKey(key);
+    setErrors(warnings.length ? [{ msg: "Project open warnings (project loaded)", detail: warnings.join("\n") }] : []);
+  }
+
+  function openLibraryProject(key) {
+    return libraryAction(async () => {
+      const record = await getProject(key);
+      if (!record) throw new Error("Project not found in library.");
+      loadIntoEditor(record.file, key);
+    }, key);
+  }
+
+  function newProject() {
+    setProjectName("");
+    setProjectId("");
+    setProjectManager("");
+    setProjectDate("");
+    setProjectNotes("");
+    setIterations(5000);
+    setSeed(123456);
+    setNumberFormat(DEFAULT_NUMBER_FORMAT);
+    setConfidenceLevels(DEFAULT_CONFIDENCE_LEVELS);
+    setConfidenceTable({ id: STANDARD_TABLE_ID, version: null });
+    setTableDraft(null);
+    setTableEditError(null);
+    setTimePhasing(DEFAULT_TIME_PHASING);
+    setCorrelationMode("none");
+    setDriverGroups(DEFAULT_DRIVER_GROUPS);
+    setSensitivityWeights(DEFAULT_SENSITIVITY_WEIGHTS);
+    setDriverEditError(null);
+    setCorrelationPairs({});
+    setCbsItems(defaultCbsItems());
+    setRisks(defaultRisks());
+    setSimulateAs(DEFAULT_SIMULATE_AS);
+    setRiskSort(null);
+    setRiskFilter(EMPTY_RISK_FILTER);
+    setOpenedRisk(null);
+    setRiskMatrix(DEFAULT_RISK_MATRIX);
+    cbsCounterRef.current = 4;
+    riskCounterRef.current = 2;
+    setLibraryKey(null);
+    setLibraryVersions([]);
+    setErrors([]);
+    setActiveTab("project");
+    setHistory(EMPTY_HISTORY);
+    resetResults();
+  }
+
+  function startRename(p) {
+    setRenamingKey(p.key);
+    setRenameDraft(p.projectName || "");
+  }
+
+  function commitRename() {
+    const key = renamingKey;
+    const name = renameDraft.trim();
+    setRenamingKey(null);
+    if (!key) return;
+    return libraryAction(async () => {
+      await renameProject(key, name);
+      if (key === libraryKey) setProjectName(name);
+    });
+  }
+
+  function duplicateLibraryProject(p) {
+    return libraryAction(() => duplicateProject(p.key, `${p.projectName || "Untitled project"} (copy)`));
+  }
+
+  function deleteLibraryProject(p) {
+    if (!window.confirm(`Delete "${p.projectName || "Untitled project"}" and all its versions from this browser?`)) return;
+    return libraryAction(async () => {
+      await deleteProject(p.key);
+      // Keep editing; the next change autosaves as a new library project
+      if (p.key === libraryKey) setLibraryKey(null);
+    }, p.key === libraryKey ? null : libraryKey);
+  }
+
+  function snapshotVersion() {
+    const label = versionLabel.trim();
+    if (!label) return;
+    const key = libraryKey || newLibraryKey();
+    return libraryAction(async () => {
+      const file = buildProjectFile();
+      await saveLibraryProject(key, file);
+      await saveVersion(key, label, file);
+      setLibraryKey(key);
+      setVersionLabel("");
+    }, key);
+  }
+
+  function restoreVersion(v) {
+    if (!window.confirm(`Restore version "${v.label}"? Current edits are replaced (the library keeps them only if saved as a version).`)) return;
+    return libraryAction(async () => {
+      const record = await getVersion(v.versionKey);
+      if (!record) throw new Error("Version not found in library.");
+      loadIntoEditor(record.file, v.projectKey);
+    });
+  }
+
+  function deleteLibraryVersion(v) {
+    if (!window.confirm(`Delete version "${v.label}"?`)) return;
+    return libraryAction(() => deleteVersion(v.versionKey));
+  }
+
+  // ---- CSV / EXCEL IMPORTS ----
+  function openCbsImportPicker() {
+    setErrors([]);
+    cbsFileInputRef.current?.click();
+  }
+
+  function onCbsFileSelected(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) openImportWizard("cbs", file);
+  }
+
+  function planCbsRows(rows, { mode, removeMissing }) {
+    const defaultFactor = confidenceFactors.includes("Realistic")
+      ? "Realistic" // UI label will show "Balanced Cost Range"
+      : (confidenceFactors[0] || "Realistic");
+    return planCbsImport(cbsItems, rows, {
+      mode,
+      removeMissing,
+      defaultFactor,
+      makeId: (n) => makeSequentialId("cbs", n),
+      counter: cbsCounterRef.current,
+    });
+  }
+
+  function applyCbsImport({ rows, warnings }, options, source) {
+    if (rows.length === 0) {
+      setErrors([{ msg: "CBS import failed", detail: [`No CBS names found in ${source}.`, ...warnings].join("\n") }]);
+      return;
+    }
+
+    const plan = planCbsRows(rows, options);
+    recordHistory(`Import costs from ${source}`);
+    setCbsItems(plan.items);
+    cbsCounterRef.current = plan.counter;
+
+    // Rows the import removed (all of them for Replace, whose new rows may reuse their IDs): as for
+    // deleted rows, risks drop those links and keep 100% across the rest
+    const removed = new Set(plan.changes.filter((c) => c.change === "removed").map((c) => c.id));
+    const unlinked = risks.filter((r) => (r.cbsLinks || []).some((l) => removed.has(l.cbsId)));
+    if (unlinked.length) {
+      setRisks((prev) =>
+        prev.map((r) => {
+          const links = r.cbsLinks || [];
+          return links.some((l) => removed.has(l.cbsId)) ? { ...r, cbsLinks: rescaleLinks(links.filter((l) => !removed.has(l.cbsId))) } : r;
+        })
+      );
+    }
+    const cleared = pairsWithoutEntities(correlationPairs, new Set([...removed].map((x) => entityKey("cbs", x))));
+    setCorrelationPairs(cleared.pairs);
+    resetResults();
+
+    const notes = [...warnings, ...describeSkipped(plan.changes)];
+    if (unlinked.length) {
+      notes.push(
+        `CBS links dropped from ${unlinked.length} risk${unlinked.length === 1 ? "" : "s"} (${unlinked.map((r) => formatRiskIdDisplay(r.id)).join(", ")}): the linked CBS rows were replaced or removed by the import.`
+      );
+    }
+    if (cleared.dropped) notes.push(correlationClearedNote(cleared.dropped, "CBS rows"));
+    if (notes.length) {
+      setErrors([{ msg: "CBS import warnings (import succeeded)", detail: notes.join("\n") }]);
+    }
+  }
+
+  function openRisksImportPicker() {
+    setErrors([]);
     risksFileInputRef.current?.click();
   }
 
-  async function onRisksCsvSelected(e) {
+  function onRisksFileSelected(e) {
     const file = e.target.files?.[0];
     e.target.value = "";
-    if (!file) return;
+    if (file) openImportWizard("risk", file);
+  }
 
-    try {
-      const text = await file.text();
-      const { risks: parsed, warnings } = parseRisksCsv(text);
+  function planRiskRows(rows, { mode, removeMissing }) {
+    return planRiskImport(risks, rows, {
+      mode,
+      removeMissing,
+      makeId: (n) => makeSequentialId("r", n),
+      counter: riskCounterRef.current,
+    });
+  }
+
+  function applyRiskImport({ risks: parsed, warnings }, options, source) {
+    if (parsed.length === 0) {
+      setErrors([{ msg: "Risk import failed", detail: warnings.join("\n") || "No risks parsed." }]);
+      return;
+    }
+
+    const plan = planRiskRows(parsed, options);
+    recordHistory(`Import risks from ${source}`);
+    setRisks(plan.items);
+    riskCounterRef.current = plan.counter;
+    // As for CBS rows: risks the import removed (all of them for Replace) lose their correlation entries
+    const removed = new Set(plan.changes.filter((c) => c.change === "removed").map((c) => entityKey("risk", c.id)));
+    const cleared = pairsWithoutEntities(correlationPairs, removed);
+    setCorrelationPairs(cleared.pairs);
+    resetResults();
 
-      if (parsed.length === 0) {
-        setErrors([{ msg: "Risk import failed", detail: warnings.join("\n") || "No risks parsed." }]);
+    const notes = [...warnings, ...describeSkipped(plan.changes)];
+    if (cleared.dropped) notes.push(correlationClearedNote(cleared.dropped, "risks"));
+    if (notes.length) {
+      setErrors([{ msg: "Risk import warnings (import succeeded)", detail: notes.join("\n") }]);
+    }
+  }
+
+  // CSV is read as a single sheet; Excel as every worksheet. The wizard then picks sheet, header row and columns.
+  async function openImportWizard(kind, file) {
+    const what = kind === "risk" ? "Risk" : "CBS";
+    try {
+      const isExcel = isSpreadsheetFile(file);
+      const sheets = isExcel
+        ? await readXlsx(await file.arrayBuffer())
+        : [{ name: "CSV", rows: parseCsv(await file.text()).rows }];
+      if (!sheets.some((sh) => sh.rows.length > 0)) {
+        setErrors([{ msg: `${what} import failed`, detail: `No data found in ${file.name}.` }]);
         return;
       }
+      setImportWizard({
+        kind,
+        source: isExcel ? "Excel" : "CSV",
+        fileName: file.name,
+        sheets,
+        savedMapping: loadImportMapping(kind, file.name),
+      });
+    } catch (err) {
+      console.error(err);
+      setErrors([{ msg: `${what} import failed`, detail: err?.message || String(err) }]);
+    }
+  }
+
+  function importFromWizard({ sheetIndex, headerRow, columns, mode, removeMissing }) {
+    if (!importWizard) return;
+    const { kind, source, fileName, sheets } = importWizard;
+    const sheet = sheets[sheetIndex] || { name: "", rows: [] };
+    saveImportMapping(kind, fileName, {
+      sheetName: sheet.name,
+      headerRow,
+      columns,
+      headerCells: sheet.rows[headerRow] || [],
+      mode,
+      removeMissing,
+    });
+    setImportWizard(null);
+    const options = { mode, removeMissing };
+    if (kind === "risk") applyRiskImport(mapRiskRows(sheet.rows, columns, { ...riskImportOptions, headerRow }), options, source);
+    else applyCbsImport(mapCbsRows(sheet.rows, columns, { ...cbsImportOptions, headerRow }), options, source);
+  }
 
-      const newRisks = parsed.map((r, idx) => ({
-        id: makeSequentialId("r", idx + 1),
-        name: r.name,
-        riskType: r.riskType || "contingent",
-        probability: r.probability,
-        lowCost: r.lowCost,
-        mostLikelyCost: r.mostLikelyCost,
-        highCost: r.highCost,
-      }));
+  // ---- CSV EXPORTS ----
+  function downloadCsv(text, filename) {
+    downloadBlob(new Blob([text], { type: "text/csv;charset=utf-8" }), filename);
+  }
 
-      setRisks(newRisks);
-      riskCounterRef.current = newRisks.length;
-      resetResults();
+  function exportCbsCsv() {
+    downloadCsv(cbsItemsToCsv(cbsItems), `${safeFilename(projectName) || "project"}-cost-model.csv`);
+  }
 
-      if (warnings.length) {
-        setErrors([{ msg: "Risk import warnings (import succeeded)", detail: warnings.join("\n") }]);
+  function updateEscalation(group, patch) {
+    setTimePhasing((t) => ({ ...t, escalation: { ...t.escalation, [group]: { ...escalationRange(t, group), ...patch } } }));
+  }
+
+  // ---- CONFIDENCE TABLES ----
+  // Switching table or version re-derives the CBS ranges; items on a factor the new table lacks are reset
+  function selectConfidenceTable(id, version = null) {
+    const table = confidenceTables.find((t) => t.id === id);
+    if (!table) return;
+    setConfidenceTable({ id, version: version || table.versions[table.versions.length - 1].version });
+    setTableDraft(null);
+    setTableEditError(null);
+    resetResults();
+  }
+
+  // mode "new": a custom table starting from the current factors; "version": the next version of a custom table
+  function startTableDraft(mode) {
+    if (!activeConfidenceTable) return;
+    setTableEditError(null);
+    setTableDraft({
+      mode,
+      id: mode === "version" ? activeConfidenceTable.table.id : null,
+      name: mode === "version" ? activeConfidenceTable.table.name : `${activeConfidenceTable.table.name} (copy)`,
+      factors: activeConfidenceTable.version.factors.map((f) => ({ ...f })),
+    });
+  }
+
+  function updateDraftFactor(index, patch) {
+    setTableDraft((d) => ({ ...d, factors: d.factors.map((f, i) => (i === index ? { ...f, ...patch } : f)) }));
+  }
+
+  function addDraftFactor() {
+    setTableDraft((d) => ({ ...d, factors: [...d.factors, { key: "", label: "", description: "", best: 1, most_likely: 1, worst: 1 }] }));
+  }
+
+  function removeDraftFactor(index) {
+    setTableDraft((d) => ({ ...d, factors: d.factors.filter((_, i) => i !== index) }));
+  }
+
+  function saveTableDraft() {
+    const draft = tableDraft;
+    const issues = [
+      ...(draft.mode === "new" ? [tableNameIssue(draft.name, confidenceTables)].filter(Boolean) : []),
+      ...confidenceTableIssues(draft.factors),
+    ];
+    if (issues.length) {
+      setTableEditError(issues.join(" "));
+      return;
+    }
+    const factors = cleanFactors(draft.factors);
+    if (draft.mode === "new") {
+      const table = createCustomTable(confidenceTables, draft.name, factors);
+      setConfidenceTables((tables) => [...tables, table]);
+      setConfidenceTable({ id: table.id, version: "v1" });
+    } else {
+      const table = confidenceTables.find((t) => t.id === draft.id);
+      setConfidenceTables((tables) => addTableVersion(tables, draft.id, factors));
+      setConfidenceTable({ id: draft.id, version: nextVersionLabel(table) });
+    }
+    setTableDraft(null);
+    setTableEditError(null);
+    resetResults();
+  }
+
+  // Only tables this project does not use; other projects keep a copy of their version in the project file
+  function deleteConfidenceTable(id) {
+    const table = confidenceTables.find((t) => t.id === id);
+    if (!table || table.builtIn || id === activeConfidenceTable?.table.id) return;
+    if (!window.confirm(`Delete confidence table "${table.name}" and all its versions from this browser?`)) return;
+    setConfidenceTables((tables) => tables.filter((t) => t.id !== id));
+  }
+
+  // ---- DRIVER GROUPS ----
+  function addDriverGroup() {
+    setDriverEditError(null);
+    setDriverGroups((ds) => [...ds, { name: uniqueDriverName(ds), description: "", strength: 1 }]);
+    resetResults();
+  }
+
+  function updateDriverGroup(name, patch) {
+    setDriverGroups((ds) => ds.map((d) => (d.name === name ? { ...d, ...patch } : d)));
+    // The description is not a simulation input
+    if ("strength" in patch) resetResults();
+  }
+
+  // A rename follows the driver into the CBS items that use it and its escalation rates
+  function renameDriverGroup(oldName, newName) {
+    const name = String(newName || "").trim();
+    if (name === oldName) {
+      setDriverEditError(null);
+      return true;
+    }
+    const issue = driverNameIssue(name, driverGroups, oldName);
+    if (issue) {
+      setDriverEditError(issue);
+      return false;
+    }
+    recordHistory(`Rename driver '${oldName}'`);
+    setDriverEditError(null);
+    setDriverGroups((ds) => ds.map((d) => (d.name === oldName ? { ...d, name } : d)));
+    setCbsItems((items) =>
+      items.map((x) =>
+        (x.drivers || []).some((a) => a.driverGroup === oldName)
+          ? { ...x, drivers: x.drivers.map((a) => (a.driverGroup === oldName ? { ...a, driverGroup: name } : a)) }
+          : x
+      )
+    );
+    setTimePhasing((t) => {
+      if (!t.escalation[oldName]) return t;
+      const { [oldName]: rates, ...rest } = t.escalation;
+      return { ...t, escalation: { ...rest, [name]: rates } };
+    });
+    resetResults();
+    return true;
+  }
+
+  function deleteDriverGroup(name) {
+    const used = driverUsage.get(name) || 0;
+    if (used && !window.confirm(`'${name}' is assigned to ${used} CBS item${used === 1 ? "" : "s"}. Delete it and remove it from them?`)) return;
+    recordHistory(`Delete driver '${name}'`);
+    setDriverEditError(null);
+    setDriverGroups((ds) => ds.filter((d) => d.name !== name));
+    if (used) {
+      setCbsItems((items) =>
+        items.map((x) =>
+          (x.drivers || []).some((a) => a.driverGroup === name) ? { ...x, drivers: x.drivers.filter((a) => a.driverGroup !== name) } : x
+        )
+      );
+    }
+    setTimePhasing((t) => {
+      if (!t.escalation[name]) return t;
+      return { ...t, escalation: Object.fromEntries(Object.entries(t.escalation).filter(([k]) => k !== name)) };
+    });
+    resetResults();
+  }
+
+  // ---- ADVANCED CORRELATION MATRIX ----
+  function updateCorrelation(key, value) {
+    setCorrelationPairs((p) => {
+      const next = { ...p };
+      if (value === "" || Number(value) === 0) delete next[key];
+      else next[key] = value;
+      return next;
+    });
+  }
+
+  function repairCorrelationMatrix() {
+    const repaired = nearestCorrelationMatrix(matrixFor(correlationItems, correlationPairs));
+    // Rounded for display; rounding can nudge an eigenvalue just below zero, so keep full precision then
+    const rounded = repaired.map((row) => row.map((v) => Math.round(v * 10000) / 10000));
+    setCorrelationPairs(pairsFromMatrix(correlationItems, minEigenvalue(rounded) >= PSD_TOLERANCE ? rounded : repaired));
+  }
+
+  function clearCorrelationMatrix() {
+    if (Object.keys(correlationPairs).length && !window.confirm("Clear every entry of the correlation matrix?")) return;
+    setCorrelationPairs({});
+  }
+
+  function exportCorrelationCsv() {
+    downloadCsv(correlationMatrixToCsv(correlationItems, correlationPairs), `${safeFilename(projectName) || "project"}-correlation-matrix.csv`);
+  }
+
+  function openCorrelationImportPicker() {
+    setErrors([]);
+    correlationFileInputRef.current?.click();
+  }
+
+  async function onCorrelationFileSelected(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { pairs, matched, warnings } = correlationMatrixFromCsv(await file.text(), correlationItems, correlationPairs);
+      if (!matched) {
+        setErrors([{ msg: "Correlation matrix import failed", detail: ["No rows match a CBS item or risk.", ...warnings].join("\n") }]);
+        return;
       }
+      setCorrelationPairs(pairs);
+      if (warnings.length) setErrors([{ msg: "Correlation matrix import warnings (import succeeded)", detail: warnings.join("\n") }]);
     } catch (err) {
       console.error(err);
-      setErrors([{ msg: "Risk import failed", detail: String(err) }]);
+      setErrors([{ msg: "Correlation matrix import failed", detail: err?.message || String(err) }]);
     }
   }
 
+  function exportCashflowCsv() {
+    if (!cashflow) return;
+    downloadCsv(cashflowToCsv(cashflow), `${safeFilename(projectName) || "project"}-cashflow.csv`);
+  }
+
+  function exportRisksCsv() {
+    downloadCsv(risksToCsv(risks), `${safeFilename(projectName) || "project"}-risk-register.csv`);
+  }
+
   const canExport = !!results && !isRunning && !isExporting;
 
-  const groupedSensitivity = useMemo(() => {
+  // Measures of the run on screen (its own settings, not edits made since)
+  const runMetrics = useMemo(
+    () => resultMetrics(confidenceLevelsFromSettings(runPayload?.settings) || confidenceLevels),
+    [runPayload, confidenceLevels]
+  );
+  const runPercentileMetrics = runMetrics.filter((m) => m.kind === "percentile");
+
+  // "Both" runs: contingency reduction from the mitigations against what they cost
+  const mitigationSummary = useMemo(() => {
+    if (!mitigationResults) return null;
+    const levels = confidenceLevelsFromSettings(runPayload?.settings) || confidenceLevels;
+    return mitigationComparison(mitigationResults.pre, mitigationResults.post, contingencyKey(levels.contingency), mitigationResults.spend);
+  }, [mitigationResults, runPayload, confidenceLevels]);
+
+  // Scenarios may have been run with different confidence levels: compare on all of them
+  const scenarioMetrics = useMemo(() => {
+    const seen = new Map();
+    scenarios.forEach((sc) => {
+      const levels = confidenceLevelsFromSettings(sc.payload?.settings) || DEFAULT_CONFIDENCE_LEVELS;
+      resultMetrics(levels).forEach((m) => {
+        if (!seen.has(m.key)) seen.set(m.key, m);
+      });
+    });
+    const metrics = [...seen.values()];
+    const pct = (m) => Number(m.key.slice(1));
+    return [
+      ...metrics.filter((m) => m.kind === "percentile").sort((a, b) => pct(a) - pct(b)),
+      ...metrics.filter((m) => m.kind === "contingency"),
+    ];
+  }, [scenarios]);
+
+  const chartMarkers = useMemo(() => {
+    if (!results) return [];
+    return [
+      { label: "Base", value: totalBase, kind: "base" },
+      ...runMetrics.filter((m) => m.kind === "percentile").map((m) => ({
+        label: m.label,
+        value: Number(results[m.key]),
+        kind: "percentile",
+      })),
+    ];
+  }, [results, totalBase, runMetrics]);
+
+  // ---- SCENARIOS ----
+  function pinScenario() {
+    if (!results || !runPayload) return;
+    const fallbackName = `Scenario ${scenarios.length + 1}${simEngine === "browser" ? " (in-browser)" : ""}`;
+    const scenario = createScenario(scenarioName || fallbackName, {
+      results,
+      sensitivity,
+      payload: runPayload,
+    });
+    setScenarios((prev) => [...prev, scenario]);
+    if (!baselineScenarioId) setBaselineScenarioId(scenario.id);
+    setScenarioName("");
+  }
+
+  function unpinScenario(id) {
+    const remaining = scenarios.filter((x) => x.id !== id);
+    setScenarios(remaining);
+    if (id === baselineScenarioId) setBaselineScenarioId(remaining[0]?.id || null);
+  }
+
+  // Results by CBS level, resolved against the outline that was simulated
+  const breakdownDepth = useMemo(
+    () => (runPayload?.cbsHierarchy ? buildCbsTree(runPayload.cbsHierarchy).maxDepth : 0),
+    [runPayload]
+  );
+  const shownBreakdownLevel = Math.min(breakdownLevel, breakdownDepth);
+
+  const breakdownRows = useMemo(() => {
+    if (!cbsBreakdown || !runPayload?.cbsHierarchy) return [];
+    const byId = new Map(cbsBreakdown.rows.map((r) => [r.id, r]));
+    return cbsLevelGroups(runPayload.cbsHierarchy, shownBreakdownLevel)
+      .map((g) => ({ ...g, stats: byId.get(g.id) }))
+      .filter((g) => g.stats);
+  }, [cbsBreakdown, runPayload, shownBreakdownLevel]);
+
+  // Cashflow table columns: the run's contingency percentiles (e.g. p50 / p90); the last period's cumulative figures are the totals
+  const [cashflowLo, cashflowHi] = cashflow ? cashflow.percentiles.map((p) => `p${Math.round(p * 100)}`) : [];
+  const cashflowLast = cashflow ? cashflow.periods[cashflow.periods.length - 1] : null;
+
+  // Contingency allocation summed to the chosen CBS level; unlinked risk stays a separate line
+  const allocationRows = useMemo(() => {
+    if (!contingencyAllocation || !runPayload?.cbsHierarchy) return [];
+    const byId = new Map(contingencyAllocation.items.map((x) => [x.cbsId, x]));
+    return cbsLevelGroups(runPayload.cbsHierarchy, shownBreakdownLevel).map((g) => {
+      const sum = { inherent: 0, contingent: 0, total: 0 };
+      g.leafIds.forEach((id) => {
+        const x = byId.get(id);
+        if (!x) return;
+        sum.inherent += x.inherent;
+        sum.contingent += x.contingent;
+        sum.total += x.total;
+      });
+      return { ...g, ...sum };
+    });
+  }, [contingencyAllocation, runPayload, shownBreakdownLevel]);
+
+  // Tornado rows at the chosen level: CBS rows replaced by the level's nodes, risks unchanged
+  const levelSensitivity = useMemo(() => {
     const rows = Array.isArray(sensitivity) ? sensitivity : [];
+    if (shownBreakdownLevel === 0 || breakdownRows.length === 0) return rows;
+    return [
+      ...breakdownRows.map((g) => ({ name: g.id, category: "CBS", spearman_rho: g.stats.spearman_rho, abs_rho: g.stats.abs_rho })),
+      ...rows.filter((r) => r.category !== "CBS"),
+    ].sort((a, b) => (Number(b.abs_rho) || 0) - (Number(a.abs_rho) || 0));
+  }, [sensitivity, breakdownRows, shownBreakdownLevel]);
 
-    const sorted = [...rows].sort((a, b) => (Number(b.abs_rho) || 0) - (Number(a.abs_rho) || 0));
-    const dominant = sorted
-      .filter((x) => (Number(x.abs_rho) || 0) >= DOMINANT_MIN)
-      .slice(0, MAX_PER_GROUP);
+  const groupedSensitivity = useMemo(() => {
+    const rows = levelSensitivity;
+    const { dominant: dominantMin, moderate: moderateMin } = sensitivityDisplay;
 
-    const moderate = sorted
-      .filter((x) => {
-        const v = Number(x.abs_rho) || 0;
-        return v >= MODERATE_MIN && v < DOMINANT_MIN;
-      })
-      .slice(0, MAX_PER_GROUP);
+    const dominant = rows.filter((x) => (Number(x.abs_rho) || 0) >= dominantMin);
+    const moderate = rows.filter((x) => {
+      const v = Number(x.abs_rho) || 0;
+      return v >= moderateMin && v < dominantMin;
+    });
 
     return { dominant, moderate };
-  }, [sensitivity]);
+  }, [levelSensitivity, sensitivityDisplay]);
+
+  function updateSensitivityDisplay(patch) {
+    setSensitivityDisplay((prev) => {
+      const next = { ...prev, ...patch };
+      // Keep moderate ≤ dominant so the groups never overlap
+      if ("dominant" in patch && next.moderate > next.dominant) next.moderate = next.dominant;
+      if ("moderate" in patch && next.moderate > next.dominant) next.dominant = next.moderate;
+      return next;
+    });
+  }
 
   return (
     <div className="prs-app" style={{ padding: 24, fontFamily: "Arial, sans-serif", maxWidth: 1650, margin: "0 auto" }}>
@@ -1071,6 +2043,7 @@ function App() {
 >
   {[
     ["project", "Project Settings"],
+    ["library", "Project library"],
     ["cost", "Cost model"],
     ["risk", "Risk register"],
     ["results", "Simulation & Results"],
@@ -1083,14 +2056,57 @@ function App() {
       {label}
     </button>
   ))}
+
+  <div style={{ marginLeft: "auto", display: "flex", gap: 10 }}>
+    <button
+      onClick={undo}
+      className="btn"
+      disabled={history.past.length === 0 || isRunning}
+      title={history.past.length ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : "Nothing to undo"}
+    >
+      ↶ Undo
+    </button>
+    <button
+      onClick={redo}
+      className="btn"
+      disabled={history.future.length === 0 || isRunning}
+      title={history.future.length ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : "Nothing to redo"}
+    >
+      ↷ Redo
+    </button>
+  </div>
 </div>
 
 
       {activeTab === "project" && (
   <section style={card}>
-    <h2 style={{ marginTop: 0 }} className="text-primary">Project Settings</h2>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+      <h2 style={{ margin: 0 }} className="text-primary">Project Settings</h2>
+
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", justifyContent: "flex-end" }}>
+        <button onClick={openProjectPicker} className="btn" title="Open a project file saved from this tool">
+          Open project
+        </button>
+        <button onClick={saveProjectToFile} className="btn" title="Save project settings, cost model and risk register to a file">
+          Save project
+        </button>
+      </div>
+
+      <input
+        ref={projectFileInputRef}
+        type="file"
+        accept=".json,application/json"
+        style={{ display: "none" }}
+        onChange={onProjectFileSelected}
+      />
+    </div>
+
+    {errors.length > 0 && (
+      <div style={{ marginTop: 12 }}>
+        <ErrorPanel errors={errors} />
+      </div>
+    )}
 
-    
 
     <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 10, marginBottom: 14 }}>
       <div style={{ minWidth: 260, flex: "1 1 260px" }}>
@@ -1170,6 +2186,232 @@ function App() {
       </div>
     </div>
 
+    <div style={{ marginTop: 14 }}>
+      <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
+        <label style={{ ...label, marginBottom: 10 }}>Currency &amp; number format</label>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <div style={{ minWidth: 220 }}>
+            <label style={label}>Currency</label>
+            <select
+              value={numberFormat.currency}
+              onChange={(e) => setNumberFormat((f) => ({ ...f, currency: e.target.value }))}
+              style={input}
+            >
+              {CURRENCIES.map((c) => (
+                <option key={c.code} value={c.code}>{c.label}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ minWidth: 220 }}>
+            <label style={label}>Number format</label>
+            <select
+              value={numberFormat.locale}
+              onChange={(e) => setNumberFormat((f) => ({ ...f, locale: e.target.value }))}
+              style={input}
+            >
+              {LOCALES.map((l) => (
+                <option key={l.code} value={l.code}>{l.label}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ minWidth: 180 }}>
+            <label style={label}>Display unit</label>
+            <select
+              value={numberFormat.unit}
+              onChange={(e) => setNumberFormat((f) => normaliseNumberFormat({ ...f, unit: e.target.value }))}
+              style={input}
+            >
+              {DISPLAY_UNITS.map((u) => (
+                <option key={u.key} value={u.key}>{u.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="pill" style={{ marginBottom: 4 }}>
+            {money(1234567.89)}
+          </div>
+        </div>
+        <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+          Applies to the CBS table, risk register, results and exports. Amount fields take full amounts in this format
+          (e.g. {moneyFormat.formatAmount(1250000.5)}); k / m suffixes such as 1.25m are also accepted.
+        </div>
+      </div>
+    </div>
+
+    <div style={{ marginTop: 14 }}>
+      <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
+        <label style={{ ...label, marginBottom: 10 }}>Confidence levels</label>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          {confidenceLevels.percentiles.map((p) => (
+            <span key={p} className="pill" style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+              P{p}
+              <button
+                onClick={() => removePercentile(p)}
+                style={{ border: "none", background: "transparent", cursor: "pointer", padding: 0, color: "inherit", fontWeight: 800 }}
+                title={`Stop reporting P${p}`}
+                aria-label={`Remove P${p}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+          <input
+            type="number"
+            value={percentileDraft}
+            onChange={(e) => setPercentileDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") addPercentile();
+            }}
+            min="1"
+            max="99"
+            step="1"
+            placeholder="e.g. 80"
+            style={{ ...input, width: 100 }}
+            aria-label="Percentile to add (1–99)"
+          />
+          <button className="btn" onClick={addPercentile} disabled={!canAddPercentile}>
+            Add percentile
+          </button>
+          <select
+            value=""
+            onChange={(e) => {
+              const preset = CONFIDENCE_PRESETS[Number(e.target.value)];
+              if (preset) setConfidenceLevels({ percentiles: preset.percentiles, contingency: preset.contingency });
+            }}
+            style={{ ...input, width: 200 }}
+            aria-label="Confidence level presets"
+          >
+            <option value="">Presets…</option>
+            {CONFIDENCE_PRESETS.map((preset, i) => (
+              <option key={preset.label} value={i}>{preset.label}</option>
+            ))}
+          </select>
+        </div>
+        {percentileDraft !== "" && !canAddPercentile && (
+          <div style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>
+            {isValidPercentile(draftPercentile) ? `P${draftPercentile} is already reported.` : "Enter a whole number from 1 to 99."}
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 12 }}>
+          <span className="text-primary" style={{ fontWeight: 700 }}>Contingency =</span>
+          <select
+            value={confidenceLevels.contingency.to}
+            onChange={(e) => setContingencyEnd("to", e.target.value)}
+            style={{ ...input, width: 100 }}
+            aria-label="Contingency funding level"
+          >
+            {!confidenceLevels.percentiles.includes(confidenceLevels.contingency.to) && (
+              <option value={confidenceLevels.contingency.to}>P{confidenceLevels.contingency.to}</option>
+            )}
+            {confidenceLevels.percentiles.map((p) => (
+              <option key={p} value={p}>P{p}</option>
+            ))}
+          </select>
+          <span className="text-primary" style={{ fontWeight: 700 }}>−</span>
+          <select
+            value={confidenceLevels.contingency.from}
+            onChange={(e) => setContingencyEnd("from", e.target.value)}
+            style={{ ...input, width: 100 }}
+            aria-label="Contingency base level"
+          >
+            {!confidenceLevels.percentiles.includes(confidenceLevels.contingency.from) && (
+              <option value={confidenceLevels.contingency.from}>P{confidenceLevels.contingency.from}</option>
+            )}
+            {confidenceLevels.percentiles.map((p) => (
+              <option key={p} value={p}>P{p}</option>
+            ))}
+          </select>
+        </div>
+        {confidenceLevelIssues(confidenceLevels).map((msg) => (
+          <div key={msg} style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{msg}</div>
+        ))}
+        <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+          The selected percentiles drive the result boxes, chart markers, CBS breakdown, exports and commentary; the contingency is allocated to CBS items on the same definition.
+        </div>
+      </div>
+    </div>
+
+    <div style={{ marginTop: 14 }}>
+      <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
+        <label style={{ ...label, marginBottom: 10 }}>Time phasing &amp; escalation</label>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-start" }}>
+          <div style={{ minWidth: 220 }}>
+            <label style={label}>Financial year starts in</label>
+            <select
+              value={timePhasing.fyStartMonth}
+              onChange={(e) => setTimePhasing((t) => ({ ...t, fyStartMonth: Number(e.target.value) }))}
+              style={input}
+            >
+              {MONTHS.map((m, i) => (
+                <option key={m} value={i + 1}>{m}{i === 0 ? " (calendar years)" : ""}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{ minWidth: 220 }}>
+            <label style={label}>Escalation base date</label>
+            <input
+              type="date"
+              value={timePhasing.baseDate}
+              onChange={(e) => setTimePhasing((t) => ({ ...t, baseDate: e.target.value }))}
+              style={input}
+            />
+            <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">Price date of the estimate; blank = project start.</div>
+          </div>
+          <div style={{ fontSize: 12, marginTop: 22 }} className="text-secondary">
+            {phasingSpan
+              ? `Project span: ${phasingSpan.start} to ${phasingSpan.finish}`
+              : "No dates yet: add start and finish dates on the Cost Model tab to get a cashflow."}
+          </div>
+        </div>
+
+        <div style={{ overflowX: "auto", marginTop: 10 }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Driver group</th>
+                <th style={th}>Low (% / yr)</th>
+                <th style={th}>Most likely (% / yr)</th>
+                <th style={th}>High (% / yr)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {escalationGroups(driverOptions).map((g) => {
+                const range = escalationRange(timePhasing, g.key);
+                return (
+                  <tr key={g.key || "none"}>
+                    <td style={td} title={driverTooltips[g.key] || "CBS items without a driver group, and risks not phased by a CBS item"}>{g.label}</td>
+                    {[
+                      ["low", "Low"],
+                      ["mostLikely", "Most likely"],
+                      ["high", "High"],
+                    ].map(([field, text]) => (
+                      <td key={field} style={td}>
+                        <input
+                          type="number"
+                          step="0.1"
+                          value={range[field]}
+                          onChange={(e) => updateEscalation(g.key, { [field]: e.target.value })}
+                          style={{ ...input, width: 110 }}
+                          aria-label={`${text} escalation for ${g.label} (% per year)`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        {timePhasingIssues(timePhasing, driverOptions).map((msg) => (
+          <div key={msg} style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{msg}</div>
+        ))}
+        <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+          Each CBS item escalates at its driver&apos;s rate (whatever the correlation mode), drawn per iteration from the low / most likely / high range
+          and compounded from the base date; an item with several drivers is split evenly between their rates. Results show the cost per financial year before and after escalation.
+        </div>
+      </div>
+    </div>
+
     <div style={{ marginTop: 14 }}>
       <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
         <label style={{ ...label, marginBottom: 10 }}>Correlation modelling</label>
@@ -1204,14 +2446,469 @@ function App() {
           <span style={{ fontWeight: 700 }} className="text-primary">Standard</span>
           <span className="text-muted" style={{ fontSize: 12 }}>(recommended)</span>
         </label>
+
+        <label style={{ display: "flex", gap: 8, alignItems: "center", cursor: "pointer" }}>
+          <input
+            type="radio"
+            name="correlationMode"
+            value="advanced"
+            checked={correlationMode === "advanced"}
+            onChange={() => {
+              setCorrelationMode("advanced");
+              resetResults();
+            }}
+          />
+          <span style={{ fontWeight: 700 }} className="text-primary">Advanced</span>
+          <span className="text-muted" style={{ fontSize: 12 }}>(correlation matrix)</span>
+        </label>
+      </div>
+
+      <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+        {correlationMode === "standard"
+          ? "Assign each CBS item one or more drivers, each with a sensitivity. A shared shock per driver is applied across the CBS items that use it."
+          : correlationMode === "advanced"
+            ? "Enter the correlation between any two CBS items or contingent risks (−1 to 1; blank = 0). A risk's correlation applies to its whole cost, i.e. whether it occurs and how much it costs."
+            : "CBS items are treated as independent (no correlation)."}
+              </div>
+
+      {correlationMode === "advanced" && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+            <button className="btn" onClick={openCorrelationImportPicker} title="Square CSV with CBS / risk IDs across the first row and down the first column">
+              Import matrix CSV
+            </button>
+            <button className="btn" onClick={exportCorrelationCsv} disabled={correlationItems.length === 0}>Export matrix CSV</button>
+            <button
+              className="btn"
+              onClick={repairCorrelationMatrix}
+              disabled={correlationMinEigen === null || correlationMinEigen >= PSD_TOLERANCE}
+              title="Replace the matrix with the nearest positive semi-definite correlation matrix (Higham's method)"
+            >
+              Repair to nearest valid matrix
+            </button>
+            <button className="btn" onClick={clearCorrelationMatrix}>Clear</button>
+            <span style={{ fontSize: 12, color: correlationMinEigen !== null && correlationMinEigen < PSD_TOLERANCE ? "var(--danger)" : "var(--text-secondary)" }}>
+              {correlationMinEigen === null
+                ? ""
+                : correlationMinEigen < PSD_TOLERANCE
+                  ? `Not positive semi-definite (smallest eigenvalue ${correlationMinEigen.toFixed(4)})`
+                  : `Positive semi-definite ✓ (smallest eigenvalue ${correlationMinEigen.toFixed(4)})`}
+            </span>
+          </div>
+          <CorrelationMatrixEditor entities={correlationItems} pairs={correlationPairs} onChange={updateCorrelation} />
+          {correlationMatrixIssues(correlationItems, correlationPairs, correlationMinEigen).map((msg) => (
+            <div key={msg} style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{msg}</div>
+          ))}
+          <input
+            ref={correlationFileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            style={{ display: "none" }}
+            onChange={onCorrelationFileSelected}
+          />
+        </div>
+      )}
+      </div>
+    </div>
+
+    <div style={{ marginTop: 14 }}>
+      <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
+        <label style={{ ...label, marginBottom: 10 }}>Confidence factor table</label>
+        {confidenceTables.length === 0 ? (
+          <div style={{ fontSize: 12 }} className="text-muted">
+            No confidence factor table loaded yet (the organisation standard comes from the backend). User defined ranges still work.
+          </div>
+        ) : (
+          <>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
+              <div>
+                <div style={{ fontSize: 12, marginBottom: 4 }} className="text-secondary">Table</div>
+                <select
+                  value={activeConfidenceTable?.table.id || ""}
+                  onChange={(e) => selectConfidenceTable(e.target.value)}
+                  style={{ ...input, width: 260 }}
+                  disabled={!!tableDraft}
+                >
+                  {confidenceTables.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}{t.builtIn ? " (organisation)" : ""}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <div style={{ fontSize: 12, marginBottom: 4 }} className="text-secondary">Version</div>
+                <select
+                  value={activeConfidenceTable?.version.version || ""}
+                  onChange={(e) => selectConfidenceTable(activeConfidenceTable.table.id, e.target.value)}
+                  style={{ ...input, width: 120 }}
+                  disabled={!!tableDraft}
+                >
+                  {(activeConfidenceTable?.table.versions || []).map((v) => (
+                    <option key={v.version} value={v.version}>{v.version}</option>
+                  ))}
+                </select>
+              </div>
+              {!tableDraft && (
+                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                  <button className="btn" onClick={() => startTableDraft("new")} title="Start a custom table from the multipliers shown below">
+                    New custom table
+                  </button>
+                  {activeConfidenceTable && !activeConfidenceTable.table.builtIn && (
+                    <button className="btn" onClick={() => startTableDraft("version")} title="Saved versions never change; edits become the next version">
+                      Edit as {nextVersionLabel(activeConfidenceTable.table)}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {tableDraft && tableDraft.mode === "new" && (
+              <div style={{ marginTop: 10 }}>
+                <div style={{ fontSize: 12, marginBottom: 4 }} className="text-secondary">New table name</div>
+                <input
+                  value={tableDraft.name}
+                  onChange={(e) => setTableDraft((d) => ({ ...d, name: e.target.value }))}
+                  placeholder="e.g. Rail – Concept"
+                  style={{ ...input, maxWidth: 320 }}
+                  aria-label="New table name"
+                />
+              </div>
+            )}
+
+            <div style={{ overflowX: "auto", marginTop: 10 }}>
+              <table style={table}>
+                <thead>
+                  <tr>
+                    <th style={th}>Factor</th>
+                    <th style={th}>Label</th>
+                    <th style={th} title="Multiplier on the base cost">Best ×</th>
+                    <th style={th} title="Multiplier on the base cost">Most likely ×</th>
+                    <th style={th} title="Multiplier on the base cost">Worst ×</th>
+                    <th style={th}>Description (help text)</th>
+                    {tableDraft && <th style={th}></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {tableDraft
+                    ? tableDraft.factors.map((f, i) => (
+                        <tr key={i}>
+                          <td style={td}>
+                            <input value={f.key} onChange={(e) => updateDraftFactor(i, { key: e.target.value })} style={{ ...input, minWidth: 160 }} aria-label="Factor key" />
+                          </td>
+                          <td style={td}>
+                            <input value={f.label} onChange={(e) => updateDraftFactor(i, { label: e.target.value })} style={{ ...input, minWidth: 180 }} aria-label="Factor label" />
+                          </td>
+                          {["best", "most_likely", "worst"].map((k) => (
+                            <td key={k} style={td}>
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={f[k]}
+                                onChange={(e) => updateDraftFactor(i, { [k]: e.target.value })}
+                                style={{ ...input, width: 90 }}
+                                aria-label={`${k.replace("_", " ")} multiplier`}
+                              />
+                            </td>
+                          ))}
+                          <td style={td}>
+                            <textarea
+                              value={f.description}
+                              onChange={(e) => updateDraftFactor(i, { description: e.target.value })}
+                              rows={1}
+                              style={{ ...input, minWidth: 260, resize: "vertical" }}
+                              aria-label="Factor description"
+                            />
+                          </td>
+                          <td style={td}>
+                            <button className="btn" onClick={() => removeDraftFactor(i)} title="Remove factor">Remove</button>
+                          </td>
+                        </tr>
+                      ))
+                    : activeFactors.map((f) => (
+                        <tr key={f.key}>
+                          <td style={td}>{f.key}</td>
+                          <td style={td}>{f.label}</td>
+                          <td style={{ ...td, textAlign: "right" }}>{Number(f.best).toFixed(2)}</td>
+                          <td style={{ ...td, textAlign: "right" }}>{Number(f.most_likely).toFixed(2)}</td>
+                          <td style={{ ...td, textAlign: "right" }}>{Number(f.worst).toFixed(2)}</td>
+                          <td style={td} className="text-secondary">{f.description}</td>
+                        </tr>
+                      ))}
+                </tbody>
+              </table>
+            </div>
+
+            {tableDraft && (
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8 }}>
+                <button className="btn" onClick={addDraftFactor}>+ Add factor</button>
+                <button className="btn btn-primary" onClick={saveTableDraft}>
+                  {tableDraft.mode === "new" ? "Create table (v1)" : `Save ${nextVersionLabel(activeConfidenceTable.table)}`}
+                </button>
+                <button
+                  className="btn"
+                  onClick={() => {
+                    setTableDraft(null);
+                    setTableEditError(null);
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+            {tableEditError && <div style={{ fontSize: 12, marginTop: 6, color: "var(--danger)" }}>{tableEditError}</div>}
+
+            {confidenceTables.some((t) => !t.builtIn && t.id !== activeConfidenceTable?.table.id) && (
+              <div style={{ marginTop: 10, fontSize: 12, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                <span className="text-secondary">Other custom tables:</span>
+                {confidenceTables
+                  .filter((t) => !t.builtIn && t.id !== activeConfidenceTable?.table.id)
+                  .map((t) => (
+                    <span key={t.id} style={{ display: "inline-flex", gap: 4, alignItems: "center" }}>
+                      {t.name} ({t.versions.length} version{t.versions.length === 1 ? "" : "s"})
+                      <button className="btn" onClick={() => deleteConfidenceTable(t.id)} title="Delete table from this browser">×</button>
+                    </span>
+                  ))}
+              </div>
+            )}
+
+            <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+              CBS ranges are the base cost × these multipliers ({confidenceTableLabel(activeConfidenceTable)}). The organisation standard comes from the
+              backend and is read-only; custom tables are kept in this browser and saved versions never change. The project records the table and version
+              it uses, so results can be reproduced. Items on a factor the chosen table does not have are reset to its default factor.
+            </div>
+          </>
+        )}
       </div>
+    </div>
+
+    <div style={{ marginTop: 14 }}>
+      <div style={{ border: "1px solid var(--border-card)", background: "var(--card-bg)", padding: 12, borderRadius: 10 }}>
+        <label style={{ ...label, marginBottom: 10 }}>Driver groups</label>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Driver</th>
+                <th style={th}>Description (help text)</th>
+                <th style={th} title="Scales the driver's shared shock: 1 = full sensitivity weight, 0 = no correlation through this driver">Shock strength (0–1)</th>
+                <th style={th}>CBS items</th>
+                <th style={th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {driverGroups.map((d) => (
+                <tr key={d.name}>
+                  <td style={td}>
+                    <input
+                      defaultValue={d.name}
+                      onBlur={(e) => {
+                        if (!renameDriverGroup(d.name, e.target.value)) e.target.value = d.name;
+                      }}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter") e.target.blur();
+                      }}
+                      style={{ ...input, minWidth: 220 }}
+                      aria-label="Driver name"
+                    />
+                  </td>
+                  <td style={td}>
+                    <textarea
+                      value={d.description}
+                      onChange={(e) => updateDriverGroup(d.name, { description: e.target.value })}
+                      rows={2}
+                      style={{ ...input, minWidth: 320, resize: "vertical" }}
+                      aria-label={`Description of ${d.name}`}
+                    />
+                  </td>
+                  <td style={td}>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={d.strength}
+                      onChange={(e) => updateDriverGroup(d.name, { strength: e.target.value })}
+                      style={{ ...input, width: 100 }}
+                      aria-label={`Shock strength of ${d.name}`}
+                    />
+                  </td>
+                  <td style={{ ...td, textAlign: "right" }}>{driverUsage.get(d.name) || 0}</td>
+                  <td style={td}>
+                    <button className="btn" onClick={() => deleteDriverGroup(d.name)} title="Delete driver">Delete</button>
+                  </td>
+                </tr>
+              ))}
+              {driverGroups.length === 0 && (
+                <tr>
+                  <td style={td} colSpan={5} className="text-muted">No drivers defined.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ marginTop: 8 }}>
+          <button className="btn" onClick={addDriverGroup}>+ Add driver</button>
+        </div>
+        {driverEditError && <div style={{ fontSize: 12, marginTop: 6, color: "var(--danger)" }}>{driverEditError}</div>}
+
+        <label style={{ ...label, marginTop: 14 }}>Sensitivity weights (0–1)</label>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+          {SENSITIVITY_LEVELS.map((level) => (
+            <div key={level} style={{ minWidth: 120 }}>
+              <div style={{ fontSize: 12, marginBottom: 4 }} className="text-secondary">{level.charAt(0).toUpperCase() + level.slice(1)}</div>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={sensitivityWeights[level]}
+                onChange={(e) => setSensitivityWeights((w) => ({ ...w, [level]: e.target.value }))}
+                style={{ ...input, width: 100 }}
+                aria-label={`Sensitivity weight for ${level}`}
+              />
+            </div>
+          ))}
+        </div>
+        {driverGroupIssues(driverGroups, sensitivityWeights).map((msg) => (
+          <div key={msg} style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{msg}</div>
+        ))}
+        <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
+          In Standard correlation each CBS item takes a share of its driver&apos;s shared shock equal to its sensitivity weight × the driver&apos;s shock strength.
+          Drivers also set the escalation groups above; renaming a driver updates the CBS items that use it.
+        </div>
+      </div>
+    </div>
+  </section>
+)}
+
+{/* Project library */}
+      {activeTab === "library" && (
+  <section style={card}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+      <h2 style={{ margin: 0 }} className="text-primary">Project library</h2>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+        {libraryStatus && <span style={{ fontSize: 12 }} className="text-muted">{libraryStatus}</span>}
+        <button onClick={newProject} className="btn" title="Start a new project from the starter cost model">+ New project</button>
+      </div>
+    </div>
+
+    <div style={{ fontSize: 12, marginTop: 10 }} className="text-muted">
+      Projects are kept in this browser and autosave as you edit. Use Save project (Project Settings) to keep a file copy.
+    </div>
+
+    {!isLibraryAvailable() && (
+      <div style={{ marginTop: 12, fontSize: 12, color: "var(--danger)" }}>
+        This browser does not allow local storage (IndexedDB), so the project library is unavailable.
+      </div>
+    )}
+
+    {libraryError && (
+      <div style={{ marginTop: 12, fontSize: 12, color: "var(--danger)" }}>Library error: {libraryError}</div>
+    )}
+
+    <div style={{ overflowX: "auto", marginTop: 12 }}>
+      <table style={table}>
+        <thead>
+          <tr>
+            <th style={{ ...stickyTh, minWidth: 320 }}>Project name</th>
+            <th style={stickyTh}>Project ID</th>
+            <th style={stickyTh}>Last saved</th>
+            <th style={stickyTh}>Versions</th>
+            <th style={stickyTh}>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {libraryProjects.map((p) => {
+            const isCurrent = p.key === libraryKey;
+            return (
+              <tr key={p.key}>
+                <td style={td}>
+                  {renamingKey === p.key ? (
+                    <div style={{ display: "flex", gap: 8 }}>
+                      <input
+                        value={renameDraft}
+                        onChange={(e) => setRenameDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") commitRename();
+                          if (e.key === "Escape") setRenamingKey(null);
+                        }}
+                        style={input}
+                        autoFocus
+                      />
+                      <button onClick={commitRename} className="btn">Save</button>
+                      <button onClick={() => setRenamingKey(null)} className="btn">Cancel</button>
+                    </div>
+                  ) : (
+                    <>
+                      <span style={{ fontWeight: 700 }}>{p.projectName || "Untitled project"}</span>{" "}
+                      {isCurrent && <span className="pill">Open</span>}
+                    </>
+                  )}
+                </td>
+                <td style={td} className="text-secondary">{p.projectId}</td>
+                <td style={td} className="text-secondary">{formatTimestamp(p.updatedAt)}</td>
+                <td style={td} className="text-secondary">{p.versionCount}</td>
+                <td style={td}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    <button onClick={() => openLibraryProject(p.key)} className="btn" disabled={isCurrent}>Open</button>
+                    <button onClick={() => duplicateLibraryProject(p)} className="btn">Duplicate</button>
+                    <button onClick={() => startRename(p)} className="btn">Rename</button>
+                    <button onClick={() => deleteLibraryProject(p)} className="iconBtn dangerBtn" title="Delete project" aria-label="Delete project">×</button>
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+
+          {libraryProjects.length === 0 && (
+            <tr><td style={td} colSpan={5} className="text-secondary">No saved projects yet. Edit a project and it will appear here.</td></tr>
+          )}
+        </tbody>
+      </table>
+    </div>
 
-      <div style={{ marginTop: 6, fontSize: 12 }} className="text-secondary">
-        {correlationMode === "standard"
-          ? "Assign each CBS item to a primary driver and set sensitivity. A shared driver shock is applied across CBS items."
-          : "CBS items are treated as independent (no correlation)."}
-              </div>
+    <div style={{ marginTop: 18, border: "1px solid var(--border-card)", padding: 12, borderRadius: 10 }}>
+      <label style={{ ...label, marginBottom: 10 }}>Named versions of the open project</label>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+        <input
+          value={versionLabel}
+          onChange={(e) => setVersionLabel(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") snapshotVersion();
+          }}
+          placeholder="e.g., Concept estimate, Post-mitigation"
+          style={{ ...input, maxWidth: 360 }}
+        />
+        <button onClick={snapshotVersion} className="btn" disabled={!versionLabel.trim()}>Save version</button>
       </div>
+
+      {libraryVersions.length === 0 ? (
+        <div style={{ fontSize: 12, marginTop: 10 }} className="text-muted">No versions saved for this project.</div>
+      ) : (
+        <table style={{ ...table, marginTop: 10 }}>
+          <thead>
+            <tr>
+              <th style={th}>Version</th>
+              <th style={th}>Saved</th>
+              <th style={th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {libraryVersions.map((v) => (
+              <tr key={v.versionKey}>
+                <td style={td}><strong>{v.label}</strong></td>
+                <td style={td} className="text-secondary">{formatTimestamp(v.createdAt)}</td>
+                <td style={td}>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <button onClick={() => restoreVersion(v)} className="btn">Restore</button>
+                    <button onClick={() => deleteLibraryVersion(v)} className="iconBtn dangerBtn" title="Delete version" aria-label="Delete version">×</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
     </div>
   </section>
 )}
@@ -1224,9 +2921,15 @@ function App() {
 
           <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 6 }}>
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap", justifyContent: "flex-end" }}>
-              <button onClick={openCbsCsvPicker} className="btn" title="CSV: name + (baseCost optional) + (low/mostLikely/high optional). If low/mostLikely/high are provided, the row becomes User defined."
+              <button onClick={openCbsImportPicker} className="btn" title="CSV or Excel (.xlsx): name + (baseCost optional) + (low/mostLikely/high optional). If low/mostLikely/high are provided, the row becomes User defined."
   >
-                Import costs from CSV
+                Import costs from CSV / Excel
+              </button>
+              <button onClick={exportCbsCsv} className="btn" title="Cost model as CSV (re-importable; includes IDs, confidence factor, User defined values, driver and sensitivity)">
+                Export CSV
+              </button>
+              <button onClick={() => downloadCsv(cbsTemplateCsv({ driverOptions }), "cost-model-template.csv")} className="btn" title="Empty cost model CSV with example rows to fill in offline">
+                Download blank template
               </button>
               <button onClick={addCbsRow} className="btn">+ Add Cost Row</button>
             </div>
@@ -1236,47 +2939,134 @@ function App() {
                 Complete required Cost Model + Risk Register fields to enable Run Simulation.
               </div>
             )}
+            {driverWeightWarnings.length > 0 && (
+              <div style={{ fontSize: 12, color: "#b45309" }} title={driverWeightWarnings.join("\n")}>
+                {driverWeightWarnings.length} cost item{driverWeightWarnings.length === 1 ? " has" : "s have"} drivers with a combined weight above 1 (Σ in the Drivers column); their loadings are scaled down to 1.
+              </div>
+            )}
           </div>
 
           <input
             ref={cbsFileInputRef}
             type="file"
-            accept=".csv,text/csv"
+            accept=".csv,text/csv,.xlsx,.xlsm,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
             style={{ display: "none" }}
-            onChange={onCbsCsvSelected}
+            onChange={onCbsFileSelected}
           />
         </div>
 
+        {importWizard?.kind === "cbs" && (
+          <ImportWizard
+            key={importWizard.fileName}
+            kind="cbs"
+            fileName={importWizard.fileName}
+            sheets={importWizard.sheets}
+            savedMapping={importWizard.savedMapping}
+            mapOptions={cbsImportOptions}
+            money={money}
+            planImport={planCbsRows}
+            onImport={importFromWizard}
+            onCancel={() => setImportWizard(null)}
+          />
+        )}
+
         <div style={{ marginTop: 10, marginBottom: 10 }} className="text-secondary">
           Base total: <strong className="text-primary">{money(totalBase)}</strong>
         </div>
 {/* Correlation modelling (None | Standard) */}
 
         <div style={{ fontSize: 12, marginBottom: 10 }} className="text-muted">
-          CBS CSV should contain <strong>name</strong> and optionally <strong>baseCost</strong>, and/or <strong>low / mostLikely / high</strong> (for User defined). You can modify Base Cost and Confidence Factor here.
+          CBS CSV / Excel sheet should contain a <strong>name</strong> column and optionally <strong>baseCost</strong>, <strong>low / mostLikely / high</strong> (for User defined), <strong>distribution</strong> / <strong>outcomes</strong> (e.g. <code>discrete</code> with <code>120000: 0.5; 250000: 0.5</code>), <strong>driver</strong>, <strong>sensitivity</strong> and <strong>wbsCode</strong> (e.g. 1.2.1, to rebuild the hierarchy); the import wizard lets you map differently named columns and remembers the mapping per file. Comma, semicolon or tab separated files are accepted; amounts like <code>$1,200,000</code>, <code>1.2m</code> or <code>250k</code> are read as numbers. You can modify Base Cost and Confidence Factor here.
           If you pick <span className="pill">User defined</span>, you manually enter Best/Most likely/Worst.
+          The <strong>Distribution</strong> column sets the shape drawn over that range (Triangular by default); Discrete items list their own outcomes and weights instead.
+          Use ⇥ / ⇤ to nest a row under the row above or move it back out; rows with children become summary rows that show roll-ups of the items below them and are not simulated themselves.
         </div>
 
         <div style={{ overflowX: "auto", overflowY: "auto", maxHeight: "60vh" }}>
-          <table style={{ ...table, minWidth: correlationMode === "standard" ? 1320 : 1200 }}>
+          <table style={{ ...table, minWidth: correlationMode === "standard" ? 1800 : 1560 }}>
             <thead>
               <tr>
                 <th style={stickyTh}>ID</th>
+                <th style={stickyTh} title="Outline code, from the row's position in the hierarchy">WBS</th>
                 <th style={{ ...stickyTh, minWidth: W_NAME, width: W_NAME }}>Name</th>
                 {/* Keep Base/Best/Most/Worst aligned widths for readability */}
-                <th style={{ ...stickyTh, minWidth: W_BASE }}>Base Cost ($)</th>
+                <th style={{ ...stickyTh, minWidth: W_BASE }}>Base Cost ({moneyFormat.symbol})</th>
                 <th style={{ ...stickyTh, minWidth: W_CONF }}>Confidence Factor</th>
+                <th style={stickyTh} title="Shape drawn between best and worst case; Discrete uses its own outcomes">Distribution</th>
                 <th style={{ ...stickyTh, minWidth: W_BEST }}>Best case</th>
                 <th style={{ ...stickyTh, minWidth: W_ML }}>Most likely</th>
                 <th style={{ ...stickyTh, minWidth: W_WORST }}>Worst case</th>
-                {correlationMode === "standard" && <th style={{ ...stickyTh, minWidth: 160, whiteSpace: "nowrap" }}>Driver</th>}
-                {/* Sensitivity column: deliberately narrower to avoid wasting space */}
-                {correlationMode === "standard" && <th style={{ ...stickyTh, minWidth: 160, whiteSpace: "nowrap" }}>Sensitivity</th>}
-                <th style={stickyTh}>Delete</th>
+                <th style={stickyTh} title="The cost is spread evenly from start to finish in the cashflow; undated items are spread over the whole project">Start</th>
+                <th style={stickyTh}>Finish</th>
+                {correlationMode === "standard" && (
+                  <th style={{ ...stickyTh, minWidth: 240, whiteSpace: "nowrap" }} title="Drivers that move this cost item, each with the item's sensitivity to it">
+                    Drivers &amp; sensitivity
+                  </th>
+                )}
+                <th style={stickyTh}>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {cbsItems.map((row) => {
+              {visibleCbsItems(cbsItems, collapsedCbs).map((row) => {
+                const node = cbsTree.nodes.get(row.id);
+                const indentStyle = { display: "flex", gap: 6, alignItems: "center", paddingLeft: (node.depth - 1) * 18 };
+                const rowActions = (
+                  <td style={{ ...td, whiteSpace: "nowrap" }}>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      <button onClick={() => outdentCbsRow(row.id)} className="iconBtn" title="Outdent (move up one level)" aria-label="Outdent CBS row" disabled={!row.parentId}>⇤</button>
+                      <button onClick={() => indentCbsRow(row.id)} className="iconBtn" title="Indent (make a child of the row above at this level)" aria-label="Indent CBS row">⇥</button>
+                      <button onClick={() => deleteCbsRow(row.id)} className="iconBtn dangerBtn" title="Delete CBS row" aria-label="Delete CBS row">×</button>
+                    </div>
+                  </td>
+                );
+
+                if (isSummaryRow(row.id)) {
+                  const roll = cbsRollUps.get(row.id);
+                  const collapsed = collapsedCbs.has(row.id);
+                  const leafCount = subtreeIds(cbsTree, row.id).filter((id) => !isSummaryRow(id)).length;
+                  const span = dateSpan(subtreeIds(cbsTree, row.id).map((id) => cbsTree.nodes.get(id).item));
+                  const rollCell = (v) => (
+                    <td style={{ ...td, fontWeight: 800 }} className="text-primary">{Number.isFinite(v) ? money(v) : "—"}</td>
+                  );
+                  return (
+                    <tr key={formatCbsIdDisplay(row.id)} style={{ background: "var(--table-head-bg)" }}>
+                      <td style={td} className="text-secondary" title={formatCbsIdDisplay(row.id)}>{formatCbsIdDisplay(row.id)}</td>
+                      <td style={{ ...td, fontWeight: 800 }} className="text-secondary">{node.code}</td>
+                      <td style={td}>
+                        <div style={indentStyle}>
+                          <button
+                            onClick={() => toggleCbsCollapsed(row.id)}
+                            className="iconBtn"
+                            style={{ minWidth: 28, padding: "4px 6px" }}
+                            title={collapsed ? "Expand" : "Collapse"}
+                            aria-label={collapsed ? "Expand CBS row" : "Collapse CBS row"}
+                            aria-expanded={!collapsed}
+                          >
+                            {collapsed ? "▸" : "▾"}
+                          </button>
+                          <input
+                            value={row.name}
+                            onChange={(e) => updateCbsRow(row.id, { name: e.target.value })}
+                            placeholder="e.g., CONSTRUCTION"
+                            style={{ ...input, fontWeight: 800, minWidth: 200, flex: "1 1 auto" }}
+                          />
+                        </div>
+                      </td>
+                      {rollCell(roll.base)}
+                      <td style={td} colSpan={2} className="text-muted">
+                        Roll-up of {leafCount} item{leafCount === 1 ? "" : "s"}
+                      </td>
+                      {rollCell(roll.best)}
+                      {rollCell(roll.ml)}
+                      {rollCell(roll.worst)}
+                      <td style={{ ...td, whiteSpace: "nowrap" }} className="text-muted">{span ? span.start : "—"}</td>
+                      <td style={{ ...td, whiteSpace: "nowrap" }} className="text-muted">{span ? span.finish : "—"}</td>
+                      {correlationMode === "standard" && <td style={td}></td>}
+                      {rowActions}
+                    </tr>
+                  );
+                }
+
                 const badFactor =
                   !row.confidenceFactor ||
                   EXCLUDED_FACTORS.has(row.confidenceFactor) ||
@@ -1287,19 +3077,28 @@ function App() {
 
                 const ud = isUserDefinedFactor(row.confidenceFactor);
                 const derived = calcDerivedCosts(row);
+                const badDates = dateRangeIssue(row.startDate, row.finishDate) !== null;
+                const dateStyle = { ...input, border: badDates ? "2px solid var(--danger)" : "1px solid #ccc" };
+
+                // Discrete rows take their values from the outcomes, so the three-point cells are read-only
+                const discrete = distributionKey(row.distribution) === "discrete";
+                const manual = ud && !discrete;
+                const points = { low: derived.best, ml: derived.ml, high: derived.worst };
+                const distIssues = distributionIssues(row.distribution, points, row.outcomes, CBS_POINT_NAMES);
+                const needsMl = usesMostLikely(row.distribution);
 
                 const badUD =
-                  ud &&
+                  manual &&
                   !(
                     Number.isFinite(derived.best) &&
-                    Number.isFinite(derived.ml) &&
+                    (!needsMl || Number.isFinite(derived.ml)) &&
                     Number.isFinite(derived.worst) &&
                     derived.best >= 0 &&
-                    derived.ml >= 0 &&
+                    (!needsMl || derived.ml >= 0) &&
                     derived.worst >= 0 &&
-                    derived.best <= derived.ml &&
-                    derived.ml <= derived.worst
+                    distIssues.length === 0
                   );
+                const derivedTitle = discrete ? "Smallest / most heavily weighted / largest outcome" : "Derived from Base Cost × confidence factor";
 
                 const derivedCellStyle = {
                   ...input,
@@ -1323,25 +3122,26 @@ function App() {
                 return (
                   <tr key={formatCbsIdDisplay(row.id)}>
                     <td style={td} className="text-secondary" title={formatCbsIdDisplay(row.id)}>{formatCbsIdDisplay(row.id)}</td>
+                    <td style={td} className="text-secondary">{node.code}</td>
 
                     <td style={td}>
-                      <input
-                        value={row.name}
-                        onChange={(e) => updateCbsRow(row.id, { name: e.target.value })}
-                        placeholder="e.g., CONSTRUCTION"
-                        style={{ ...input, minWidth: 320, width: 320 }}
-                      />
+                      <div style={indentStyle}>
+                        <input
+                          value={row.name}
+                          onChange={(e) => updateCbsRow(row.id, { name: e.target.value })}
+                          placeholder="e.g., CONSTRUCTION"
+                          style={{ ...input, minWidth: 320 - (node.depth - 1) * 18, width: 320 - (node.depth - 1) * 18 }}
+                        />
+                      </div>
                     </td>
 
                     <td style={{ ...td, minWidth: W_BASE }}>
-                      <input
-                        type="number"
+                      <AmountInput
                         value={row.baseCost}
-                        onChange={(e) => updateCbsRow(row.id, { baseCost: e.target.value })}
-                        min="0"
-                        step="1"
+                        onChange={(v) => updateCbsRow(row.id, { baseCost: v })}
+                        format={moneyFormat}
                         style={{ ...input, border: badBaseCost ? "2px solid var(--danger)" : "1px solid #ccc" }}
-                        disabled={false}
+                        aria-label="Base cost"
                       />
                       <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
                         {money(Number(row.baseCost) || 0)}
@@ -1380,23 +3180,36 @@ function App() {
                           Choose a valid confidence factor.
                         </div>
                       )}
-                      {ud && badUD && (
+                      {badUD && (
                         <div style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>
-                          For User defined: ensure Best ≤ Most likely ≤ Worst and all are provided.
+                          {distIssues[0] || "For User defined: ensure Best ≤ Most likely ≤ Worst and all are provided."}
                         </div>
                       )}
                     </td>
 
+                    <td style={td}>
+                      <DistributionPicker
+                        distribution={row.distribution}
+                        outcomes={row.outcomes}
+                        points={points}
+                        onChange={(patch) => updateCbsRow(row.id, patch)}
+                        format={moneyFormat}
+                        invalid={distIssues.length > 0}
+                      />
+                      {distIssues.length > 0 && !badUD && (
+                        <div style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{distIssues[0]}</div>
+                      )}
+                    </td>
+
                     {/* Best / Most likely / Worst */}
                     <td style={td}>
-                      {ud ? (
-                        <input
-                          type="number"
-                          value={row.bestCaseCost ?? ""}
-                          onChange={(e) => updateCbsRow(row.id, { bestCaseCost: e.target.value })}
-                          min="0"
-                          step="1"
+                      {manual ? (
+                        <AmountInput
+                          value={row.bestCaseCost}
+                          onChange={(v) => updateCbsRow(row.id, { bestCaseCost: v })}
+                          format={moneyFormat}
                           style={udCellStyle}
+                          aria-label="Best case"
                         />
                       ) : (
                         <input
@@ -1404,20 +3217,19 @@ function App() {
                           value={Number.isFinite(derived.best) ? money(derived.best) : ""}
                           readOnly
                           style={derivedCellStyle}
-                          title="Derived from Base Cost × confidence factor"
+                          title={derivedTitle}
                         />
                       )}
                     </td>
 
                     <td style={td}>
-                      {ud ? (
-                        <input
-                          type="number"
-                          value={row.mostLikelyCost ?? ""}
-                          onChange={(e) => updateCbsRow(row.id, { mostLikelyCost: e.target.value })}
-                          min="0"
-                          step="1"
+                      {manual ? (
+                        <AmountInput
+                          value={row.mostLikelyCost}
+                          onChange={(v) => updateCbsRow(row.id, { mostLikelyCost: v })}
+                          format={moneyFormat}
                           style={udCellStyle}
+                          aria-label="Most likely"
                         />
                       ) : (
                         <input
@@ -1425,20 +3237,19 @@ function App() {
                           value={Number.isFinite(derived.ml) ? money(derived.ml) : ""}
                           readOnly
                           style={derivedCellStyle}
-                          title="Derived from Base Cost × confidence factor"
+                          title={derivedTitle}
                         />
                       )}
                     </td>
 
                     <td style={td}>
-                      {ud ? (
-                        <input
-                          type="number"
-                          value={row.worstCaseCost ?? ""}
-                          onChange={(e) => updateCbsRow(row.id, { worstCaseCost: e.target.value })}
-                          min="0"
-                          step="1"
+                      {manual ? (
+                        <AmountInput
+                          value={row.worstCaseCost}
+                          onChange={(v) => updateCbsRow(row.id, { worstCaseCost: v })}
+                          format={moneyFormat}
                           style={udCellStyle}
+                          aria-label="Worst case"
                         />
                       ) : (
                         <input
@@ -1446,84 +3257,58 @@ function App() {
                           value={Number.isFinite(derived.worst) ? money(derived.worst) : ""}
                           readOnly
                           style={derivedCellStyle}
-                          title="Derived from Base Cost × confidence factor"
+                          title={derivedTitle}
                         />
                       )}
                     </td>
 
-{correlationMode === "standard" && (
-  <td style={td}>
-    <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-      <select
-        value={row.driverGroup || ""}
-        onChange={(e) => updateCbsRow(row.id, { driverGroup: e.target.value })}
-        style={{ ...input, minWidth: 150 }}
-        title={
-          row.driverGroup
-            ? (DRIVER_TOOLTIPS[row.driverGroup] || "")
-            : "Select the primary driver that influences this cost item."
-        }
-      >
-        <option value="">Select driver…</option>
-        {DRIVER_OPTIONS.map((d) => (
-          <option key={d} value={d}>{d}</option>
-        ))}
-      </select>
-      <span
-        title={
-          row.driverGroup
-            ? (DRIVER_TOOLTIPS[row.driverGroup] || "")
-            : "Select a driver to see help text."
-        }
-        style={{ cursor: "help", fontWeight: 900, color: "var(--text-muted)" }}
-        aria-label="Driver help"
-      >
-        ⓘ
-      </span>
-    </div>
-  </td>
-)}
+                    <td style={td}>
+                      <input
+                        type="date"
+                        value={row.startDate || ""}
+                        onChange={(e) => updateCbsRow(row.id, { startDate: e.target.value })}
+                        style={dateStyle}
+                        aria-label="Start date"
+                      />
+                    </td>
+                    <td style={td}>
+                      <input
+                        type="date"
+                        value={row.finishDate || ""}
+                        onChange={(e) => updateCbsRow(row.id, { finishDate: e.target.value })}
+                        style={dateStyle}
+                        aria-label="Finish date"
+                      />
+                    </td>
 
 {correlationMode === "standard" && (
   <td style={td}>
-    <div style={{ minWidth: 160, maxWidth: 176 }}>
-      <input
-        type="range"
-        min="0"
-        max="3"
-        step="1"
-        value={sensitivityToIndex(row.sensitivity)}
-        onChange={(e) => updateCbsRow(row.id, { sensitivity: indexToSensitivity(e.target.value) })}
-        style={{ width: "100%" }}
-        title="Indicates how strongly this cost item responds to changes in the selected driver."
-      />
-      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "var(--text-muted)", marginTop: 4 }}>
-        <span>None</span>
-        <span>Low</span>
-        <span>Med</span>
-        <span>High</span>
-      </div>
-    </div>
+    <DriverChips
+      value={row.drivers || []}
+      onChange={(drivers) => updateCbsRow(row.id, { drivers })}
+      driverOptions={driverOptions}
+      driverTooltips={driverTooltips}
+      loadingOf={(a) => driverLoading(a, driverStrengths, sensitivityWeights)}
+      combined={combinedLoading(row.drivers, driverStrengths, sensitivityWeights)}
+    />
   </td>
 )}
 
 
-                    <td style={td}>
-                      <button onClick={() => deleteCbsRow(row.id)} className="iconBtn dangerBtn" title="Delete CBS row" aria-label="Delete CBS row">×</button>
-                    </td>
+                    {rowActions}
                   </tr>
                 );
               })}
 
               {cbsItems.length === 0 && (
-                <tr><td style={td} colSpan={correlationMode === "standard" ? 10 : 8} className="text-secondary">No CBS rows. Import or Add.</td></tr>
+                <tr><td style={td} colSpan={correlationMode === "standard" ? 13 : 12} className="text-secondary">No CBS rows. Import or Add.</td></tr>
               )}
             </tbody>
 <tfoot>
               <tr>
-                <td style={{ ...td, fontWeight: 800 }} colSpan={2}>Total</td>
+                <td style={{ ...td, fontWeight: 800 }} colSpan={3}>Total</td>
                 <td style={{ ...td, fontWeight: 800 }}>{money(totalBase)}</td>
-                <td style={td} colSpan={correlationMode === "standard" ? 7 : 5}></td>
+                <td style={td} colSpan={correlationMode === "standard" ? 9 : 8}></td>
               </tr>
             </tfoot>
 
@@ -1541,8 +3326,14 @@ function App() {
 
           <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 6 }}>
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap", justifyContent: "flex-end" }}>
-              <button onClick={openRisksCsvPicker} className="btn" title="CSV headers: name,riskType(optional),probability,lowCost,mostLikelyCost,highCost">
-                Import risks from CSV
+              <button onClick={openRisksImportPicker} className="btn" title="CSV or Excel (.xlsx) headers: name,riskType(optional),probability,lowCost,mostLikelyCost,highCost, cbsLinks (optional, e.g. CBS003 60%; CBS004 40%). Probability may be 0.2 or 20%; amounts may include currency symbols, thousands separators and k/m suffixes.">
+                Import risks from CSV / Excel
+              </button>
+              <button onClick={exportRisksCsv} className="btn" title="Risk register as CSV (re-importable; includes IDs)">
+                Export CSV
+              </button>
+              <button onClick={() => downloadCsv(riskTemplateCsv(), "risk-register-template.csv")} className="btn" title="Empty risk register CSV with example rows to fill in offline">
+                Download blank template
               </button>
               <button onClick={addRiskRow} className="btn">+ Add Risk</button>
             </div>
@@ -1557,130 +3348,517 @@ function App() {
           <input
             ref={risksFileInputRef}
             type="file"
-            accept=".csv,text/csv"
+            accept=".csv,text/csv,.xlsx,.xlsm,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
             style={{ display: "none" }}
-            onChange={onRisksCsvSelected}
+            onChange={onRisksFileSelected}
           />
         </div>
 
+        {importWizard?.kind === "risk" && (
+          <ImportWizard
+            key={importWizard.fileName}
+            kind="risk"
+            fileName={importWizard.fileName}
+            sheets={importWizard.sheets}
+            savedMapping={importWizard.savedMapping}
+            mapOptions={riskImportOptions}
+            money={money}
+            planImport={planRiskRows}
+            onImport={importFromWizard}
+            onCancel={() => setImportWizard(null)}
+          />
+        )}
+
         <div style={{ fontSize: 12, marginTop: 10 }} className="text-muted">
           Only Event Driven (Contingent) risk costs are considered. If inherent, costs are ignored here.Adjust Base Cost variability to reflect Inherent risk impacts
+          <br />
+          Link a risk to the cost items it would fall on (shares must add up to 100%) so its contingency is allocated to them in the results; unlinked risks are reported as unallocated.
+          <br />
+          Probability and costs are the pre-mitigation values. Enter post-mitigation values under Mitigation (blank = unchanged) and pick &quot;Simulate as&quot; on the Results tab.
+          <br />
+          Closed risks stay in the register but are not simulated. Sorting and filtering only change the view.
         </div>
 
-        <div style={{ overflowX: "auto", marginTop: 10 }}>
-          <table style={{ ...table, minWidth: 1200 }}>
-            <thead>
-              <tr>
-                <th style={stickyTh}>ID</th>
-                <th style={{ ...stickyTh, minWidth: 360 }}>Risk</th>
-                <th style={stickyTh}>Risk Type</th>
-                <th style={{ ...stickyTh, fontSize: "13.5px", whiteSpace: "nowrap" }}>Probability (0–1)</th>
-                <th style={stickyTh}>Low ($)</th>
-                <th style={stickyTh}>Most Likely ($)</th>
-                <th style={stickyTh}>High ($)</th>
-                <th style={stickyTh}>Delete</th>
-              </tr>
-            </thead>
-            <tbody>
-              {risks.map((r) => {
-                const p = Number(r.probability);
-                const badP = Number.isNaN(p) || p < 0 || p > 1;
-
-                const isInherent = String(r.riskType || "contingent").toLowerCase() === "inherent";
+        <div style={{ display: "flex", gap: 6, marginTop: 10 }} role="tablist" aria-label="Risk register view">
+          {[
+            ["table", "Table"],
+            ["heatmap", "Heat map"],
+          ].map(([key, text]) => (
+            <button
+              key={key}
+              className="btn"
+              role="tab"
+              aria-selected={riskView === key}
+              onClick={() => setRiskView(key)}
+              style={riskView === key ? { fontWeight: 800, borderColor: "var(--accent)" } : undefined}
+            >
+              {text}
+            </button>
+          ))}
+        </div>
 
-                return (
-                  <tr key={r.id}>
-                    <td style={td} className="text-secondary" title={r.id}>{formatRiskIdDisplay(r.id)}</td>
+        {riskView === "heatmap" && (
+          <div style={{ marginTop: 10 }}>
+            <RiskHeatMap
+              risks={simulatedRisks}
+              matrix={riskMatrix}
+              onChange={setRiskMatrix}
+              onOpenRisk={openRiskRow}
+              format={moneyFormat}
+              moneyCompact={moneyCompact}
+              filename={`${safeFilename(projectName) || "project"}-risk-heat-map`}
+            />
+          </div>
+        )}
 
-                    <td style={{ ...td, minWidth: 360 }}>
-                      <input
-                        value={r.name}
-                        onChange={(e) => updateRiskRow(r.id, { name: e.target.value })}
-                        placeholder="e.g., Unknown services relocation"
-                        style={input}
-                      />
-                    </td>
+        {riskView === "table" && (
+          <>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginTop: 10 }}>
+              <input
+                type="search"
+                value={riskFilter.search}
+                onChange={(e) => setRiskFilter((f) => ({ ...f, search: e.target.value }))}
+                placeholder="Search ID, name, cause, event, effect…"
+                style={{ ...input, width: 280 }}
+                aria-label="Search risks"
+              />
+              <select
+                value={riskFilter.category}
+                onChange={(e) => setRiskFilter((f) => ({ ...f, category: e.target.value }))}
+                style={{ ...input, width: 170 }}
+                aria-label="Filter by category"
+              >
+                <option value="">All categories</option>
+                {riskFieldValues(risks, "category").map((v) => (
+                  <option key={v} value={v}>{v}</option>
+                ))}
+              </select>
+              <select
+                value={riskFilter.owner}
+                onChange={(e) => setRiskFilter((f) => ({ ...f, owner: e.target.value }))}
+                style={{ ...input, width: 170 }}
+                aria-label="Filter by owner"
+              >
+                <option value="">All owners</option>
+                {riskFieldValues(risks, "owner").map((v) => (
+                  <option key={v} value={v}>{v}</option>
+                ))}
+              </select>
+              <select
+                value={riskFilter.status}
+                onChange={(e) => setRiskFilter((f) => ({ ...f, status: e.target.value }))}
+                style={{ ...input, width: 150 }}
+                aria-label="Filter by status"
+              >
+                <option value="">All statuses</option>
+                {RISK_STATUSES.map((st) => (
+                  <option key={st.key} value={st.key}>{st.label}</option>
+                ))}
+              </select>
+              <select
+                value={riskSort?.key || ""}
+                onChange={(e) => setRiskSort(e.target.value ? { key: e.target.value, dir: riskSort?.dir || "asc" } : null)}
+                style={{ ...input, width: 190 }}
+                aria-label="Sort risks by"
+              >
+                <option value="">Register order</option>
+                {RISK_SORT_FIELDS.map((f) => (
+                  <option key={f.key} value={f.key}>Sort by {f.label.toLowerCase()}</option>
+                ))}
+              </select>
+              {riskSort && (
+                <button
+                  className="btn"
+                  onClick={() => setRiskSort((prev) => ({ ...prev, dir: prev.dir === "asc" ? "desc" : "asc" }))}
+                  title="Reverse the sort order"
+                >
+                  {riskSort.dir === "asc" ? "↑ Ascending" : "↓ Descending"}
+                </button>
+              )}
+              {isRiskFilterActive(riskFilter) && (
+                <button className="btn" onClick={() => setRiskFilter(EMPTY_RISK_FILTER)}>Clear filters</button>
+              )}
+              <span style={{ fontSize: 12 }} className="text-muted">
+                Showing {visibleRisks.length} of {risks.length}
+                {risks.length > simulatedRisks.length && ` · ${risks.length - simulatedRisks.length} closed (not simulated)`}
+              </span>
+            </div>
 
-                    <td style={td}>
-                      <select
-                        value={r.riskType || "contingent"}
-                        onChange={(e) => updateRiskRow(r.id, { riskType: e.target.value })}
-                        style={input}
+            <div style={{ overflowX: "auto", marginTop: 10 }}>
+              <datalist id="risk-categories">
+                {riskFieldValues(risks, "category").map((v) => (
+                  <option key={v} value={v} />
+                ))}
+              </datalist>
+              <table style={{ ...table, minWidth: 2420 }}>
+                <thead>
+                  <tr>
+                    <SortableTh label="ID" sortKey="id" sort={riskSort} onSort={setRiskSort} />
+                    <SortableTh label="Risk" sortKey="name" sort={riskSort} onSort={setRiskSort} style={{ minWidth: 360 }} />
+                    <th style={{ ...stickyTh, minWidth: 320 }} title="Category, status, cause → event → effect, date raised and next review">Register details</th>
+                    <SortableTh label="Risk Type" sortKey="riskType" sort={riskSort} onSort={setRiskSort} />
+                    <SortableTh label="Probability (0–1)" sortKey="probability" sort={riskSort} onSort={setRiskSort} style={{ fontSize: "13.5px", whiteSpace: "nowrap" }} />
+                    <SortableTh label={`Low (${moneyFormat.symbol})`} sortKey="lowCost" sort={riskSort} onSort={setRiskSort} />
+                    <SortableTh label={`Most Likely (${moneyFormat.symbol})`} sortKey="mostLikelyCost" sort={riskSort} onSort={setRiskSort} />
+                    <SortableTh label={`High (${moneyFormat.symbol})`} sortKey="highCost" sort={riskSort} onSort={setRiskSort} />
+                    <th style={stickyTh} title="Shape of the cost if the risk occurs; Discrete uses its own outcomes">Distribution</th>
+                    <th style={{ ...stickyTh, minWidth: 340 }} title="Response to the risk, who owns it, what it costs and the values once it is in place (blank = unchanged)">Mitigation</th>
+                    <th style={{ ...stickyTh, minWidth: 300 }} title="Cost items this risk would fall on, with the share of its cost each one carries">CBS links</th>
+                    <th style={stickyTh} title="Optional: when the risk cost would be incurred. Undated risks follow the phasing of their linked CBS items">Start</th>
+                    <th style={stickyTh}>Finish</th>
+                    <th style={stickyTh}>Delete</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRisks.map((r) => {
+                    const p = Number(r.probability);
+                    const badP = Number.isNaN(p) || p < 0 || p > 1;
+
+                    const isInherent = String(r.riskType || "contingent").toLowerCase() === "inherent";
+                    const links = r.cbsLinks || [];
+                    const linkedIds = new Set(links.map((l) => l.cbsId));
+                    const linkTotal = linksTotal(links);
+                    const badLinks = links.length > 0 && Math.abs(linkTotal - 1) > 0.0005;
+                    const riskDateStyle = { ...input, border: dateRangeIssue(r.startDate, r.finishDate) !== null ? "2px solid var(--danger)" : "1px solid #ccc" };
+                    // Discrete risks fill low / most likely / high from their outcomes
+                    const discrete = distributionKey(r.distribution) === "discrete";
+                    const lockedCost = isInherent || discrete;
+                    const riskPoints = { low: r.lowCost, ml: r.mostLikelyCost, high: r.highCost };
+                    const riskDistIssues = isInherent ? [] : distributionIssues(r.distribution, riskPoints, r.outcomes);
+                    const riskMitigationIssues = mitigationIssues(r);
+                    const closed = isClosedRisk(r);
+                    const detailStyle = { ...input, padding: 4, fontSize: 12 };
+
+                    return (
+                      <tr
+                        key={r.id}
+                        id={`risk-row-${r.id}`}
+                        style={{ opacity: closed ? 0.6 : undefined, outline: openedRisk?.id === r.id ? "2px solid var(--accent)" : undefined }}
                       >
-                        <option value="contingent">contingent</option>
-                        <option value="inherent">inherent</option>
-                      </select>
-                    </td>
-
-                    <td style={td}>
-                      <input
-                        type="number"
-                        value={r.probability}
-                        onChange={(e) => updateRiskRow(r.id, { probability: e.target.value })}
-                        min="0"
-                        max="1"
-                        step="0.01"
-                        style={{ ...input, border: badP ? "2px solid var(--danger)" : "1px solid #ccc" }}
-                      />
-                    </td>
-
-                    <td style={td}>
-                      <input
-                        type="number"
-                        value={r.lowCost}
-                        onChange={(e) => updateRiskRow(r.id, { lowCost: e.target.value })}
-                        min="0"
-                        step="1"
-                        style={{ ...input, background: isInherent ? "#f3f3f3" : input.background }}
-                        disabled={isInherent}
-                      />
-                    </td>
-
-                    <td style={td}>
-                      <input
-                        type="number"
-                        value={r.mostLikelyCost}
-                        onChange={(e) => updateRiskRow(r.id, { mostLikelyCost: e.target.value })}
-                        min="0"
-                        step="1"
-                        style={{ ...input, background: isInherent ? "#f3f3f3" : input.background }}
-                        disabled={isInherent}
-                      />
-                    </td>
-
-                    <td style={td}>
-                      <input
-                        type="number"
-                        value={r.highCost}
-                        onChange={(e) => updateRiskRow(r.id, { highCost: e.target.value })}
-                        min="0"
-                        step="1"
-                        style={{ ...input, background: isInherent ? "#f3f3f3" : input.background }}
-                        disabled={isInherent}
-                      />
-                    </td>
-
-                    <td style={td}>
-                      <button onClick={() => deleteRiskRow(r.id)} className="iconBtn dangerBtn" title="Delete risk" aria-label="Delete risk">×</button>
+                        <td style={td} className="text-secondary" title={closed ? `${r.id} (closed: not simulated)` : r.id}>{formatRiskIdDisplay(r.id)}</td>
+
+                        <td style={{ ...td, minWidth: 360 }}>
+                          <input
+                            value={r.name}
+                            onChange={(e) => updateRiskRow(r.id, { name: e.target.value })}
+                            placeholder="e.g., Unknown services relocation"
+                            style={input}
+                          />
+                        </td>
+
+                        <td style={{ ...td, minWidth: 320 }}>
+                          <div style={{ display: "flex", gap: 6 }}>
+                            <input
+                              value={r.category || ""}
+                              onChange={(e) => updateRiskRow(r.id, { category: e.target.value })}
+                              placeholder="Category"
+                              list="risk-categories"
+                              style={{ ...detailStyle, flex: "1 1 60%" }}
+                              aria-label="Risk category"
+                            />
+                            <select
+                              value={r.status || DEFAULT_RISK_STATUS}
+                              onChange={(e) => updateRiskRow(r.id, { status: e.target.value })}
+                              style={{ ...detailStyle, flex: "1 1 40%" }}
+                              title="Closed risks are not simulated"
+                              aria-label="Risk status"
+                            >
+                              {RISK_STATUSES.map((st) => (
+                                <option key={st.key} value={st.key}>{st.label}</option>
+                              ))}
+                            </select>
+                          </div>
+                          {[
+                            ["cause", "Cause (because of…)"],
+                            ["event", "Event (…this may happen…)"],
+                            ["effect", "Effect (…leading to)"],
+                          ].map(([field, placeholder]) => (
+                            <textarea
+                              key={field}
+                              value={r[field] || ""}
+                              onChange={(e) => updateRiskRow(r.id, { [field]: e.target.value })}
+                              placeholder={placeholder}
+                              rows={1}
+                              style={{ ...detailStyle, marginTop: 4, resize: "vertical" }}
+                              aria-label={`Risk ${field}`}
+                            />
+                          ))}
+                          <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+                            <label style={{ fontSize: 11, flex: "1 1 50%" }} className="text-muted">
+                              Raised
+                              <input
+                                type="date"
+                                value={r.dateRaised || ""}
+                                onChange={(e) => updateRiskRow(r.id, { dateRaised: e.target.value })}
+                                style={detailStyle}
+                              />
+                            </label>
+                            <label style={{ fontSize: 11, flex: "1 1 50%" }} className="text-muted">
+                              Review
+                              <input
+                                type="date"
+                                value={r.reviewDate || ""}
+                                onChange={(e) => updateRiskRow(r.id, { reviewDate: e.target.value })}
+                                style={detailStyle}
+                              />
+                            </label>
+                          </div>
+                        </td>
+
+                        <td style={td}>
+                          <select
+                            value={r.riskType || "contingent"}
+                            onChange={(e) => updateRiskRow(r.id, { riskType: e.target.value })}
+                            style={input}
+                          >
+                            <option value="contingent">contingent</option>
+                            <option value="inherent">inherent</option>
+                          </select>
+                        </td>
+
+                        <td style={td}>
+                          <input
+                            type="number"
+                            value={r.probability}
+                            onChange={(e) => updateRiskRow(r.id, { probability: e.target.value })}
+                            min="0"
+                            max="1"
+                            step="0.01"
+                            style={{ ...input, border: badP ? "2px solid var(--danger)" : "1px solid #ccc" }}
+                          />
+                        </td>
+
+                        <td style={td}>
+                          <AmountInput
+                            value={r.lowCost}
+                            onChange={(v) => updateRiskRow(r.id, { lowCost: v })}
+                            format={moneyFormat}
+                            style={{ ...input, background: lockedCost ? "#f3f3f3" : input.background }}
+                            disabled={lockedCost}
+                            title={discrete && !isInherent ? "From the discrete outcomes" : undefined}
+                            aria-label="Low cost"
+                          />
+                          {!isInherent && (
+                            <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+                              {money(Number(r.lowCost) || 0)}
+                            </div>
+                          )}
+                        </td>
+
+                        <td style={td}>
+                          <AmountInput
+                            value={r.mostLikelyCost}
+                            onChange={(v) => updateRiskRow(r.id, { mostLikelyCost: v })}
+                            format={moneyFormat}
+                            style={{ ...input, background: lockedCost ? "#f3f3f3" : input.background }}
+                            disabled={lockedCost}
+                            title={discrete && !isInherent ? "From the discrete outcomes" : undefined}
+                            aria-label="Most likely cost"
+                          />
+                          {!isInherent && (
+                            <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+                              {money(Number(r.mostLikelyCost) || 0)}
+                            </div>
+                          )}
+                        </td>
+
+                        <td style={td}>
+                          <AmountInput
+                            value={r.highCost}
+                            onChange={(v) => updateRiskRow(r.id, { highCost: v })}
+                            format={moneyFormat}
+                            style={{ ...input, background: lockedCost ? "#f3f3f3" : input.background }}
+                            disabled={lockedCost}
+                            title={discrete && !isInherent ? "From the discrete outcomes" : undefined}
+                            aria-label="High cost"
+                          />
+                          {!isInherent && (
+                            <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+                              {money(Number(r.highCost) || 0)}
+                            </div>
+                          )}
+                        </td>
+
+                        <td style={td}>
+                          <DistributionPicker
+                            distribution={r.distribution}
+                            outcomes={r.outcomes}
+                            points={riskPoints}
+                            onChange={(patch) => updateRiskRow(r.id, patch)}
+                            format={moneyFormat}
+                            disabled={isInherent}
+                            invalid={riskDistIssues.length > 0}
+                          />
+                          {riskDistIssues.length > 0 && (
+                            <div style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{riskDistIssues[0]}</div>
+                          )}
+                        </td>
+
+                        <td style={{ ...td, minWidth: 340 }}>
+                          <textarea
+                            value={r.mitigationAction || ""}
+                            onChange={(e) => updateRiskRow(r.id, { mitigationAction: e.target.value })}
+                            placeholder="Mitigation action"
+                            rows={2}
+                            style={{ ...input, resize: "vertical" }}
+                            aria-label="Mitigation action"
+                          />
+                          <div style={{ display: "flex", gap: 6, marginTop: 4 }}>
+                            <input
+                              value={r.owner || ""}
+                              onChange={(e) => updateRiskRow(r.id, { owner: e.target.value })}
+                              placeholder="Owner"
+                              style={{ ...input, flex: "1 1 50%" }}
+                              aria-label="Risk owner"
+                            />
+                            <AmountInput
+                              value={r.mitigationCost ?? ""}
+                              onChange={(v) => updateRiskRow(r.id, { mitigationCost: v })}
+                              format={moneyFormat}
+                              placeholder="Mitigation cost"
+                              style={{ ...input, flex: "1 1 50%" }}
+                              title="Cost of carrying out the mitigation (reported against the contingency reduction, not simulated)"
+                              aria-label="Mitigation cost"
+                            />
+                          </div>
+                          {!isInherent && (
+                            <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 4, marginTop: 6 }}>
+                              {POST_FIELDS.map((f) => {
+                                const lockedPost = f.key !== "postProbability" && discrete;
+                                return (
+                                  <div key={f.key}>
+                                    <div style={{ fontSize: 11 }} className="text-muted">Post {f.label.toLowerCase()}</div>
+                                    {f.key === "postProbability" ? (
+                                      <input
+                                        type="number"
+                                        value={r[f.key] ?? ""}
+                                        onChange={(e) => updateRiskRow(r.id, { [f.key]: e.target.value })}
+                                        min="0"
+                                        max="1"
+                                        step="0.01"
+                                        placeholder={String(r.probability ?? "")}
+                                        style={{ ...input, padding: 4, fontSize: 12 }}
+                                        aria-label="Post-mitigation probability"
+                                      />
+                                    ) : (
+                                      <AmountInput
+                                        value={r[f.key] ?? ""}
+                                        onChange={(v) => updateRiskRow(r.id, { [f.key]: v })}
+                                        format={moneyFormat}
+                                        style={{ ...input, padding: 4, fontSize: 12, background: lockedPost ? "#f3f3f3" : input.background }}
+                                        disabled={lockedPost}
+                                        title={lockedPost ? "Discrete risks keep their outcomes; only the probability can change" : "Blank = unchanged by the mitigation"}
+                                        aria-label={`Post-mitigation ${f.label.toLowerCase()} cost`}
+                                      />
+                                    )}
+                                  </div>
+                                );
+                              })}
+                            </div>
+                          )}
+                          {riskMitigationIssues.length > 0 && (
+                            <div style={{ fontSize: 12, marginTop: 4, color: "var(--danger)" }}>{riskMitigationIssues[0]}</div>
+                          )}
+                        </td>
+
+                        <td style={{ ...td, minWidth: 300 }}>
+                          {links.map((l) => {
+                            const item = cbsTree.nodes.get(l.cbsId)?.item;
+                            return (
+                              <div key={l.cbsId} style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 4 }}>
+                                <span
+                                  className="pill"
+                                  style={{ flex: "1 1 auto", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: item ? undefined : "var(--danger)" }}
+                                  title={item ? item.name : "This CBS item no longer exists"}
+                                >
+                                  {formatCbsIdDisplay(l.cbsId)} {item?.name || "(missing)"}
+                                </span>
+                                <input
+                                  type="number"
+                                  value={l.share === "" ? "" : Math.round(Number(l.share) * 10000) / 100}
+                                  onChange={(e) => updateRiskLinkShare(r.id, l.cbsId, e.target.value)}
+                                  min="0"
+                                  max="100"
+                                  step="1"
+                                  style={{ ...input, width: 72, border: badLinks ? "2px solid var(--danger)" : "1px solid #ccc" }}
+                                  aria-label={`Share of ${formatCbsIdDisplay(l.cbsId)} (%)`}
+                                />
+                                <span className="text-muted">%</span>
+                                <button onClick={() => removeRiskLink(r.id, l.cbsId)} className="iconBtn" title="Remove link" aria-label="Remove CBS link">×</button>
+                              </div>
+                            );
+                          })}
+                          {badLinks && (
+                            <div style={{ fontSize: 12, marginBottom: 4, color: "var(--danger)" }}>
+                              Shares add up to {Math.round(linkTotal * 10000) / 100}% (must be 100%).
+                            </div>
+                          )}
+                          <select
+                            value=""
+                            onChange={(e) => addRiskLink(r.id, e.target.value)}
+                            style={input}
+                            title="Adding a link splits the risk evenly over its links; adjust the shares afterwards"
+                          >
+                            <option value="">{links.length ? "+ Link another CBS item…" : "+ Link to CBS item…"}</option>
+                            {leafCbsItems(cbsItems)
+                              .filter((x) => !linkedIds.has(x.id))
+                              .map((x) => (
+                                <option key={x.id} value={x.id}>
+                                  {cbsTree.nodes.get(x.id)?.code} · {formatCbsIdDisplay(x.id)} {x.name}
+                                </option>
+                              ))}
+                          </select>
+                        </td>
+
+                        <td style={td}>
+                          <input
+                            type="date"
+                            value={r.startDate || ""}
+                            onChange={(e) => updateRiskRow(r.id, { startDate: e.target.value })}
+                            style={riskDateStyle}
+                            aria-label="Risk start date"
+                          />
+                        </td>
+                        <td style={td}>
+                          <input
+                            type="date"
+                            value={r.finishDate || ""}
+                            onChange={(e) => updateRiskRow(r.id, { finishDate: e.target.value })}
+                            style={riskDateStyle}
+                            aria-label="Risk finish date"
+                          />
+                        </td>
+
+                        <td style={td}>
+                          <button onClick={() => deleteRiskRow(r.id)} className="iconBtn dangerBtn" title="Delete risk" aria-label="Delete risk">×</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+
+                  {risks.length === 0 && (
+                    <tr><td style={td} colSpan={14} className="text-secondary">No risks. Import or Add.</td></tr>
+                  )}
+                  {risks.length > 0 && visibleRisks.length === 0 && (
+                    <tr><td style={td} colSpan={14} className="text-secondary">No risks match the search or filters.</td></tr>
+                  )}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td style={{ ...td, fontWeight: 800 }} colSpan={6} title="Contingent risks that are not closed, whatever the filters">Total (Most likely)</td>
+                    <td style={{ ...td, fontWeight: 800 }}>{money(totalRiskMostLikely)}</td>
+                    <td style={td} colSpan={2}></td>
+                    <td style={{ ...td, fontWeight: 800 }} title="Total mitigation spend">
+                      Mitigation spend: {money(totalMitigationSpend(simulatedRisks))}
                     </td>
+                    <td style={td} colSpan={4}></td>
                   </tr>
-                );
-              })}
-
-              {risks.length === 0 && (
-                <tr><td style={td} colSpan={8} className="text-secondary">No risks. Import or Add.</td></tr>
-              )}
-            </tbody>
-<tfoot>
-              <tr>
-                <td style={{ ...td, fontWeight: 800 }} colSpan={5}>Total (Most likely)</td>
-                <td style={{ ...td, fontWeight: 800 }}>{money(totalRiskMostLikely)}</td>
-                <td style={td} colSpan={2}></td>
-              </tr>
-            </tfoot>
+                </tfoot>
 
-          </table>
-        </div>
+              </table>
+            </div>
+          </>
+        )}
       </section>
       )}
 
@@ -1700,6 +3878,33 @@ function App() {
             >
               {isRunning ? "Running…" : "Run Simulation"}
             </button>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <label style={{ ...label, marginBottom: 0 }}>Engine</label>
+              <select
+                value={simEngine}
+                onChange={(e) => setSimEngine(e.target.value)}
+                style={{ ...input, width: 220 }}
+                disabled={isRunning}
+                title="In-browser runs work offline and can be pinned next to a server run to cross-check results."
+              >
+                <option value="server">Server (backend)</option>
+                <option value="browser">In-browser (offline)</option>
+              </select>
+            </div>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <label style={{ ...label, marginBottom: 0 }}>Simulate as</label>
+              <select
+                value={simulateAs}
+                onChange={(e) => setSimulateAs(e.target.value)}
+                style={{ ...input, width: 220 }}
+                disabled={isRunning}
+                title="Which risk values to simulate; Both runs pre- and post-mitigation and compares their contingency"
+              >
+                {SIMULATE_AS.map((o) => (
+                  <option key={o.key} value={o.key}>{o.label}</option>
+                ))}
+              </select>
+            </div>
             {!isInputsValid && (
               <div style={{ fontSize: 12, color: "var(--danger)" }}>
                 Complete required Cost Model + Risk Register fields to enable Run Simulation.
@@ -1708,12 +3913,7 @@ function App() {
           </div>
         </div>
 
-        {errors.length > 0 && (
-          <div style={{ background: "#fff3f3", border: "1px solid #f3b5b5", padding: 12, borderRadius: 8 }}>
-            <div style={{ fontWeight: 700, marginBottom: 6, color: "var(--danger)" }}>Validation / API errors / import warnings</div>
-            <pre style={{ margin: 0, whiteSpace: "pre-wrap" }}>{JSON.stringify(errors, null, 2)}</pre>
-          </div>
-        )}
+        {errors.length > 0 && <ErrorPanel errors={errors} />}
 
         {results ? (
   <div
@@ -1733,7 +3933,7 @@ function App() {
         gap: 12,
       }}
     >
-      <div style={{ fontWeight: 700 }} className="text-primary">Results ($)</div>
+      <div style={{ fontWeight: 700 }} className="text-primary">Results ({moneyFormat.unitLabel} {moneyFormat.currency})</div>
       <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
         <button className="btn" onClick={downloadJson} disabled={!canExport}>
           {isExporting ? "Exporting…" : "Download JSON"}
@@ -1744,18 +3944,278 @@ function App() {
       </div>
     </div>
 
+    {runPayload?.confidenceTable && (
+      <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+        Confidence factors: {runPayload.confidenceTable.name} {runPayload.confidenceTable.version}
+        {" · "}Risks {runPayload.riskView === "post" ? "post-mitigation" : "pre-mitigation"}
+      </div>
+    )}
+
     <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 12 }}>
-      <ResultBox label="P5" value={money(results.p5)} />
-      <ResultBox label="P10" value={money(results.p10)} />
-      <ResultBox label="P50" value={money(results.p50)} />
-      <ResultBox label="P90" value={money(results.p90)} />
-      <ResultBox
-        label="Contingency (P90−P50)"
-        value={money(results.contingency_p90_minus_p50)}
+      {runMetrics.map((m) => (
+        <ResultBox key={m.key} label={m.label} value={money(results[m.key])} />
+      ))}
+    </div>
+
+    {mitigationResults && mitigationSummary && (
+      <div style={{ marginTop: 16 }}>
+        <div style={{ fontWeight: 800, marginBottom: 8 }} className="text-primary">
+          Mitigation effect
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Measure</th>
+                <th style={th}>Pre-mitigation</th>
+                <th style={th}>Post-mitigation</th>
+                <th style={th}>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runMetrics.map((m) => (
+                <tr key={m.key}>
+                  <td style={td}>{m.label}</td>
+                  <td style={td}>{money(mitigationResults.pre?.[m.key])}</td>
+                  <td style={td}>{money(mitigationResults.post?.[m.key])}</td>
+                  <td style={td}>{money(mitigationResults.post?.[m.key] - mitigationResults.pre?.[m.key])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 12 }}>
+          <ResultBox label="Contingency reduction" value={money(mitigationSummary.reduction)} />
+          <ResultBox label="Total mitigation spend" value={money(mitigationSummary.spend)} />
+          <ResultBox label="Net benefit" value={money(mitigationSummary.net)} />
+          <ResultBox
+            label="Reduction per 1 spent"
+            value={mitigationSummary.ratio === null ? "—" : mitigationSummary.ratio.toFixed(2)}
+          />
+        </div>
+        <div style={{ fontSize: 12, marginTop: 6 }} className="text-muted">
+          Both runs use the same seed. The mitigation spend is the sum of the risks&apos; mitigation costs and is not included in the simulated cost.
+        </div>
+      </div>
+    )}
+
+    <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginTop: 12 }}>
+      <input
+        value={scenarioName}
+        onChange={(e) => setScenarioName(e.target.value)}
+        placeholder="Scenario name (e.g., Baseline, With mitigations)"
+        style={{ ...input, maxWidth: 320 }}
       />
+      <button className="btn" onClick={pinScenario} disabled={!runPayload || isRunning}>
+        Pin as scenario
+      </button>
+      <span style={{ fontSize: 12 }} className="text-muted">
+        Pinned runs are compared side by side below.
+      </span>
+    </div>
+
+    {/* --- Total cost distribution --- */}
+    <div style={{ marginTop: 16 }}>
+      <div style={{ fontWeight: 800, marginBottom: 8 }} className="text-primary">
+        Total cost distribution
+      </div>
+      {distribution ? (
+        <CostDistributionChart
+          distribution={distribution}
+          markers={chartMarkers}
+          money={money}
+          moneyCompact={moneyCompact}
+          filename={`${safeFilename(projectName) || "cost-risk"}-distribution`}
+        />
+      ) : (
+        <div style={{ fontSize: 12, color: "var(--text-secondary)" }}>
+          No distribution data returned. (The chart needs <code>samples</code> or a <code>histogram</code> from /simulate.)
+        </div>
+      )}
     </div>
 
-    {/* --- Sensitivity (Grouped, short) --- */}
+    {/* --- Breakdown by CBS level --- */}
+    {breakdownDepth > 1 && cbsBreakdown && (
+      <div style={{ marginTop: 16 }}>
+        <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+          <div style={{ fontWeight: 800 }} className="text-primary">
+            Breakdown by CBS level
+          </div>
+          <select
+            value={shownBreakdownLevel}
+            onChange={(e) => setBreakdownLevel(Number(e.target.value))}
+            style={{ ...input, width: 220 }}
+            title="Also sets the level of the CBS rows in the sensitivity chart"
+          >
+            <option value={0}>Cost items (lowest level)</option>
+            {Array.from({ length: breakdownDepth }, (_, i) => (
+              <option key={i + 1} value={i + 1}>Level {i + 1}</option>
+            ))}
+          </select>
+          {cbsBreakdown.inBrowser && (
+            <span style={{ fontSize: 12 }} className="text-muted">
+              Computed in the browser from the same inputs and seed (the server returns totals only).
+            </span>
+          )}
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>WBS</th>
+                <th style={th}>Name</th>
+                <th style={th}>Base</th>
+                <th style={th}>Mean</th>
+                {runPercentileMetrics.map((m) => (
+                  <th key={m.key} style={th}>{m.label}</th>
+                ))}
+                <th style={th}>ρ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {breakdownRows.map((g) => (
+                <tr key={g.id}>
+                  <td style={td} className="text-secondary">{g.code}</td>
+                  <td style={{ ...td, paddingLeft: 8 + (g.depth - 1) * 14 }}>{g.name || formatCbsIdDisplay(g.id)}</td>
+                  <td style={td}>{money(g.stats.base)}</td>
+                  <td style={td}>{money(g.stats.mean)}</td>
+                  {runPercentileMetrics.map((m) => (
+                    <td key={m.key} style={td}>{money(g.stats.percentiles?.[m.key])}</td>
+                  ))}
+                  <td style={td}>{Number(g.stats.spearman_rho).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    )}
+
+    {/* --- Contingency allocation by CBS item --- */}
+    {contingencyAllocation && (
+      <div style={{ marginTop: 16 }}>
+        <div style={{ fontWeight: 800, marginBottom: 4 }} className="text-primary">
+          Contingency allocation ({money(contingencyAllocation.total)})
+        </div>
+        <div style={{ fontSize: 12, marginBottom: 8 }} className="text-muted">
+          How much of the P{Math.round(contingencyAllocation.to * 100)} − P{Math.round(contingencyAllocation.from * 100)} contingency each
+          {shownBreakdownLevel > 0 ? ` level ${shownBreakdownLevel} CBS item` : " cost item"} carries: its own range spread (inherent) plus its share of the
+          linked risks (contingent). Each part is in proportion to how much it moves the simulated total (covariance with the total), so the parts add up to the contingency.
+          {contingencyAllocation.inBrowser && " Computed in the browser from the same inputs and seed."}
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>WBS</th>
+                <th style={th}>CBS item</th>
+                <th style={th}>Inherent range</th>
+                <th style={th}>Contingent risk</th>
+                <th style={th}>Total</th>
+                <th style={th}>Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allocationRows.map((g) => (
+                <tr key={g.id}>
+                  <td style={td} className="text-secondary">{g.code}</td>
+                  <td style={{ ...td, paddingLeft: 8 + (g.depth - 1) * 14 }}>{g.name || formatCbsIdDisplay(g.id)}</td>
+                  <td style={td}>{money(g.inherent)}</td>
+                  <td style={td}>{money(g.contingent)}</td>
+                  <td style={{ ...td, fontWeight: 800 }}>{money(g.total)}</td>
+                  <td style={td}>{contingencyAllocation.total ? `${Math.round((g.total / contingencyAllocation.total) * 1000) / 10}%` : "—"}</td>
+                </tr>
+              ))}
+              {Math.abs(contingencyAllocation.unallocated) > 0.5 && (
+                <tr>
+                  <td style={td}></td>
+                  <td style={td} className="text-secondary" title="Risks (or parts of risks) with no CBS link">Unallocated risk (not linked to CBS)</td>
+                  <td style={td}>—</td>
+                  <td style={td}>{money(contingencyAllocation.unallocated)}</td>
+                  <td style={{ ...td, fontWeight: 800 }}>{money(contingencyAllocation.unallocated)}</td>
+                  <td style={td}>
+                    {contingencyAllocation.total ? `${Math.round((contingencyAllocation.unallocated / contingencyAllocation.total) * 1000) / 10}%` : "—"}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td style={{ ...td, fontWeight: 800 }} colSpan={4}>Total contingency</td>
+                <td style={{ ...td, fontWeight: 800 }}>{money(contingencyAllocation.total)}</td>
+                <td style={td}></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+    )}
+
+    {/* --- Cashflow by financial year --- */}
+    {cashflow && (
+      <div style={{ marginTop: 16 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 4 }}>
+          <div style={{ fontWeight: 800 }} className="text-primary">Cashflow by financial year</div>
+          <button className="btn" onClick={exportCashflowCsv}>Download CSV</button>
+        </div>
+        <div style={{ fontSize: 12, marginBottom: 8 }} className="text-muted">
+          Risk-adjusted cost per financial year at {cashflowLo.toUpperCase()} and {cashflowHi.toUpperCase()}, unescalated and escalated from {cashflow.baseDate}. Cumulative
+          figures are percentiles of the running total, so they are not the sum of the period figures.
+          {(cashflow.undated.cbs > 0 || cashflow.undated.risks > 0) &&
+            ` ${cashflow.undated.cbs} undated CBS item(s) are spread over the project span; ${cashflow.undated.risks} undated risk(s) follow their linked CBS items, or the project span when unlinked.`}
+          {cashflow.inBrowser && " Computed in the browser from the same inputs and seed."}
+        </div>
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Period</th>
+                <th style={th}>Dates</th>
+                <th style={th}>{cashflowLo.toUpperCase()}</th>
+                <th style={th}>{cashflowHi.toUpperCase()}</th>
+                <th style={th}>{cashflowLo.toUpperCase()} escalated</th>
+                <th style={th}>{cashflowHi.toUpperCase()} escalated</th>
+                <th style={th}>Cumulative {cashflowLo.toUpperCase()} escalated</th>
+                <th style={th}>Cumulative {cashflowHi.toUpperCase()} escalated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cashflow.periods.map((pd) => (
+                <tr key={pd.label}>
+                  <td style={{ ...td, fontWeight: 700 }}>{pd.label}</td>
+                  <td style={{ ...td, whiteSpace: "nowrap" }} className="text-secondary">{pd.start} – {pd.finish}</td>
+                  <td style={td}>{money(pd.unescalated[cashflowLo])}</td>
+                  <td style={td}>{money(pd.unescalated[cashflowHi])}</td>
+                  <td style={td}>{money(pd.escalated[cashflowLo])}</td>
+                  <td style={td}>{money(pd.escalated[cashflowHi])}</td>
+                  <td style={td}>{money(pd.cumulativeEscalated[cashflowLo])}</td>
+                  <td style={td}>{money(pd.cumulativeEscalated[cashflowHi])}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td style={{ ...td, fontWeight: 800 }} colSpan={2}>Total</td>
+                <td style={{ ...td, fontWeight: 800 }}>{money(cashflowLast.cumulativeUnescalated[cashflowLo])}</td>
+                <td style={{ ...td, fontWeight: 800 }}>{money(cashflowLast.cumulativeUnescalated[cashflowHi])}</td>
+                <td style={{ ...td, fontWeight: 800 }}>{money(cashflowLast.cumulativeEscalated[cashflowLo])}</td>
+                <td style={{ ...td, fontWeight: 800 }}>{money(cashflowLast.cumulativeEscalated[cashflowHi])}</td>
+                <td style={td} colSpan={2}></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <CashflowChart
+            cashflow={cashflow}
+            moneyCompact={moneyCompact}
+            filename={`${safeFilename(projectName) || "cost-risk"}-cashflow`}
+          />
+        </div>
+      </div>
+    )}
+
+    {/* --- Sensitivity (tornado) --- */}
     <div style={{ marginTop: 16 }}>
       <div style={{ fontWeight: 800, marginBottom: 8 }} className="text-primary">
         Sensitivity (Top drivers)
@@ -1766,99 +4226,58 @@ function App() {
           No sensitivity data returned. (Make sure your backend /simulate is returning <code>sensitivity</code>.)
         </div>
       ) : (
-        (() => {
-          // Grouping logic: "Dominant" >= 0.30 abs_rho, "Moderate" 0.15–0.30
-          const dom = sensitivity.filter((d) => Number(d.abs_rho) >= 0.30).slice(0, 8);
-          const mod = sensitivity
-            .filter((d) => Number(d.abs_rho) >= 0.15 && Number(d.abs_rho) < 0.30)
-            .slice(0, 10);
-
-          
-          const resolveDisplayName = (row) => {
-            if (row.category === "RISK") {
-              const r = risks.find(x => x.id === row.name);
-              return r ? r.name : row.name;
-            }
-            if (row.category === "CBS") {
-              const c = cbsItems.find(x => x.id === row.name);
-              return c ? c.name : row.name;
-            }
-            return row.name;
-          };
-
-const renderTable = (title, rows) => (
-            <div style={{ marginTop: 10 }}>
-              {/* Ensure legible text on light Results panel */}
-              {/* Table defaults to dark-theme text in some browsers; force dark text here */}
-
-              <div style={{ fontWeight: 700, marginBottom: 6 }} className="text-primary">
-                {title}{" "}
-                <span style={{ fontWeight: 600, color: "var(--text-muted)", fontSize: 12 }}>
-                  ({rows.length})
-                </span>
-              </div>
-
-              {rows.length === 0 ? (
-                <div style={{ fontSize: 12, color: "var(--text-secondary)" }}>None</div>
-              ) : (
-                <div style={{ overflowX: "auto", overflowY: "auto", maxHeight: "60vh" }}>
-                  <table style={{ width: "100%", borderCollapse: "collapse" }}>
-                    <thead>
-                      <tr>
-                        <th style={stickyTh}>Rank</th>
-                        <th style={stickyTh}>Driver</th>
-                        <th style={stickyTh}>Category</th>
-                        <th style={stickyTh}>Direction</th>
-                        <th style={stickyTh}>|ρ|</th>
-</tr>
-                    </thead>
-                    <tbody>
-                      {rows.map((r, i) => {
-                        const abs = Number(r.abs_rho) || 0;
-                        const rho = Number(r.spearman_rho) || 0;
-                        const sign = rho >= 0 ? "+" : "-";
-                        return (
-                          <tr key={`${title}-${r.name}-${i}`}>
-                            <td style={td}>{i + 1}</td>
-                            <td style={td}>
-                              <div style={{ fontWeight: 800, color: "var(--text-primary)" }}>
-                                {resolveDisplayName(r)}
-                              </div>
-                              <div style={{ fontSize: 12, color: "var(--text-muted)" }}>
-                                {r.category === "RISK" ? formatRiskIdDisplay(r.name) : r.category === "CBS" ? formatCbsIdDisplay(r.name) : String(r.name || "").toUpperCase()}
-                              </div>
-                            </td>
-                            <td style={td}>{r.category}</td>
-                            <td style={td}>
-                              <span style={{ fontWeight: 800 }} className="text-primary">
-                                {sign}
-                              </span>
-                            </td>
-                            <td style={td}>{abs.toFixed(3)}</td>
-                            </tr>
-                        );
-                      })}
-                    </tbody>
-
-
-                  </table>
-                </div>
-              )}
+        <div>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 10 }}>
+            <div style={{ width: 160 }}>
+              <label style={label}>Dominant |ρ| ≥</label>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={sensitivityDisplay.dominant}
+                onChange={(e) => updateSensitivityDisplay({ dominant: Math.min(1, Math.max(0, Number(e.target.value) || 0)) })}
+                style={input}
+              />
             </div>
-          );
-
-          return (
-            <div>
-              <div style={{ fontSize: 12, color: "var(--text-secondary)" }}>
-                Grouping rules: <strong>Dominant</strong> (|ρ| ≥ 0.30),{" "}
-                <strong>Moderate</strong> (0.15 ≤ |ρ| &lt; 0.30). (Spearman rank correlation.)
-              </div>
-
-              {renderTable("Dominant drivers", dom)}
-              {renderTable("Moderately dominant drivers", mod)}
+            <div style={{ width: 160 }}>
+              <label style={label}>Moderate |ρ| ≥</label>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={sensitivityDisplay.moderate}
+                onChange={(e) => updateSensitivityDisplay({ moderate: Math.min(1, Math.max(0, Number(e.target.value) || 0)) })}
+                style={input}
+              />
             </div>
-          );
-        })()
+            <div style={{ width: 120 }}>
+              <label style={label}>Show top</label>
+              <input
+                type="number"
+                min="1"
+                max="50"
+                step="1"
+                value={sensitivityDisplay.topN}
+                onChange={(e) => updateSensitivityDisplay({ topN: Math.min(50, Math.max(1, Math.round(Number(e.target.value) || 1))) })}
+                style={input}
+              />
+            </div>
+            <div style={{ fontSize: 12, color: "var(--text-secondary)", paddingBottom: 8 }}>
+              <strong>{groupedSensitivity.dominant.length}</strong> dominant,{" "}
+              <strong>{groupedSensitivity.moderate.length}</strong> moderately dominant drivers. (Spearman rank correlation.)
+            </div>
+          </div>
+
+          <TornadoChart
+            rows={levelSensitivity}
+            describe={(row) => describeSensitivityRow(row, runPayload || buildPayload())}
+            thresholds={sensitivityDisplay}
+            topN={sensitivityDisplay.topN}
+            filename={`${safeFilename(projectName) || "cost-risk"}-sensitivity`}
+          />
+        </div>
       )}
     </div>
 
@@ -1896,6 +4315,17 @@ const renderTable = (title, rows) => (
   </div>
 )}
 
+        {scenarios.length > 0 && (
+          <ScenarioComparison
+            scenarios={scenarios}
+            baselineId={baselineScenarioId}
+            onBaselineChange={setBaselineScenarioId}
+            onRemove={unpinScenario}
+            metrics={scenarioMetrics}
+            money={money}
+          />
+        )}
+
       </section>
       )}
 
@@ -1903,6 +4333,31 @@ const renderTable = (title, rows) => (
   );
 }
 
+function ErrorPanel({ errors }) {
+  return (
+    <div style={{ background: "#fff3f3", border: "1px solid #f3b5b5", padding: 12, borderRadius: 8 }}>
+      <div style={{ fontWeight: 700, marginBottom: 6, color: "var(--danger)" }}>Validation / API errors / import warnings</div>
+      <pre style={{ margin: 0, whiteSpace: "pre-wrap" }}>{JSON.stringify(errors, null, 2)}</pre>
+    </div>
+  );
+}
+
+// Column header that sorts the risk table: ascending, descending, then back to register order
+function SortableTh({ label, sortKey, sort, onSort, style }) {
+  const active = sort?.key === sortKey;
+  return (
+    <th style={{ ...stickyTh, ...style }} aria-sort={active ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}>
+      <button
+        onClick={() => onSort(nextRiskSort(sort, sortKey))}
+        style={{ background: "none", border: "none", padding: 0, font: "inherit", color: "inherit", cursor: "pointer", textAlign: "inherit" }}
+        title="Sort by this column"
+      >
+        {label} {active ? (sort.dir === "asc" ? "▲" : "▼") : ""}
+      </button>
+    </th>
+  );
+}
+
 function ResultBox({ label, value }) {
   return (
     <div
@@ -1916,57 +4371,4 @@ function ResultBox({ label, value }) {
   );
 }
 
-// Keep panel geometry consistent across tabs to avoid perceived layout "jump".
-// Cost model is naturally taller; this minHeight gives the other tabs a similar canvas.
-const card = {
-  background: "var(--card-bg)",
-  border: "1px solid var(--border-card)",
-  boxShadow: "0 1px 2px rgba(0,0,0,0.06)",
-  borderRadius: 10,
-  padding: 16,
-  marginBottom: 18,
-  width: "100%",
-  boxSizing: "border-box",
-  minHeight: 640,
-  minWidth: 1200,
-};
-
-const table = { width: "100%", borderCollapse: "collapse", background: "var(--table-bg)" };
-
-const th = {
-  textAlign: "left",
-  borderBottom: "1px solid var(--border-card)",
-  padding: "12px 10px",
-  background: "var(--table-head-bg)",
-  color: "var(--text-primary)",
-  fontWeight: 700,
-  fontSize: 13,
-};
-
-const stickyTh = {
-  ...th,
-  position: "sticky",
-  top: 0,
-  zIndex: 3,
-};
-
-const td = {
-  borderBottom: "1px solid var(--border-card)",
-  padding: "12px 10px",
-  verticalAlign: "top",
-  color: "var(--text-primary)",
-};
-
-const input = {
-  width: "100%",
-  padding: 8,
-  border: "1px solid var(--border-input)",
-  borderRadius: 8,
-  boxSizing: "border-box",
-  background: "var(--input-bg)",
-  color: "var(--text-primary)",
-};
-
-const label = { display: "block", fontSize: 12, color: "var(--text-secondary)", marginBottom: 6 };
-
 export default App;
@@ -0,0 +1,101 @@
+import { useRef } from "react";
+import { niceTicks } from "./distribution";
+import ChartExportButtons from "./ChartExportButtons";
+
+const W = 920;
+const H = 360;
+const M = { left: 72, right: 24, top: 24, bottom: 64 };
+const PLOT_W = W - M.left - M.right;
+const PLOT_H = H - M.top - M.bottom;
+
+const COLORS = {
+  low: "#1d4ed8",
+  high: "#dc2626",
+  axis: "#6b7280",
+  grid: "#e5e7eb",
+  text: "#111827",
+};
+
+/**
+ * Cumulative cost by financial year (cashflow S-curves) at the two contingency percentiles,
+ * escalated (solid) and unescalated (dashed). cashflow: runSimulation().cashflow
+ */
+function CashflowChart({ cashflow, moneyCompact, filename = "cashflow" }) {
+  const svgRef = useRef(null);
+  const periods = cashflow.periods;
+  const [lo, hi] = cashflow.percentiles;
+  const series = [
+    { p: lo, escalated: true, color: COLORS.low },
+    { p: hi, escalated: true, color: COLORS.high },
+    { p: lo, escalated: false, color: COLORS.low },
+    { p: hi, escalated: false, color: COLORS.high },
+  ].map((s) => ({
+    ...s,
+    label: `P${Math.round(s.p * 100)} ${s.escalated ? "escalated" : "unescalated"}`,
+    values: periods.map((pd) => (s.escalated ? pd.cumulativeEscalated : pd.cumulativeUnescalated)[`p${Math.round(s.p * 100)}`]),
+  }));
+
+  const yMax = Math.max(1, ...series.flatMap((s) => s.values.filter(Number.isFinite))) * 1.05;
+  const yTicks = niceTicks(0, yMax, 5);
+  const sx = (i) => M.left + (periods.length === 1 ? PLOT_W / 2 : (i / (periods.length - 1)) * PLOT_W);
+  const sy = (v) => M.top + PLOT_H - (v / yMax) * PLOT_H;
+
+  return (
+    <div>
+      <ChartExportButtons svgRef={svgRef} filename={filename} style={{ justifyContent: "flex-end" }} />
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: "100%", maxWidth: W, height: "auto", display: "block", marginTop: 10 }}
+        fontFamily="Arial, sans-serif"
+        data-report-chart="cashflow_s_curve"
+        role="img"
+        aria-label="Cumulative cost by financial year"
+      >
+        <rect x="0" y="0" width={W} height={H} fill="#ffffff" />
+
+        {yTicks.map((t) => (
+          <g key={t}>
+            <line x1={M.left} x2={M.left + PLOT_W} y1={sy(t)} y2={sy(t)} stroke={COLORS.grid} />
+            <text x={M.left - 8} y={sy(t) + 4} fontSize="11" textAnchor="end" fill={COLORS.axis}>
+              {moneyCompact(t)}
+            </text>
+          </g>
+        ))}
+        <line x1={M.left} x2={M.left + PLOT_W} y1={M.top + PLOT_H} y2={M.top + PLOT_H} stroke={COLORS.axis} />
+        {periods.map((pd, i) => (
+          <text key={pd.label} x={sx(i)} y={M.top + PLOT_H + 18} fontSize="11" textAnchor="middle" fill={COLORS.axis}>
+            {pd.label}
+          </text>
+        ))}
+        <text x={16} y={M.top + PLOT_H / 2} fontSize="12" textAnchor="middle" fill={COLORS.text} transform={`rotate(-90 16 ${M.top + PLOT_H / 2})`}>
+          Cumulative cost
+        </text>
+
+        {series.map((s) => (
+          <g key={s.label}>
+            <path
+              d={s.values.map((v, i) => `${i === 0 ? "M" : "L"}${sx(i).toFixed(1)},${sy(v).toFixed(1)}`).join(" ")}
+              fill="none"
+              stroke={s.color}
+              strokeWidth={s.escalated ? 2.5 : 1.5}
+              strokeDasharray={s.escalated ? undefined : "6 4"}
+            />
+            {s.escalated && s.values.map((v, i) => <circle key={i} cx={sx(i)} cy={sy(v)} r="3.5" fill={s.color} />)}
+          </g>
+        ))}
+
+        {/* Legend */}
+        {series.map((s, i) => (
+          <g key={s.label} transform={`translate(${M.left + i * 190}, ${H - 18})`}>
+            <line x1="0" x2="24" y1="-4" y2="-4" stroke={s.color} strokeWidth={s.escalated ? 2.5 : 1.5} strokeDasharray={s.escalated ? undefined : "6 4"} />
+            <text x="30" y="0" fontSize="11" fill={COLORS.text}>{s.label}</text>
+          </g>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+export default CashflowChart;
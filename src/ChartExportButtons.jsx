@@ -0,0 +1,31 @@
+import { useState } from "react";
+import { downloadPng, downloadSvg } from "./chartExport";
+
+/**
+ * "Download SVG" / "Download PNG" for a chart. svgRef: ref to the chart's <svg>; filename without extension.
+ * A failed export (serialising the SVG, or the browser refusing to rasterise it) is shown next to the buttons.
+ */
+function ChartExportButtons({ svgRef, filename, style }) {
+  const [error, setError] = useState(null);
+
+  async function exportAs(kind) {
+    setError(null);
+    try {
+      if (kind === "svg") downloadSvg(svgRef.current, `${filename}.svg`);
+      else await downloadPng(svgRef.current, `${filename}.png`);
+    } catch (e) {
+      console.error(e);
+      setError(`${kind.toUpperCase()} export failed: ${e?.message || e}`);
+    }
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", ...style }}>
+      {error && <span style={{ fontSize: 12, color: "var(--danger)" }}>{error}</span>}
+      <button className="btn" onClick={() => exportAs("svg")}>Download SVG</button>
+      <button className="btn" onClick={() => exportAs("png")}>Download PNG</button>
+    </div>
+  );
+}
+
+export default ChartExportButtons;
@@ -0,0 +1,86 @@
+import { pairKey } from "./correlationMatrix";
+import { th, stickyTh, td, input } from "./styles";
+
+const cellPad = { padding: "4px 4px", textAlign: "center" };
+
+// Blue for positive, red for negative correlation; stronger = more opaque
+function heat(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n === 0) return "transparent";
+  const alpha = Math.min(1, Math.abs(n)) * 0.55;
+  return n > 0 ? `rgba(29, 78, 216, ${alpha})` : `rgba(220, 38, 38, ${alpha})`;
+}
+
+/**
+ * Heat-map grid for the Advanced correlation matrix.
+ * Entries above the diagonal are edited; the mirror image below shows the same value (the matrix is symmetric).
+ * entities: correlationEntities(); pairs: { pairKey: ρ }; onChange(key, value) with "" clearing an entry.
+ */
+function CorrelationMatrixEditor({ entities, pairs, onChange }) {
+  if (entities.length === 0) {
+    return <div className="text-muted" style={{ fontSize: 12 }}>Add CBS items or contingent risks to build a matrix.</div>;
+  }
+
+  return (
+    <div style={{ overflow: "auto", maxHeight: 520, border: "1px solid var(--border-card)", borderRadius: 8 }}>
+      <table style={{ borderCollapse: "collapse", background: "var(--table-bg)" }}>
+        <thead>
+          <tr>
+            <th style={{ ...stickyTh, left: 0, zIndex: 4, minWidth: 220 }}>Item</th>
+            {entities.map((e) => (
+              <th key={e.key} style={{ ...stickyTh, ...cellPad, minWidth: 64, whiteSpace: "nowrap" }} title={`${e.code} ${e.name}`}>
+                {e.code}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {entities.map((row, i) => (
+            <tr key={row.key}>
+              <th
+                style={{ ...th, position: "sticky", left: 0, zIndex: 2, padding: "4px 10px", fontWeight: 600, whiteSpace: "nowrap", maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis" }}
+                title={`${row.code} ${row.name}`}
+              >
+                <span className="text-muted" style={{ marginRight: 6 }}>{row.code}</span>
+                {row.name}
+              </th>
+              {entities.map((col, j) => {
+                if (i === j) {
+                  return <td key={col.key} style={{ ...td, ...cellPad, background: heat(1), color: "#ffffff", fontWeight: 700 }}>1</td>;
+                }
+                const key = pairKey(row.key, col.key);
+                const value = pairs[key] ?? "";
+                if (j < i) {
+                  const n = Number(value);
+                  return (
+                    <td key={col.key} style={{ ...td, ...cellPad, background: heat(value), fontSize: 12 }} title={`${row.code} × ${col.code}`}>
+                      {value === "" || !Number.isFinite(n) ? "" : Math.round(n * 100) / 100}
+                    </td>
+                  );
+                }
+                return (
+                  <td key={col.key} style={{ ...td, ...cellPad, background: heat(value) }}>
+                    <input
+                      type="number"
+                      min="-1"
+                      max="1"
+                      step="0.05"
+                      value={value}
+                      placeholder="0"
+                      onChange={(e) => onChange(key, e.target.value)}
+                      style={{ ...input, width: 64, padding: 4, fontSize: 12, background: "transparent" }}
+                      aria-label={`Correlation ${row.code} × ${col.code}`}
+                      title={`${row.code} ${row.name} × ${col.code} ${col.name}`}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default CorrelationMatrixEditor;
@@ -0,0 +1,205 @@
+import { useMemo, useRef, useState } from "react";
+import { cdfAt, niceTicks } from "./distribution";
+import ChartExportButtons from "./ChartExportButtons";
+
+const W = 920;
+const H = 380;
+const M = { left: 64, right: 64, top: 24, bottom: 56 };
+const PLOT_W = W - M.left - M.right;
+const PLOT_H = H - M.top - M.bottom;
+
+const COLORS = {
+  bar: "#bfdbfe",
+  barStroke: "#93c5fd",
+  curve: "#1d4ed8",
+  axis: "#6b7280",
+  grid: "#e5e7eb",
+  text: "#111827",
+  base: "#047857",
+  marker: "#dc2626",
+};
+
+/**
+ * Histogram + cumulative probability (S-curve) of simulated total cost.
+ * markers: [{ label, value, kind: "base" | "percentile" }]
+ */
+function CostDistributionChart({ distribution, markers = [], money, moneyCompact, filename = "cost-distribution" }) {
+  const svgRef = useRef(null);
+  const [view, setView] = useState("both"); // both | histogram | scurve
+  const [hoverX, setHoverX] = useState(null);
+
+  const geom = useMemo(() => {
+    const { bins, cdf } = distribution;
+    const values = [bins[0].x0, bins[bins.length - 1].x1, cdf[0].x, cdf[cdf.length - 1].x];
+    markers.forEach((m) => Number.isFinite(m.value) && values.push(m.value));
+    let xMin = Math.min(...values);
+    let xMax = Math.max(...values);
+    if (xMax === xMin) {
+      xMin -= 1;
+      xMax += 1;
+    }
+    const pad = (xMax - xMin) * 0.02;
+    xMin -= pad;
+    xMax += pad;
+
+    const maxCount = Math.max(1, ...bins.map((b) => b.count));
+    const sx = (x) => M.left + ((x - xMin) / (xMax - xMin)) * PLOT_W;
+    const syCount = (c) => M.top + PLOT_H - (c / maxCount) * PLOT_H;
+    const syP = (p) => M.top + PLOT_H - p * PLOT_H;
+
+    const curve = cdf.map((pt, i) => `${i === 0 ? "M" : "L"}${sx(pt.x).toFixed(1)},${syP(pt.p).toFixed(1)}`).join(" ");
+    return { xMin, xMax, maxCount, sx, syCount, syP, curve, xTicks: niceTicks(xMin, xMax, 6) };
+  }, [distribution, markers]);
+
+  const showBars = view !== "scurve";
+  const showCurve = view !== "histogram";
+
+  function onMouseMove(e) {
+    const rect = svgRef.current.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * W;
+    if (px < M.left || px > M.left + PLOT_W) {
+      setHoverX(null);
+      return;
+    }
+    setHoverX(geom.xMin + ((px - M.left) / PLOT_W) * (geom.xMax - geom.xMin));
+  }
+
+  const hoverP = hoverX === null ? null : cdfAt(distribution, hoverX);
+  const hoverText =
+    hoverP === null || !Number.isFinite(hoverP)
+      ? ""
+      : `${Math.round(hoverP * 100)}% confidence of delivering under ${money(hoverX)}`;
+  const tooltipLeft = hoverX !== null && geom.sx(hoverX) > M.left + PLOT_W / 2;
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div style={{ display: "flex", gap: 8 }}>
+          {[
+            ["both", "Histogram + S-curve"],
+            ["histogram", "Histogram"],
+            ["scurve", "S-curve"],
+          ].map(([key, text]) => (
+            <button key={key} onClick={() => setView(key)} className={`btn ${view === key ? "tabBtnActive" : ""}`}>
+              {text}
+            </button>
+          ))}
+        </div>
+        <ChartExportButtons svgRef={svgRef} filename={filename} />
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: "100%", maxWidth: W, height: "auto", display: "block", marginTop: 10 }}
+        fontFamily="Arial, sans-serif"
+        data-report-chart="cost_distribution"
+        onMouseMove={onMouseMove}
+        onMouseLeave={() => setHoverX(null)}
+        role="img"
+        aria-label="Distribution of simulated total cost"
+      >
+        <rect x="0" y="0" width={W} height={H} fill="#ffffff" />
+
+        {/* Grid + axes */}
+        {geom.xTicks.map((t) => (
+          <g key={t}>
+            <line x1={geom.sx(t)} x2={geom.sx(t)} y1={M.top} y2={M.top + PLOT_H} stroke={COLORS.grid} />
+            <text x={geom.sx(t)} y={M.top + PLOT_H + 18} fontSize="11" textAnchor="middle" fill={COLORS.axis}>
+              {moneyCompact(t)}
+            </text>
+          </g>
+        ))}
+        <line x1={M.left} x2={M.left + PLOT_W} y1={M.top + PLOT_H} y2={M.top + PLOT_H} stroke={COLORS.axis} />
+        <text x={M.left + PLOT_W / 2} y={H - 12} fontSize="12" textAnchor="middle" fill={COLORS.text}>
+          Total cost
+        </text>
+
+        {showBars && (
+          <g>
+            <text x={16} y={M.top + PLOT_H / 2} fontSize="12" textAnchor="middle" fill={COLORS.text} transform={`rotate(-90 16 ${M.top + PLOT_H / 2})`}>
+              Iterations
+            </text>
+            {[0, 0.5, 1].map((f) => (
+              <text key={f} x={M.left - 8} y={geom.syCount(geom.maxCount * f) + 4} fontSize="11" textAnchor="end" fill={COLORS.axis}>
+                {Math.round(geom.maxCount * f)}
+              </text>
+            ))}
+            {distribution.bins.map((b, i) => (
+              <rect
+                key={i}
+                x={geom.sx(b.x0)}
+                y={geom.syCount(b.count)}
+                width={Math.max(0.5, geom.sx(b.x1) - geom.sx(b.x0) - 1)}
+                height={M.top + PLOT_H - geom.syCount(b.count)}
+                fill={COLORS.bar}
+                stroke={COLORS.barStroke}
+              />
+            ))}
+          </g>
+        )}
+
+        {showCurve && (
+          <g>
+            <text x={W - 14} y={M.top + PLOT_H / 2} fontSize="12" textAnchor="middle" fill={COLORS.text} transform={`rotate(90 ${W - 14} ${M.top + PLOT_H / 2})`}>
+              Cumulative probability
+            </text>
+            {[0, 0.25, 0.5, 0.75, 1].map((p) => (
+              <text key={p} x={M.left + PLOT_W + 8} y={geom.syP(p) + 4} fontSize="11" fill={COLORS.axis}>
+                {Math.round(p * 100)}%
+              </text>
+            ))}
+            <path d={geom.curve} fill="none" stroke={COLORS.curve} strokeWidth="2.5" />
+          </g>
+        )}
+
+        {/* Base total + percentile markers */}
+        {markers
+          .filter((m) => Number.isFinite(m.value))
+          .map((m, i) => {
+            const x = geom.sx(m.value);
+            const color = m.kind === "base" ? COLORS.base : COLORS.marker;
+            return (
+              <g key={`${m.label}-${i}`}>
+                <line x1={x} x2={x} y1={M.top} y2={M.top + PLOT_H} stroke={color} strokeDasharray="5 4" strokeWidth="1.5" />
+                <text x={x + 3} y={M.top + 12 + (i % 3) * 13} fontSize="11" fontWeight="700" fill={color}>
+                  {m.label}
+                </text>
+              </g>
+            );
+          })}
+
+        {/* Hover readout (left out of exports) */}
+        {hoverText && (
+          <g data-export-ignore="true" pointerEvents="none">
+            <line x1={geom.sx(hoverX)} x2={geom.sx(hoverX)} y1={M.top} y2={M.top + PLOT_H} stroke={COLORS.text} strokeWidth="1" />
+            {showCurve && <circle cx={geom.sx(hoverX)} cy={geom.syP(hoverP)} r="4" fill={COLORS.curve} />}
+            <rect
+              x={tooltipLeft ? geom.sx(hoverX) - 348 : geom.sx(hoverX) + 8}
+              y={M.top + PLOT_H - 40}
+              width="340"
+              height="26"
+              rx="6"
+              fill="#111827"
+              opacity="0.9"
+            />
+            <text
+              x={tooltipLeft ? geom.sx(hoverX) - 340 : geom.sx(hoverX) + 16}
+              y={M.top + PLOT_H - 22}
+              fontSize="12"
+              fill="#ffffff"
+            >
+              {hoverText}
+            </text>
+          </g>
+        )}
+      </svg>
+
+      <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+        Based on {distribution.n.toLocaleString("en-AU")} iterations. Hover the chart to read the confidence of delivering under a given cost.
+      </div>
+    </div>
+  );
+}
+
+export default CostDistributionChart;
@@ -0,0 +1,104 @@
+import AmountInput from "./AmountInput";
+import { DISTRIBUTIONS, distributionKey, distributionPreview, threePointHint } from "./itemDistributions";
+import { input } from "./styles";
+
+const PREVIEW_W = 72;
+const PREVIEW_H = 22;
+
+// Tiny histogram of the shape that will be simulated (dashed outline when the inputs are not usable yet)
+function ShapePreview({ preview, title }) {
+  if (!preview) {
+    return (
+      <svg width={PREVIEW_W} height={PREVIEW_H} role="img" aria-label="No preview">
+        <title>{title}</title>
+        <rect x={0.5} y={0.5} width={PREVIEW_W - 1} height={PREVIEW_H - 1} fill="none" stroke="var(--border-input)" strokeDasharray="3 2" />
+      </svg>
+    );
+  }
+  const w = PREVIEW_W / preview.bars.length;
+  return (
+    <svg width={PREVIEW_W} height={PREVIEW_H} role="img" aria-label="Distribution preview">
+      <title>{title}</title>
+      {preview.bars.map((h, i) => (
+        <rect key={i} x={i * w} y={PREVIEW_H - h * (PREVIEW_H - 2)} width={Math.max(1, w - 0.5)} height={h * (PREVIEW_H - 2)} fill="var(--accent)" opacity={0.75} />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Distribution selector for a CBS item or risk impact: the shape, a preview of it, a hint on how the
+ * three-point inputs are read and, for Discrete, the outcome / weight list.
+ * points: { low, ml, high } as the row currently resolves them; onChange(patch) with { distribution } or { outcomes }
+ */
+function DistributionPicker({ distribution, outcomes, points, onChange, format, disabled = false, invalid = false }) {
+  const key = distributionKey(distribution);
+  const list = outcomes || [];
+  const preview = disabled ? null : distributionPreview(key, points, list);
+  const info = DISTRIBUTIONS.find((d) => d.key === key);
+  const hint = threePointHint(key);
+
+  const updateOutcome = (i, patch) => onChange({ outcomes: list.map((o, k) => (k === i ? { ...o, ...patch } : o)) });
+
+  return (
+    <div style={{ minWidth: 190 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <select
+          value={key}
+          onChange={(e) => onChange({ distribution: e.target.value })}
+          style={{ ...input, flex: "1 1 auto", border: invalid ? "2px solid var(--danger)" : "1px solid #ccc" }}
+          disabled={disabled}
+          title={info.help}
+          aria-label="Distribution"
+        >
+          {DISTRIBUTIONS.map((d) => (
+            <option key={d.key} value={d.key} title={d.help}>{d.label}</option>
+          ))}
+        </select>
+        <ShapePreview preview={preview} title={preview ? `${info.label}: ${format.money(preview.min)} – ${format.money(preview.max)}` : info.help} />
+      </div>
+      {hint && !disabled && (
+        <div style={{ fontSize: 11, marginTop: 4 }} className="text-muted">{hint}</div>
+      )}
+
+      {key === "discrete" && !disabled && (
+        <div style={{ marginTop: 6 }}>
+          {list.map((o, i) => (
+            <div key={i} style={{ display: "flex", gap: 4, alignItems: "center", marginBottom: 4 }}>
+              <AmountInput
+                value={o.value}
+                onChange={(v) => updateOutcome(i, { value: v })}
+                format={format}
+                style={{ ...input, width: 100, padding: 4, fontSize: 12 }}
+                aria-label={`Outcome ${i + 1} value`}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.05"
+                value={o.weight}
+                onChange={(e) => updateOutcome(i, { weight: e.target.value })}
+                style={{ ...input, width: 64, padding: 4, fontSize: 12 }}
+                title="Relative weight (weights are scaled to add up to 100%)"
+                aria-label={`Outcome ${i + 1} weight`}
+              />
+              <button
+                onClick={() => onChange({ outcomes: list.filter((_, k) => k !== i) })}
+                className="iconBtn"
+                title="Remove outcome"
+                aria-label={`Remove outcome ${i + 1}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button className="btn" onClick={() => onChange({ outcomes: [...list, { value: "", weight: 1 }] })} style={{ fontSize: 12 }}>
+            + Outcome
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DistributionPicker;
@@ -0,0 +1,104 @@
+import { SENSITIVITY_LEVELS } from "./driverGroups";
+
+const SENSITIVITY_LABELS = { none: "None", low: "Low", medium: "Med", high: "High" };
+
+const chip = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 4,
+  border: "1px solid var(--border-input)",
+  borderRadius: 999,
+  padding: "2px 4px 2px 8px",
+  fontSize: 12,
+  background: "var(--input-bg)",
+  maxWidth: 260,
+};
+
+const chipSelect = {
+  border: "none",
+  background: "transparent",
+  color: "var(--text-primary)",
+  fontSize: 12,
+  padding: 0,
+  cursor: "pointer",
+};
+
+/**
+ * Compact editor for a CBS item's driver assignments (Standard correlation): one chip per driver with its
+ * sensitivity, a picker to add another, and the combined weight √(Σ loading²) flagged when it exceeds 1.
+ * value: [{ driverGroup, sensitivity }]; loadingOf(assignment): that assignment's loading (0–1)
+ */
+function DriverChips({ value, onChange, driverOptions, driverTooltips, loadingOf, combined }) {
+  const assigned = new Set(value.map((a) => a.driverGroup));
+  const available = driverOptions.filter((d) => !assigned.has(d));
+  const tooStrong = combined > 1 + 1e-9;
+
+  const update = (i, patch) => onChange(value.map((a, k) => (k === i ? { ...a, ...patch } : a)));
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 4, alignItems: "center", minWidth: 220, maxWidth: 320 }}>
+      {value.map((a, i) => {
+        const known = driverOptions.includes(a.driverGroup);
+        return (
+          <span
+            key={a.driverGroup}
+            style={{ ...chip, borderColor: known ? "var(--border-input)" : "var(--danger)" }}
+            title={known ? `${driverTooltips[a.driverGroup] || a.driverGroup}\nLoading ${loadingOf(a).toFixed(2)}` : "This driver is not defined in Project Settings."}
+          >
+            <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+              {a.driverGroup}{known ? "" : " (not defined)"}
+            </span>
+            <select
+              value={a.sensitivity || "medium"}
+              onChange={(e) => update(i, { sensitivity: e.target.value })}
+              style={chipSelect}
+              aria-label={`Sensitivity to ${a.driverGroup}`}
+            >
+              {SENSITIVITY_LEVELS.map((s) => (
+                <option key={s} value={s}>{SENSITIVITY_LABELS[s]}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onChange(value.filter((_, k) => k !== i))}
+              style={{ ...chipSelect, fontWeight: 700, padding: "0 4px" }}
+              title="Remove driver"
+              aria-label={`Remove ${a.driverGroup}`}
+            >
+              ×
+            </button>
+          </span>
+        );
+      })}
+
+      {available.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...value, { driverGroup: e.target.value, sensitivity: "medium" }])}
+          style={{ ...chip, padding: "2px 8px", cursor: "pointer", color: "var(--text-secondary)" }}
+          title="Add a driver that influences this cost item"
+          aria-label="Add driver"
+        >
+          <option value="">{value.length ? "+ driver" : "Select driver…"}</option>
+          {available.map((d) => (
+            <option key={d} value={d} title={driverTooltips[d] || ""}>{d}</option>
+          ))}
+        </select>
+      )}
+
+      {value.length > 1 && (
+        <span
+          style={{ fontSize: 11, fontWeight: tooStrong ? 700 : 400, color: tooStrong ? "var(--danger)" : "var(--text-muted)" }}
+          title={
+            tooStrong
+              ? "Combined driver weight above 1 is not possible; the simulation scales this item's loadings down to 1. Lower a sensitivity or a driver's shock strength."
+              : "Combined driver weight √(Σ loading²): the share of this item's variation that comes from its drivers"
+          }
+        >
+          Σ {combined.toFixed(2)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default DriverChips;
@@ -0,0 +1,397 @@
+import { useMemo, useState } from "react";
+import { columnLetter } from "./csv";
+import {
+  CBS_IMPORT_FIELDS,
+  RISK_IMPORT_FIELDS,
+  guessHeaderRow,
+  mapCbsRows,
+  mapRiskRows,
+  resolveColumns,
+} from "./registerImport";
+import { IMPORT_MODES, summariseChanges } from "./registerMerge";
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+import { formatCbsLinks } from "./riskLinks";
+import { riskStatusLabel } from "./riskRegister";
+import { formatDriverAssignments } from "./driverGroups";
+import { formatFieldValue } from "./fieldFormat";
+import { table, th, td, input, label } from "./styles";
+
+const SOURCE_PREVIEW_ROWS = 6;
+const PARSED_PREVIEW_ROWS = 10;
+const WARNINGS_SHOWN = 10;
+const CHANGES_SHOWN = 50;
+
+const CHANGE_COLORS = { added: "#047857", changed: "var(--accent)", removed: "var(--danger)", duplicate: "#b45309" };
+const CHANGE_LABELS = { added: "Added", changed: "Changed", removed: "Removed", duplicate: "Duplicate", unchanged: "Unchanged" };
+
+const cell = { ...td, padding: "6px 8px", whiteSpace: "nowrap" };
+const headCell = { ...th, padding: "6px 8px", whiteSpace: "nowrap" };
+
+function initialSelection(sheets, kind, savedMapping) {
+  const savedSheet = savedMapping ? sheets.findIndex((s) => s.name === savedMapping.sheetName) : -1;
+  const sheetIndex = savedSheet !== -1 ? savedSheet : Math.max(0, sheets.findIndex((s) => s.rows.length > 0));
+  const rows = sheets[sheetIndex]?.rows || [];
+  const savedRow = Number(savedMapping?.headerRow);
+  const headerRow =
+    savedSheet !== -1 && Number.isInteger(savedRow) && savedRow >= 0 && savedRow < rows.length
+      ? savedRow
+      : guessHeaderRow(rows, kind);
+  return {
+    sheetIndex,
+    headerRow,
+    columns: resolveColumns(rows[headerRow], kind, savedMapping?.columns),
+    mode: IMPORT_MODES.some((m) => m.key === savedMapping?.mode) ? savedMapping.mode : "replace",
+    removeMissing: !!savedMapping?.removeMissing,
+  };
+}
+
+// "Action · owner · cost" plus the post-mitigation values the file sets
+function formatMitigation(r, fmt) {
+  const parts = [r.mitigationAction, r.owner, r.mitigationCost !== null && r.mitigationCost !== undefined ? fmt(r.mitigationCost) : null].filter(Boolean);
+  const post = [
+    r.postProbability !== null && r.postProbability !== undefined ? `P ${Math.round(r.postProbability * 1000) / 10}%` : null,
+    ...[r.postLowCost, r.postMostLikelyCost, r.postHighCost].map((v) => (v !== null && v !== undefined ? fmt(v) : null)),
+  ];
+  if (post.some((v) => v !== null)) parts.push(`post ${post.map((v) => v ?? "=").join(" / ")}`);
+  return parts.length ? parts.join(" · ") : "—";
+}
+
+// "Category · status · raised → review" for the risk preview
+function formatRegisterDetails(r) {
+  const dates = r.dateRaised || r.reviewDate ? `${r.dateRaised || "?"} → ${r.reviewDate || "?"}` : null;
+  const parts = [r.category, r.status ? riskStatusLabel(r.status) : null, dates].filter(Boolean);
+  return parts.length ? parts.join(" · ") : "—";
+}
+
+function formatDates(r) {
+  return r.startDate || r.finishDate ? `${r.startDate || "?"} – ${r.finishDate || "?"}` : "—";
+}
+
+/**
+ * Import wizard for CSV and .xlsx registers:
+ * - pick the worksheet and header row, map each file column to a register field
+ * - choose replace / append / update-by-ID-or-name and review the diff against the current register
+ *   before anything changes in the project
+ * kind: "cbs" | "risk"; sheets: [{ name, rows }] (a CSV is a single sheet).
+ * savedMapping: mapping remembered for this file name (see loadImportMapping), or null.
+ * mapOptions: extra options for mapCbsRows (driverOptions, confidenceFactors) / mapRiskRows (cbsIds).
+ * planImport(parsedRows, { mode, removeMissing }) returns the registerMerge plan for the preview.
+ * onImport({ sheetIndex, headerRow, columns, mode, removeMissing }) receives 0-based indexes.
+ */
+function ImportWizard({ kind, fileName, sheets, savedMapping, mapOptions, money, planImport, onImport, onCancel }) {
+  const [selection, setSelection] = useState(() => initialSelection(sheets, kind, savedMapping));
+  const { sheetIndex, headerRow, columns, mode, removeMissing } = selection;
+
+  const fields = kind === "risk" ? RISK_IMPORT_FIELDS : CBS_IMPORT_FIELDS;
+  const grid = useMemo(() => sheets[sheetIndex]?.rows || [], [sheets, sheetIndex]);
+  const headerCells = grid[headerRow] || [];
+
+  const parsed = useMemo(() => {
+    if (kind === "risk") {
+      const { risks, warnings } = mapRiskRows(grid, columns, { ...mapOptions, headerRow });
+      return { rows: risks, warnings };
+    }
+    return mapCbsRows(grid, columns, { ...mapOptions, headerRow });
+  }, [grid, columns, headerRow, kind, mapOptions]);
+
+  function selectSource(nextSheet, nextHeaderRow) {
+    const rows = sheets[nextSheet]?.rows || [];
+    const hr = nextHeaderRow ?? guessHeaderRow(rows, kind);
+    setSelection((prev) => ({
+      ...prev,
+      sheetIndex: nextSheet,
+      headerRow: hr,
+      columns: resolveColumns(rows[hr], kind, savedMapping?.columns),
+    }));
+  }
+
+  function mapField(field, idx) {
+    setSelection((prev) => ({ ...prev, columns: { ...prev.columns, [field]: idx } }));
+  }
+
+  const missingRequired = fields.filter((f) => f.required && (columns[f.key] === -1 || columns[f.key] === undefined));
+
+  const plan = useMemo(
+    () => (missingRequired.length ? null : planImport(parsed.rows, { mode, removeMissing })),
+    [missingRequired.length, planImport, parsed.rows, mode, removeMissing]
+  );
+  const counts = plan ? summariseChanges(plan.changes) : null;
+  const visibleChanges = plan ? plan.changes.filter((c) => c.change !== "unchanged") : [];
+  const formatId = kind === "risk" ? formatRiskIdDisplay : formatCbsIdDisplay;
+
+  const sourceRows = grid.slice(headerRow, headerRow + SOURCE_PREVIEW_ROWS);
+  const colCount = Math.max(1, ...sourceRows.map((r) => r.length));
+  const fieldsByColumn = {};
+  fields.forEach((f) => {
+    const idx = columns[f.key];
+    if (idx !== -1 && idx !== undefined) (fieldsByColumn[idx] ||= []).push(f.label);
+  });
+
+  const canImport = missingRequired.length === 0 && parsed.rows.length > 0;
+  const noun = kind === "risk" ? "risks" : "cost rows";
+  const fmt = (v) => (typeof v === "number" && Number.isFinite(v) ? money(v) : "—");
+  // Discrete rows list their outcomes; a blank cell keeps the current shape
+  const formatShape = (r) =>
+    r.distribution === "discrete"
+      ? `Discrete: ${formatFieldValue("outcomes", r.outcomes, money)}`
+      : formatFieldValue("distribution", r.distribution, money);
+
+  const parsedColumns =
+    kind === "risk"
+      ? [
+          ["Name", (r) => r.name],
+          ["Type", (r) => r.riskType],
+          ["Probability", (r) => `${Math.round(r.probability * 1000) / 10}%`],
+          ["Low", (r) => fmt(r.lowCost)],
+          ["Most likely", (r) => fmt(r.mostLikelyCost)],
+          ["High", (r) => fmt(r.highCost)],
+          ["Distribution", formatShape],
+          ["CBS links", (r) => (r.cbsLinks ? formatCbsLinks(r.cbsLinks) || "—" : "—")],
+          ["Dates", formatDates],
+          ["Mitigation", (r) => formatMitigation(r, fmt)],
+          ["Register", formatRegisterDetails],
+        ]
+      : [
+          ["WBS", (r) => r.wbsCode || "—"],
+          ["Name", (r) => r.name],
+          ["Base cost", (r) => fmt(r.baseCost)],
+          ["Confidence factor", (r) => r.confidenceFactor || "—"],
+          ["Low", (r) => fmt(r.low)],
+          ["Most likely", (r) => fmt(r.mostLikely)],
+          ["High", (r) => fmt(r.high)],
+          ["Distribution", formatShape],
+          ["Drivers", (r) => (r.drivers?.length ? formatDriverAssignments(r.drivers) : "—")],
+          ["Dates", formatDates],
+        ];
+
+  return (
+    <div style={{ marginTop: 12, marginBottom: 12, border: "1px solid var(--border-card)", padding: 12, borderRadius: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <div style={{ fontWeight: 800 }} className="text-primary">
+            Import {kind === "risk" ? "risks" : "costs"} from {fileName}
+          </div>
+          {savedMapping && (
+            <div style={{ fontSize: 12 }} className="text-muted">Using the column mapping remembered for this file.</div>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className="btn" onClick={onCancel}>Cancel</button>
+          <button className="btn" disabled={!canImport} onClick={() => onImport(selection)}>
+            {mode === "replace" ? `Replace with ${plan?.items.length ?? parsed.rows.length} ${noun}` : "Apply changes"}
+          </button>
+        </div>
+      </div>
+
+      {/* 1. Source */}
+      <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap", marginTop: 12 }}>
+        {sheets.length > 1 && (
+          <div>
+            <label style={label}>Worksheet</label>
+            <select value={sheetIndex} onChange={(e) => selectSource(Number(e.target.value))} style={{ ...input, width: 240 }}>
+              {sheets.map((s, i) => (
+                <option key={`${s.name}-${i}`} value={i}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label style={label}>Header row</label>
+          <input
+            type="number"
+            min={1}
+            max={Math.max(1, grid.length)}
+            value={headerRow + 1}
+            onChange={(e) => {
+              const n = Math.round(Number(e.target.value));
+              if (Number.isFinite(n) && n >= 1) selectSource(sheetIndex, Math.min(n, Math.max(1, grid.length)) - 1);
+            }}
+            style={{ ...input, width: 100 }}
+          />
+        </div>
+        <div style={{ fontSize: 12, paddingBottom: 8 }} className="text-muted">
+          Rows above the header row are ignored. Excel cells are read as values (formulas give their last calculated result).
+        </div>
+      </div>
+
+      <div style={{ overflowX: "auto", marginTop: 10 }}>
+        {sourceRows.length === 0 ? (
+          <div style={{ fontSize: 12 }} className="text-muted">This worksheet is empty.</div>
+        ) : (
+          <table style={{ ...table, fontSize: 12 }}>
+            <thead>
+              <tr>
+                <th style={headCell}></th>
+                {Array.from({ length: colCount }, (_, c) => (
+                  <th key={c} style={headCell}>
+                    {columnLetter(c)}
+                    {fieldsByColumn[c] && (
+                      <div style={{ fontWeight: 600, color: "var(--accent)" }}>→ {fieldsByColumn[c].join(", ")}</div>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sourceRows.map((cells, i) => (
+                <tr key={headerRow + i} style={i === 0 ? { background: "var(--table-head-bg)", fontWeight: 700 } : undefined}>
+                  <td style={cell} className="text-muted">{headerRow + i + 1}</td>
+                  {Array.from({ length: colCount }, (_, c) => (
+                    <td key={c} style={cell}>{cells[c] ?? ""}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* 2. Column mapping */}
+      <div style={{ fontWeight: 700, marginTop: 14 }} className="text-primary">Column mapping</div>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 6 }}>
+        {fields.map((f) => (
+          <div key={f.key} style={{ width: 200 }}>
+            <label style={label}>
+              {f.label}
+              {f.required && <span style={{ color: "var(--danger)" }}> *</span>}
+            </label>
+            <select value={columns[f.key] ?? -1} onChange={(e) => mapField(f.key, Number(e.target.value))} style={input}>
+              <option value={-1}>— not imported —</option>
+              {Array.from({ length: colCount }, (_, c) => (
+                <option key={c} value={c}>
+                  {columnLetter(c)}: {headerCells[c] || "(blank header)"}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+      {missingRequired.length > 0 && (
+        <div style={{ fontSize: 12, marginTop: 6, color: "var(--danger)" }}>
+          Map a column to: {missingRequired.map((f) => f.label).join(", ")}.
+        </div>
+      )}
+
+      {/* 3. Parsed preview */}
+      <div style={{ fontWeight: 700, marginTop: 14 }} className="text-primary">
+        Preview: {parsed.rows.length} {noun}
+        {parsed.warnings.length > 0 && `, ${parsed.warnings.length} warning${parsed.warnings.length === 1 ? "" : "s"}`}
+      </div>
+      {missingRequired.length === 0 && parsed.rows.length > 0 && (
+        <div style={{ overflowX: "auto", marginTop: 6 }}>
+          <table style={{ ...table, fontSize: 12 }}>
+            <thead>
+              <tr>
+                {parsedColumns.map(([h]) => (
+                  <th key={h} style={headCell}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {parsed.rows.slice(0, PARSED_PREVIEW_ROWS).map((r, i) => (
+                <tr key={i}>
+                  {parsedColumns.map(([h, get]) => (
+                    <td key={h} style={cell}>{get(r)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {parsed.rows.length > PARSED_PREVIEW_ROWS && (
+            <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+              …and {parsed.rows.length - PARSED_PREVIEW_ROWS} more.
+            </div>
+          )}
+        </div>
+      )}
+      {missingRequired.length === 0 && parsed.warnings.length > 0 && (
+        <ul style={{ fontSize: 12, marginTop: 8, marginBottom: 0, paddingLeft: 18, color: "var(--danger)" }}>
+          {parsed.warnings.slice(0, WARNINGS_SHOWN).map((w, i) => (
+            <li key={i}>{w}</li>
+          ))}
+          {parsed.warnings.length > WARNINGS_SHOWN && <li>…and {parsed.warnings.length - WARNINGS_SHOWN} more.</li>}
+        </ul>
+      )}
+
+      {/* 4. Reconcile with the current register */}
+      <div style={{ fontWeight: 700, marginTop: 14 }} className="text-primary">Changes to the register</div>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center", marginTop: 6 }}>
+        {IMPORT_MODES.map((m) => (
+          <label key={m.key} title={m.help} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, cursor: "pointer" }}>
+            <input
+              type="radio"
+              name={`import-mode-${kind}`}
+              checked={mode === m.key}
+              onChange={() => setSelection((prev) => ({ ...prev, mode: m.key }))}
+            />
+            {m.label}
+          </label>
+        ))}
+        {mode === "merge" && (
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={removeMissing}
+              onChange={(e) => setSelection((prev) => ({ ...prev, removeMissing: e.target.checked }))}
+            />
+            Remove rows that are not in the file
+          </label>
+        )}
+      </div>
+      <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+        {IMPORT_MODES.find((m) => m.key === mode)?.help}
+        {kind === "cbs" && mode !== "replace" && " Matched rows keep their ID, driver and sensitivity unless the file sets them."}
+      </div>
+
+      {counts && (
+        <>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 8, fontSize: 12 }}>
+            {["added", "changed", "removed", "duplicate", "unchanged"].map((k) => (
+              <span key={k} className="pill" style={{ color: CHANGE_COLORS[k] }}>
+                {CHANGE_LABELS[k]}: {counts[k]}
+              </span>
+            ))}
+          </div>
+          {visibleChanges.length > 0 && (
+            <div style={{ overflowX: "auto", marginTop: 6 }}>
+              <table style={{ ...table, fontSize: 12 }}>
+                <thead>
+                  <tr>
+                    <th style={headCell}>Change</th>
+                    <th style={headCell}>ID</th>
+                    <th style={headCell}>Name</th>
+                    <th style={headCell}>File row</th>
+                    <th style={headCell}>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleChanges.slice(0, CHANGES_SHOWN).map((c, i) => (
+                    <tr key={`${c.change}-${c.id}-${i}`}>
+                      <td style={{ ...cell, color: CHANGE_COLORS[c.change], fontWeight: 700 }}>{CHANGE_LABELS[c.change]}</td>
+                      <td style={cell}>{c.id ? formatId(c.id) : "—"}</td>
+                      <td style={cell}>{c.name}</td>
+                      <td style={cell}>{c.sourceRow ?? "—"}</td>
+                      <td style={{ ...cell, whiteSpace: "normal" }}>
+                        {c.note ||
+                          c.fields
+                            .map((f) => `${f.field}: ${formatFieldValue(f.field, f.from, money)} → ${formatFieldValue(f.field, f.to, money)}`)
+                            .join("; ")}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {visibleChanges.length > CHANGES_SHOWN && (
+                <div style={{ fontSize: 12, marginTop: 4 }} className="text-muted">
+                  …and {visibleChanges.length - CHANGES_SHOWN} more.
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ImportWizard;
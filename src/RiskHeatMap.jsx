@@ -0,0 +1,267 @@
+import { useMemo, useRef, useState } from "react";
+import AmountInput from "./AmountInput";
+import ChartExportButtons from "./ChartExportButtons";
+import { formatRiskIdDisplay } from "./format";
+import {
+  MATRIX_SIZE,
+  PROBABILITY_BANDS,
+  CONSEQUENCE_BANDS,
+  CONSEQUENCE_BASES,
+  MATRIX_RATINGS,
+  cellRating,
+  riskMatrixCells,
+  riskMatrixIssues,
+} from "./riskMatrix";
+import { SIMULATE_AS } from "./mitigation";
+import { input, label } from "./styles";
+
+const W = 920;
+const H = 560;
+const M = { left: 150, right: 16, top: 16, bottom: 92 };
+const CELL_W = (W - M.left - M.right) / MATRIX_SIZE;
+const CELL_H = (H - M.top - M.bottom) / MATRIX_SIZE;
+const IDS_PER_LINE = 3;
+const ID_LINES = 3;
+
+const COLORS = {
+  axis: "#6b7280",
+  text: "#111827",
+  border: "#ffffff",
+  selected: "#1d4ed8",
+};
+
+const pct = (v) => `${Math.round(Number(v) * 1000) / 10}%`;
+
+// "30–50%" / "< 10%" / "≥ 70%" for band i of ascending thresholds
+function bandRange(thresholds, i, fmt) {
+  if (i === 0) return `< ${fmt(thresholds[0])}`;
+  if (i === thresholds.length) return `≥ ${fmt(thresholds[i - 1])}`;
+  return `${fmt(thresholds[i - 1])} – ${fmt(thresholds[i])}`;
+}
+
+/**
+ * 5×5 probability–consequence heat map of the register with its band thresholds.
+ * risks: the risks to place (closed ones already left out); matrix: { probability, consequence, basis, view }
+ * onChange(matrix) when a threshold changes; onOpenRisk(id) opens the risk's row in the table
+ */
+function RiskHeatMap({ risks, matrix, onChange, onOpenRisk, format, moneyCompact, filename = "risk-heat-map" }) {
+  const svgRef = useRef(null);
+  const [selected, setSelected] = useState(null); // { pi, ci }
+  const cells = useMemo(() => riskMatrixCells(risks, matrix), [risks, matrix]);
+  const issues = riskMatrixIssues(matrix);
+  const placed = cells.flat().reduce((n, c) => n + c.length, 0);
+  const selectedRisks = selected ? cells[selected.pi][selected.ci] : [];
+
+  const cellX = (ci) => M.left + ci * CELL_W;
+  // Highest probability at the top
+  const cellY = (pi) => M.top + (MATRIX_SIZE - 1 - pi) * CELL_H;
+
+  const setThreshold = (axis, i, value) => onChange({ ...matrix, [axis]: matrix[axis].map((v, k) => (k === i ? value : v)) });
+
+  const openOnKey = (e, action) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      action();
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontSize: 12 }} className="text-muted">
+          {placed} risk{placed === 1 ? "" : "s"} placed by probability and {CONSEQUENCE_BASES.find((b) => b.key === matrix.basis)?.label.toLowerCase()}
+          {" "}({matrix.view === "post" ? "post" : "pre"}-mitigation). Inherent and closed risks are not shown. Click an ID to edit the risk.
+        </div>
+        <ChartExportButtons svgRef={svgRef} filename={filename} />
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: "100%", maxWidth: W, height: "auto", display: "block", marginTop: 10 }}
+        fontFamily="Arial, sans-serif"
+        data-report-chart="risk_heat_map"
+        role="img"
+        aria-label="Risk probability–consequence matrix"
+      >
+        <rect x="0" y="0" width={W} height={H} fill="#ffffff" />
+
+        {cells.map((row, pi) =>
+          row.map((list, ci) => {
+            const x = cellX(ci);
+            const y = cellY(pi);
+            const shown = list.slice(0, IDS_PER_LINE * ID_LINES - (list.length > IDS_PER_LINE * ID_LINES ? 1 : 0));
+            const hidden = list.length - shown.length;
+            const isSelected = selected?.pi === pi && selected?.ci === ci;
+            return (
+              <g key={`${pi}-${ci}`}>
+                <rect
+                  x={x}
+                  y={y}
+                  width={CELL_W}
+                  height={CELL_H}
+                  fill={cellRating(pi, ci).color}
+                  stroke={COLORS.border}
+                  strokeWidth="2"
+                  style={{ cursor: list.length ? "pointer" : "default" }}
+                  onClick={() => list.length && setSelected(isSelected ? null : { pi, ci })}
+                >
+                  <title>{`${PROBABILITY_BANDS[pi]} × ${CONSEQUENCE_BANDS[ci]}: ${list.length} risk${list.length === 1 ? "" : "s"}`}</title>
+                </rect>
+                {isSelected && (
+                  <rect x={x + 2} y={y + 2} width={CELL_W - 4} height={CELL_H - 4} fill="none" stroke={COLORS.selected} strokeWidth="2" data-export-ignore />
+                )}
+                {shown.map(({ risk }, k) => (
+                  <text
+                    key={risk.id}
+                    x={x + 10 + (k % IDS_PER_LINE) * ((CELL_W - 16) / IDS_PER_LINE)}
+                    y={y + 22 + Math.floor(k / IDS_PER_LINE) * 20}
+                    fontSize="12"
+                    fontWeight="700"
+                    fill={COLORS.text}
+                    style={{ cursor: "pointer" }}
+                    tabIndex={0}
+                    role="button"
+                    onClick={() => onOpenRisk(risk.id)}
+                    onKeyDown={(e) => openOnKey(e, () => onOpenRisk(risk.id))}
+                  >
+                    <title>{risk.name || formatRiskIdDisplay(risk.id)}</title>
+                    {formatRiskIdDisplay(risk.id)}
+                  </text>
+                ))}
+                {hidden > 0 && (
+                  <text
+                    x={x + 10 + (shown.length % IDS_PER_LINE) * ((CELL_W - 16) / IDS_PER_LINE)}
+                    y={y + 22 + Math.floor(shown.length / IDS_PER_LINE) * 20}
+                    fontSize="12"
+                    fill={COLORS.text}
+                    style={{ cursor: "pointer" }}
+                    tabIndex={0}
+                    role="button"
+                    onClick={() => setSelected({ pi, ci })}
+                    onKeyDown={(e) => openOnKey(e, () => setSelected({ pi, ci }))}
+                  >
+                    +{hidden} more
+                  </text>
+                )}
+              </g>
+            );
+          })
+        )}
+
+        {PROBABILITY_BANDS.map((name, pi) => (
+          <g key={name}>
+            <text x={M.left - 10} y={cellY(pi) + CELL_H / 2 - 2} fontSize="12" fontWeight="700" textAnchor="end" fill={COLORS.text}>
+              {name}
+            </text>
+            <text x={M.left - 10} y={cellY(pi) + CELL_H / 2 + 14} fontSize="11" textAnchor="end" fill={COLORS.axis}>
+              {bandRange(matrix.probability, pi, pct)}
+            </text>
+          </g>
+        ))}
+        {CONSEQUENCE_BANDS.map((name, ci) => (
+          <g key={name}>
+            <text x={cellX(ci) + CELL_W / 2} y={M.top + MATRIX_SIZE * CELL_H + 18} fontSize="12" fontWeight="700" textAnchor="middle" fill={COLORS.text}>
+              {name}
+            </text>
+            <text x={cellX(ci) + CELL_W / 2} y={M.top + MATRIX_SIZE * CELL_H + 34} fontSize="11" textAnchor="middle" fill={COLORS.axis}>
+              {bandRange(matrix.consequence, ci, moneyCompact)}
+            </text>
+          </g>
+        ))}
+        <text x={16} y={M.top + (MATRIX_SIZE * CELL_H) / 2} fontSize="12" textAnchor="middle" fill={COLORS.text} transform={`rotate(-90 16 ${M.top + (MATRIX_SIZE * CELL_H) / 2})`}>
+          Probability
+        </text>
+        <text x={M.left + (MATRIX_SIZE * CELL_W) / 2} y={M.top + MATRIX_SIZE * CELL_H + 56} fontSize="12" textAnchor="middle" fill={COLORS.text}>
+          Consequence ({CONSEQUENCE_BASES.find((b) => b.key === matrix.basis)?.label.toLowerCase()})
+        </text>
+
+        {/* Legend */}
+        {MATRIX_RATINGS.map((r, i) => (
+          <g key={r.key} transform={`translate(${M.left + i * 120}, ${H - 14})`}>
+            <rect x="0" y="-11" width="14" height="14" fill={r.color} />
+            <text x="20" y="0" fontSize="11" fill={COLORS.text}>{r.label}</text>
+          </g>
+        ))}
+      </svg>
+
+      {selected && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ fontWeight: 700, fontSize: 13 }} className="text-primary">
+            {PROBABILITY_BANDS[selected.pi]} × {CONSEQUENCE_BANDS[selected.ci]} ({cellRating(selected.pi, selected.ci).label})
+          </div>
+          {selectedRisks.map(({ risk, probability, consequence }) => (
+            <div key={risk.id} style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 4, fontSize: 13 }}>
+              <button className="btn" onClick={() => onOpenRisk(risk.id)} style={{ fontSize: 12 }}>
+                {formatRiskIdDisplay(risk.id)}
+              </button>
+              <span>{risk.name || "(unnamed)"}</span>
+              <span className="text-muted">
+                {pct(probability)} · {moneyCompact(consequence)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginTop: 14, alignItems: "flex-start" }}>
+        <div>
+          <div style={label}>Probability thresholds (%)</div>
+          <div style={{ display: "flex", gap: 6 }}>
+            {matrix.probability.map((v, i) => (
+              <input
+                key={i}
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={v === "" ? "" : Math.round(Number(v) * 1000) / 10}
+                onChange={(e) => setThreshold("probability", i, e.target.value === "" ? "" : Number(e.target.value) / 100)}
+                style={{ ...input, width: 72 }}
+                aria-label={`Probability threshold ${i + 1} (%)`}
+                title={`Lower bound of '${PROBABILITY_BANDS[i + 1]}'`}
+              />
+            ))}
+          </div>
+        </div>
+        <div>
+          <div style={label}>Consequence thresholds</div>
+          <div style={{ display: "flex", gap: 6 }}>
+            {matrix.consequence.map((v, i) => (
+              <AmountInput
+                key={i}
+                value={v}
+                onChange={(next) => setThreshold("consequence", i, next)}
+                format={format}
+                style={{ ...input, width: 110 }}
+                aria-label={`Consequence threshold ${i + 1}`}
+                title={`Lower bound of '${CONSEQUENCE_BANDS[i + 1]}'`}
+              />
+            ))}
+          </div>
+        </div>
+        <div>
+          <div style={label}>Consequence</div>
+          <select value={matrix.basis} onChange={(e) => onChange({ ...matrix, basis: e.target.value })} style={{ ...input, width: 200 }}>
+            {CONSEQUENCE_BASES.map((b) => (
+              <option key={b.key} value={b.key}>{b.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <div style={label}>Values</div>
+          <select value={matrix.view} onChange={(e) => onChange({ ...matrix, view: e.target.value })} style={{ ...input, width: 170 }}>
+            {SIMULATE_AS.filter((o) => o.key !== "both").map((o) => (
+              <option key={o.key} value={o.key}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {issues.length > 0 && (
+        <div style={{ fontSize: 12, marginTop: 6, color: "var(--danger)" }}>{issues.join(" ")}</div>
+      )}
+    </div>
+  );
+}
+
+export default RiskHeatMap;
@@ -0,0 +1,199 @@
+import { useMemo } from "react";
+import { describeSensitivityRow, diffScenarioInputs, rankSensitivity } from "./scenarios";
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+import { formatFieldValue } from "./fieldFormat";
+import { table, th, td, input, label } from "./styles";
+
+const CHANGE_COLORS = { added: "#047857", removed: "var(--danger)", changed: "var(--accent)" };
+
+function signedMoney(n, money) {
+  if (!Number.isFinite(n)) return "";
+  if (n === 0) return "±" + money(0);
+  return (n > 0 ? "+" : "−") + money(Math.abs(n));
+}
+
+function formatChangeId(kind, id) {
+  if (kind === "CBS") return formatCbsIdDisplay(id);
+  if (kind === "Risk") return formatRiskIdDisplay(id);
+  return "";
+}
+
+/**
+ * Side-by-side view of pinned scenarios: headline results with deltas to the baseline,
+ * sensitivity rankings per scenario, and the input changes that separate them.
+ */
+function ScenarioComparison({ scenarios, baselineId, onBaselineChange, onRemove, metrics, money, topN = 10 }) {
+  const baseline = scenarios.find((s) => s.id === baselineId) || scenarios[0];
+
+  const rankings = useMemo(
+    () => scenarios.map((s) => rankSensitivity(s.sensitivity, topN)),
+    [scenarios, topN]
+  );
+
+  const diffs = useMemo(
+    () =>
+      scenarios
+        .filter((s) => s.id !== baseline?.id)
+        .map((s) => ({ scenario: s, changes: diffScenarioInputs(baseline?.payload, s.payload) })),
+    [scenarios, baseline]
+  );
+
+  if (!baseline) return null;
+
+  const rankRows = Math.max(0, ...rankings.map((r) => r.length));
+
+  return (
+    <div style={{ marginTop: 16, border: "1px solid var(--border-card)", padding: 12, borderRadius: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div style={{ fontWeight: 800 }} className="text-primary">Scenario comparison</div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <label style={{ ...label, marginBottom: 0 }}>Baseline</label>
+          <select value={baseline.id} onChange={(e) => onBaselineChange(e.target.value)} style={{ ...input, width: 240 }}>
+            {scenarios.map((s) => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Headline results */}
+      <div style={{ overflowX: "auto", marginTop: 12 }}>
+        <table style={table}>
+          <thead>
+            <tr>
+              <th style={th}>Measure</th>
+              {scenarios.map((s) => (
+                <th key={s.id} style={{ ...th, minWidth: 180 }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                    <span>
+                      {s.name} {s.id === baseline.id && <span className="pill">Baseline</span>}
+                    </span>
+                    <button
+                      onClick={() => onRemove(s.id)}
+                      className="iconBtn dangerBtn"
+                      style={{ minWidth: 0, padding: "2px 8px" }}
+                      title="Unpin scenario"
+                      aria-label="Unpin scenario"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map((m) => {
+              const baseVal = Number(baseline.results?.[m.key]);
+              return (
+                <tr key={m.key}>
+                  <td style={{ ...td, fontWeight: 700 }}>{m.label}</td>
+                  {scenarios.map((s) => {
+                    const v = Number(s.results?.[m.key]);
+                    const delta = v - baseVal;
+                    return (
+                      <td key={s.id} style={td}>
+                        <div style={{ fontWeight: 700 }}>{Number.isFinite(v) ? money(v) : "—"}</div>
+                        {s.id !== baseline.id && Number.isFinite(delta) && (
+                          <div style={{ fontSize: 12, color: delta > 0 ? "var(--danger)" : delta < 0 ? "#047857" : "var(--text-muted)" }}>
+                            {signedMoney(delta, money)} vs baseline
+                          </div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Sensitivity rankings */}
+      <div style={{ fontWeight: 700, marginTop: 16, marginBottom: 6 }} className="text-primary">
+        Sensitivity ranking (top {topN} by |ρ|)
+      </div>
+      {rankRows === 0 ? (
+        <div style={{ fontSize: 12 }} className="text-secondary">No sensitivity data in the pinned scenarios.</div>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Rank</th>
+                {scenarios.map((s) => (
+                  <th key={s.id} style={{ ...th, minWidth: 180 }}>{s.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Array.from({ length: rankRows }, (_, i) => (
+                <tr key={i}>
+                  <td style={td}>{i + 1}</td>
+                  {scenarios.map((s, si) => {
+                    const row = rankings[si][i];
+                    if (!row) return <td key={s.id} style={td}></td>;
+                    const d = describeSensitivityRow(row, s.payload);
+                    const rho = Number(row.spearman_rho) || 0;
+                    return (
+                      <td key={s.id} style={td}>
+                        <div style={{ fontWeight: 700 }}>{d.name}</div>
+                        <div style={{ fontSize: 12 }} className="text-muted">
+                          {d.code} · {rho >= 0 ? "+" : "−"}{(Number(row.abs_rho) || 0).toFixed(3)}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Input differences */}
+      {diffs.map(({ scenario, changes }) => (
+        <div key={scenario.id} style={{ marginTop: 16 }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }} className="text-primary">
+            Input changes: {baseline.name} → {scenario.name}{" "}
+            <span style={{ fontWeight: 600, color: "var(--text-muted)", fontSize: 12 }}>({changes.length})</span>
+          </div>
+          {changes.length === 0 ? (
+            <div style={{ fontSize: 12 }} className="text-secondary">Inputs are identical.</div>
+          ) : (
+            <table style={table}>
+              <thead>
+                <tr>
+                  <th style={th}>Type</th>
+                  <th style={th}>ID</th>
+                  <th style={th}>Name</th>
+                  <th style={th}>Change</th>
+                  <th style={th}>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map((c) => (
+                  <tr key={`${c.kind}-${c.id}`}>
+                    <td style={td}>{c.kind}</td>
+                    <td style={td} className="text-secondary">{formatChangeId(c.kind, c.id)}</td>
+                    <td style={td}>{c.name}</td>
+                    <td style={{ ...td, fontWeight: 700, color: CHANGE_COLORS[c.change] }}>{c.change}</td>
+                    <td style={{ ...td, fontSize: 12 }}>
+                      {c.fields.map((f) => (
+                        <div key={f.field}>
+                          <strong>{f.field}</strong>: {formatFieldValue(f.field, f.from, money)} → {formatFieldValue(f.field, f.to, money)}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ScenarioComparison;
@@ -0,0 +1,124 @@
+import { useRef } from "react";
+import ChartExportButtons from "./ChartExportButtons";
+
+const W = 920;
+const LABEL_W = 300;
+const VALUE_W = 70;
+const ROW_H = 26;
+const M = { top: 34, bottom: 40, right: 16 };
+const PLOT_X = LABEL_W + 10;
+const PLOT_W = W - PLOT_X - VALUE_W - M.right;
+
+const GROUP_COLORS = {
+  dominant: "#1d4ed8",
+  moderate: "#60a5fa",
+  minor: "#cbd5e1",
+};
+
+const COLORS = { axis: "#6b7280", grid: "#e5e7eb", text: "#111827", muted: "#6b7280" };
+
+function sensitivityGroup(absRho, thresholds) {
+  if (absRho >= thresholds.dominant) return "dominant";
+  if (absRho >= thresholds.moderate) return "moderate";
+  return "minor";
+}
+
+function truncate(s, n) {
+  const str = String(s || "");
+  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+}
+
+/**
+ * Tornado chart of Spearman rank correlation (ρ) between each driver and total cost.
+ * rows: /simulate sensitivity rows; describe(row) -> { name, code }
+ * thresholds: { dominant, moderate } on |ρ|; topN: number of bars
+ */
+function TornadoChart({ rows, describe, thresholds, topN, filename = "sensitivity-tornado" }) {
+  const svgRef = useRef(null);
+
+  const ranked = [...(rows || [])]
+    .map((r) => ({ row: r, rho: Number(r.spearman_rho) || 0, abs: Number(r.abs_rho) || Math.abs(Number(r.spearman_rho) || 0) }))
+    .sort((a, b) => b.abs - a.abs)
+    .slice(0, Math.max(1, topN));
+
+  const maxAbs = Math.max(0.1, Math.ceil(Math.max(0, ...ranked.map((r) => r.abs)) * 10) / 10);
+  const H = M.top + ranked.length * ROW_H + M.bottom;
+  const sx = (v) => PLOT_X + ((v + maxAbs) / (2 * maxAbs)) * PLOT_W;
+  const ticks = [-maxAbs, -maxAbs / 2, 0, maxAbs / 2, maxAbs];
+  const guides = [thresholds.moderate, thresholds.dominant].filter((t) => t > 0 && t <= maxAbs);
+
+  return (
+    <div>
+      <ChartExportButtons svgRef={svgRef} filename={filename} style={{ justifyContent: "flex-end" }} />
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: "100%", maxWidth: W, height: "auto", display: "block", marginTop: 10 }}
+        fontFamily="Arial, sans-serif"
+        data-report-chart="sensitivity_tornado"
+        role="img"
+        aria-label="Tornado chart of sensitivity (Spearman rank correlation)"
+      >
+        <rect x="0" y="0" width={W} height={H} fill="#ffffff" />
+
+        <text x={sx(-maxAbs)} y={18} fontSize="11" fill={COLORS.muted}>← reduces total cost</text>
+        <text x={sx(maxAbs)} y={18} fontSize="11" fill={COLORS.muted} textAnchor="end">increases total cost →</text>
+
+        {ticks.map((t) => (
+          <g key={t}>
+            <line x1={sx(t)} x2={sx(t)} y1={M.top - 6} y2={H - M.bottom} stroke={t === 0 ? COLORS.axis : COLORS.grid} />
+            <text x={sx(t)} y={H - M.bottom + 16} fontSize="11" textAnchor="middle" fill={COLORS.axis}>
+              {t.toFixed(2)}
+            </text>
+          </g>
+        ))}
+        {guides.map((g) => (
+          <g key={g}>
+            {[-g, g].map((v) => (
+              <line key={v} x1={sx(v)} x2={sx(v)} y1={M.top - 6} y2={H - M.bottom} stroke={COLORS.axis} strokeDasharray="3 4" />
+            ))}
+          </g>
+        ))}
+        <text x={PLOT_X + PLOT_W / 2} y={H - 8} fontSize="12" textAnchor="middle" fill={COLORS.text}>
+          Spearman rank correlation with total cost (ρ)
+        </text>
+
+        {ranked.map(({ row, rho, abs }, i) => {
+          const d = describe(row);
+          const y = M.top + i * ROW_H;
+          const x0 = sx(Math.min(0, rho));
+          const x1 = sx(Math.max(0, rho));
+          return (
+            <g key={`${row.category}-${row.name}-${i}`}>
+              <text x={LABEL_W} y={y + ROW_H / 2 + 4} fontSize="12" textAnchor="end" fill={COLORS.text}>
+                <title>{`${d.name} (${d.code})`}</title>
+                {truncate(d.name, 36)}{" "}
+                <tspan fill={COLORS.muted} fontSize="10">{d.code}</tspan>
+              </text>
+              <rect
+                x={x0}
+                y={y + 4}
+                width={Math.max(1, x1 - x0)}
+                height={ROW_H - 8}
+                rx="3"
+                fill={GROUP_COLORS[sensitivityGroup(abs, thresholds)]}
+              />
+              <text x={W - M.right} y={y + ROW_H / 2 + 4} fontSize="12" textAnchor="end" fill={COLORS.text}>
+                {rho >= 0 ? "+" : "−"}{Math.abs(rho).toFixed(3)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      <div style={{ display: "flex", gap: 14, fontSize: 12, marginTop: 6, flexWrap: "wrap" }} className="text-secondary">
+        <span><span style={{ display: "inline-block", width: 10, height: 10, background: GROUP_COLORS.dominant, marginRight: 4 }} />Dominant (|ρ| ≥ {thresholds.dominant.toFixed(2)})</span>
+        <span><span style={{ display: "inline-block", width: 10, height: 10, background: GROUP_COLORS.moderate, marginRight: 4 }} />Moderate ({thresholds.moderate.toFixed(2)} ≤ |ρ| &lt; {thresholds.dominant.toFixed(2)})</span>
+        <span><span style={{ display: "inline-block", width: 10, height: 10, background: GROUP_COLORS.minor, marginRight: 4 }} />Minor</span>
+      </div>
+    </div>
+  );
+}
+
+export default TornadoChart;
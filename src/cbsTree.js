@@ -0,0 +1,199 @@
+/**
+ * Hierarchical CBS (Design > Investigation > Geotech)
+ * - cbsItems stay one flat array in outline order (each parent directly followed by its subtree);
+ *   an item's parentId points at its parent, null/absent = top level
+ * - WBS codes (1, 1.1, 1.1.2) follow from position and are derived, never stored
+ * - Items with children are summary rows: their values are roll-ups of the leaves below them
+ *   and only leaves are simulated
+ */
+
+/**
+ * Outline order with valid parent links: unknown/self/cyclic parents become top level,
+ * siblings keep their relative order. Safe on flat (pre-hierarchy) lists.
+ */
+export function normaliseHierarchy(items) {
+  const byId = new Map(items.map((x) => [x.id, x]));
+  const parentOf = (x) => {
+    const p = x.parentId;
+    if (!p || p === x.id || !byId.has(p)) return null;
+    // Walk up; a loop back to x means a cycle
+    const seen = new Set([x.id]);
+    let cur = p;
+    while (cur) {
+      if (seen.has(cur)) return null;
+      seen.add(cur);
+      cur = byId.get(cur)?.parentId || null;
+      if (cur && !byId.has(cur)) break;
+    }
+    return p;
+  };
+
+  const children = new Map();
+  const roots = [];
+  items.forEach((x) => {
+    const p = parentOf(x);
+    if (p) {
+      if (!children.has(p)) children.set(p, []);
+      children.get(p).push(x);
+    } else {
+      roots.push(x);
+    }
+  });
+
+  const out = [];
+  const visit = (x, parentId) => {
+    out.push((x.parentId ?? null) === parentId ? x : { ...x, parentId });
+    (children.get(x.id) || []).forEach((c) => visit(c, x.id));
+  };
+  roots.forEach((x) => visit(x, null));
+  // Items unreachable from a root (only possible with cycles) are appended at the top level
+  if (out.length < items.length) {
+    const placed = new Set(out.map((x) => x.id));
+    items.filter((x) => !placed.has(x.id)).forEach((x) => visit({ ...x, parentId: null }, null));
+  }
+  return out;
+}
+
+/**
+ * Tree view of (normalised) items.
+ * Returns { nodes: Map<id, { item, parentId, children, depth, code }>, roots, maxDepth }; depth 1 = top level.
+ */
+export function buildCbsTree(items) {
+  const nodes = new Map();
+  const roots = [];
+  let maxDepth = 0;
+  items.forEach((item) => {
+    const parent = item.parentId ? nodes.get(item.parentId) : null;
+    const siblings = parent ? parent.children : roots;
+    siblings.push(item.id);
+    const depth = parent ? parent.depth + 1 : 1;
+    const code = parent ? `${parent.code}.${siblings.length}` : String(siblings.length);
+    nodes.set(item.id, { item, parentId: parent ? item.parentId : null, children: [], depth, code });
+    maxDepth = Math.max(maxDepth, depth);
+  });
+  return { nodes, roots, maxDepth };
+}
+
+export function isSummaryItem(tree, id) {
+  return (tree.nodes.get(id)?.children.length || 0) > 0;
+}
+
+// Items that are simulated (no children)
+export function leafCbsItems(items) {
+  const parents = new Set(items.map((x) => x.parentId).filter(Boolean));
+  return items.filter((x) => !parents.has(x.id));
+}
+
+export function subtreeIds(tree, id) {
+  const out = [];
+  const walk = (nid) => {
+    out.push(nid);
+    (tree.nodes.get(nid)?.children || []).forEach(walk);
+  };
+  if (tree.nodes.has(id)) walk(id);
+  return out;
+}
+
+// Makes the item a child of its previous sibling (no-op for a first child)
+export function indentCbsItem(items, id) {
+  const idx = items.findIndex((x) => x.id === id);
+  if (idx <= 0) return items;
+  const parentId = items[idx].parentId || null;
+  for (let i = idx - 1; i >= 0; i--) {
+    if ((items[i].parentId || null) === parentId) {
+      return items.map((x) => (x.id === id ? { ...x, parentId: items[i].id } : x));
+    }
+  }
+  return items;
+}
+
+/**
+ * Moves the item up one level, keeping the row order: it becomes its parent's next sibling
+ * and the siblings that followed it become its children.
+ */
+export function outdentCbsItem(items, id) {
+  const idx = items.findIndex((x) => x.id === id);
+  const parentId = items[idx]?.parentId || null;
+  if (idx === -1 || !parentId) return items;
+  const grandParentId = items.find((x) => x.id === parentId)?.parentId || null;
+  return items.map((x, i) => {
+    if (x.id === id) return { ...x, parentId: grandParentId };
+    if (i > idx && (x.parentId || null) === parentId) return { ...x, parentId: id };
+    return x;
+  });
+}
+
+export function removeCbsSubtree(items, id) {
+  const remove = new Set(subtreeIds(buildCbsTree(items), id));
+  return items.filter((x) => !remove.has(x.id));
+}
+
+/**
+ * Base / best / most likely / worst per item, with summary items summing the leaves below them.
+ * valuesOf(leafItem) -> { base, best, ml, worst } (NaN allowed; it propagates to the roll-ups)
+ */
+export function rollUpCbs(items, valuesOf) {
+  const tree = buildCbsTree(items);
+  const out = new Map();
+  const visit = (id) => {
+    const node = tree.nodes.get(id);
+    if (!node.children.length) {
+      out.set(id, valuesOf(node.item));
+      return out.get(id);
+    }
+    const sum = { base: 0, best: 0, ml: 0, worst: 0 };
+    node.children.forEach((c) => {
+      const v = visit(c);
+      sum.base += v.base;
+      sum.best += v.best;
+      sum.ml += v.ml;
+      sum.worst += v.worst;
+    });
+    out.set(id, sum);
+    return sum;
+  };
+  tree.roots.forEach(visit);
+  return out;
+}
+
+// Rows to show when the given summary items are collapsed
+export function visibleCbsItems(items, collapsed) {
+  if (!collapsed || collapsed.size === 0) return items;
+  const hidden = new Set();
+  items.forEach((x) => {
+    if (x.parentId && (collapsed.has(x.parentId) || hidden.has(x.parentId))) hidden.add(x.id);
+  });
+  return items.filter((x) => !hidden.has(x.id));
+}
+
+/**
+ * The CBS cut at a level: items at that depth, plus leaves that stop above it.
+ * Returns [{ id, code, name, depth, leafIds }] in outline order. Level 0 / Infinity = all leaves.
+ */
+export function cbsLevelGroups(items, level) {
+  const tree = buildCbsTree(items);
+  const out = [];
+  items.forEach((x) => {
+    const node = tree.nodes.get(x.id);
+    const isLeaf = node.children.length === 0;
+    const atLevel = level > 0 && Number.isFinite(level) ? node.depth === level || (isLeaf && node.depth < level) : isLeaf;
+    if (!atLevel) return;
+    out.push({
+      id: x.id,
+      code: node.code,
+      name: x.name,
+      depth: node.depth,
+      leafIds: subtreeIds(tree, x.id).filter((id) => tree.nodes.get(id).children.length === 0),
+    });
+  });
+  return out;
+}
+
+// Flat description of the outline for the simulation payload / reports
+export function cbsHierarchy(items) {
+  const tree = buildCbsTree(items);
+  return items.map((x) => {
+    const node = tree.nodes.get(x.id);
+    return { id: x.id, name: x.name, parentId: node.parentId, wbsCode: node.code, isLeaf: node.children.length === 0 };
+  });
+}
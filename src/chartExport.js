@@ -0,0 +1,75 @@
+/**
+ * Chart export (SVG / PNG) for reports
+ * - Charts draw with literal colours (not CSS variables) so the exported SVG renders standalone
+ */
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 500);
+}
+
+export function svgToString(svgEl) {
+  const clone = svgEl.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  const vb = svgEl.viewBox?.baseVal;
+  if (vb && vb.width) {
+    clone.setAttribute("width", String(vb.width));
+    clone.setAttribute("height", String(vb.height));
+  }
+  // Interactive overlays (hover lines, tooltips) are not part of the report image
+  clone.querySelectorAll("[data-export-ignore]").forEach((n) => n.remove());
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export function downloadSvg(svgEl, filename) {
+  if (!svgEl) return;
+  downloadBlob(new Blob([svgToString(svgEl)], { type: "image/svg+xml" }), filename);
+}
+
+// Rasterises the SVG at `scale` × its viewBox size (2× keeps text sharp in documents)
+export function svgToPngBlob(svgEl, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const vb = svgEl.viewBox.baseVal;
+    const url = URL.createObjectURL(new Blob([svgToString(svgEl)], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(vb.width * scale);
+      canvas.height = Math.round(vb.height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG export failed"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("PNG export failed"));
+    };
+    img.src = url;
+  });
+}
+
+export async function downloadPng(svgEl, filename, scale = 2) {
+  if (!svgEl) return;
+  downloadBlob(await svgToPngBlob(svgEl, scale), filename);
+}
+
+/**
+ * SVG markup of every chart currently on screen that is marked data-report-chart="<name>",
+ * sent with the Excel/JSON export payload so the backend can place them in the report.
+ */
+export function collectReportCharts() {
+  if (typeof document === "undefined") return [];
+  return [...document.querySelectorAll("svg[data-report-chart]")].map((el) => ({
+    name: el.getAttribute("data-report-chart"),
+    svg: svgToString(el),
+  }));
+}
@@ -0,0 +1,72 @@
+/**
+ * Reported confidence levels
+ * - percentiles: whole P-values 1–99 shown as results (P80 = 80); sent as fractions in payload.settings.percentiles
+ * - contingency: P(to) − P(from), both taken from the selected percentiles; sent as settings.contingency
+ * - Result keys follow the simulate() contract: p80, contingency_p80_minus_p50
+ */
+
+export const DEFAULT_CONFIDENCE_LEVELS = { percentiles: [5, 10, 50, 90], contingency: { from: 50, to: 90 } };
+
+export const CONFIDENCE_PRESETS = [
+  { label: "P10 / P50 / P90", percentiles: [10, 50, 90], contingency: { from: 50, to: 90 } },
+  { label: "P50 / P80", percentiles: [50, 80], contingency: { from: 50, to: 80 } },
+  { label: "P50 / P80 / P95", percentiles: [50, 80, 95], contingency: { from: 50, to: 95 } },
+  { label: "P5 / P10 / P50 / P90", percentiles: [5, 10, 50, 90], contingency: { from: 50, to: 90 } },
+];
+
+export function isValidPercentile(p) {
+  return Number.isInteger(p) && p >= 1 && p <= 99;
+}
+
+export function contingencyKey({ from, to }) {
+  return `contingency_p${to}_minus_p${from}`;
+}
+
+/**
+ * Problems with a selection (empty when it can be run).
+ */
+export function confidenceLevelIssues({ percentiles, contingency }) {
+  const issues = [];
+  if (!percentiles.length) issues.push("Select at least one percentile to report.");
+  if (!percentiles.includes(contingency.from) || !percentiles.includes(contingency.to)) {
+    issues.push("Contingency percentiles must be among the reported percentiles.");
+  } else if (contingency.from >= contingency.to) {
+    issues.push(`Contingency P${contingency.to} − P${contingency.from} must subtract a lower percentile from a higher one.`);
+  }
+  return issues;
+}
+
+// Headline measures for the result boxes / scenario comparison, in display order
+export function resultMetrics({ percentiles, contingency }) {
+  return [
+    ...percentiles.map((p) => ({ key: `p${p}`, label: `P${p}`, kind: "percentile" })),
+    { key: contingencyKey(contingency), label: `Contingency (P${contingency.to}−P${contingency.from})`, kind: "contingency" },
+  ];
+}
+
+// Selection from payload settings (fractions); null when the settings have none
+export function confidenceLevelsFromSettings(settings) {
+  const raw = Array.isArray(settings?.percentiles) ? settings.percentiles : null;
+  if (!raw) return null;
+  const percentiles = [...new Set(raw.map((p) => Math.round(Number(p) * 100)).filter(isValidPercentile))].sort((a, b) => a - b);
+  const from = Math.round(Number(settings.contingency?.from ?? 0.5) * 100);
+  const to = Math.round(Number(settings.contingency?.to ?? 0.9) * 100);
+  return { percentiles, contingency: { from, to } };
+}
+
+export function confidenceLevelsToSettings({ percentiles, contingency }) {
+  return {
+    percentiles: percentiles.map((p) => p / 100),
+    contingency: { from: contingency.from / 100, to: contingency.to / 100 },
+  };
+}
+
+// Backends that only return the fixed P90 − P50 contingency: derive the selected one from its percentiles
+export function withContingency(results, levels) {
+  if (!results) return results;
+  const key = contingencyKey(levels.contingency);
+  if (Number.isFinite(Number(results[key]))) return results;
+  const hi = Number(results[`p${levels.contingency.to}`]);
+  const lo = Number(results[`p${levels.contingency.from}`]);
+  return Number.isFinite(hi) && Number.isFinite(lo) ? { ...results, [key]: hi - lo } : results;
+}
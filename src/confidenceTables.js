@@ -0,0 +1,252 @@
+/**
+ * Confidence factor tables
+ * - A table is { id, name, builtIn, versions: [{ version: "v1", createdAt, factors }] } with
+ *   factors = [{ key, label, description, best, most_likely, worst }] (multipliers on an item's base cost)
+ * - The built-in "Organisation standard" table mirrors /config/confidence-factors and is read-only; custom
+ *   tables (e.g. "Rail – Concept") are kept in this browser
+ * - Versions never change once saved: editing a table adds the next version, so a project that names
+ *   table + version always gets the same multipliers
+ * - "User defined" is not a table row; it is always offered next to the table's factors
+ * - The chosen version travels in payload.confidenceTable (with its multipliers) and payload.confidenceTableVersion;
+ *   opening a project whose version is not in this browser adds it from that copy
+ */
+
+export const STANDARD_TABLE_ID = "org-standard";
+export const USER_DEFINED = "User defined";
+
+// Factors the backend reports that are not offered for CBS items
+export const EXCLUDED_FACTORS = new Set(["% Allocation"]);
+
+// PM-friendly labels + help text for the standard factor keys (backend keys remain unchanged)
+const DEFAULT_LABELS = {
+  "Very Conservative": "No Upside Risk",
+  "Conservative": "Low Upside Risk",
+  "Realistic": "Balanced Cost Range",
+  "Target": "Target Cost with Upside Risk",
+  "Aggressive": "High Upside Risk",
+  "Very Aggressive": "Extreme Upside Risk",
+  "User defined": "User Defined",
+};
+
+const DEFAULT_DESCRIPTIONS = {
+  "Very Conservative": "Costs cannot exceed the base estimate.",
+  "Conservative": "Limited cost growth above the base estimate.",
+  "Realistic": "Typical cost variation around the base estimate.",
+  "Target": "Stretch target with potential cost growth.",
+  "Aggressive": "Significant exposure to cost growth.",
+  "Very Aggressive": "Very large potential cost overruns.",
+  "User defined": "Cost range entered directly by the user.",
+};
+
+const TABLES_KEY = "prs.confidenceTables";
+
+const isUserDefined = (key) => String(key || "").trim().toLowerCase() === USER_DEFINED.toLowerCase();
+
+// { key: { best, most_likely, worst } } (the /config/confidence-factors shape) -> factor rows
+function rowsFromFactorMap(factors) {
+  return Object.entries(factors || {})
+    .filter(([key]) => !EXCLUDED_FACTORS.has(key) && !isUserDefined(key))
+    .map(([key, f]) => ({
+      key,
+      label: String(f?.label || DEFAULT_LABELS[key] || key),
+      description: String(f?.description || DEFAULT_DESCRIPTIONS[key] || ""),
+      best: Number(f?.best ?? 1),
+      most_likely: Number(f?.most_likely ?? 1),
+      worst: Number(f?.worst ?? 1),
+    }));
+}
+
+// Factor rows -> { key: { best, most_likely, worst } } as used by calcDerivedCosts and the simulation engine
+export function factorMap(factors) {
+  return Object.fromEntries(
+    (factors || []).map((f) => [f.key, { best: Number(f.best), most_likely: Number(f.most_likely), worst: Number(f.worst) }])
+  );
+}
+
+// Keys offered for CBS items: the table's factors, then User defined (nothing until a table is available)
+export function factorOptions(factors) {
+  return factors?.length ? [...factors.map((f) => f.key), USER_DEFINED] : [];
+}
+
+export function factorLabel(factors, key) {
+  return (factors || []).find((f) => f.key === key)?.label || DEFAULT_LABELS[key] || key;
+}
+
+export function factorDescription(factors, key) {
+  return (factors || []).find((f) => f.key === key)?.description || DEFAULT_DESCRIPTIONS[key] || "";
+}
+
+export function latestVersion(table) {
+  return table?.versions?.[table.versions.length - 1] || null;
+}
+
+// "v3" after v1, v2 (highest number + 1, so labels are never reused)
+export function nextVersionLabel(table) {
+  const numbers = (table?.versions || []).map((v) => Number(String(v.version).replace(/^v/i, ""))).filter(Number.isFinite);
+  return `v${(numbers.length ? Math.max(...numbers) : 0) + 1}`;
+}
+
+/**
+ * The table version a project uses: selection = { id, version }, version null = latest.
+ * Returns { table, version } or null when the table (or that version) is not in the library.
+ */
+export function resolveConfidenceTable(tables, selection) {
+  const table = tables.find((t) => t.id === selection?.id);
+  if (!table) return null;
+  const version = selection.version ? table.versions.find((v) => v.version === selection.version) : latestVersion(table);
+  return version ? { table, version } : null;
+}
+
+export function confidenceTableLabel(resolved) {
+  return resolved ? `${resolved.table.name} ${resolved.version.version}` : "—";
+}
+
+/**
+ * Adds (or refreshes) the built-in table from the /config/confidence-factors response.
+ * A version label the library already holds is replaced only if the multipliers differ; earlier versions
+ * stay so older projects keep their factors.
+ */
+export function mergeStandardTable(tables, factors, version = "v1") {
+  const next = { version: String(version || "v1"), createdAt: new Date().toISOString(), factors: rowsFromFactorMap(factors) };
+  const existing = tables.find((t) => t.id === STANDARD_TABLE_ID);
+  if (!existing) {
+    return [{ id: STANDARD_TABLE_ID, name: "Organisation standard", builtIn: true, versions: [next] }, ...tables];
+  }
+  const same = existing.versions.find((v) => v.version === next.version);
+  if (same && JSON.stringify(factorMap(same.factors)) === JSON.stringify(factorMap(next.factors))) return tables;
+  const versions = [...existing.versions.filter((v) => v.version !== next.version), next];
+  return tables.map((t) => (t.id === STANDARD_TABLE_ID ? { ...t, versions } : t));
+}
+
+// New custom table with a unique id, starting at v1 with a copy of the given factor rows
+export function createCustomTable(tables, name, factors) {
+  let n = tables.length + 1;
+  while (tables.some((t) => t.id === `custom-${n}`)) n += 1;
+  return {
+    id: `custom-${n}`,
+    name: String(name).trim(),
+    builtIn: false,
+    versions: [{ version: "v1", createdAt: new Date().toISOString(), factors: factors.map((f) => ({ ...f })) }],
+  };
+}
+
+export function addTableVersion(tables, id, factors) {
+  return tables.map((t) =>
+    t.id === id
+      ? { ...t, versions: [...t.versions, { version: nextVersionLabel(t), createdAt: new Date().toISOString(), factors: factors.map((f) => ({ ...f })) }] }
+      : t
+  );
+}
+
+// Problem with a (new) table name, or null. currentId: the table being renamed
+export function tableNameIssue(name, tables, currentId = null) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return "Table name is required.";
+  if (tables.some((t) => t.name.trim().toLowerCase() === key && t.id !== currentId)) return `A table called '${String(name).trim()}' already exists.`;
+  return null;
+}
+
+/**
+ * Problems with a table's factor rows (empty when it can be saved).
+ * Multipliers must be positive with best ≤ most likely ≤ worst.
+ */
+export function confidenceTableIssues(factors) {
+  const issues = [];
+  if (!factors.length) issues.push("Add at least one confidence factor.");
+  const seen = new Set();
+  factors.forEach((f, i) => {
+    const key = String(f.key || "").trim();
+    const where = key ? `Factor '${key}'` : `Factor ${i + 1}`;
+    if (!key) issues.push(`${where}: a key is required.`);
+    else if (isUserDefined(key)) issues.push(`${where}: '${USER_DEFINED}' is reserved for ranges entered per item.`);
+    else if (seen.has(key.toLowerCase())) issues.push(`${where}: key is used twice.`);
+    seen.add(key.toLowerCase());
+    const values = [f.best, f.most_likely, f.worst].map((v) => (v === "" || v === null ? NaN : Number(v)));
+    if (values.some((v) => !Number.isFinite(v) || v <= 0)) issues.push(`${where}: multipliers must be positive numbers.`);
+    else if (!(values[0] <= values[1] && values[1] <= values[2])) issues.push(`${where}: expected best ≤ most likely ≤ worst.`);
+  });
+  return issues;
+}
+
+// Draft rows from the editor -> stored rows (trimmed keys, numeric multipliers)
+export function cleanFactors(factors) {
+  return factors.map((f) => ({
+    key: String(f.key).trim(),
+    label: String(f.label || "").trim() || String(f.key).trim(),
+    description: String(f.description || ""),
+    best: Number(f.best),
+    most_likely: Number(f.most_likely),
+    worst: Number(f.worst),
+  }));
+}
+
+export function confidenceTableToPayload(resolved) {
+  if (!resolved) return null;
+  return {
+    id: resolved.table.id,
+    name: resolved.table.name,
+    version: resolved.version.version,
+    factors: resolved.version.factors.map((f) => ({ ...f })),
+  };
+}
+
+/**
+ * Table snapshot from payload.confidenceTable, or null (files saved before confidence tables used the
+ * standard table's "v1"). Unusable snapshots are dropped with a warning.
+ */
+export function readConfidenceTable(raw, warnings = []) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = String(raw.id || "").trim();
+  const version = String(raw.version || "").trim();
+  const factors = Array.isArray(raw.factors)
+    ? cleanFactors(raw.factors.map((f) => ({ ...f, key: f?.key ?? "", best: f?.best ?? "", most_likely: f?.most_likely ?? "", worst: f?.worst ?? "" })))
+    : [];
+  const issues = confidenceTableIssues(factors);
+  if (!id || !version || issues.length) {
+    warnings.push(`Confidence table '${raw.name || id || "?"}' ${version} is incomplete (${issues.join(" ") || "missing id or version"}); the organisation standard table is used.`);
+    return null;
+  }
+  return { id, name: String(raw.name || id), version, factors };
+}
+
+/**
+ * Makes sure the library holds the snapshot's table version (a project from another browser).
+ * Returns { tables, added } with added = true when the library had to be extended.
+ */
+export function ensureTableVersion(tables, snapshot) {
+  if (!snapshot) return { tables, added: false };
+  const version = { version: snapshot.version, createdAt: new Date().toISOString(), factors: snapshot.factors };
+  const table = tables.find((t) => t.id === snapshot.id);
+  if (!table) {
+    const builtIn = snapshot.id === STANDARD_TABLE_ID;
+    return { tables: [...tables, { id: snapshot.id, name: snapshot.name, builtIn, versions: [version] }], added: true };
+  }
+  if (table.versions.some((v) => v.version === snapshot.version)) return { tables, added: false };
+  const versions = [...table.versions, version].sort((a, b) =>
+    String(a.version).localeCompare(String(b.version), undefined, { numeric: true })
+  );
+  return { tables: tables.map((t) => (t.id === snapshot.id ? { ...t, versions } : t)), added: true };
+}
+
+export function loadConfidenceTables() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(TABLES_KEY) || "[]");
+    return Array.isArray(raw) ? raw.filter((t) => t?.id && Array.isArray(t.versions) && t.versions.length) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveConfidenceTables(tables) {
+  try {
+    localStorage.setItem(TABLES_KEY, JSON.stringify(tables));
+  } catch {
+    // storage full or blocked: tables last for this session only
+  }
+}
+
+// Legacy factor cache (see localSimulation.js) seeds the built-in table when the library is still empty
+export function standardTableFromCache(tables, cached) {
+  if (tables.some((t) => t.id === STANDARD_TABLE_ID) || !cached?.factors) return tables;
+  return mergeStandardTable(tables, cached.factors, cached.version || "v1");
+}
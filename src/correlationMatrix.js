@@ -0,0 +1,325 @@
+/**
+ * Advanced correlation (correlation_mode "advanced")
+ * - A correlation matrix across the simulated CBS items and contingent risks, applied as a Gaussian copula
+ * - State keeps only the off-diagonal entries that are set: { "cbs:cbs01|risk:r02": 0.4 } (pairKey);
+ *   anything missing is 0, so rows / risks can be added and removed without reshaping a matrix
+ * - A usable matrix is symmetric, has a unit diagonal, entries in [−1, 1] and is positive semi-definite (PSD);
+ *   nearestCorrelationMatrix repairs one that is not (Higham 2002, alternating projections)
+ * - payload.correlationMatrix = { items: [{ type: "cbs" | "risk", id }], matrix: number[][] } (dense, full)
+ * - CSV: a square grid with item labels across the first row and down the first column
+ */
+
+import { parseCsv, parseNumber, toCsv } from "./csv";
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+
+// Smallest eigenvalue still accepted as PSD (rounding in entered / repaired values)
+export const PSD_TOLERANCE = -1e-8;
+
+export function entityKey(type, id) {
+  return `${type}:${id}`;
+}
+
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Matrix rows / columns: simulated CBS items (leaves) then contingent risks; inherent risks carry no cost.
+ * Returns [{ key, type, id, code, name }] where code is the display ID (CBS001 / R001) used as the grid label.
+ */
+export function correlationEntities(leafItems, risks) {
+  return [
+    ...leafItems.map((x) => ({ key: entityKey("cbs", x.id), type: "cbs", id: x.id, code: formatCbsIdDisplay(x.id), name: x.name || "" })),
+    ...risks
+      .filter((r) => String(r.riskType || "contingent").toLowerCase() !== "inherent")
+      .map((r) => ({ key: entityKey("risk", r.id), type: "risk", id: r.id, code: formatRiskIdDisplay(r.id), name: r.name || "" })),
+  ];
+}
+
+export function matrixFor(entities, pairs) {
+  return entities.map((a, i) =>
+    entities.map((b, j) => (i === j ? 1 : Number(pairs[pairKey(a.key, b.key)]) || 0))
+  );
+}
+
+// Set entries of a dense matrix as pairs (|ρ| below 1e-9 counts as 0 and is left out)
+export function pairsFromMatrix(entities, matrix) {
+  const pairs = {};
+  entities.forEach((a, i) => {
+    for (let j = i + 1; j < entities.length; j++) {
+      const v = matrix[i][j];
+      if (Math.abs(v) > 1e-9) pairs[pairKey(a.key, entities[j].key)] = v;
+    }
+  });
+  return pairs;
+}
+
+/**
+ * Pairs without the entries of removed items. keys: entity keys (entityKey) of deleted or replaced CBS rows /
+ * risks, whose IDs a later row may reuse. Returns { pairs, dropped } with dropped the number of entries cleared.
+ */
+export function pairsWithoutEntities(pairs, keys) {
+  const out = {};
+  let dropped = 0;
+  Object.entries(pairs).forEach(([k, v]) => {
+    if (k.split("|").some((key) => keys.has(key))) dropped += 1;
+    else out[k] = v;
+  });
+  return { pairs: dropped ? out : pairs, dropped };
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+ * Returns { values, vectors } with vectors[k][i] = component k of the i-th eigenvector.
+ */
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row) => Float64Array.from(row));
+  const v = Array.from({ length: n }, (_, i) => {
+    const row = new Float64Array(n);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-24) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: Array.from({ length: n }, (_, i) => a[i][i]), vectors: v };
+}
+
+export function minEigenvalue(matrix) {
+  if (!matrix.length) return 1;
+  return Math.min(...symmetricEigen(matrix).values);
+}
+
+// V · diag(max(λ, floor)) · Vᵀ
+function clipEigenvalues(matrix, floor = 0) {
+  const { values, vectors } = symmetricEigen(matrix);
+  const n = matrix.length;
+  const lambda = values.map((l) => Math.max(l, floor));
+  return Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => {
+      let sum = 0;
+      for (let k = 0; k < n; k++) sum += vectors[i][k] * lambda[k] * vectors[j][k];
+      return sum;
+    })
+  );
+}
+
+/**
+ * Nearest correlation matrix (Frobenius norm) by Higham's alternating projections with Dykstra's correction:
+ * alternately the nearest PSD matrix and the nearest unit-diagonal one. A last eigenvalue clip and rescale
+ * makes the result PSD with a unit diagonal even when the iterations stop early.
+ */
+export function nearestCorrelationMatrix(matrix, { maxIterations = 100, tolerance = 1e-9 } = {}) {
+  const n = matrix.length;
+  let y = matrix.map((row) => [...row]);
+  let ds = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let it = 0; it < maxIterations; it++) {
+    const r = y.map((row, i) => row.map((v, j) => v - ds[i][j]));
+    const x = clipEigenvalues(r);
+    ds = x.map((row, i) => row.map((v, j) => v - r[i][j]));
+    const next = x.map((row, i) => row.map((v, j) => (i === j ? 1 : v)));
+    let change = 0;
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) change += (next[i][j] - y[i][j]) ** 2;
+    y = next;
+    if (Math.sqrt(change) < tolerance) break;
+  }
+
+  const psd = clipEigenvalues(y);
+  const scale = psd.map((row, i) => Math.sqrt(Math.max(row[i], 1e-12)));
+  return psd.map((row, i) =>
+    row.map((v, j) => (i === j ? 1 : Math.min(1, Math.max(-1, (v + psd[j][i]) / 2 / (scale[i] * scale[j])))))
+  );
+}
+
+/**
+ * Lower-triangular L with L·Lᵀ = matrix, for a PSD matrix (zero pivots of a singular one give zero columns).
+ * Rows are scaled to unit length so every correlated draw stays standard normal. Throws when not PSD.
+ */
+export function choleskyLower(matrix) {
+  const n = matrix.length;
+  const l = Array.from({ length: n }, () => new Float64Array(n));
+  for (let j = 0; j < n; j++) {
+    let d = matrix[j][j];
+    for (let k = 0; k < j; k++) d -= l[j][k] * l[j][k];
+    if (d < PSD_TOLERANCE * 100) throw new Error("Correlation matrix is not positive semi-definite.");
+    const diag = d > 1e-12 ? Math.sqrt(d) : 0;
+    l[j][j] = diag;
+    for (let i = j + 1; i < n; i++) {
+      let s = matrix[i][j];
+      for (let k = 0; k < j; k++) s -= l[i][k] * l[j][k];
+      l[i][j] = diag > 0 ? s / diag : 0;
+    }
+  }
+  l.forEach((row) => {
+    let norm = 0;
+    for (let k = 0; k < n; k++) norm += row[k] * row[k];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let k = 0; k < n; k++) row[k] /= norm;
+  });
+  return l;
+}
+
+/**
+ * Problems with the matrix (empty when it can be run). minEigen: precomputed minEigenvalue, if available.
+ */
+export function correlationMatrixIssues(entities, pairs, minEigen = null) {
+  const issues = [];
+  if (entities.length < 2) issues.push("Advanced correlation needs at least two CBS items or contingent risks.");
+  const keys = new Set(entities.map((e) => e.key));
+  let outOfRange = 0;
+  Object.entries(pairs).forEach(([key, v]) => {
+    const [a, b] = key.split("|");
+    if (!keys.has(a) || !keys.has(b)) return;
+    if (!(Number(v) >= -1 && Number(v) <= 1)) outOfRange += 1;
+  });
+  if (outOfRange) {
+    issues.push(`Correlation matrix: ${outOfRange} entr${outOfRange === 1 ? "y is" : "ies are"} not a number between −1 and 1.`);
+    return issues;
+  }
+  const lambda = minEigen ?? minEigenvalue(matrixFor(entities, pairs));
+  if (lambda < PSD_TOLERANCE) {
+    issues.push(`Correlation matrix is not positive semi-definite (smallest eigenvalue ${lambda.toFixed(4)}). Repair it to the nearest valid matrix or adjust the entries.`);
+  }
+  return issues;
+}
+
+export function correlationMatrixToPayload(entities, pairs) {
+  return {
+    items: entities.map((e) => ({ type: e.type, id: e.id })),
+    matrix: matrixFor(entities, pairs),
+  };
+}
+
+/**
+ * Pairs from a saved payload.correlationMatrix. Items no longer in the model are dropped; entries
+ * outside [−1, 1] are ignored with a warning.
+ */
+export function readCorrelationMatrix(raw, entities, warnings = []) {
+  if (!raw || !Array.isArray(raw.items) || !Array.isArray(raw.matrix)) return {};
+  const known = new Set(entities.map((e) => e.key));
+  const keys = raw.items.map((it) => entityKey(it?.type === "risk" ? "risk" : "cbs", String(it?.id ?? "")));
+  const missing = keys.filter((k) => !known.has(k));
+  if (missing.length) warnings.push(`Correlation matrix: ${missing.length} item(s) not in the model were dropped.`);
+  const pairs = {};
+  let ignored = 0;
+  keys.forEach((a, i) => {
+    for (let j = i + 1; j < keys.length; j++) {
+      const b = keys[j];
+      const v = Number(raw.matrix[i]?.[j]);
+      if (!known.has(a) || !known.has(b) || v === 0) continue;
+      if (!(v >= -1 && v <= 1)) {
+        ignored += 1;
+        continue;
+      }
+      pairs[pairKey(a, b)] = v;
+    }
+  });
+  if (ignored) warnings.push(`Correlation matrix: ${ignored} entr${ignored === 1 ? "y" : "ies"} outside −1 to 1 ignored.`);
+  return pairs;
+}
+
+// Square CSV with the grid labels (display IDs) across the first row and down the first column
+export function correlationMatrixToCsv(entities, pairs) {
+  const matrix = matrixFor(entities, pairs);
+  return toCsv([
+    ["", ...entities.map((e) => e.code)],
+    ...entities.map((e, i) => [e.code, ...matrix[i].map((v) => Math.round(v * 10000) / 10000)]),
+  ]);
+}
+
+/**
+ * Pairs from a matrix CSV. Labels match an item's grid label, ID or name (ignoring case). Either triangle may
+ * be left blank; when both are filled and differ, the mean is used. Blank cells leave the current entry.
+ * Returns { pairs, matched, warnings } with pairs merged over `current`.
+ */
+export function correlationMatrixFromCsv(text, entities, current = {}) {
+  const rows = parseCsv(text).rows.filter((r) => r.some((c) => c !== ""));
+  const warnings = [];
+  if (rows.length < 2) return { pairs: current, matched: 0, warnings: ["No matrix found (expected item labels across the first row and down the first column)."] };
+
+  const norm = (s) => String(s ?? "").trim().toLowerCase();
+  const lookup = (label) => {
+    const k = norm(label);
+    if (!k) return null;
+    return (
+      entities.find((e) => norm(e.code) === k) ||
+      entities.find((e) => norm(e.id) === k || norm(e.key) === k) ||
+      entities.find((e) => norm(e.name) === k) ||
+      null
+    );
+  };
+
+  const header = rows[0];
+  const columns = header.map((label, c) => (c === 0 ? null : lookup(label)));
+  header.forEach((label, c) => {
+    if (c > 0 && label && !columns[c]) warnings.push(`Column '${label}' does not match a CBS item or risk; ignored.`);
+  });
+
+  const seen = new Map();
+  let bad = 0;
+  let matchedRows = 0;
+  rows.slice(1).forEach((row) => {
+    const a = lookup(row[0]);
+    if (!a) {
+      if (row[0]) warnings.push(`Row '${row[0]}' does not match a CBS item or risk; ignored.`);
+      return;
+    }
+    matchedRows += 1;
+    row.forEach((cell, c) => {
+      const b = columns[c];
+      if (c === 0 || !b || b.key === a.key || cell === "") return;
+      const v = parseNumber(cell).value;
+      if (!(v >= -1 && v <= 1)) {
+        bad += 1;
+        return;
+      }
+      const key = pairKey(a.key, b.key);
+      seen.set(key, [...(seen.get(key) || []), v]);
+    });
+  });
+  if (bad) warnings.push(`${bad} cell(s) are not numbers between −1 and 1; ignored.`);
+
+  const pairs = { ...current };
+  let asymmetric = 0;
+  seen.forEach((values, key) => {
+    if (values.length > 1 && Math.abs(values[0] - values[1]) > 1e-9) asymmetric += 1;
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    if (mean === 0) delete pairs[key];
+    else pairs[key] = mean;
+  });
+  if (asymmetric) warnings.push(`${asymmetric} pair(s) had different values above and below the diagonal; their mean was used.`);
+  return { pairs, matched: matchedRows, warnings };
+}
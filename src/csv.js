@@ -0,0 +1,187 @@
+/**
+ * CSV reading (RFC 4180) + lenient number parsing for imported registers
+ * - Quoted fields, "" escapes, embedded newlines, CRLF/CR/LF, UTF-8 BOM
+ * - Delimiter auto-detected from the header line: comma, semicolon or tab
+ * - Blank lines are kept as empty records so record numbers match spreadsheet row numbers
+ * - toCsv writes the same dialect back out (comma separated, quoted where needed)
+ */
+
+const DELIMITERS = [",", ";", "\t"];
+
+// Counts delimiter candidates in the first record (outside quotes) and picks the most frequent.
+export function detectDelimiter(text) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch] += 1;
+  }
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+/**
+ * Parses CSV text into records (arrays of trimmed cell strings).
+ * Returns { rows, delimiter }.
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const delim = delimiter || detectDelimiter(src);
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    rows.push(row.length === 1 && row[0] === "" ? [] : row);
+    row = [];
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && cell.trim() === "") {
+      // Opening quote (whitespace before it is ignored)
+      cell = "";
+      inQuotes = true;
+    } else if (ch === delim) {
+      endCell();
+    } else if (ch === "\r" || ch === "\n") {
+      endRow();
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+    } else {
+      cell += ch;
+    }
+    i += 1;
+  }
+
+  if (cell !== "" || row.length > 0) endRow();
+
+  return { rows, delimiter: delim };
+}
+
+export function isBlankRow(cells) {
+  return !cells || cells.every((c) => String(c ?? "").trim() === "");
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+export function columnLetter(idx) {
+  let n = idx + 1;
+  let s = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// "Row 5, C5 (probability)" — rowIdx is the 0-based record index
+export function cellRef(rowIdx, colIdx, header) {
+  const ref = `${columnLetter(colIdx)}${rowIdx + 1}`;
+  return header ? `Row ${rowIdx + 1}, ${ref} (${header})` : `Row ${rowIdx + 1}, ${ref}`;
+}
+
+const SUFFIXES = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9 };
+
+/**
+ * Lenient number parser for cost/probability cells.
+ * Handles currency symbols/codes ($, A$, AUD, €, £), thousands separators (1,200,000 / 1.200.000 / 1 200 000),
+ * decimal commas (1,5), accounting negatives ((1,000)), k/m/bn suffixes (1.2m) and percentages (20%).
+ * decimal: the locale's decimal separator ("." or ","); when given, the other one is read as a thousands
+ * separator instead of guessing (so "1,250" is 1250 for "." and 1.25 for ",").
+ * Returns { value, isPercent } with value NaN when the cell is not a number.
+ */
+export function parseNumber(raw, { decimal = null } = {}) {
+  let s = String(raw ?? "").trim();
+  if (s === "") return { value: NaN, isPercent: false, empty: true };
+
+  let negative = false;
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  }
+  if (s.startsWith("-") || s.startsWith("−")) {
+    negative = !negative;
+    s = s.slice(1).trim();
+  }
+
+  // Currency codes/symbols at either end (e.g. "A$1.2m", "1 200 EUR", "NZ$ 500")
+  s = s.replace(/^([A-Z]{1,3}\s*)?[$€£¥]\s*/i, "").replace(/^(AUD|NZD|USD|GBP|EUR|CAD)\s*/i, "");
+  s = s.replace(/\s*(AUD|NZD|USD|GBP|EUR|CAD)$/i, "").replace(/\s*[$€£¥]$/, "");
+  if (s.startsWith("-") || s.startsWith("−")) {
+    negative = !negative;
+    s = s.slice(1).trim();
+  }
+
+  const isPercent = s.endsWith("%");
+  if (isPercent) s = s.slice(0, -1).trim();
+
+  let multiplier = 1;
+  const suffix = s.match(/^(.*?)\s*(k|mm|m|bn|b)$/i);
+  if (suffix && /\d/.test(suffix[1])) {
+    multiplier = SUFFIXES[suffix[2].toLowerCase()];
+    s = suffix[1];
+  }
+
+  s = s.replace(/[\s'’\u00A0\u202F]/g, "");
+  const hasDot = s.includes(".");
+  const hasComma = s.includes(",");
+
+  if (decimal === "." || decimal === ",") {
+    const group = decimal === "." ? "," : ".";
+    s = s.split(group).join("");
+    if (decimal === ",") s = s.replace(",", ".");
+  } else if (hasDot && hasComma) {
+    // Whichever comes last is the decimal separator
+    s = s.lastIndexOf(",") > s.lastIndexOf(".") ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, "");
+  } else if (hasComma) {
+    s = /^\d{1,3}(,\d{3})+$/.test(s) ? s.replace(/,/g, "") : s.replace(",", ".");
+  } else if (hasDot && (s.match(/\./g) || []).length > 1) {
+    s = s.replace(/\./g, "");
+  }
+
+  if (!/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(s)) return { value: NaN, isPercent, empty: false };
+
+  let value = Number(s) * multiplier;
+  if (isPercent) value /= 100;
+  if (negative) value = -value;
+  return { value, isPercent, empty: false };
+}
+
+// RFC 4180 quoting: fields with delimiters, quotes or line breaks are wrapped in quotes
+function csvField(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",;\t\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Records (arrays of values) -> CSV text with CRLF line endings.
+ * Starts with a UTF-8 BOM so Excel opens non-ASCII text correctly (parseCsv strips it).
+ */
+export function toCsv(records) {
+  return "\uFEFF" + records.map((r) => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,112 @@
+/**
+ * Total-cost distribution for the results charts
+ * - Built from raw samples when /simulate returns them, else from a histogram
+ * - Normalised to { n, bins: [{ x0, x1, count }], cdf: [{ x, p }] } (cdf sorted by x)
+ */
+
+const DEFAULT_BINS = 40;
+const MAX_CDF_POINTS = 400;
+
+function finiteNumbers(arr) {
+  return (Array.isArray(arr) ? arr : []).map(Number).filter((v) => Number.isFinite(v));
+}
+
+// Accepts { edges|bin_edges, counts } or [{ x0|bin_start|start, x1|bin_end|end, count }]
+function normaliseHistogram(h) {
+  if (!h) return [];
+
+  if (!Array.isArray(h) && typeof h === "object") {
+    const edges = finiteNumbers(h.edges || h.bin_edges);
+    const counts = (h.counts || h.frequencies || []).map((c) => Number(c) || 0);
+    if (edges.length < 2 || counts.length !== edges.length - 1) return [];
+    return counts.map((count, i) => ({ x0: edges[i], x1: edges[i + 1], count }));
+  }
+
+  return h
+    .map((b) => ({
+      x0: Number(b.x0 ?? b.bin_start ?? b.start),
+      x1: Number(b.x1 ?? b.bin_end ?? b.end),
+      count: Number(b.count ?? b.frequency) || 0,
+    }))
+    .filter((b) => Number.isFinite(b.x0) && Number.isFinite(b.x1) && b.x1 >= b.x0)
+    .sort((a, b) => a.x0 - b.x0);
+}
+
+export function distributionFromSamples(samples, binCount = DEFAULT_BINS) {
+  const sorted = finiteNumbers(samples).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (n === 0) return null;
+
+  const min = sorted[0];
+  const max = sorted[n - 1];
+  const width = max > min ? (max - min) / binCount : 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 }));
+  sorted.forEach((v) => {
+    const i = Math.min(binCount - 1, Math.floor((v - min) / width));
+    bins[i].count += 1;
+  });
+
+  // Empirical CDF, thinned to keep the S-curve path small
+  const step = Math.max(1, Math.floor(n / MAX_CDF_POINTS));
+  const cdf = [];
+  for (let i = 0; i < n; i += step) cdf.push({ x: sorted[i], p: (i + 1) / n });
+  if (cdf[cdf.length - 1].x !== max) cdf.push({ x: max, p: 1 });
+
+  return { n, bins, cdf };
+}
+
+export function distributionFromHistogram(histogram) {
+  const bins = normaliseHistogram(histogram);
+  const n = bins.reduce((sum, b) => sum + b.count, 0);
+  if (bins.length === 0 || n <= 0) return null;
+
+  let running = 0;
+  const cdf = [{ x: bins[0].x0, p: 0 }];
+  bins.forEach((b) => {
+    running += b.count;
+    cdf.push({ x: b.x1, p: running / n });
+  });
+  return { n, bins, cdf };
+}
+
+/**
+ * Picks the total-cost distribution out of a /simulate response, if the backend sent one.
+ * Samples win over a histogram because they give an exact S-curve.
+ */
+export function distributionFromResponse(data) {
+  const samples = data?.samples ?? data?.total_samples ?? data?.results?.samples;
+  if (Array.isArray(samples) && samples.length > 0) return distributionFromSamples(samples);
+
+  const histogram = data?.histogram ?? data?.results?.histogram;
+  return histogram ? distributionFromHistogram(histogram) : null;
+}
+
+// Cumulative probability of total cost <= x (linear between CDF points)
+export function cdfAt(dist, x) {
+  const pts = dist?.cdf || [];
+  if (pts.length === 0) return NaN;
+  if (x < pts[0].x) return 0;
+  if (x >= pts[pts.length - 1].x) return 1;
+
+  let lo = 0;
+  let hi = pts.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (pts[mid].x <= x) lo = mid;
+    else hi = mid;
+  }
+  const a = pts[lo];
+  const b = pts[hi];
+  return b.x === a.x ? b.p : a.p + ((x - a.x) / (b.x - a.x)) * (b.p - a.p);
+}
+
+// ~count evenly spaced "round" ticks covering [min, max]
+export function niceTicks(min, max, count = 6) {
+  if (!(max > min)) return [min];
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw) || raw;
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v);
+  return ticks;
+}
@@ -0,0 +1,190 @@
+/**
+ * Driver groups (Standard correlation + escalation)
+ * - A driver is { name, description, strength }; CBS items refer to it by name in
+ *   cbsItem.drivers: [{ driverGroup, sensitivity }] (several per item, each also escalating an equal share of the item's cost)
+ * - strength (0–1) scales the driver's shared shock: an item's loading on a driver is strength × its sensitivity weight
+ * - An item's loadings combine as √(Σ loading²), the share of its variation explained by drivers; above 1 is
+ *   not possible, so the engine scales such loadings down and validation warns
+ * - Sensitivity levels (none / low / medium / high) map to numeric weights 0–1, editable per project
+ * - Text form for CSV files: driver names "A; B" with sensitivities "high; medium" in the same order
+ * - Sent as payload.drivers / payload.sensitivityWeights and saved with the project
+ */
+
+export const DEFAULT_DRIVER_GROUPS = [
+  {
+    name: "Market & economic conditions",
+    description:
+      "Changes in market prices and economic conditions that affect multiple cost items at the same time (e.g. materials escalation, inflation, fuel or energy costs). Use this when costs tend to rise or fall together due to broader market forces.",
+  },
+  {
+    name: "Labour market & productivity",
+    description:
+      "Availability, cost, and productivity of labour that can influence multiple work packages simultaneously (e.g. wage pressure, labour shortages, industrial action, productivity variation).",
+  },
+  {
+    name: "Site & environmental conditions",
+    description:
+      "Physical site conditions or environmental factors that can impact several cost items together (e.g. ground conditions, access constraints, utilities, weather).",
+  },
+  {
+    name: "Regulatory environments",
+    description:
+      "Regulatory, approval, or authority requirements that may constrain delivery and affect multiple cost items at once (e.g. permits, possessions, third-party approvals, compliance conditions).",
+  },
+  {
+    name: "Procurement & contract complexities",
+    description:
+      "Commercial and procurement factors that can influence costs across multiple packages (e.g. tender market behaviour, contract packaging, risk allocation, claims environment).",
+  },
+  {
+    name: "Technology & commissioning complexity",
+    description:
+      "Complexity or uncertainty associated with systems, technology, testing, or commissioning that may affect multiple cost items together (e.g. system integration or unproven technology).",
+  },
+].map((d) => ({ ...d, strength: 1 }));
+
+export const SENSITIVITY_LEVELS = ["none", "low", "medium", "high"];
+
+// Share of an item's variation that comes from its driver's shock (before the driver strength)
+export const DEFAULT_SENSITIVITY_WEIGHTS = { none: 0, low: 0.3, medium: 0.6, high: 0.9 };
+
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+const isFraction = (v) => v !== "" && v !== null && Number.isFinite(Number(v)) && Number(v) >= 0 && Number(v) <= 1;
+
+// Problem with a (new) driver name, or null. currentName: the driver being renamed
+export function driverNameIssue(name, drivers, currentName = null) {
+  const key = nameKey(name);
+  if (!key) return "Driver name is required.";
+  if (key.includes(";")) return "Driver names cannot contain ';' (it separates drivers in CSV files).";
+  if (drivers.some((d) => nameKey(d.name) === key && d.name !== currentName)) return `A driver called '${String(name).trim()}' already exists.`;
+  return null;
+}
+
+// "New driver", "New driver 2", ... not yet in use
+export function uniqueDriverName(drivers, base = "New driver") {
+  const taken = new Set(drivers.map((d) => nameKey(d.name)));
+  if (!taken.has(nameKey(base))) return base;
+  let i = 2;
+  while (taken.has(nameKey(`${base} ${i}`))) i += 1;
+  return `${base} ${i}`;
+}
+
+export function driverGroupIssues(drivers, weights) {
+  const issues = [];
+  drivers.forEach((d) => {
+    if (!isFraction(d.strength)) issues.push(`Driver '${d.name}': shock strength must be between 0 and 1.`);
+  });
+  SENSITIVITY_LEVELS.forEach((level) => {
+    if (!isFraction(weights[level])) issues.push(`Sensitivity weight '${level}' must be between 0 and 1.`);
+  });
+  return issues;
+}
+
+export function driversToPayload(drivers) {
+  return drivers.map((d) => ({ name: d.name, description: d.description || "", strength: Number(d.strength) }));
+}
+
+export function sensitivityWeightsToPayload(weights) {
+  return Object.fromEntries(SENSITIVITY_LEVELS.map((level) => [level, Number(weights[level])]));
+}
+
+/**
+ * Driver definitions from payload.drivers; files saved before the driver editor have none and get the defaults.
+ * Blank / repeated names are dropped and unusable strengths reset to 1, with warnings.
+ */
+export function readDriverGroups(raw, warnings = []) {
+  if (!Array.isArray(raw)) return DEFAULT_DRIVER_GROUPS;
+  const out = [];
+  raw.forEach((d) => {
+    const name = String(d?.name || "").trim();
+    const issue = driverNameIssue(name, out);
+    if (issue) {
+      warnings.push(`Driver groups: ${issue} Entry ignored.`);
+      return;
+    }
+    let strength = d.strength ?? 1;
+    if (!isFraction(strength)) {
+      warnings.push(`Driver '${name}': shock strength '${strength}' is not between 0 and 1; set to 1.`);
+      strength = 1;
+    }
+    out.push({ name, description: String(d.description || ""), strength: Number(strength) });
+  });
+  return out;
+}
+
+export function readSensitivityWeights(raw, warnings = []) {
+  if (!raw || typeof raw !== "object") return DEFAULT_SENSITIVITY_WEIGHTS;
+  return Object.fromEntries(
+    SENSITIVITY_LEVELS.map((level) => {
+      if (raw[level] === undefined || isFraction(raw[level])) return [level, Number(raw[level] ?? DEFAULT_SENSITIVITY_WEIGHTS[level])];
+      warnings.push(`Sensitivity weight '${level}' (${raw[level]}) is not between 0 and 1; set to ${DEFAULT_SENSITIVITY_WEIGHTS[level]}.`);
+      return [level, DEFAULT_SENSITIVITY_WEIGHTS[level]];
+    })
+  );
+}
+
+// Loading of one assignment on its driver's shock (0–1); strengths: Map name -> strength
+export function driverLoading(assignment, strengths, weights) {
+  const w = Number(weights[String(assignment.sensitivity || "medium").toLowerCase()] ?? weights.medium);
+  const strength = strengths.has(assignment.driverGroup) ? Number(strengths.get(assignment.driverGroup)) : 1;
+  return Math.min(1, Math.max(0, (Number.isFinite(w) ? w : 0) * (Number.isFinite(strength) ? strength : 1)));
+}
+
+// √(Σ loading²): share of the item's variation (in normal-score terms) that comes from its drivers
+export function combinedLoading(assignments, strengths, weights) {
+  return Math.sqrt((assignments || []).reduce((sum, a) => sum + driverLoading(a, strengths, weights) ** 2, 0));
+}
+
+// "Market & economic conditions (high); Labour market & productivity (low)" for previews and diffs
+export function formatDriverAssignments(assignments) {
+  return (assignments || []).map((a) => `${a.driverGroup} (${a.sensitivity || "medium"})`).join("; ");
+}
+
+export function formatDriverNames(assignments) {
+  return (assignments || []).map((a) => a.driverGroup).join("; ");
+}
+
+export function formatDriverSensitivities(assignments) {
+  return (assignments || []).map((a) => a.sensitivity || "medium").join("; ");
+}
+
+/**
+ * Reads the text form: driver names "A; B" and sensitivities "high; low" paired by position
+ * (one sensitivity applies to every driver). driverOptions: known names, matched ignoring case / punctuation.
+ * Returns { drivers, problems } with problems as plain sentences for import warnings.
+ */
+export function parseDriverCells(driverText, sensitivityText, driverOptions = null) {
+  const problems = [];
+  const split = (text) =>
+    String(text ?? "")
+      .split(/[;|\n]/)
+      .map((part) => part.trim())
+      .filter(Boolean);
+  const names = split(driverText);
+  const levels = split(sensitivityText).map((s) => s.toLowerCase());
+  const simplify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+  const drivers = [];
+  names.forEach((raw, i) => {
+    const name = driverOptions ? driverOptions.find((d) => simplify(d) === simplify(raw)) : raw;
+    if (!name) {
+      problems.push(`unknown driver '${raw}'; left out.`);
+      return;
+    }
+    if (drivers.some((a) => a.driverGroup === name)) {
+      problems.push(`driver '${name}' is listed twice; the first entry is used.`);
+      return;
+    }
+    let sensitivity = levels.length === 1 ? levels[0] : levels[i] || "medium";
+    if (!SENSITIVITY_LEVELS.includes(sensitivity)) {
+      problems.push(`invalid sensitivity '${sensitivity}' for '${name}'; defaulted to 'medium'.`);
+      sensitivity = "medium";
+    }
+    drivers.push({ driverGroup: name, sensitivity });
+  });
+  if (levels.length > 1 && levels.length !== names.length) {
+    problems.push(`${names.length} driver(s) but ${levels.length} sensitivities; unmatched ones default to 'medium'.`);
+  }
+  return { drivers, problems };
+}
@@ -0,0 +1,30 @@
+/**
+ * One field value as text for change lists (import preview, scenario comparison)
+ * - Field names are the register's: probability / postProbability, *Cost, cbsLinks, drivers, distribution,
+ *   outcomes / discreteOutcomes, status
+ * - Lists of plain values (escalationGroups) are joined with "; "; anything else nested (a field this list does
+ *   not know yet) is shown as JSON rather than "[object Object]"
+ */
+
+import { formatCbsLinks } from "./riskLinks";
+import { formatDriverAssignments } from "./driverGroups";
+import { distributionLabel } from "./itemDistributions";
+import { riskStatusLabel } from "./riskRegister";
+
+const pct = (v) => `${Math.round(Number(v) * 1000) / 10}%`;
+
+export function formatFieldValue(field, v, money) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (/probability$/i.test(field) && Number.isFinite(Number(v))) return pct(v);
+  if (field === "cbsLinks") return formatCbsLinks(v) || "—";
+  if (field === "drivers") return formatDriverAssignments(v) || "—";
+  if (field === "distribution") return distributionLabel(v);
+  if (field === "outcomes" || field === "discreteOutcomes") {
+    return (v || []).map((o) => `${money(Number(o.value) || 0)} (weight ${Number(o.weight) || 0})`).join("; ") || "—";
+  }
+  if (field === "status") return riskStatusLabel(v);
+  if (/cost/i.test(field) && Number.isFinite(Number(v))) return money(Number(v));
+  if (Array.isArray(v) && v.every((x) => typeof x !== "object")) return v.join("; ") || "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
@@ -0,0 +1,137 @@
+/**
+ * Display formatting helpers shared by App and the results components
+ * - Money figures follow the project's number format (currency, locale, display unit);
+ *   createMoneyFormat() builds the money / moneyCompact / amount-entry helpers components receive as props
+ * - money() / moneyCompact() below are the AUD / en-AU defaults
+ */
+
+import { parseNumber } from "./csv";
+
+export function formatCbsIdDisplay(id) {
+  const raw = String(id || "");
+  const m = raw.match(/^([a-zA-Z]+)\s*0*(\d+)$/);
+  if (!m) return raw.toUpperCase();
+  const prefix = m[1].toUpperCase();
+  const num = String(parseInt(m[2], 10)).padStart(3, "0");
+  return `${prefix}${num}`;
+}
+
+export function formatRiskIdDisplay(id) {
+  // Display-only formatting: e.g. r1 -> R001, R0003 -> R003
+  const raw = String(id || "");
+  const m = raw.match(/^([a-zA-Z]+)\s*0*(\d+)$/);
+  if (!m) return raw.toUpperCase();
+  const prefix = m[1].toUpperCase();
+  const num = String(parseInt(m[2], 10)).padStart(3, "0");
+  return `${prefix}${num}`;
+}
+
+export const CURRENCIES = [
+  { code: "AUD", label: "Australian dollar (AUD)" },
+  { code: "NZD", label: "New Zealand dollar (NZD)" },
+  { code: "GBP", label: "Pound sterling (GBP)" },
+  { code: "USD", label: "US dollar (USD)" },
+  { code: "EUR", label: "Euro (EUR)" },
+  { code: "CAD", label: "Canadian dollar (CAD)" },
+];
+
+export const LOCALES = [
+  { code: "en-AU", label: "English (Australia) — 1,234.56" },
+  { code: "en-NZ", label: "English (New Zealand) — 1,234.56" },
+  { code: "en-GB", label: "English (UK) — 1,234.56" },
+  { code: "en-US", label: "English (US) — 1,234.56" },
+  { code: "de-DE", label: "Deutsch — 1.234,56" },
+  { code: "fr-FR", label: "Français — 1 234,56" },
+];
+
+// Display units for large programmes: figures are divided and tagged (e.g. $1,250k, $1.25m)
+export const DISPLAY_UNITS = [
+  { key: "unit", label: "Full amounts", divisor: 1, suffix: "", digits: 0 },
+  { key: "k", label: "Thousands (k)", divisor: 1e3, suffix: "k", digits: 1 },
+  { key: "m", label: "Millions (m)", divisor: 1e6, suffix: "m", digits: 2 },
+];
+
+export const DEFAULT_NUMBER_FORMAT = { currency: "AUD", locale: "en-AU", unit: "unit" };
+
+// Known settings only; anything else falls back to the default
+export function normaliseNumberFormat(f) {
+  return {
+    currency: CURRENCIES.some((c) => c.code === f?.currency) ? f.currency : DEFAULT_NUMBER_FORMAT.currency,
+    locale: LOCALES.some((l) => l.code === f?.locale) ? f.locale : DEFAULT_NUMBER_FORMAT.locale,
+    unit: DISPLAY_UNITS.some((u) => u.key === f?.unit) ? f.unit : DEFAULT_NUMBER_FORMAT.unit,
+  };
+}
+
+// Puts the unit suffix straight after the digits, wherever the locale places the currency symbol
+function withSuffix(parts, suffix) {
+  if (!suffix) return parts.map((p) => p.value).join("");
+  let last = -1;
+  parts.forEach((p, i) => {
+    if (p.type === "integer" || p.type === "fraction") last = i;
+  });
+  return parts.map((p, i) => (i === last ? p.value + suffix : p.value)).join("");
+}
+
+/**
+ * Formatting + entry helpers for one number format.
+ * Returns {
+ *   money(n)          - figure in the display unit ("$1,250k")
+ *   moneyCompact(n)   - short axis label ("$1.3M")
+ *   symbol            - currency symbol in this locale ("$", "£", "$NZ")
+ *   unitLabel         - symbol + display unit, e.g. "$k"
+ *   formatAmount(n)   - full amount with locale grouping, no symbol (input fields)
+ *   parseAmount(text) - number from locale-formatted text ("1.250.000,50", "1.2m"); NaN when invalid
+ * }
+ */
+export function createMoneyFormat(format) {
+  const { currency, locale, unit } = normaliseNumberFormat(format);
+  const u = DISPLAY_UNITS.find((x) => x.key === unit);
+  const full = new Intl.NumberFormat(locale, { style: "currency", currency, minimumFractionDigits: 0, maximumFractionDigits: u.digits });
+  const compact = new Intl.NumberFormat(locale, { style: "currency", currency, notation: "compact", maximumFractionDigits: 1 });
+  const plain = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const decimal = plain.formatToParts(1.5).find((p) => p.type === "decimal")?.value || ".";
+  const symbol = full.formatToParts(0).find((p) => p.type === "currency")?.value || currency;
+
+  return {
+    currency,
+    locale,
+    unit,
+    symbol,
+    unitLabel: `${symbol}${u.suffix}`,
+    money(n) {
+      if (n === null || n === undefined || Number.isNaN(n)) return "";
+      return withSuffix(full.formatToParts(Number(n) / u.divisor), u.suffix);
+    },
+    moneyCompact(n) {
+      if (n === null || n === undefined || Number.isNaN(n)) return "";
+      return compact.format(n);
+    },
+    formatAmount(n) {
+      if (n === null || n === undefined || n === "") return "";
+      const v = Number(n);
+      return Number.isFinite(v) ? plain.format(v) : String(n);
+    },
+    parseAmount(text) {
+      const { value, isPercent, empty } = parseNumber(text, { decimal });
+      if (empty || isPercent) return NaN;
+      return value;
+    },
+  };
+}
+
+const DEFAULT_MONEY_FORMAT = createMoneyFormat(DEFAULT_NUMBER_FORMAT);
+
+export function money(n) {
+  return DEFAULT_MONEY_FORMAT.money(n);
+}
+
+export function formatTimestamp(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString("en-AU", { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Axis labels: $1.2M, $850K
+export function moneyCompact(n) {
+  return DEFAULT_MONEY_FORMAT.moneyCompact(n);
+}
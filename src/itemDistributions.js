@@ -0,0 +1,307 @@
+/**
+ * Probability distributions for CBS items and risk impacts
+ * - Each item carries distribution (a key below) and, for Discrete, outcomes [{ value, weight }]
+ * - The three-point inputs are read per distribution: Triangular / PERT use them as min / most likely / max,
+ *   Uniform as min / max, Trigen and Lognormal take low / high as the P10 / P90 (so a CBS item's confidence
+ *   factor range works with every shape); Discrete uses its outcomes only
+ * - quantileFunction() turns an item into u ∈ [0, 1) → value, so the engine's copula draws work for any shape
+ * - Sent as cbsItems[].distribution / discreteOutcomes and contingentRisks[].distribution / discreteOutcomes
+ * - CSV: a distribution column (key or label) and an outcomes column written "value: weight; value: weight"
+ */
+
+import { parseNumber } from "./csv";
+
+export const DISTRIBUTIONS = [
+  { key: "triangular", label: "Triangular", help: "Straight-line rise from min to most likely and fall to max." },
+  { key: "pert", label: "PERT", help: "Beta-PERT on min / most likely / max: smoother than triangular, with thinner tails." },
+  { key: "uniform", label: "Uniform", help: "Every value between min and max is equally likely; most likely is not used." },
+  { key: "trigen", label: "Trigen (P10/P90)", help: "Triangular whose low / high inputs are the P10 and P90; the real min and max lie beyond them." },
+  { key: "lognormal", label: "Lognormal", help: "Right-skewed with no upper limit, fitted to low = P10 and high = P90 (both above 0); most likely is not used." },
+  { key: "discrete", label: "Discrete", help: "A few possible outcomes with weights (e.g. one of three design options)." },
+];
+
+export const DEFAULT_DISTRIBUTION = "triangular";
+
+const KEYS = new Set(DISTRIBUTIONS.map((d) => d.key));
+
+// Unknown / missing keys (older files, other tools) are Triangular
+export function distributionKey(type) {
+  const key = String(type || "").trim().toLowerCase();
+  return KEYS.has(key) ? key : DEFAULT_DISTRIBUTION;
+}
+
+export function distributionLabel(type) {
+  return DISTRIBUTIONS.find((d) => d.key === distributionKey(type)).label;
+}
+
+export function usesMostLikely(type) {
+  return ["triangular", "pert", "trigen"].includes(distributionKey(type));
+}
+
+// How the three-point inputs are read, for hints next to the selector ("" when they mean min / most likely / max)
+export function threePointHint(type) {
+  switch (distributionKey(type)) {
+    case "uniform":
+      return "Uses low and high only.";
+    case "trigen":
+      return "Low / high are the P10 / P90.";
+    case "lognormal":
+      return "Low / high are the P10 / P90; most likely not used.";
+    case "discrete":
+      return "Uses the outcomes below.";
+    default:
+      return "";
+  }
+}
+
+const isNum = (v) => v !== null && v !== "" && v !== undefined && Number.isFinite(Number(v));
+
+/**
+ * Problems with an item's inputs for its distribution (empty when it can be simulated).
+ * points: { low, ml, high }; names: labels of the three inputs as the row shows them, e.g. { low: "Best case", ... }
+ */
+export function distributionIssues(type, points, outcomes, names = { low: "Low", ml: "Most likely", high: "High" }) {
+  const key = distributionKey(type);
+  const issues = [];
+  if (key === "discrete") {
+    const list = outcomes || [];
+    if (!list.length) issues.push("Discrete: add at least one outcome.");
+    if (list.some((o) => !isNum(o.value) || Number(o.value) < 0)) issues.push("Discrete: outcome values must be 0 or more.");
+    if (list.some((o) => !isNum(o.weight) || Number(o.weight) < 0)) issues.push("Discrete: weights must be 0 or more.");
+    else if (list.length && list.reduce((sum, o) => sum + Number(o.weight), 0) <= 0) issues.push("Discrete: weights must add up to more than 0.");
+    return issues;
+  }
+
+  const low = Number(points.low);
+  const ml = Number(points.ml);
+  const high = Number(points.high);
+  if (!Number.isFinite(low) || !Number.isFinite(high)) return issues; // missing inputs are reported by the row checks
+  if (key === "lognormal") {
+    if (!(low > 0 && high > low)) issues.push(`Lognormal: need 0 < ${names.low} (P10) < ${names.high} (P90).`);
+    return issues;
+  }
+  if (low > high) issues.push(`${names.low} must be ≤ ${names.high}.`);
+  if (usesMostLikely(key) && Number.isFinite(ml) && (ml < low || ml > high)) {
+    issues.push(`${names.ml} must be between ${names.low} and ${names.high}.`);
+  }
+  if (key === "trigen" && !(high > low)) issues.push(`Trigen: ${names.high} (P90) must be above ${names.low} (P10).`);
+  return issues;
+}
+
+export function triangularInv(u, min, mode, max) {
+  if (!(max > min)) return min;
+  const c = Math.min(max, Math.max(min, mode));
+  const fc = (c - min) / (max - min);
+  return u < fc
+    ? min + Math.sqrt(u * (max - min) * (c - min))
+    : max - Math.sqrt((1 - u) * (max - min) * (max - c));
+}
+
+// Φ⁻¹(p), Acklam's rational approximation (relative error < 1.2e-9)
+export function normalInv(p) {
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const q = Math.min(1 - 1e-12, Math.max(1e-12, p));
+  if (q < 0.02425) {
+    const t = Math.sqrt(-2 * Math.log(q));
+    return (((((c[0] * t + c[1]) * t + c[2]) * t + c[3]) * t + c[4]) * t + c[5]) / ((((d[0] * t + d[1]) * t + d[2]) * t + d[3]) * t + 1);
+  }
+  if (q > 1 - 0.02425) {
+    const t = Math.sqrt(-2 * Math.log(1 - q));
+    return -(((((c[0] * t + c[1]) * t + c[2]) * t + c[3]) * t + c[4]) * t + c[5]) / ((((d[0] * t + d[1]) * t + d[2]) * t + d[3]) * t + 1);
+  }
+  const t = q - 0.5;
+  const r = t * t;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * t) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Min / max of the triangular distribution with the given mode whose P10 and P90 are p10 / p90.
+ * Fixed-point iteration on F(p10) = 0.1 and F(p90) = 0.9.
+ */
+export function trigenBounds(p10, mode, p90) {
+  const m = Math.min(p90, Math.max(p10, mode));
+  let a = p10 - (p90 - p10) / 2;
+  let b = p90 + (p90 - p10) / 2;
+  for (let i = 0; i < 500; i++) {
+    const nextA = p10 - Math.sqrt(0.1 * (b - a) * (m - a));
+    const nextB = p90 + Math.sqrt(0.1 * (b - a) * (b - m));
+    const done = Math.abs(nextA - a) + Math.abs(nextB - b) < 1e-9 * (1 + Math.abs(p90 - p10));
+    a = nextA;
+    b = nextB;
+    if (done) break;
+  }
+  return { min: a, max: b };
+}
+
+// Beta-PERT quantile by interpolating a tabulated CDF (built once per item, so sampling stays cheap)
+function pertQuantile(min, mode, max) {
+  if (!(max > min)) return () => min;
+  const alpha = 1 + (4 * (mode - min)) / (max - min);
+  const beta = 1 + (4 * (max - mode)) / (max - min);
+  const steps = 2048;
+  const cdf = new Float64Array(steps + 1);
+  const density = (x) => Math.pow(x, alpha - 1) * Math.pow(1 - x, beta - 1);
+  let prev = density(0);
+  for (let i = 1; i <= steps; i++) {
+    const next = density(i / steps);
+    cdf[i] = cdf[i - 1] + (prev + next) / 2;
+    prev = next;
+  }
+  const total = cdf[steps];
+  return (u) => {
+    const target = u * total;
+    let lo = 0;
+    let hi = steps;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] < target) lo = mid;
+      else hi = mid;
+    }
+    const span = cdf[hi] - cdf[lo];
+    const x = (lo + (span > 0 ? (target - cdf[lo]) / span : 0)) / steps;
+    return min + x * (max - min);
+  };
+}
+
+function discreteQuantile(outcomes) {
+  const list = (outcomes || [])
+    .map((o) => ({ value: Number(o.value) || 0, weight: Math.max(0, Number(o.weight) || 0) }))
+    .filter((o) => o.weight > 0)
+    .sort((x, y) => x.value - y.value);
+  const total = list.reduce((sum, o) => sum + o.weight, 0);
+  if (!total) return () => 0;
+  const cumulative = [];
+  let acc = 0;
+  list.forEach((o) => {
+    acc += o.weight / total;
+    cumulative.push(acc);
+  });
+  return (u) => {
+    const i = cumulative.findIndex((c) => u < c);
+    return list[i === -1 ? list.length - 1 : i].value;
+  };
+}
+
+/**
+ * u ∈ [0, 1) → value for an item's distribution. points: { low, ml, high } as numbers.
+ */
+export function quantileFunction(type, points, outcomes) {
+  const low = Number(points.low) || 0;
+  const ml = Number(points.ml) || 0;
+  const high = Number(points.high) || 0;
+  switch (distributionKey(type)) {
+    case "pert":
+      return pertQuantile(low, Math.min(high, Math.max(low, ml)), high);
+    case "uniform":
+      return (u) => low + u * (high - low);
+    case "trigen": {
+      if (!(high > low)) return () => low;
+      const { min, max } = trigenBounds(low, ml, high);
+      return (u) => triangularInv(u, min, Math.min(high, Math.max(low, ml)), max);
+    }
+    case "lognormal": {
+      if (!(low > 0 && high > low)) return () => low;
+      const z90 = normalInv(0.9);
+      const mu = (Math.log(low) + Math.log(high)) / 2;
+      const sigma = (Math.log(high) - Math.log(low)) / (2 * z90);
+      return (u) => Math.exp(mu + sigma * normalInv(u));
+    }
+    case "discrete":
+      return discreteQuantile(outcomes);
+    default:
+      return (u) => triangularInv(u, low, ml, high);
+  }
+}
+
+// Smallest / heaviest / largest outcome: the Discrete counterpart of low / most likely / high for table columns
+export function discreteSummary(outcomes) {
+  const list = (outcomes || []).filter((o) => isNum(o.value) && isNum(o.weight));
+  if (!list.length) return { low: NaN, ml: NaN, high: NaN };
+  const values = list.map((o) => Number(o.value));
+  const heaviest = list.reduce((best, o) => (Number(o.weight) > Number(best.weight) ? o : best), list[0]);
+  return { low: Math.min(...values), ml: Number(heaviest.value), high: Math.max(...values) };
+}
+
+/**
+ * Histogram of the shape for the in-row preview: { bars: [0–1 heights], min, max }, or null when the inputs
+ * cannot be drawn. Evaluates the quantile function on an even grid of u, so it matches what is simulated.
+ */
+export function distributionPreview(type, points, outcomes, bins = 24) {
+  if (distributionIssues(type, points, outcomes).length) return null;
+  const key = distributionKey(type);
+  if (key !== "discrete" && [points.low, points.high].some((v) => !isNum(v))) return null;
+  const q = quantileFunction(type, points, outcomes);
+  const draws = 400;
+  const values = Array.from({ length: draws }, (_, i) => q((i + 0.5) / draws));
+  // Lognormal has no upper limit: cut the preview at its P99
+  const min = Math.min(...values);
+  const max = key === "lognormal" ? q(0.99) : Math.max(...values);
+  if (!(max > min)) return { bars: Array.from({ length: bins }, (_, i) => (i === 0 ? 1 : 0)), min, max };
+  const counts = new Array(bins).fill(0);
+  values.forEach((v) => {
+    if (v > max) return;
+    counts[Math.min(bins - 1, Math.floor(((v - min) / (max - min)) * bins))] += 1;
+  });
+  const peak = Math.max(...counts);
+  return { bars: counts.map((c) => c / peak), min, max };
+}
+
+export function outcomesToPayload(type, outcomes) {
+  if (distributionKey(type) !== "discrete") return null;
+  return (outcomes || []).map((o) => ({ value: Number(o.value) || 0, weight: Number(o.weight) || 0 }));
+}
+
+// Distribution cell of an imported file: a key or label ("PERT", "Trigen (P10/P90)"); null when unknown
+export function distributionFromText(raw) {
+  const norm = (v) => String(v || "").toLowerCase().replace(/\(.*?\)/g, "").replace(/[^a-z0-9]/g, "");
+  const text = norm(raw);
+  return DISTRIBUTIONS.find((d) => d.key === text || norm(d.label) === text)?.key || null;
+}
+
+// "120000: 0.5; 250000: 0.5" for CSV export ("" when there are none)
+export function formatOutcomes(outcomes) {
+  return (outcomes || []).map((o) => `${Number(o.value) || 0}: ${Number(o.weight) || 0}`).join("; ");
+}
+
+/**
+ * Outcomes cell of an imported file: "value: weight" entries separated by ";" (a value without a weight gets
+ * weight 1). Returns { outcomes: [{ value, weight }], problems }; unreadable entries are left out.
+ */
+export function parseOutcomes(raw) {
+  const outcomes = [];
+  const problems = [];
+  String(raw || "")
+    .split(";")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const [valueText, weightText, ...rest] = part.split(":");
+      const value = parseNumber(valueText).value;
+      const weight = weightText === undefined || weightText.trim() === "" ? 1 : parseNumber(weightText).value;
+      if (rest.length || !Number.isFinite(value) || !Number.isFinite(weight) || value < 0 || weight < 0) {
+        problems.push(`outcome '${part}' is not 'value: weight' with both 0 or more; left out.`);
+        return;
+      }
+      outcomes.push({ value, weight });
+    });
+  return { outcomes, problems };
+}
+
+/**
+ * { distribution, outcomes } from a saved item (files from before distributions are Triangular).
+ * Unknown distributions fall back to Triangular with a warning.
+ */
+export function readDistribution(x, where, warnings = []) {
+  const raw = x?.distribution;
+  const distribution = distributionKey(raw);
+  if (raw && distribution !== String(raw).trim().toLowerCase()) {
+    warnings.push(`${where}: unknown distribution '${raw}'; set to Triangular.`);
+  }
+  const outcomes = Array.isArray(x?.discreteOutcomes)
+    ? x.discreteOutcomes.map((o) => ({ value: Number(o?.value) || 0, weight: Number(o?.weight) || 0 }))
+    : [];
+  return { distribution, outcomes };
+}
@@ -0,0 +1,50 @@
+/**
+ * In-browser simulation (offline / cross-check)
+ * - Same contract as api.simulate(): resolves with { results, sensitivity, samples }
+ * - One worker per run, terminated when it answers
+ */
+
+export function simulateLocally(payload, confidenceFactors) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./simulation.worker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = (e) => {
+      worker.terminate();
+      if (e.data?.ok) {
+        resolve({ ...e.data.data, engine: "browser" });
+      } else {
+        const err = new Error("Local simulation failed");
+        err.detail = [{ msg: "Local simulation failed", detail: e.data?.error || "Unknown error" }];
+        reject(err);
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      const err = new Error("Local simulation failed");
+      err.detail = [{ msg: "Local simulation failed", detail: e.message || String(e) }];
+      reject(err);
+    };
+
+    worker.postMessage({ payload, confidenceFactors });
+  });
+}
+
+// Last confidence factor table fetched from the backend, so offline runs can still derive CBS ranges
+const FACTORS_CACHE_KEY = "prs.confidenceFactors";
+
+export function cacheConfidenceFactors(factors) {
+  try {
+    localStorage.setItem(FACTORS_CACHE_KEY, JSON.stringify({ savedAt: new Date().toISOString(), factors }));
+  } catch {
+    // storage full or blocked: offline runs will only support User defined items
+  }
+}
+
+export function loadCachedConfidenceFactors() {
+  try {
+    const raw = localStorage.getItem(FACTORS_CACHE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Risk mitigation (pre- / post-mitigation values)
+ * - A risk's probability / lowCost / mostLikelyCost / highCost are its pre-mitigation values
+ * - Post-mitigation values are optional per field (postProbability, postLowCost, postMostLikelyCost, postHighCost);
+ *   a blank one means the mitigation does not change it. Discrete risks take their impact from their outcomes,
+ *   so only the probability can change
+ * - mitigationAction, owner and mitigationCost (the treatment spend) describe the response
+ * - "Simulate as" picks which values the run uses; "both" runs pre and post so the contingency reduction can be
+ *   set against the mitigation spend. The spend is reported next to the results, not added to the simulated cost
+ * - Payload: contingentRisks[] carry the simulated values in the usual fields plus preMitigation / postMitigation;
+ *   payload.riskView says which set was simulated
+ */
+
+export const SIMULATE_AS = [
+  { key: "pre", label: "Pre-mitigation" },
+  { key: "post", label: "Post-mitigation" },
+  { key: "both", label: "Both (compare)" },
+];
+
+export const DEFAULT_SIMULATE_AS = "pre";
+
+export const POST_FIELDS = [
+  { key: "postProbability", pre: "probability", label: "Probability" },
+  { key: "postLowCost", pre: "lowCost", label: "Low" },
+  { key: "postMostLikelyCost", pre: "mostLikelyCost", label: "Most likely" },
+  { key: "postHighCost", pre: "highCost", label: "High" },
+];
+
+const isSet = (v) => v !== null && v !== undefined && v !== "";
+
+export function hasMitigation(r) {
+  return POST_FIELDS.some((f) => isSet(r[f.key]));
+}
+
+// { probability, lowCost, mostLikelyCost, highCost } for view "pre" | "post"
+export function riskValues(r, view) {
+  const out = {};
+  POST_FIELDS.forEach((f) => {
+    out[f.pre] = view === "post" && isSet(r[f.key]) ? r[f.key] : r[f.pre];
+  });
+  return out;
+}
+
+// Problems with a risk's mitigation inputs (range / ordering checks of the post values are left to the caller)
+export function mitigationIssues(r) {
+  const issues = [];
+  if (isSet(r.postProbability)) {
+    const p = Number(r.postProbability);
+    if (!Number.isFinite(p) || p < 0 || p > 1) issues.push("Post-mitigation probability must be between 0 and 1.");
+  }
+  ["postLowCost", "postMostLikelyCost", "postHighCost"].forEach((key) => {
+    if (isSet(r[key]) && !(Number(r[key]) >= 0)) issues.push(`Post-mitigation ${POST_FIELDS.find((f) => f.key === key).label.toLowerCase()} cost must be 0 or more.`);
+  });
+  if (isSet(r.mitigationCost) && !(Number(r.mitigationCost) >= 0)) issues.push("Mitigation cost must be 0 or more.");
+  return issues;
+}
+
+export function totalMitigationSpend(risks) {
+  return (risks || []).reduce((sum, r) => sum + (Number(r.mitigationCost) || 0), 0);
+}
+
+/**
+ * Pre vs post comparison for "both" runs. pre / post: results objects; key: the contingency result key.
+ * Returns { preContingency, postContingency, reduction, spend, net, ratio } with ratio = reduction / spend (null without spend).
+ */
+export function mitigationComparison(pre, post, key, spend) {
+  const preContingency = Number(pre?.[key]);
+  const postContingency = Number(post?.[key]);
+  const reduction = preContingency - postContingency;
+  return {
+    preContingency,
+    postContingency,
+    reduction,
+    spend,
+    net: reduction - spend,
+    ratio: spend > 0 ? reduction / spend : null,
+  };
+}
+
+export function mitigationToPayload(r) {
+  const num = (v) => (isSet(v) ? Number(v) : null);
+  return {
+    mitigationAction: r.mitigationAction || "",
+    owner: r.owner || "",
+    mitigationCost: num(r.mitigationCost),
+    preMitigation: {
+      probability: Number(r.probability) || 0,
+      lowCost: Number(r.lowCost) || 0,
+      mostLikelyCost: Number(r.mostLikelyCost) || 0,
+      highCost: Number(r.highCost) || 0,
+    },
+    // null = unchanged by the mitigation
+    postMitigation: {
+      probability: num(r.postProbability),
+      lowCost: num(r.postLowCost),
+      mostLikelyCost: num(r.postMostLikelyCost),
+      highCost: num(r.postHighCost),
+    },
+  };
+}
+
+/**
+ * Mitigation fields of a saved risk. Files from before mitigation have none; their probability / costs are the
+ * pre-mitigation values. With preMitigation present, the plain fields may hold post values and are not used.
+ */
+export function readMitigation(r, where, warnings = []) {
+  const pre = r.preMitigation && typeof r.preMitigation === "object" ? r.preMitigation : r;
+  const post = r.postMitigation && typeof r.postMitigation === "object" ? r.postMitigation : {};
+  const num = (v, label) => {
+    if (!isSet(v)) return null;
+    if (Number.isFinite(Number(v))) return Number(v);
+    warnings.push(`${where}: ${label} '${v}' is not a number; cleared.`);
+    return null;
+  };
+  return {
+    probability: Number(pre.probability) || 0,
+    lowCost: Number(pre.lowCost) || 0,
+    mostLikelyCost: Number(pre.mostLikelyCost) || 0,
+    highCost: Number(pre.highCost) || 0,
+    postProbability: num(post.probability, "post-mitigation probability"),
+    postLowCost: num(post.lowCost, "post-mitigation low cost"),
+    postMostLikelyCost: num(post.mostLikelyCost, "post-mitigation most likely cost"),
+    postHighCost: num(post.highCost, "post-mitigation high cost"),
+    mitigationAction: String(r.mitigationAction || ""),
+    owner: String(r.owner || ""),
+    mitigationCost: num(r.mitigationCost, "mitigation cost"),
+  };
+}
+
+export function readSimulateAs(raw) {
+  return SIMULATE_AS.some((s) => s.key === raw) ? raw : DEFAULT_SIMULATE_AS;
+}
@@ -0,0 +1,321 @@
+/**
+ * Project (scenario) files
+ * - Saved file = buildPayload() + UI-only state the payload does not carry
+ * - Reading a file returns values ready for the App state hooks, plus warnings
+ *   for anything that had to be corrected (unknown confidence factors, drivers, etc.)
+ * - payload.cbsItems only holds the simulated (leaf) items; summary items and the outline
+ *   order come from payload.cbsHierarchy (absent in flat, pre-hierarchy files)
+ * - Start / finish dates and payload.timePhasing are optional (files from before time phasing have neither)
+ * - Driver groups come from payload.drivers / payload.sensitivityWeights; files saved before the
+ *   driver editor get the six default drivers
+ * - The Advanced correlation matrix is kept in the UI block too (the payload only carries it in Advanced mode)
+ * - payload.confidenceTable holds the confidence factor table version the project uses, multipliers included;
+ *   files saved before confidence tables have none and use the organisation standard table
+ * - Items and risks without a distribution (older files) are Triangular
+ * - Risks keep their pre-mitigation values in preMitigation (the plain fields hold whichever set was simulated);
+ *   files from before mitigation have no pre / post blocks and their values are the pre-mitigation ones
+ * - Closed risks are not in payload.contingentRisks; the UI block keeps them (ui.closedRisks) with the
+ *   register order (ui.riskOrder). Risks without a status (older files) are open
+ * - The risk heat map's band thresholds are kept in the UI block (ui.riskMatrix)
+ */
+
+import { normaliseHierarchy } from "./cbsTree";
+import { DEFAULT_CONFIDENCE_LEVELS, confidenceLevelsFromSettings, confidenceLevelIssues } from "./confidenceLevels";
+import { normaliseNumberFormat } from "./format";
+import { dateRangeIssue, timePhasingFromPayload } from "./timePhasing";
+import { SENSITIVITY_LEVELS, readDriverGroups, readSensitivityWeights } from "./driverGroups";
+import { correlationEntities, readCorrelationMatrix } from "./correlationMatrix";
+import { factorOptions, readConfidenceTable } from "./confidenceTables";
+import { readDistribution } from "./itemDistributions";
+import { readMitigation, readSimulateAs } from "./mitigation";
+import { readRiskDetails } from "./riskRegister";
+import { readRiskMatrix } from "./riskMatrix";
+
+export const PROJECT_FILE_FORMAT = "prs-cost-risk-project";
+export const PROJECT_FILE_VERSION = 1;
+
+const CORRELATION_MODES = ["none", "standard", "advanced"];
+
+export function createProjectFile(payload, ui) {
+  return {
+    format: PROJECT_FILE_FORMAT,
+    version: PROJECT_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    payload,
+    ui,
+  };
+}
+
+// Highest numeric suffix among ids with this prefix (cbs07 -> 7). Used when a file has no counters.
+export function maxIdNumber(ids, prefix) {
+  const re = new RegExp(`^${prefix}\\s*0*(\\d+)$`, "i");
+  return (ids || []).reduce((max, id) => {
+    const m = String(id || "").match(re);
+    return m ? Math.max(max, parseInt(m[1], 10)) : max;
+  }, 0);
+}
+
+// Tornado thresholds saved with the project; null = use the app defaults
+function readSensitivityDisplay(d) {
+  if (!d) return null;
+  const dominant = Number(d.dominant);
+  const moderate = Number(d.moderate);
+  const topN = Math.round(Number(d.topN));
+  if (![dominant, moderate, topN].every(Number.isFinite)) return null;
+  if (dominant < 0 || dominant > 1 || moderate < 0 || moderate > dominant || topN < 1) return null;
+  return { dominant, moderate, topN };
+}
+
+// Leaves + summary items in outline order; leaves the outline does not list go at the end
+function readCbsOutline(hierarchy, leaves, fallbackFactor) {
+  if (!Array.isArray(hierarchy) || hierarchy.length === 0) return normaliseHierarchy(leaves);
+  const leafById = new Map(leaves.map((x) => [x.id, x]));
+  const out = [];
+  const placed = new Set();
+  hierarchy.forEach((h) => {
+    const id = String(h?.id || "").trim();
+    if (!id || placed.has(id)) return;
+    placed.add(id);
+    const parentId = h.parentId ? String(h.parentId) : null;
+    const leaf = leafById.get(id);
+    if (leaf) {
+      out.push({ ...leaf, parentId });
+      return;
+    }
+    out.push({
+      id,
+      name: String(h.name || ""),
+      baseCost: 0,
+      confidenceFactor: fallbackFactor,
+      bestCaseCost: null,
+      mostLikelyCost: null,
+      worstCaseCost: null,
+      drivers: [],
+      parentId,
+    });
+  });
+  leaves.filter((x) => !placed.has(x.id)).forEach((x) => out.push({ ...x, parentId: null }));
+  return normaliseHierarchy(out);
+}
+
+// Risk → CBS links; links to items that are not in the file are dropped
+function readCbsLinks(links, cbsIds, where, warnings) {
+  if (!Array.isArray(links)) return [];
+  return links
+    .map((l) => ({ cbsId: String(l?.cbsId || ""), share: Number(l?.share) || 0 }))
+    .filter((l) => {
+      if (cbsIds.has(l.cbsId)) return true;
+      warnings.push(`${where}: link to unknown CBS item '${l.cbsId}'; removed.`);
+      return false;
+    });
+}
+
+// Start / finish dates; an unusable pair is cleared (the item is then spread over the project span)
+function readDates(x, where, warnings) {
+  const startDate = String(x.startDate || "");
+  const finishDate = String(x.finishDate || "");
+  const issue = dateRangeIssue(startDate, finishDate);
+  if (issue) {
+    warnings.push(`${where}: ${issue} Dates cleared.`);
+    return { startDate: "", finishDate: "" };
+  }
+  return { startDate, finishDate };
+}
+
+/**
+ * Driver assignments of a CBS item as [{ driverGroup, sensitivity }]: the UI block's copy first (kept in every
+ * correlation mode), else the payload's. Files from before multiple drivers hold a single driverGroup / driver_group.
+ */
+function readAssignments(saved, x) {
+  if (Array.isArray(saved?.drivers)) return saved.drivers;
+  if (saved) return [{ driverGroup: saved.driverGroup, sensitivity: saved.sensitivity }];
+  if (Array.isArray(x.driver_assignments)) return x.driver_assignments.map((a) => ({ driverGroup: a?.driver_group, sensitivity: a?.sensitivity }));
+  return [{ driverGroup: x.driver_group, sensitivity: x.sensitivity }];
+}
+
+function numOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parses a project file and maps it back onto App state.
+ * Throws on anything that is not a project file; soft problems become warnings.
+ *
+ * options.confidenceFactors: keys of the organisation standard table, used for files without their own
+ * confidence table (skip check when empty)
+ */
+export function readProjectFile(text, options) {
+  let doc;
+  try {
+    doc = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch {
+    throw new Error("File is not valid JSON.");
+  }
+  return loadProjectDoc(doc, options);
+}
+
+/**
+ * Same as readProjectFile, for an already-parsed document (e.g. from the project library).
+ */
+export function loadProjectDoc(doc, { confidenceFactors = [] } = {}) {
+  if (!doc || doc.format !== PROJECT_FILE_FORMAT || !doc.payload) {
+    throw new Error("File is not a saved project (missing project format header).");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error("Project file has no valid version.");
+  }
+  if (doc.version > PROJECT_FILE_VERSION) {
+    throw new Error(
+      `Project file version ${doc.version} was saved by a newer version of this tool (supports up to ${PROJECT_FILE_VERSION}).`
+    );
+  }
+
+  const payload = doc.payload;
+  const ui = doc.ui || {};
+  const warnings = [];
+
+  // Item factors are checked against the file's own table when it has one
+  const confidenceTable = readConfidenceTable(payload.confidenceTable, warnings);
+  const factorKeys = confidenceTable ? factorOptions(confidenceTable.factors) : confidenceFactors;
+  const factorSet = new Set(factorKeys);
+  const fallbackFactor = factorSet.has("Realistic") ? "Realistic" : factorKeys[0] || "Realistic";
+  const driverGroups = readDriverGroups(payload.drivers, warnings);
+  const driverNames = driverGroups.map((d) => d.name);
+  const driverSet = new Set(driverNames);
+
+  const settings = payload.settings || {};
+  const info = payload.projectInfo || {};
+
+  let correlationMode = String(payload.correlation_mode || "none").toLowerCase();
+  if (!CORRELATION_MODES.includes(correlationMode)) {
+    warnings.push(`Unknown correlation mode '${payload.correlation_mode}'; set to 'none'.`);
+    correlationMode = "none";
+  }
+
+  // Driver assignments are only in the payload in Standard mode, so the UI block keeps them too.
+  const uiDrivers = new Map((ui.cbsDrivers || []).map((d) => [d.id, d]));
+
+  const leafItems = (Array.isArray(payload.cbsItems) ? payload.cbsItems : []).map((x, i) => {
+    const id = String(x.id || "").trim() || `cbs${String(i + 1).padStart(2, "0")}`;
+    const where = `CBS ${id}${x.name ? ` (${x.name})` : ""}`;
+
+    let confidenceFactor = String(x.confidenceFactor || "");
+    if (factorSet.size > 0 && !factorSet.has(confidenceFactor)) {
+      warnings.push(`${where}: unknown confidence factor '${confidenceFactor}'; set to '${fallbackFactor}'.`);
+      confidenceFactor = fallbackFactor;
+    }
+    const userDefined = confidenceFactor.toLowerCase() === "user defined";
+
+    const drivers = [];
+    readAssignments(uiDrivers.get(id), x).forEach((a) => {
+      const driverGroup = String(a?.driverGroup ?? "");
+      if (!driverGroup || drivers.some((d) => d.driverGroup === driverGroup)) return;
+      if (!driverSet.has(driverGroup)) {
+        warnings.push(`${where}: unknown driver '${driverGroup}'; cleared.`);
+        return;
+      }
+      let sensitivity = String(a.sensitivity ?? "medium").toLowerCase();
+      if (!SENSITIVITY_LEVELS.includes(sensitivity)) {
+        warnings.push(`${where}: unknown sensitivity '${sensitivity}' for '${driverGroup}'; set to 'medium'.`);
+        sensitivity = "medium";
+      }
+      drivers.push({ driverGroup, sensitivity });
+    });
+
+    return {
+      id,
+      name: String(x.name || ""),
+      baseCost: Number(x.baseCost) || 0,
+      confidenceFactor,
+      bestCaseCost: userDefined ? numOrNull(x.bestCaseCost) : null,
+      mostLikelyCost: userDefined ? numOrNull(x.mostLikelyCost) : null,
+      worstCaseCost: userDefined ? numOrNull(x.worstCaseCost) : null,
+      ...readDistribution(x, where, warnings),
+      drivers,
+      ...readDates(x, where, warnings),
+      parentId: x.parentId ? String(x.parentId) : null,
+    };
+  });
+  const cbsItems = readCbsOutline(payload.cbsHierarchy, leafItems, fallbackFactor);
+
+  const cbsIds = new Set(cbsItems.map((x) => x.id));
+  const savedRisks = [
+    ...(Array.isArray(payload.contingentRisks) ? payload.contingentRisks : []),
+    ...(Array.isArray(ui.closedRisks) ? ui.closedRisks : []),
+  ];
+  if (Array.isArray(ui.riskOrder)) {
+    const position = new Map(ui.riskOrder.map((id, i) => [String(id), i]));
+    const at = (r) => position.get(String(r.id)) ?? Number.MAX_SAFE_INTEGER;
+    savedRisks.sort((a, b) => at(a) - at(b));
+  }
+  const risks = savedRisks.map((r, i) => {
+    const id = String(r.id || "").trim() || `r${String(i + 1).padStart(2, "0")}`;
+
+    let riskType = String(r.riskType || "contingent").toLowerCase();
+    if (riskType !== "contingent" && riskType !== "inherent") {
+      warnings.push(`Risk ${id}: invalid riskType '${r.riskType}'; set to 'contingent'.`);
+      riskType = "contingent";
+    }
+
+    return {
+      id,
+      name: String(r.name || ""),
+      riskType,
+      ...readMitigation(r, `Risk ${id}`, warnings),
+      ...readRiskDetails(r, `Risk ${id}`, warnings),
+      ...readDistribution(r, `Risk ${id}`, warnings),
+      cbsLinks: readCbsLinks(r.cbsLinks, cbsIds, `Risk ${id}`, warnings),
+      ...readDates(r, `Risk ${id}`, warnings),
+    };
+  });
+
+  const correlationPairs = readCorrelationMatrix(
+    ui.correlationMatrix || payload.correlationMatrix,
+    correlationEntities(leafItems, risks),
+    warnings
+  );
+
+  // Files from before selectable percentiles carry the fixed P5/P10/P50/P90 list, i.e. the defaults
+  let confidenceLevels = confidenceLevelsFromSettings(settings) || DEFAULT_CONFIDENCE_LEVELS;
+  const levelIssues = confidenceLevelIssues(confidenceLevels);
+  if (levelIssues.length) {
+    warnings.push(`Confidence levels: ${levelIssues.join(" ")} Reset to P5/P10/P50/P90 with P90 − P50 contingency.`);
+    confidenceLevels = DEFAULT_CONFIDENCE_LEVELS;
+  }
+
+  // Counters must never hand out an ID that is already in use.
+  const counters = ui.counters || {};
+  const cbsCounter = Math.max(Number(counters.cbs) || 0, maxIdNumber(cbsItems.map((x) => x.id), "cbs"));
+  const riskCounter = Math.max(Number(counters.risk) || 0, maxIdNumber(risks.map((x) => x.id), "r"));
+
+  return {
+    project: {
+      projectName: String(info.projectName || ""),
+      projectId: String(info.projectId || ""),
+      projectManager: String(info.projectManager || ""),
+      projectDate: String(info.simulationDate || ""),
+      projectNotes: String(info.projectNotes || ""),
+      numberFormat: normaliseNumberFormat({ currency: info.currency, locale: info.locale, unit: info.displayUnit }),
+      iterations: Number(settings.iterations) || 5000,
+      seed: Number.isFinite(Number(settings.seed)) ? Number(settings.seed) : 123456,
+      confidenceLevels,
+      confidenceTable,
+      timePhasing: timePhasingFromPayload(payload.timePhasing, driverNames, warnings),
+      driverGroups,
+      sensitivityWeights: readSensitivityWeights(payload.sensitivityWeights, warnings),
+      correlationMode,
+      correlationPairs,
+      cbsItems,
+      risks,
+      cbsCounter,
+      riskCounter,
+      activeTab: ui.activeTab || "project",
+      sensitivityDisplay: readSensitivityDisplay(ui.sensitivityDisplay),
+      simulateAs: readSimulateAs(ui.simulateAs),
+      riskMatrix: readRiskMatrix(ui.riskMatrix, warnings),
+    },
+    warnings,
+  };
+}
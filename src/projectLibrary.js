@@ -0,0 +1,209 @@
+/**
+ * Browser-side project library (IndexedDB)
+ * - "projects": one record per project, holding the latest autosaved project file
+ * - "versions": named snapshots of a project (e.g. "Concept estimate", "Post-mitigation")
+ * Project files are the same documents Save project writes (see projectFile.js).
+ */
+
+const DB_NAME = "prs-project-library";
+const DB_VERSION = 1;
+const PROJECTS = "projects";
+const VERSIONS = "versions";
+
+let dbPromise = null;
+
+export function isLibraryAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function openDb() {
+  if (!isLibraryAvailable()) return Promise.reject(new Error("IndexedDB is not available in this browser."));
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(PROJECTS)) {
+        db.createObjectStore(PROJECTS, { keyPath: "key" });
+      }
+      if (!db.objectStoreNames.contains(VERSIONS)) {
+        const versions = db.createObjectStore(VERSIONS, { keyPath: "versionKey" });
+        versions.createIndex("projectKey", "projectKey", { unique: false });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Runs fn(stores) inside one transaction and resolves with fn's return value once it commits.
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const stores = names.map((n) => tx.objectStore(n));
+    let result;
+    Promise.resolve(fn(...stores)).then((r) => {
+      result = r;
+    }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Library transaction aborted."));
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function newLibraryKey() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Keep the project name inside the stored file in sync with the record (used by rename/duplicate).
+function withProjectName(file, projectName) {
+  return {
+    ...file,
+    payload: {
+      ...file.payload,
+      projectInfo: { ...(file.payload?.projectInfo || {}), projectName },
+    },
+  };
+}
+
+function describe(file) {
+  const info = file?.payload?.projectInfo || {};
+  return { projectName: String(info.projectName || ""), projectId: String(info.projectId || "") };
+}
+
+/**
+ * Returns project summaries (no file bodies), most recently updated first.
+ */
+export async function listProjects() {
+  const rows = await withStores([PROJECTS, VERSIONS], "readonly", async (projects, versions) => {
+    const [all, allVersions] = await Promise.all([
+      requestToPromise(projects.getAll()),
+      requestToPromise(versions.getAll()),
+    ]);
+    const counts = {};
+    allVersions.forEach((v) => {
+      counts[v.projectKey] = (counts[v.projectKey] || 0) + 1;
+    });
+    return all.map((p) => ({
+      key: p.key,
+      projectName: p.projectName,
+      projectId: p.projectId,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt,
+      versionCount: counts[p.key] || 0,
+    }));
+  });
+  return rows.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function getProject(key) {
+  return withStores([PROJECTS], "readonly", (projects) => requestToPromise(projects.get(key)));
+}
+
+/**
+ * Creates or overwrites the project record for key with the given project file.
+ */
+export function saveProject(key, file) {
+  return withStores([PROJECTS], "readwrite", async (projects) => {
+    const existing = await requestToPromise(projects.get(key));
+    const now = new Date().toISOString();
+    const record = {
+      key,
+      ...describe(file),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      file,
+    };
+    projects.put(record);
+    return record;
+  });
+}
+
+export function renameProject(key, projectName) {
+  return withStores([PROJECTS], "readwrite", async (projects) => {
+    const existing = await requestToPromise(projects.get(key));
+    if (!existing) throw new Error("Project not found in library.");
+    const record = {
+      ...existing,
+      projectName,
+      updatedAt: new Date().toISOString(),
+      file: withProjectName(existing.file, projectName),
+    };
+    projects.put(record);
+    return record;
+  });
+}
+
+/**
+ * Copies a project (latest state only, not its versions) under a new key.
+ */
+export function duplicateProject(key, projectName) {
+  return withStores([PROJECTS], "readwrite", async (projects) => {
+    const existing = await requestToPromise(projects.get(key));
+    if (!existing) throw new Error("Project not found in library.");
+    const now = new Date().toISOString();
+    const record = {
+      ...existing,
+      key: newLibraryKey(),
+      projectName,
+      createdAt: now,
+      updatedAt: now,
+      file: withProjectName(existing.file, projectName),
+    };
+    projects.put(record);
+    return record;
+  });
+}
+
+export function deleteProject(key) {
+  return withStores([PROJECTS, VERSIONS], "readwrite", async (projects, versions) => {
+    const versionKeys = await requestToPromise(versions.index("projectKey").getAllKeys(key));
+    versionKeys.forEach((vk) => versions.delete(vk));
+    projects.delete(key);
+  });
+}
+
+export async function listVersions(projectKey) {
+  const rows = await withStores([VERSIONS], "readonly", (versions) =>
+    requestToPromise(versions.index("projectKey").getAll(projectKey))
+  );
+  return rows.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export function saveVersion(projectKey, label, file) {
+  const record = {
+    versionKey: newLibraryKey(),
+    projectKey,
+    label: String(label || "").trim() || "Untitled version",
+    createdAt: new Date().toISOString(),
+    file,
+  };
+  return withStores([VERSIONS], "readwrite", (versions) => {
+    versions.put(record);
+    return record;
+  });
+}
+
+export function getVersion(versionKey) {
+  return withStores([VERSIONS], "readonly", (versions) => requestToPromise(versions.get(versionKey)));
+}
+
+export function deleteVersion(versionKey) {
+  return withStores([VERSIONS], "readwrite", (versions) => {
+    versions.delete(versionKey);
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Cost model / risk register CSV export + blank templates
+ * - Column headers are the import field names, so files round-trip through parseCbsCsv / parseRisksCsv
+ *   (and re-importing in "Update by ID / name" mode updates the same rows)
+ * - Amounts are written as plain numbers and probabilities as fractions (0.25), whatever the display format
+ * - CBS rows carry their WBS code so the hierarchy is rebuilt on import; summary rows have no costs
+ *   (their totals are roll-ups of the rows below)
+ * - Dates are written as YYYY-MM-DD
+ * - A CBS item's drivers go in driverGroup / sensitivity as "; "-separated lists in the same order
+ * - Risk post-mitigation columns are blank where the mitigation leaves the pre-mitigation value unchanged
+ * - distribution is the shape's key; outcomes ("value: weight; ...") is filled for Discrete items only
+ */
+
+import { toCsv } from "./csv";
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+import { buildCbsTree } from "./cbsTree";
+import { formatCbsLinks } from "./riskLinks";
+import { formatDriverNames, formatDriverSensitivities } from "./driverGroups";
+import { DEFAULT_RISK_STATUS } from "./riskRegister";
+import { distributionKey, formatOutcomes } from "./itemDistributions";
+
+export const CBS_CSV_HEADERS = [
+  "id",
+  "wbsCode",
+  "name",
+  "baseCost",
+  "confidenceFactor",
+  "low",
+  "mostLikely",
+  "high",
+  "distribution",
+  "outcomes",
+  "driverGroup",
+  "sensitivity",
+  "startDate",
+  "finishDate",
+];
+
+export const RISK_CSV_HEADERS = [
+  "id",
+  "name",
+  "riskType",
+  "probability",
+  "lowCost",
+  "mostLikelyCost",
+  "highCost",
+  "distribution",
+  "outcomes",
+  "cbsLinks",
+  "startDate",
+  "finishDate",
+  "mitigationAction",
+  "owner",
+  "mitigationCost",
+  "postProbability",
+  "postLowCost",
+  "postMostLikelyCost",
+  "postHighCost",
+  "category",
+  "cause",
+  "event",
+  "effect",
+  "status",
+  "dateRaised",
+  "reviewDate",
+];
+
+const num = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? "" : Number(v));
+
+const outcomesCell = (x) => (distributionKey(x.distribution) === "discrete" ? formatOutcomes(x.outcomes) : "");
+
+export function cbsItemsToCsv(items) {
+  const tree = buildCbsTree(items);
+  return toCsv([
+    CBS_CSV_HEADERS,
+    ...items.map((x) => {
+      const node = tree.nodes.get(x.id);
+      if (node.children.length) return [formatCbsIdDisplay(x.id), node.code, x.name, "", "", "", "", "", "", "", "", "", "", ""];
+      const userDefined = x.confidenceFactor === "User defined";
+      return [
+        formatCbsIdDisplay(x.id),
+        node.code,
+        x.name,
+        num(x.baseCost),
+        x.confidenceFactor || "",
+        userDefined ? num(x.bestCaseCost) : "",
+        userDefined ? num(x.mostLikelyCost) : "",
+        userDefined ? num(x.worstCaseCost) : "",
+        distributionKey(x.distribution),
+        outcomesCell(x),
+        formatDriverNames(x.drivers),
+        formatDriverSensitivities(x.drivers),
+        x.startDate || "",
+        x.finishDate || "",
+      ];
+    }),
+  ]);
+}
+
+export function risksToCsv(risks) {
+  return toCsv([
+    RISK_CSV_HEADERS,
+    ...risks.map((r) => [
+      formatRiskIdDisplay(r.id),
+      r.name,
+      r.riskType || "contingent",
+      num(r.probability),
+      num(r.lowCost),
+      num(r.mostLikelyCost),
+      num(r.highCost),
+      distributionKey(r.distribution),
+      outcomesCell(r),
+      formatCbsLinks(r.cbsLinks),
+      r.startDate || "",
+      r.finishDate || "",
+      r.mitigationAction || "",
+      r.owner || "",
+      num(r.mitigationCost),
+      num(r.postProbability),
+      num(r.postLowCost),
+      num(r.postMostLikelyCost),
+      num(r.postHighCost),
+      r.category || "",
+      r.cause || "",
+      r.event || "",
+      r.effect || "",
+      r.status || DEFAULT_RISK_STATUS,
+      r.dateRaised || "",
+      r.reviewDate || "",
+    ]),
+  ]);
+}
+
+// Blank templates: headers + example rows showing each option (IDs are left blank for new rows)
+export function cbsTemplateCsv({ driverOptions = [] } = {}) {
+  return toCsv([
+    CBS_CSV_HEADERS,
+    ["", "1", "Site establishment", 250000, "Realistic", "", "", "", "triangular", "", driverOptions[2] || "", "medium", "2026-07-01", "2026-09-30"],
+    ["", "2", "Construction", "", "", "", "", "", "", "", "", "", "", ""],
+    [
+      "",
+      "2.1",
+      "Structural steel",
+      1200000,
+      "User defined",
+      1100000,
+      1250000,
+      1600000,
+      "pert",
+      "",
+      driverOptions.slice(0, 2).join("; "),
+      driverOptions.length > 1 ? "high; medium" : driverOptions.length ? "high" : "",
+      "2026-10-01",
+      "2027-12-31",
+    ],
+    ["", "2.2", "Concrete works", 800000, "Realistic", "", "", "", "triangular", "", driverOptions[0] || "", "medium", "2026-09-01", "2027-06-30"],
+    ["", "3", "Design fees", 400000, "Conservative", "", "", "", "discrete", "350000: 0.3; 400000: 0.5; 520000: 0.2", "", "", "", ""],
+  ]);
+}
+
+export function riskTemplateCsv() {
+  return toCsv([
+    RISK_CSV_HEADERS,
+    [
+      "",
+      "Contaminated soil found during excavation",
+      "contingent",
+      0.25,
+      50000,
+      150000,
+      400000,
+      "triangular",
+      "",
+      "CBS001 70%; CBS002 30%",
+      "",
+      "",
+      "Intrusive ground investigation before tender",
+      "Geotechnical lead",
+      30000,
+      0.1,
+      "",
+      100000,
+      250000,
+      "Ground conditions",
+      "Limited site investigation to date",
+      "Contaminated soil is found during excavation",
+      "Disposal costs and programme delay",
+      "open",
+      "2026-05-04",
+      "2026-08-03",
+    ],
+    [
+      "",
+      "Delay to third-party approvals",
+      "contingent",
+      0.1,
+      20000,
+      80000,
+      250000,
+      "discrete",
+      "20000: 0.2; 80000: 0.5; 250000: 0.3",
+      "",
+      "2026-07-01",
+      "2027-03-31",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "Stakeholders",
+      "",
+      "",
+      "",
+      "open",
+      "",
+      "",
+    ],
+    ["", "General design development", "inherent", 1, 0, 0, 0, "triangular", "", "", "", "", "", "", "", "", "", "", "", "Design", "", "", "", "open", "", ""],
+  ]);
+}
@@ -0,0 +1,564 @@
+/**
+ * Cost model / risk register import mapping
+ * - Works on a grid of cells (rows × columns) so CSV and spreadsheet imports share one mapping
+ * - Header matching ignores case, spaces and punctuation ("Most Likely ($)" == "mostlikely")
+ * - Warnings name the exact cell, e.g. "Row 5, C5 (probability): ..."
+ */
+
+import { parseCsv, parseNumber, isBlankRow, cellRef } from "./csv";
+import { parseCbsLinks } from "./riskLinks";
+import { parseDateCell } from "./timePhasing";
+import { parseDriverCells } from "./driverGroups";
+import { riskStatusKey } from "./riskRegister";
+import { distributionFromText, parseOutcomes } from "./itemDistributions";
+
+export function normaliseHeader(h) {
+  return String(h ?? "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// Header aliases per field (compared after normaliseHeader)
+export const CBS_HEADER_ALIASES = {
+  id: ["id", "cbsid", "cbscode", "code"],
+  wbsCode: ["wbscode", "wbs", "outlinecode", "outline"],
+  name: ["name", "cbs", "cbsname", "description"],
+  baseCost: ["basecost", "base_cost", "cost", "base"],
+  confidenceFactor: ["confidencefactor", "confidence", "factor"],
+  low: ["low", "lowcost", "best", "bestcase", "min"],
+  mostLikely: ["mostlikely", "most_likely", "mostlikelycost", "mode", "ml"],
+  high: ["high", "highcost", "worst", "worstcase", "max"],
+  distribution: ["distribution", "distributiontype", "shape"],
+  outcomes: ["outcomes", "discreteoutcomes"],
+  driver: ["driver", "drivers", "drivergroup", "drivergroups", "costdriver"],
+  sensitivity: ["sensitivity", "sensitivities", "driversensitivity"],
+  startDate: ["startdate", "start", "begin"],
+  finishDate: ["finishdate", "finish", "enddate", "end"],
+};
+
+export const RISK_HEADER_ALIASES = {
+  id: ["id", "riskid"],
+  name: ["name", "risk", "riskname", "description"],
+  riskType: ["risktype", "type"],
+  probability: ["probability", "p", "likelihood"],
+  low: ["lowcost", "low"],
+  mostLikely: ["mostlikelycost", "mostlikely", "mode"],
+  high: ["highcost", "high"],
+  distribution: ["distribution", "distributiontype", "shape"],
+  outcomes: ["outcomes", "discreteoutcomes"],
+  cbsLinks: ["cbslinks", "cbslink", "linkedcbs", "cbsitems", "cbs"],
+  startDate: ["startdate", "start", "begin"],
+  finishDate: ["finishdate", "finish", "enddate", "end"],
+  mitigationAction: ["mitigationaction", "mitigation", "response", "treatment"],
+  owner: ["owner", "riskowner", "actionowner"],
+  mitigationCost: ["mitigationcost", "treatmentcost", "responsecost"],
+  postProbability: ["postprobability", "postmitigationprobability", "residualprobability", "postp"],
+  postLow: ["postlowcost", "postmitigationlowcost", "postlow", "residuallow"],
+  postMostLikely: ["postmostlikelycost", "postmitigationmostlikelycost", "postmostlikely", "residualmostlikely"],
+  postHigh: ["posthighcost", "postmitigationhighcost", "posthigh", "residualhigh"],
+  category: ["category", "riskcategory"],
+  cause: ["cause"],
+  event: ["event", "riskevent"],
+  effect: ["effect", "consequence", "impact"],
+  status: ["status", "riskstatus"],
+  dateRaised: ["dateraised", "raised", "raiseddate", "dateidentified", "identified"],
+  reviewDate: ["reviewdate", "review", "nextreview", "nextreviewdate"],
+};
+
+// Fields offered in the import column-mapping wizard, in display order
+export const CBS_IMPORT_FIELDS = [
+  { key: "id", label: "ID (for updates)" },
+  { key: "wbsCode", label: "WBS code (1.2.1)" },
+  { key: "name", label: "Name", required: true },
+  { key: "baseCost", label: "Base cost" },
+  { key: "confidenceFactor", label: "Confidence factor" },
+  { key: "low", label: "Low (best case)" },
+  { key: "mostLikely", label: "Most likely" },
+  { key: "high", label: "High (worst case)" },
+  { key: "distribution", label: "Distribution" },
+  { key: "outcomes", label: "Discrete outcomes (120000: 0.5; 250000: 0.5)" },
+  { key: "driver", label: "Driver" },
+  { key: "sensitivity", label: "Sensitivity" },
+  { key: "startDate", label: "Start date" },
+  { key: "finishDate", label: "Finish date" },
+];
+
+export const RISK_IMPORT_FIELDS = [
+  { key: "id", label: "ID (for updates)" },
+  { key: "name", label: "Name", required: true },
+  { key: "riskType", label: "Risk type" },
+  { key: "probability", label: "Probability", required: true },
+  { key: "low", label: "Low cost", required: true },
+  { key: "mostLikely", label: "Most likely cost", required: true },
+  { key: "high", label: "High cost", required: true },
+  { key: "distribution", label: "Distribution" },
+  { key: "outcomes", label: "Discrete outcomes (120000: 0.5; 250000: 0.5)" },
+  { key: "cbsLinks", label: "CBS links (CBS003 60%; CBS004 40%)" },
+  { key: "startDate", label: "Start date" },
+  { key: "finishDate", label: "Finish date" },
+  { key: "mitigationAction", label: "Mitigation action" },
+  { key: "owner", label: "Owner" },
+  { key: "mitigationCost", label: "Mitigation cost" },
+  { key: "postProbability", label: "Post-mitigation probability" },
+  { key: "postLow", label: "Post-mitigation low cost" },
+  { key: "postMostLikely", label: "Post-mitigation most likely cost" },
+  { key: "postHigh", label: "Post-mitigation high cost" },
+  { key: "category", label: "Category" },
+  { key: "cause", label: "Cause" },
+  { key: "event", label: "Event" },
+  { key: "effect", label: "Effect" },
+  { key: "status", label: "Status (open / closed / realised)" },
+  { key: "dateRaised", label: "Date raised" },
+  { key: "reviewDate", label: "Review date" },
+];
+
+
+function findColumns(headerCells, aliases) {
+  const header = headerCells.map(normaliseHeader);
+  const out = {};
+  Object.entries(aliases).forEach(([field, list]) => {
+    out[field] = -1;
+    for (const a of list) {
+      const i = header.indexOf(normaliseHeader(a));
+      if (i !== -1) {
+        out[field] = i;
+        break;
+      }
+    }
+  });
+  return out;
+}
+
+// Column index per field (-1 = not found) from the header aliases
+export function detectColumns(headerCells, kind) {
+  return findColumns(headerCells || [], kind === "risk" ? RISK_HEADER_ALIASES : CBS_HEADER_ALIASES);
+}
+
+function hasColumn(cols, field) {
+  return cols[field] !== undefined && cols[field] !== -1;
+}
+
+/**
+ * Optional distribution / outcomes cells as { distribution, outcomes }; null = blank (keep the current value).
+ * Outcomes are read for Discrete rows only, and a Discrete row without usable outcomes keeps its current shape.
+ */
+function readDistributionCells(cells, rowIdx, cols, headerCells, warnings) {
+  const at = (field) => cellRef(rowIdx, cols[field], headerCells[cols[field]]);
+  const raw = hasColumn(cols, "distribution") ? String(cells[cols.distribution] ?? "").trim() : "";
+  if (!raw) return { distribution: null, outcomes: null };
+  const distribution = distributionFromText(raw);
+  if (!distribution) {
+    warnings.push(`${at("distribution")}: unknown distribution '${raw}'; left unchanged.`);
+    return { distribution: null, outcomes: null };
+  }
+  if (distribution !== "discrete") return { distribution, outcomes: null };
+  const { outcomes, problems } = parseOutcomes(hasColumn(cols, "outcomes") ? cells[cols.outcomes] : "");
+  problems.forEach((msg) => warnings.push(`${at("outcomes")}: ${msg}`));
+  if (!outcomes.length) {
+    warnings.push(`Row ${rowIdx + 1}: Discrete needs outcomes ("120000: 0.5; 250000: 0.5"); distribution left unchanged.`);
+    return { distribution: null, outcomes: null };
+  }
+  return { distribution, outcomes };
+}
+
+// Optional date cell (2026-07-01, 1/7/2026 or a spreadsheet date) as "YYYY-MM-DD"; null when blank or unreadable
+function readDateCell(cells, rowIdx, cols, field, headerCells, warnings) {
+  if (!hasColumn(cols, field)) return null;
+  const raw = cells[cols[field]];
+  const { value, invalid } = parseDateCell(raw);
+  if (invalid) warnings.push(`${cellRef(rowIdx, cols[field], headerCells[cols[field]])}: '${raw}' is not a date (use 2026-07-01 or 1/07/2026); left blank.`);
+  return value;
+}
+
+/**
+ * CBS rows: supports names only OR name + baseCost (+ optional low/mostLikely/high)
+ * Supports:
+ *  - Header: name, baseCost (preferred) + aliases (see CBS_HEADER_ALIASES)
+ *  - No header row (names only, first column)
+ * columns: { field: columnIndex } from the mapping wizard; detected from the header when null
+ * headerRow: 0-based index of the header row in grid (rows above it are ignored)
+ * driverOptions: known driver groups; driver cells are matched to them ignoring case/punctuation.
+ *   A driver cell may list several drivers ("A; B") with the sensitivities in the same order ("high; low")
+ * confidenceFactors: { key: label } of known factors; cells may hold either (e.g. "Realistic" or "Balanced Cost Range")
+ * wbsCode (optional): outline position such as 1.2.1; registerMerge.js rebuilds the hierarchy from it
+ * startDate / finishDate (optional): ISO or day-first dates, or spreadsheet date cells
+ * distribution / outcomes (optional): a distribution key or label; Discrete rows list "value: weight" outcomes
+ *
+ * Repeated names are kept; registerMerge.js reports them as duplicates.
+ *
+ * Returns: { rows: [{ id, sourceRow, wbsCode, name, baseCost, confidenceFactor, low, mostLikely, high, distribution, outcomes,
+ *   drivers, startDate, finishDate }], warnings }
+ * (drivers: [{ driverGroup, sensitivity }], or null when the row has no driver cell; distribution / outcomes null when blank)
+ */
+export function mapCbsRows(grid, columns = null, { headerRow = 0, driverOptions = null, confidenceFactors = null } = {}) {
+  const warnings = [];
+  const out = [];
+  if (grid.length <= headerRow) return { rows: out, warnings };
+
+  const headerCells = grid[headerRow] || [];
+  const cols = columns || findColumns(headerCells, CBS_HEADER_ALIASES);
+
+  // Case B: No header row => treat as names-only (first col)
+  if (!hasColumn(cols, "name")) {
+    grid.forEach((cells, rowIdx) => {
+      if (rowIdx < headerRow) return;
+      const name = String(cells?.[0] ?? "").trim();
+      if (!name) return;
+      out.push({ id: null, sourceRow: rowIdx + 1, wbsCode: null, name, baseCost: null, confidenceFactor: null, low: null, mostLikely: null, high: null, distribution: null, outcomes: null, drivers: null, startDate: null, finishDate: null });
+    });
+    return { rows: out, warnings };
+  }
+
+  // Case A: Has header row with a name column
+  const readId = (cells) => (hasColumn(cols, "id") ? String(cells[cols.id] ?? "").trim() || null : null);
+
+  const readCost = (cells, rowIdx, field) => {
+    if (!hasColumn(cols, field)) return null;
+    const colIdx = cols[field];
+    const { value, empty } = parseNumber(cells[colIdx]);
+    if (empty) return null;
+    const where = cellRef(rowIdx, colIdx, headerCells[colIdx]);
+    if (!Number.isFinite(value)) {
+      warnings.push(`${where}: '${cells[colIdx]}' is not a number; left blank.`);
+      return null;
+    }
+    if (value < 0) {
+      warnings.push(`${where}: ${value} < 0; left blank.`);
+      return null;
+    }
+    return value;
+  };
+
+  const readWbsCode = (cells, rowIdx) => {
+    if (!hasColumn(cols, "wbsCode")) return null;
+    const raw = String(cells[cols.wbsCode] ?? "").trim().replace(/\.$/, "");
+    if (!raw) return null;
+    if (/^\d+(\.\d+)*$/.test(raw)) return raw;
+    warnings.push(`${cellRef(rowIdx, cols.wbsCode, headerCells[cols.wbsCode])}: '${raw}' is not a WBS code like 1.2.1; placed at the top level.`);
+    return null;
+  };
+
+  const hasTrioCols = hasColumn(cols, "low") && hasColumn(cols, "mostLikely") && hasColumn(cols, "high");
+
+  const readDrivers = (cells, rowIdx) => {
+    if (!hasColumn(cols, "driver")) return null;
+    const raw = String(cells[cols.driver] ?? "").trim();
+    if (!raw) return null;
+    const sensitivities = hasColumn(cols, "sensitivity") ? cells[cols.sensitivity] : "";
+    const { drivers, problems } = parseDriverCells(raw, sensitivities, driverOptions);
+    problems.forEach((msg) => warnings.push(`${cellRef(rowIdx, cols.driver, headerCells[cols.driver])}: ${msg}`));
+    return drivers;
+  };
+
+  const readFactor = (cells, rowIdx) => {
+    if (!hasColumn(cols, "confidenceFactor")) return null;
+    const raw = String(cells[cols.confidenceFactor] ?? "").trim();
+    if (!raw) return null;
+    if (normaliseHeader(raw) === "userdefined") return "User defined";
+    if (!confidenceFactors) return raw;
+    const match = Object.entries(confidenceFactors).find(
+      ([key, text]) => normaliseHeader(key) === normaliseHeader(raw) || normaliseHeader(text) === normaliseHeader(raw)
+    );
+    if (!match) {
+      warnings.push(`${cellRef(rowIdx, cols.confidenceFactor, headerCells[cols.confidenceFactor])}: unknown confidence factor '${raw}'; default used.`);
+    }
+    return match ? match[0] : null;
+  };
+
+  for (let rowIdx = headerRow + 1; rowIdx < grid.length; rowIdx++) {
+    const cells = grid[rowIdx] || [];
+    if (isBlankRow(cells)) continue;
+
+    const name = String(cells[cols.name] ?? "").trim();
+    if (!name) {
+      warnings.push(`${cellRef(rowIdx, cols.name, headerCells[cols.name])}: missing name; skipped.`);
+      continue;
+    }
+
+    const baseCost = readCost(cells, rowIdx, "baseCost");
+    let low = null, mostLikely = null, high = null;
+    if (hasTrioCols) {
+      low = readCost(cells, rowIdx, "low");
+      mostLikely = readCost(cells, rowIdx, "mostLikely");
+      high = readCost(cells, rowIdx, "high");
+    }
+
+    let confidenceFactor = readFactor(cells, rowIdx);
+    if (confidenceFactor === "User defined" && !(low !== null && mostLikely !== null && high !== null)) {
+      warnings.push(`Row ${rowIdx + 1}: User defined needs low, mostLikely and high; default confidence factor used.`);
+      confidenceFactor = null;
+    }
+
+    out.push({
+      id: readId(cells),
+      sourceRow: rowIdx + 1,
+      wbsCode: readWbsCode(cells, rowIdx),
+      name,
+      baseCost,
+      confidenceFactor,
+      low,
+      mostLikely,
+      high,
+      ...readDistributionCells(cells, rowIdx, cols, headerCells, warnings),
+      drivers: readDrivers(cells, rowIdx),
+      startDate: readDateCell(cells, rowIdx, cols, "startDate", headerCells, warnings),
+      finishDate: readDateCell(cells, rowIdx, cols, "finishDate", headerCells, warnings),
+    });
+  }
+
+  return { rows: out, warnings };
+}
+
+/**
+ * Risk rows: full fields (+ optional riskType)
+ * Expected headers (aliases supported, see RISK_HEADER_ALIASES):
+ *  name/risk, riskType/type, probability/p, low/lowCost, mostLikely/mostLikelyCost/mode, high/highCost
+ * Probabilities may be fractions (0.2) or percentages (20%).
+ * headerRow: 0-based index of the header row in grid (rows above it are ignored)
+ * cbsIds: ids of the CBS cost items an optional cbsLinks column may refer to (links are read only when given)
+ * startDate / finishDate: optional, as for CBS rows
+ * mitigationAction, owner, mitigationCost and the post-mitigation probability / costs are optional
+ * category, cause, event, effect, status (open / closed / realised), dateRaised and reviewDate are optional
+ * distribution / outcomes: optional, as for CBS rows
+ *
+ * Returns: { risks: [{ id, sourceRow, name, riskType, probability, lowCost, mostLikelyCost, highCost, distribution, outcomes,
+ *   cbsLinks, startDate, finishDate,
+ *   mitigationAction, owner, mitigationCost, postProbability, postLowCost, postMostLikelyCost, postHighCost,
+ *   category, cause, event, effect, status, dateRaised, reviewDate }], warnings }
+ * (distribution / cbsLinks / dates / mitigation and register fields null = column absent or blank, i.e. keep the current value)
+ */
+export function mapRiskRows(grid, columns = null, { headerRow = 0, cbsIds = null } = {}) {
+  if (grid.length <= headerRow) return { risks: [], warnings: ["No rows found."] };
+
+  const headerCells = grid[headerRow] || [];
+  const cols = columns || findColumns(headerCells, RISK_HEADER_ALIASES);
+
+  const missing = [];
+  if (!hasColumn(cols, "name")) missing.push("name (or risk)");
+  if (!hasColumn(cols, "probability")) missing.push("probability (or p)");
+  if (!hasColumn(cols, "low")) missing.push("lowCost (or low)");
+  if (!hasColumn(cols, "mostLikely")) missing.push("mostLikelyCost (or mostLikely/mode)");
+  if (!hasColumn(cols, "high")) missing.push("highCost (or high)");
+
+  if (missing.length) {
+    return {
+      risks: [],
+      warnings: [`Missing required headers: ${missing.join(", ")}`],
+    };
+  }
+
+  const warnings = [];
+  const parsed = [];
+
+  for (let rowIdx = headerRow + 1; rowIdx < grid.length; rowIdx++) {
+    const cells = grid[rowIdx] || [];
+    if (isBlankRow(cells)) continue;
+
+    const at = (field) => cellRef(rowIdx, cols[field], headerCells[cols[field]]);
+
+    const name = String(cells[cols.name] ?? "").trim();
+    if (!name) {
+      warnings.push(`${at("name")}: missing risk name; skipped.`);
+      continue;
+    }
+
+    let riskType = "contingent";
+    if (hasColumn(cols, "riskType")) {
+      const raw = String(cells[cols.riskType] ?? "").trim().toLowerCase();
+      if (raw === "inherent" || raw === "contingent") {
+        riskType = raw;
+      } else if (raw) {
+        warnings.push(`${at("riskType")}: invalid riskType '${raw}', defaulted to 'contingent'.`);
+      }
+    }
+
+    const fixProbability = (field, label, fallback) => {
+      const raw = cells[cols[field]];
+      let { value, isPercent } = parseNumber(raw);
+      if (!Number.isFinite(value)) {
+        warnings.push(`${at(field)}: ${label} '${raw ?? ""}' not a number; ${fallback === null ? "left unchanged" : "set to 0"}.`);
+        return fallback;
+      }
+      if (!isPercent && value > 1 && value <= 100) {
+        warnings.push(`${at(field)}: ${label} ${value} read as ${value}%.`);
+        value = value / 100;
+      }
+      if (value < 0 || value > 1) {
+        warnings.push(`${at(field)}: ${label} out of range; clamped to 0–1.`);
+        value = Math.min(1, Math.max(0, value));
+      }
+      return value;
+    };
+
+    const probability = fixProbability("probability", "probability", 0);
+
+    const fixCost = (field, label) => {
+      const raw = cells[cols[field]];
+      const { value } = parseNumber(raw);
+      if (!Number.isFinite(value)) {
+        warnings.push(`${at(field)}: ${label} '${raw ?? ""}' not a number; set to 0.`);
+        return 0;
+      }
+      if (value < 0) {
+        warnings.push(`${at(field)}: ${label} < 0; set to 0.`);
+        return 0;
+      }
+      return value;
+    };
+
+    let lowCost = fixCost("low", "lowCost");
+    let mostLikelyCost = fixCost("mostLikely", "mostLikelyCost");
+    let highCost = fixCost("high", "highCost");
+
+    if (riskType === "inherent") {
+      // Costs are ignored by the backend for inherent risks; keep UI consistent:
+      lowCost = 0;
+      mostLikelyCost = 0;
+      highCost = 0;
+    } else {
+      // Optional sanity: warn only
+      if (!(lowCost <= mostLikelyCost && mostLikelyCost <= highCost)) {
+        warnings.push(
+          `Row ${rowIdx + 1}: expected low <= mostLikely <= high (got ${lowCost}, ${mostLikelyCost}, ${highCost}). Simulation will still run.`
+        );
+      }
+    }
+
+    let cbsLinks = null;
+    const rawLinks = hasColumn(cols, "cbsLinks") ? String(cells[cols.cbsLinks] ?? "").trim() : "";
+    if (rawLinks && cbsIds) {
+      const { links, problems } = parseCbsLinks(rawLinks, cbsIds);
+      problems.forEach((msg) => warnings.push(`${at("cbsLinks")}: ${msg}`));
+      cbsLinks = links;
+    }
+
+    const id = hasColumn(cols, "id") ? String(cells[cols.id] ?? "").trim() || null : null;
+    const startDate = readDateCell(cells, rowIdx, cols, "startDate", headerCells, warnings);
+    const finishDate = readDateCell(cells, rowIdx, cols, "finishDate", headerCells, warnings);
+
+    // Mitigation columns: blank cells leave the value alone (null)
+    const given = (field) => hasColumn(cols, field) && String(cells[cols[field]] ?? "").trim() !== "";
+    const text = (field) => (given(field) ? String(cells[cols[field]]).trim() : null);
+    const optionalCost = (field, label) => (given(field) ? fixCost(field, label) : null);
+    const mitigation = {
+      mitigationAction: text("mitigationAction"),
+      owner: text("owner"),
+      mitigationCost: optionalCost("mitigationCost", "mitigationCost"),
+      postProbability: given("postProbability") ? fixProbability("postProbability", "post-mitigation probability", null) : null,
+      postLowCost: riskType === "inherent" ? null : optionalCost("postLow", "post-mitigation lowCost"),
+      postMostLikelyCost: riskType === "inherent" ? null : optionalCost("postMostLikely", "post-mitigation mostLikelyCost"),
+      postHighCost: riskType === "inherent" ? null : optionalCost("postHigh", "post-mitigation highCost"),
+    };
+
+    let status = null;
+    if (given("status")) {
+      status = riskStatusKey(cells[cols.status]);
+      if (!status) warnings.push(`${at("status")}: invalid status '${String(cells[cols.status]).trim()}' (use open, closed or realised); left unchanged.`);
+    }
+    const details = {
+      category: text("category"),
+      cause: text("cause"),
+      event: text("event"),
+      effect: text("effect"),
+      status,
+      dateRaised: readDateCell(cells, rowIdx, cols, "dateRaised", headerCells, warnings),
+      reviewDate: readDateCell(cells, rowIdx, cols, "reviewDate", headerCells, warnings),
+    };
+
+    const shape = riskType === "inherent" ? { distribution: null, outcomes: null } : readDistributionCells(cells, rowIdx, cols, headerCells, warnings);
+
+    parsed.push({ id, sourceRow: rowIdx + 1, name, riskType, probability, lowCost, mostLikelyCost, highCost, ...shape, cbsLinks, startDate, finishDate, ...mitigation, ...details });
+  }
+
+  return { risks: parsed, warnings };
+}
+
+/**
+ * First row (0-based) that looks like a register header: has a name column and,
+ * for risks, a probability column. Falls back to the first non-blank row.
+ */
+export function guessHeaderRow(grid, kind, maxRows = 30) {
+  const aliases = kind === "risk" ? RISK_HEADER_ALIASES : CBS_HEADER_ALIASES;
+  const limit = Math.min(grid.length, maxRows);
+  for (let i = 0; i < limit; i++) {
+    const cols = findColumns(grid[i] || [], aliases);
+    if (cols.name !== -1 && (kind !== "risk" || cols.probability !== -1)) return i;
+  }
+  const firstFilled = grid.findIndex((cells) => !isBlankRow(cells));
+  return firstFilled === -1 ? 0 : firstFilled;
+}
+
+// ---- remembered column mappings (per import kind + file name) ----
+const MAPPINGS_KEY = "prs.importMappings";
+const MAPPINGS_LIMIT = 50;
+
+function mappingKey(kind, fileName) {
+  return `${kind}:${String(fileName || "").trim().toLowerCase()}`;
+}
+
+function loadAllMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+// { sheetName, headerRow, columns: { field: headerText }, mode, removeMissing } or null
+export function loadImportMapping(kind, fileName) {
+  return loadAllMappings()[mappingKey(kind, fileName)] || null;
+}
+
+/**
+ * Remembers the mapping by header text (not column index), so it still applies
+ * when columns are reordered or inserted in the next version of the file.
+ */
+export function saveImportMapping(kind, fileName, { sheetName, headerRow, columns, headerCells, mode, removeMissing }) {
+  const byHeader = {};
+  Object.entries(columns).forEach(([field, idx]) => {
+    if (idx !== -1 && idx !== undefined) byHeader[field] = String(headerCells[idx] ?? "");
+  });
+  const all = loadAllMappings();
+  all[mappingKey(kind, fileName)] = {
+    sheetName,
+    headerRow,
+    columns: byHeader,
+    mode,
+    removeMissing: !!removeMissing,
+    savedAt: new Date().toISOString(),
+  };
+  const trimmed = Object.fromEntries(
+    Object.entries(all)
+      .sort((a, b) => String(b[1].savedAt).localeCompare(String(a[1].savedAt)))
+      .slice(0, MAPPINGS_LIMIT)
+  );
+  try {
+    localStorage.setItem(MAPPINGS_KEY, JSON.stringify(trimmed));
+  } catch {
+    // storage full or blocked: the mapping just isn't remembered
+  }
+}
+
+// Saved header texts -> column indexes for this header row; fields not found fall back to alias detection
+export function resolveColumns(headerCells, kind, savedColumns = null) {
+  const cols = detectColumns(headerCells, kind);
+  if (!savedColumns) return cols;
+  const header = (headerCells || []).map(normaliseHeader);
+  Object.entries(savedColumns).forEach(([field, text]) => {
+    const key = normaliseHeader(text);
+    const i = key ? header.indexOf(key) : -1;
+    if (i !== -1 && field in cols) cols[field] = i;
+  });
+  return cols;
+}
+
+export function parseCbsCsv(csvText) {
+  return mapCbsRows(parseCsv(csvText).rows);
+}
+
+export function parseRisksCsv(csvText) {
+  const { rows } = parseCsv(csvText);
+  if (rows.every(isBlankRow)) return { risks: [], warnings: ["No rows found."] };
+  return mapRiskRows(rows);
+}
@@ -0,0 +1,345 @@
+/**
+ * Reconciling an imported register with the one already in the project
+ * - replace: the file becomes the register, numbered from 01 (previous behaviour)
+ * - append:  file rows are added after the existing ones; rows already in the register are skipped
+ * - merge:   file rows update the register row with the same ID, else the same name; the rest are added.
+ *            Existing rows not in the file are kept unless removeMissing is set.
+ * - Repeated IDs/names within the file are reported as duplicates and skipped in every mode
+ * - Matched rows keep their ID, so sensitivity history and scenarios still line up,
+ *   and CBS rows keep their drivers unless the file sets them
+ * - Distribution / outcomes cells set the item's shape; blank ones keep it (new rows are Triangular). Discrete
+ *   risks take low / most likely / high from their outcomes, as when they are edited in the table
+ * - CBS rows with a WBS code (1.2.1) are placed under the file row coded 1.2; rows without one
+ *   keep their current parent (new rows go to the top level)
+ *
+ * Plans are pure: they return the resulting items plus a change list for the diff preview.
+ */
+
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+import { normaliseHierarchy } from "./cbsTree";
+import { DEFAULT_RISK_STATUS } from "./riskRegister";
+import { DEFAULT_DISTRIBUTION, discreteSummary } from "./itemDistributions";
+
+export const IMPORT_MODES = [
+  { key: "replace", label: "Replace register", help: "The file becomes the register; IDs are renumbered from 01." },
+  { key: "append", label: "Append", help: "Adds the file rows after the existing rows; rows already in the register are skipped." },
+  { key: "merge", label: "Update by ID / name", help: "Updates matching rows (by ID, then name) and adds new ones." },
+];
+
+export const CBS_DIFF_FIELDS = [
+  "name",
+  "baseCost",
+  "confidenceFactor",
+  "bestCaseCost",
+  "mostLikelyCost",
+  "worstCaseCost",
+  "distribution",
+  "outcomes",
+  "drivers",
+  "startDate",
+  "finishDate",
+];
+
+export const RISK_DIFF_FIELDS = [
+  "name",
+  "riskType",
+  "probability",
+  "lowCost",
+  "mostLikelyCost",
+  "highCost",
+  "distribution",
+  "outcomes",
+  "cbsLinks",
+  "startDate",
+  "finishDate",
+  "mitigationAction",
+  "owner",
+  "mitigationCost",
+  "postProbability",
+  "postLowCost",
+  "postMostLikelyCost",
+  "postHighCost",
+  "category",
+  "cause",
+  "event",
+  "effect",
+  "status",
+  "dateRaised",
+  "reviewDate",
+];
+
+// Optional fields of an imported risk that only overwrite when the file has a value (null = blank in the file)
+const OPTIONAL_RISK_FIELDS = [
+  "mitigationAction",
+  "owner",
+  "mitigationCost",
+  "postProbability",
+  "postLowCost",
+  "postMostLikelyCost",
+  "postHighCost",
+  "category",
+  "cause",
+  "event",
+  "effect",
+  "status",
+  "dateRaised",
+  "reviewDate",
+];
+
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+function sameValue(a, b) {
+  const norm = (v) => (v === undefined || v === "" ? null : v);
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+function diffFields(before, after, fields) {
+  return fields
+    .filter((f) => !sameValue(before[f], after[f]))
+    .map((f) => ({ field: f, from: before[f] ?? null, to: after[f] ?? null }));
+}
+
+/**
+ * Shared reconciliation. Callbacks:
+ *  - create(row, id): new register item from an imported row
+ *  - update(existingItem, row): existing item with the imported values applied
+ */
+function planImport(existing, imported, { mode, removeMissing, formatId, makeId, counter, create, update, fields }) {
+  const changes = [];
+  const byId = new Map(existing.map((x) => [formatId(x.id), x]));
+  const byName = new Map();
+  existing.forEach((x) => {
+    const k = nameKey(x.name);
+    if (k && !byName.has(k)) byName.set(k, x);
+  });
+
+  // 1) Drop repeats within the file (same ID, else same name as an earlier row)
+  const seenIds = new Set();
+  const seenNames = new Set();
+  const rows = [];
+  imported.forEach((row) => {
+    const idKey = row.id ? formatId(row.id) : null;
+    const nk = nameKey(row.name);
+    if ((idKey && seenIds.has(idKey)) || (!idKey && seenNames.has(nk))) {
+      changes.push({ change: "duplicate", id: row.id || null, name: row.name, sourceRow: row.sourceRow, note: "Repeated in the file; skipped.", fields: [] });
+      return;
+    }
+    if (idKey) seenIds.add(idKey);
+    seenNames.add(nk);
+    rows.push(row);
+  });
+
+  let next = counter;
+  const newId = () => {
+    next += 1;
+    return makeId(next);
+  };
+
+  if (mode === "replace") {
+    next = 0;
+    const items = rows.map((row) => create(row, newId()));
+    existing.forEach((x) => changes.push({ change: "removed", id: x.id, name: x.name, fields: [] }));
+    items.forEach((x, i) => changes.push({ change: "added", id: x.id, name: x.name, sourceRow: rows[i].sourceRow, fields: [] }));
+    return { items, counter: next, changes };
+  }
+
+  // 2) Match file rows to register rows: ID first, then name
+  const matched = new Map(); // existing id -> imported row
+  const unmatched = [];
+  rows.forEach((row) => {
+    const idHit = row.id ? byId.get(formatId(row.id)) : null;
+    const hit = idHit || byName.get(nameKey(row.name));
+    // A name match only differing in case keeps the register's spelling
+    if (hit && !matched.has(hit.id)) matched.set(hit.id, idHit ? row : { ...row, name: hit.name });
+    else if (hit) changes.push({ change: "duplicate", id: hit.id, name: row.name, sourceRow: row.sourceRow, note: "Matches a register row already matched by another file row; skipped.", fields: [] });
+    else unmatched.push(row);
+  });
+
+  if (mode === "append") {
+    matched.forEach((row, id) => {
+      changes.push({ change: "duplicate", id, name: row.name, sourceRow: row.sourceRow, note: "Already in the register; skipped.", fields: [] });
+    });
+    const added = unmatched.map((row) => ({ row, item: create(row, newId()) }));
+    added.forEach(({ row, item }) => changes.push({ change: "added", id: item.id, name: item.name, sourceRow: row.sourceRow, fields: [] }));
+    return { items: [...existing, ...added.map((a) => a.item)], counter: next, changes };
+  }
+
+  // merge
+  const items = [];
+  existing.forEach((x) => {
+    const row = matched.get(x.id);
+    if (!row) {
+      if (removeMissing) changes.push({ change: "removed", id: x.id, name: x.name, fields: [] });
+      else items.push(x);
+      return;
+    }
+    const updated = update(x, row);
+    const changed = diffFields(x, updated, fields);
+    changes.push({ change: changed.length ? "changed" : "unchanged", id: x.id, name: updated.name, sourceRow: row.sourceRow, fields: changed });
+    items.push(updated);
+  });
+  unmatched.forEach((row) => {
+    const item = create(row, newId());
+    changes.push({ change: "added", id: item.id, name: item.name, sourceRow: row.sourceRow, fields: [] });
+    items.push(item);
+  });
+  return { items, counter: next, changes };
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Imported rows with a full low / most likely / high trio become User defined
+function hasTrio(row) {
+  return isNum(row.low) && isNum(row.mostLikely) && isNum(row.high);
+}
+
+/**
+ * imported: rows from mapCbsRows. options: { mode, removeMissing, defaultFactor, makeId, counter }
+ * Returns { items, counter, changes: [{ change, id, name, sourceRow, note, fields }] }
+ */
+export function planCbsImport(existing, imported, { mode, removeMissing = false, defaultFactor, makeId, counter }) {
+  const plan = planImport(existing, imported, {
+    mode,
+    removeMissing,
+    makeId,
+    counter,
+    formatId: formatCbsIdDisplay,
+    fields: CBS_DIFF_FIELDS,
+    create: (row, id) => {
+      const userDefined = hasTrio(row);
+      return {
+        id,
+        name: row.name,
+        // keep baseCost if provided (even when user-defined trio is present)
+        baseCost: row.baseCost ?? 0,
+        confidenceFactor: userDefined ? "User defined" : row.confidenceFactor || defaultFactor,
+        bestCaseCost: userDefined ? row.low : null,
+        mostLikelyCost: userDefined ? row.mostLikely : null,
+        worstCaseCost: userDefined ? row.high : null,
+        distribution: row.distribution || DEFAULT_DISTRIBUTION,
+        outcomes: row.outcomes || [],
+        drivers: row.drivers || [],
+        startDate: row.startDate || "",
+        finishDate: row.finishDate || "",
+      };
+    },
+    // Only what the file provides is overwritten; blanks keep the current value
+    update: (x, row) => {
+      const next = { ...x, name: row.name };
+      if (isNum(row.baseCost)) next.baseCost = row.baseCost;
+      if (hasTrio(row)) {
+        next.confidenceFactor = "User defined";
+        next.bestCaseCost = row.low;
+        next.mostLikelyCost = row.mostLikely;
+        next.worstCaseCost = row.high;
+      } else if (row.confidenceFactor && row.confidenceFactor !== "User defined") {
+        next.confidenceFactor = row.confidenceFactor;
+        next.bestCaseCost = null;
+        next.mostLikelyCost = null;
+        next.worstCaseCost = null;
+      }
+      if (row.distribution) {
+        next.distribution = row.distribution;
+        next.outcomes = row.outcomes || [];
+      }
+      if (row.drivers) next.drivers = row.drivers;
+      if (row.startDate) next.startDate = row.startDate;
+      if (row.finishDate) next.finishDate = row.finishDate;
+      return next;
+    },
+  });
+  return { ...plan, items: placeByWbsCode(plan.items, imported, plan.changes) };
+}
+
+// Parent links from the file's WBS codes ("1.2.1" goes under the row coded "1.2")
+function placeByWbsCode(items, imported, changes) {
+  if (!imported.some((row) => row.wbsCode)) return normaliseHierarchy(items);
+  const itemIdByRow = new Map();
+  changes.forEach((c) => {
+    if (c.sourceRow && ["added", "changed", "unchanged"].includes(c.change)) itemIdByRow.set(c.sourceRow, c.id);
+  });
+  const idByCode = new Map();
+  imported.forEach((row) => {
+    const id = itemIdByRow.get(row.sourceRow);
+    if (id && row.wbsCode && !idByCode.has(row.wbsCode)) idByCode.set(row.wbsCode, id);
+  });
+  const parentById = new Map();
+  imported.forEach((row) => {
+    const id = itemIdByRow.get(row.sourceRow);
+    if (!id || !row.wbsCode) return;
+    const parentCode = row.wbsCode.split(".").slice(0, -1).join(".");
+    parentById.set(id, (parentCode && idByCode.get(parentCode)) || null);
+  });
+  const placed = items.map((x) => (parentById.has(x.id) ? { ...x, parentId: parentById.get(x.id) } : x));
+  return normaliseHierarchy(placed);
+}
+
+/**
+ * imported: risks from mapRiskRows. options: { mode, removeMissing, makeId, counter }
+ * Returns { items, counter, changes } (see planCbsImport)
+ */
+export function planRiskImport(existing, imported, { mode, removeMissing = false, makeId, counter }) {
+  const fromRow = (r) => {
+    // Discrete: low / most likely / high follow the outcomes
+    const s = r.distribution === "discrete" ? discreteSummary(r.outcomes) : null;
+    const fromOutcomes = s && Number.isFinite(s.low);
+    return {
+      name: r.name,
+      riskType: r.riskType || "contingent",
+      probability: r.probability,
+      lowCost: fromOutcomes ? s.low : r.lowCost,
+      mostLikelyCost: fromOutcomes ? s.ml : r.mostLikelyCost,
+      highCost: fromOutcomes ? s.high : r.highCost,
+      ...(r.distribution ? { distribution: r.distribution, outcomes: r.outcomes || [] } : {}),
+    };
+  };
+  return planImport(existing, imported, {
+    mode,
+    removeMissing,
+    makeId,
+    counter,
+    formatId: formatRiskIdDisplay,
+    fields: RISK_DIFF_FIELDS,
+    create: (row, id) => ({
+      id,
+      distribution: DEFAULT_DISTRIBUTION,
+      outcomes: [],
+      ...fromRow(row),
+      cbsLinks: row.cbsLinks || [],
+      startDate: row.startDate || "",
+      finishDate: row.finishDate || "",
+      mitigationAction: row.mitigationAction || "",
+      owner: row.owner || "",
+      mitigationCost: row.mitigationCost ?? null,
+      postProbability: row.postProbability ?? null,
+      postLowCost: row.postLowCost ?? null,
+      postMostLikelyCost: row.postMostLikelyCost ?? null,
+      postHighCost: row.postHighCost ?? null,
+      category: row.category || "",
+      cause: row.cause || "",
+      event: row.event || "",
+      effect: row.effect || "",
+      status: row.status || DEFAULT_RISK_STATUS,
+      dateRaised: row.dateRaised || "",
+      reviewDate: row.reviewDate || "",
+    }),
+    // A blank distribution / links / date / mitigation / register detail cell keeps the risk's current value
+    update: (x, row) => ({
+      ...x,
+      ...fromRow(row),
+      ...(row.cbsLinks ? { cbsLinks: row.cbsLinks } : {}),
+      ...(row.startDate ? { startDate: row.startDate } : {}),
+      ...(row.finishDate ? { finishDate: row.finishDate } : {}),
+      ...Object.fromEntries(OPTIONAL_RISK_FIELDS.filter((f) => row[f] !== null && row[f] !== undefined).map((f) => [f, row[f]])),
+    }),
+  });
+}
+
+// { added, changed, unchanged, removed, duplicate } counts for the preview header
+export function summariseChanges(changes) {
+  const out = { added: 0, changed: 0, unchanged: 0, removed: 0, duplicate: 0 };
+  changes.forEach((c) => {
+    out[c.change] += 1;
+  });
+  return out;
+}
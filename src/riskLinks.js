@@ -0,0 +1,107 @@
+/**
+ * Risk → CBS links
+ * - A risk holds cbsLinks: [{ cbsId, share }], share a fraction 0–1; shares of a linked risk add up to 1
+ * - Links point at cost items (CBS leaves); the contingency allocation rolls them up the hierarchy
+ * - Text form for CSV files: "CBS003 60%; CBS004 40%"
+ */
+
+import { formatCbsIdDisplay } from "./format";
+
+const SHARE_TOLERANCE = 0.0005;
+
+// Equal shares (rounded to 0.01%) for the given CBS ids; the last one takes the rounding remainder
+export function evenShares(cbsIds) {
+  if (cbsIds.length === 0) return [];
+  const each = Math.floor(10000 / cbsIds.length) / 10000;
+  return cbsIds.map((cbsId, i) => ({
+    cbsId,
+    share: i === cbsIds.length - 1 ? Math.round((1 - each * (cbsIds.length - 1)) * 10000) / 10000 : each,
+  }));
+}
+
+export function linksTotal(links) {
+  return (links || []).reduce((sum, l) => sum + (Number(l.share) || 0), 0);
+}
+
+export function formatCbsLinks(links) {
+  return (links || [])
+    .map((l) => `${formatCbsIdDisplay(l.cbsId)} ${Math.round((Number(l.share) || 0) * 10000) / 100}%`)
+    .join("; ");
+}
+
+/**
+ * Problems with a risk's links against the current cost model (leafIds: ids of CBS cost items).
+ * Returns [] when the links are usable.
+ */
+export function cbsLinkIssues(links, leafIds, allIds) {
+  const issues = [];
+  if (!links || links.length === 0) return issues;
+  links.forEach((l) => {
+    const code = formatCbsIdDisplay(l.cbsId);
+    if (!allIds.has(l.cbsId)) issues.push(`linked CBS item ${code} no longer exists.`);
+    else if (!leafIds.has(l.cbsId)) issues.push(`${code} is a summary row; link the cost items below it instead.`);
+    const share = Number(l.share);
+    if (!Number.isFinite(share) || share <= 0 || share > 1) issues.push(`share for ${code} must be between 0% and 100%.`);
+  });
+  const total = linksTotal(links);
+  if (Math.abs(total - 1) > SHARE_TOLERANCE) {
+    issues.push(`CBS link shares add up to ${Math.round(total * 10000) / 100}% (must be 100%).`);
+  }
+  return issues;
+}
+
+/**
+ * Reads the text form. cbsIds: ids of the CBS items links may point at (matched on their display code).
+ * Entries without a share split what is left evenly; shares are read as % when marked or above 1.
+ * Returns { links, problems } with problems as plain sentences for import warnings.
+ */
+export function parseCbsLinks(text, cbsIds) {
+  const problems = [];
+  const byCode = new Map(cbsIds.map((id) => [formatCbsIdDisplay(id), id]));
+  const parsed = [];
+  String(text || "")
+    .split(/[;|\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      // A bare id ("CBS 3") first, else id + share ("CBS003 60%", "CBS003=0.6")
+      const m = byCode.has(formatCbsIdDisplay(part)) ? null : part.match(/^(.+?)\s*[=:\s]\s*([0-9]+(?:\.[0-9]+)?)\s*(%?)$/);
+      const code = formatCbsIdDisplay(m ? m[1].trim() : part);
+      const id = byCode.get(code);
+      if (!id) {
+        problems.push(`unknown CBS item '${m ? m[1].trim() : part}'; link ignored.`);
+        return;
+      }
+      if (parsed.some((l) => l.cbsId === id)) {
+        problems.push(`${code} is listed twice; the first entry is used.`);
+        return;
+      }
+      let share = null;
+      if (m) {
+        share = Number(m[2]);
+        if (m[3] === "%" || share > 1) share /= 100;
+      }
+      parsed.push({ cbsId: id, share });
+    });
+
+  const given = parsed.filter((l) => l.share !== null);
+  const open = parsed.filter((l) => l.share === null);
+  const rest = Math.max(0, 1 - linksTotal(given));
+  open.forEach((l) => {
+    l.share = Math.round((rest / open.length) * 10000) / 10000;
+  });
+
+  const total = linksTotal(parsed);
+  if (parsed.length && Math.abs(total - 1) > SHARE_TOLERANCE) {
+    if (total > 0) {
+      problems.push(`CBS link shares added up to ${Math.round(total * 10000) / 100}%; scaled to 100%.`);
+      parsed.forEach((l) => {
+        l.share = Math.round((l.share / total) * 10000) / 10000;
+      });
+    } else {
+      problems.push("CBS link shares are all 0%; split evenly.");
+      return { links: evenShares(parsed.map((l) => l.cbsId)), problems };
+    }
+  }
+  return { links: parsed, problems };
+}
@@ -0,0 +1,106 @@
+/**
+ * Probability–consequence matrix (5×5 heat map) of the risk register
+ * - Four ascending thresholds per axis make five bands; a value on a threshold falls in the band above it
+ * - Consequence is a risk's most likely cost, or its expected value: probability × the mean of
+ *   low / most likely / high
+ * - Values are the pre- or post-mitigation ones (view, see mitigation.js)
+ * - Cell rating = probability band × consequence band (1–25), grouped Low / Medium / High / Extreme
+ * - Inherent risks have no cost of their own and are not placed; closed risks are left out by the caller
+ * - The thresholds are saved with the project (ui.riskMatrix)
+ */
+
+import { riskValues } from "./mitigation";
+
+export const MATRIX_SIZE = 5;
+
+export const PROBABILITY_BANDS = ["Rare", "Unlikely", "Possible", "Likely", "Almost certain"];
+export const CONSEQUENCE_BANDS = ["Insignificant", "Minor", "Moderate", "Major", "Severe"];
+
+export const CONSEQUENCE_BASES = [
+  { key: "mostLikely", label: "Most likely cost" },
+  { key: "expected", label: "Expected value (P × mean)" },
+];
+
+export const DEFAULT_RISK_MATRIX = {
+  probability: [0.1, 0.3, 0.5, 0.7],
+  consequence: [50000, 200000, 500000, 1000000],
+  basis: "mostLikely",
+  view: "pre",
+};
+
+// Literal colours so the exported image renders without the app's CSS
+export const MATRIX_RATINGS = [
+  { key: "low", label: "Low", maxScore: 4, color: "#bbf7d0" },
+  { key: "medium", label: "Medium", maxScore: 9, color: "#fef08a" },
+  { key: "high", label: "High", maxScore: 16, color: "#fdba74" },
+  { key: "extreme", label: "Extreme", maxScore: 25, color: "#fca5a5" },
+];
+
+// 0-based band of a value against ascending thresholds
+export function bandIndex(value, thresholds) {
+  let i = 0;
+  while (i < thresholds.length && value >= thresholds[i]) i += 1;
+  return i;
+}
+
+// pi, ci: 0-based probability / consequence bands
+export function cellRating(pi, ci) {
+  const score = (pi + 1) * (ci + 1);
+  return MATRIX_RATINGS.find((r) => score <= r.maxScore);
+}
+
+export function riskConsequence(r, basis, view = "pre") {
+  const v = riskValues(r, view);
+  const ml = Number(v.mostLikelyCost) || 0;
+  if (basis !== "expected") return ml;
+  const mean = ((Number(v.lowCost) || 0) + ml + (Number(v.highCost) || 0)) / 3;
+  return (Number(v.probability) || 0) * mean;
+}
+
+/**
+ * Risks per cell: cells[pi][ci] = [{ risk, probability, consequence }] with pi / ci the 0-based bands
+ * (row 0 = lowest probability). Inherent risks are skipped.
+ */
+export function riskMatrixCells(risks, matrix) {
+  const cells = Array.from({ length: MATRIX_SIZE }, () => Array.from({ length: MATRIX_SIZE }, () => []));
+  risks.forEach((r) => {
+    if (String(r.riskType || "contingent").toLowerCase() === "inherent") return;
+    const probability = Number(riskValues(r, matrix.view).probability) || 0;
+    const consequence = riskConsequence(r, matrix.basis, matrix.view);
+    cells[bandIndex(probability, matrix.probability)][bandIndex(consequence, matrix.consequence)].push({ risk: r, probability, consequence });
+  });
+  return cells;
+}
+
+// Problems with the band thresholds (empty when usable)
+export function riskMatrixIssues(matrix) {
+  const issues = [];
+  const check = (values, name, valid) => {
+    const nums = values.map((v) => (v === "" || v === null ? NaN : Number(v)));
+    if (nums.length !== MATRIX_SIZE - 1 || nums.some((v) => !valid(v))) {
+      issues.push(`${name} thresholds must be ${MATRIX_SIZE - 1} ${name === "Probability" ? "values between 0 and 1" : "amounts above 0"}.`);
+    } else if (nums.some((v, i) => i > 0 && v <= nums[i - 1])) {
+      issues.push(`${name} thresholds must increase from band to band.`);
+    }
+  };
+  check(matrix.probability, "Probability", (v) => Number.isFinite(v) && v > 0 && v < 1);
+  check(matrix.consequence, "Consequence", (v) => Number.isFinite(v) && v > 0);
+  return issues;
+}
+
+// Thresholds saved with a project; files from before the heat map (or unusable ones) get the defaults
+export function readRiskMatrix(raw, warnings = []) {
+  if (!raw || typeof raw !== "object") return DEFAULT_RISK_MATRIX;
+  const matrix = {
+    probability: Array.isArray(raw.probability) ? raw.probability.map(Number) : DEFAULT_RISK_MATRIX.probability,
+    consequence: Array.isArray(raw.consequence) ? raw.consequence.map(Number) : DEFAULT_RISK_MATRIX.consequence,
+    basis: CONSEQUENCE_BASES.some((b) => b.key === raw.basis) ? raw.basis : DEFAULT_RISK_MATRIX.basis,
+    view: raw.view === "post" ? "post" : "pre",
+  };
+  const issues = riskMatrixIssues(matrix);
+  if (issues.length) {
+    warnings.push(`Risk matrix: ${issues.join(" ")} Default thresholds used.`);
+    return { ...DEFAULT_RISK_MATRIX, basis: matrix.basis, view: matrix.view };
+  }
+  return matrix;
+}
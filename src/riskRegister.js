@@ -0,0 +1,156 @@
+/**
+ * Risk register details, sorting and filtering
+ * - Besides the simulated values a risk carries category, cause / event / effect, status, date raised and
+ *   review date (owner comes with the mitigation, see mitigation.js)
+ * - Status is open, closed or realised. Closed risks stay in the register but are left out of
+ *   payload.contingentRisks, so they are not simulated
+ * - Sorting and filtering only change what the table shows; the register keeps its own order
+ */
+
+import { formatRiskIdDisplay } from "./format";
+import { parseIsoDate } from "./timePhasing";
+
+export const RISK_STATUSES = [
+  { key: "open", label: "Open" },
+  { key: "closed", label: "Closed" },
+  { key: "realised", label: "Realised" },
+];
+
+export const DEFAULT_RISK_STATUS = "open";
+
+// Status key from free text ("Realized", "CLOSED"), or null when it is not one of RISK_STATUSES
+export function riskStatusKey(raw) {
+  const key = String(raw ?? "").trim().toLowerCase().replace(/^realized$/, "realised");
+  return RISK_STATUSES.some((s) => s.key === key) ? key : null;
+}
+
+export function riskStatusLabel(key) {
+  return RISK_STATUSES.find((s) => s.key === key)?.label || RISK_STATUSES[0].label;
+}
+
+export function isClosedRisk(r) {
+  return riskStatusKey(r.status) === "closed";
+}
+
+// Columns the register can be sorted on: value(r) gives the sort value (numbers before text, blanks last)
+export const RISK_SORT_FIELDS = [
+  { key: "id", label: "ID", value: (r) => r.id },
+  { key: "name", label: "Risk", value: (r) => r.name },
+  { key: "riskType", label: "Risk type", value: (r) => r.riskType || "contingent" },
+  { key: "probability", label: "Probability", value: (r) => Number(r.probability) },
+  { key: "lowCost", label: "Low", value: (r) => Number(r.lowCost) },
+  { key: "mostLikelyCost", label: "Most likely", value: (r) => Number(r.mostLikelyCost) },
+  { key: "highCost", label: "High", value: (r) => Number(r.highCost) },
+  { key: "category", label: "Category", value: (r) => r.category },
+  { key: "owner", label: "Owner", value: (r) => r.owner },
+  { key: "status", label: "Status", value: (r) => RISK_STATUSES.findIndex((s) => s.key === (riskStatusKey(r.status) || DEFAULT_RISK_STATUS)) },
+  { key: "dateRaised", label: "Date raised", value: (r) => r.dateRaised },
+  { key: "reviewDate", label: "Review date", value: (r) => r.reviewDate },
+];
+
+const isBlank = (v) => v === null || v === undefined || v === "" || (typeof v === "number" && !Number.isFinite(v));
+
+/**
+ * Risks in display order. sort: { key, dir: "asc" | "desc" } or null (register order).
+ * Blank values go last either way; ties keep the register order.
+ */
+export function sortRisks(risks, sort) {
+  const field = RISK_SORT_FIELDS.find((f) => f.key === sort?.key);
+  if (!field) return risks;
+  const sign = sort.dir === "desc" ? -1 : 1;
+  return risks
+    .map((r, i) => ({ r, i, v: field.value(r) }))
+    .sort((a, b) => {
+      if (isBlank(a.v) || isBlank(b.v)) return isBlank(a.v) === isBlank(b.v) ? a.i - b.i : isBlank(a.v) ? 1 : -1;
+      const c =
+        typeof a.v === "number" && typeof b.v === "number"
+          ? a.v - b.v
+          : String(a.v).localeCompare(String(b.v), undefined, { numeric: true, sensitivity: "base" });
+      return c * sign || a.i - b.i;
+    })
+    .map((x) => x.r);
+}
+
+// Header click: ascending, then descending, then back to register order
+export function nextRiskSort(sort, key) {
+  if (sort?.key !== key) return { key, dir: "asc" };
+  return sort.dir === "asc" ? { key, dir: "desc" } : null;
+}
+
+export const EMPTY_RISK_FILTER = { search: "", category: "", owner: "", status: "" };
+
+const SEARCH_FIELDS = ["name", "category", "owner", "cause", "event", "effect", "mitigationAction"];
+
+/**
+ * Risks matching every set filter. search: case-insensitive text anywhere in the ID, name, category, owner,
+ * cause / event / effect or mitigation action; category / owner: exact (case-insensitive); status: a status key
+ */
+export function filterRisks(risks, filter) {
+  const search = String(filter?.search || "").trim().toLowerCase();
+  const same = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+  return risks.filter((r) => {
+    if (filter?.category && !same(r.category, filter.category)) return false;
+    if (filter?.owner && !same(r.owner, filter.owner)) return false;
+    if (filter?.status && (riskStatusKey(r.status) || DEFAULT_RISK_STATUS) !== filter.status) return false;
+    if (!search) return true;
+    return [formatRiskIdDisplay(r.id), ...SEARCH_FIELDS.map((f) => r[f])].some((v) => String(v || "").toLowerCase().includes(search));
+  });
+}
+
+export function isRiskFilterActive(filter) {
+  return Object.keys(EMPTY_RISK_FILTER).some((k) => String(filter?.[k] || "").trim() !== "");
+}
+
+// Distinct non-blank values of a text field (first spelling wins), sorted for the filter lists
+export function riskFieldValues(risks, field) {
+  const seen = new Map();
+  risks.forEach((r) => {
+    const v = String(r[field] || "").trim();
+    if (v && !seen.has(v.toLowerCase())) seen.set(v.toLowerCase(), v);
+  });
+  return [...seen.values()].sort((a, b) => a.localeCompare(b));
+}
+
+export function riskDetailsToPayload(r) {
+  return {
+    category: r.category || "",
+    cause: r.cause || "",
+    event: r.event || "",
+    effect: r.effect || "",
+    status: riskStatusKey(r.status) || DEFAULT_RISK_STATUS,
+    dateRaised: r.dateRaised || null,
+    reviewDate: r.reviewDate || null,
+  };
+}
+
+/**
+ * Register details of a saved risk. Files from before these fields have none: the risk is open, with no
+ * category, description or dates.
+ */
+export function readRiskDetails(r, where, warnings = []) {
+  let status = DEFAULT_RISK_STATUS;
+  if (r.status !== undefined && r.status !== null && r.status !== "") {
+    status = riskStatusKey(r.status);
+    if (!status) {
+      warnings.push(`${where}: invalid status '${r.status}'; set to 'open'.`);
+      status = DEFAULT_RISK_STATUS;
+    }
+  }
+  const date = (v, label) => {
+    const s = String(v || "");
+    if (s && parseIsoDate(s) === null) {
+      warnings.push(`${where}: ${label} '${s}' is not a valid date; cleared.`);
+      return "";
+    }
+    return s;
+  };
+  return {
+    category: String(r.category || ""),
+    cause: String(r.cause || ""),
+    event: String(r.event || ""),
+    effect: String(r.effect || ""),
+    status,
+    dateRaised: date(r.dateRaised, "date raised"),
+    reviewDate: date(r.reviewDate, "review date"),
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Pinned simulation scenarios
+ * - A scenario = name + the results/sensitivity of one run + the payload that produced it
+ * - Helpers to rank sensitivity and diff the inputs of two scenarios; the diff lists register fields
+ *   (drivers, postProbability ...), not the payload's nested mitigation / driver objects
+ */
+
+import { formatCbsIdDisplay, formatRiskIdDisplay } from "./format";
+
+let scenarioSeq = 0;
+
+export function createScenario(name, { results, sensitivity, payload }) {
+  scenarioSeq += 1;
+  return {
+    id: `sc${Date.now().toString(36)}${scenarioSeq}`,
+    name: String(name || "").trim() || `Scenario ${scenarioSeq}`,
+    pinnedAt: new Date().toISOString(),
+    results,
+    sensitivity: Array.isArray(sensitivity) ? sensitivity : [],
+    payload,
+  };
+}
+
+// Display name + code for a sensitivity row, resolved against the inputs of the run it came from.
+export function describeSensitivityRow(row, payload) {
+  if (row.category === "RISK") {
+    const r = (payload?.contingentRisks || []).find((x) => x.id === row.name);
+    return { name: r ? r.name : row.name, code: formatRiskIdDisplay(row.name) };
+  }
+  if (row.category === "CBS") {
+    // Summary (roll-up) rows are only in the outline
+    const c = [...(payload?.cbsItems || []), ...(payload?.cbsHierarchy || [])].find((x) => x.id === row.name);
+    return { name: c ? c.name : row.name, code: formatCbsIdDisplay(row.name) };
+  }
+  return { name: row.name, code: String(row.name || "").toUpperCase() };
+}
+
+export function rankSensitivity(rows, limit = 10) {
+  return [...(rows || [])]
+    .sort((a, b) => (Number(b.abs_rho) || 0) - (Number(a.abs_rho) || 0))
+    .slice(0, limit);
+}
+
+function sameValue(a, b) {
+  const norm = (v) => (v === undefined || v === "" ? null : v);
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+// Payload CBS item in register terms: its driver assignments as drivers (driver_group / sensitivity only
+// repeat the first of them)
+function flattenCbsItem(x) {
+  const { driver_group: _group, sensitivity: _sensitivity, driver_assignments: assignments, ...rest } = x;
+  return {
+    ...rest,
+    drivers: (assignments || []).map((a) => ({ driverGroup: a.driver_group, sensitivity: a.sensitivity })),
+  };
+}
+
+// Payload risk in register terms: the nested pre- / post-mitigation values as probability ... highCost and
+// postProbability ... postHighCost (the plain fields hold whichever the run simulated, see risk_view)
+function flattenRisk(x) {
+  const { preMitigation: pre, postMitigation: post, ...rest } = x;
+  return {
+    ...rest,
+    ...(pre || {}),
+    ...(post
+      ? {
+          postProbability: post.probability,
+          postLowCost: post.lowCost,
+          postMostLikelyCost: post.mostLikelyCost,
+          postHighCost: post.highCost,
+        }
+      : {}),
+  };
+}
+
+function diffRecords(kind, before, after) {
+  const changes = [];
+  const beforeById = new Map((before || []).map((x) => [x.id, x]));
+  const afterById = new Map((after || []).map((x) => [x.id, x]));
+
+  (after || []).forEach((x) => {
+    const prev = beforeById.get(x.id);
+    if (!prev) {
+      changes.push({ kind, id: x.id, name: x.name, change: "added", fields: [] });
+      return;
+    }
+    const keys = new Set([...Object.keys(prev), ...Object.keys(x)]);
+    keys.delete("id");
+    const fields = [...keys]
+      .filter((k) => !sameValue(prev[k], x[k]))
+      .map((k) => ({ field: k, from: prev[k] ?? null, to: x[k] ?? null }));
+    if (fields.length) changes.push({ kind, id: x.id, name: x.name, change: "changed", fields });
+  });
+
+  (before || []).forEach((x) => {
+    if (!afterById.has(x.id)) changes.push({ kind, id: x.id, name: x.name, change: "removed", fields: [] });
+  });
+
+  return changes;
+}
+
+/**
+ * Lists CBS items, risks and run settings that differ between two scenario payloads.
+ * Items are matched by ID. Returns [{ kind, id, name, change: "added"|"removed"|"changed", fields }].
+ */
+export function diffScenarioInputs(basePayload, otherPayload) {
+  const tableOf = (p) => (p?.confidenceTable ? `${p.confidenceTable.name} ${p.confidenceTable.version}` : p?.confidenceTableVersion);
+  const settingsBefore = { ...(basePayload?.settings || {}), correlation_mode: basePayload?.correlation_mode, confidence_table: tableOf(basePayload), risk_view: basePayload?.riskView || "pre" };
+  const settingsAfter = { ...(otherPayload?.settings || {}), correlation_mode: otherPayload?.correlation_mode, confidence_table: tableOf(otherPayload), risk_view: otherPayload?.riskView || "pre" };
+  const settings = diffRecords("Settings", [{ id: "settings", name: "Run settings", ...settingsBefore }], [
+    { id: "settings", name: "Run settings", ...settingsAfter },
+  ]);
+
+  return [
+    ...settings,
+    ...diffRecords("CBS", basePayload?.cbsItems?.map(flattenCbsItem), otherPayload?.cbsItems?.map(flattenCbsItem)),
+    ...diffRecords("Risk", basePayload?.contingentRisks?.map(flattenRisk), otherPayload?.contingentRisks?.map(flattenRisk)),
+  ];
+}
@@ -0,0 +1,16 @@
+/**
+ * Web Worker wrapper around simulationEngine.js so long runs don't block the UI.
+ * Message in:  { payload, confidenceFactors }
+ * Message out: { ok: true, data } | { ok: false, error }
+ */
+import { runSimulation } from "./simulationEngine";
+
+self.onmessage = (e) => {
+  const { payload, confidenceFactors } = e.data || {};
+  try {
+    const data = runSimulation(payload, { confidenceFactors });
+    self.postMessage({ ok: true, data });
+  } catch (err) {
+    self.postMessage({ ok: false, error: String(err?.message || err) });
+  }
+};
@@ -0,0 +1,523 @@
+/**
+ * Client-side Monte Carlo engine (runs inside simulation.worker.js)
+ * - Takes the same payload as simulate() and returns the same { results, sensitivity } shapes
+ * - CBS items: best / most likely / worst from the confidence factor table or User defined values, drawn from the
+ *   item's distribution (Triangular unless cbsItem.distribution says otherwise, see itemDistributions.js)
+ * - Contingent risks: Bernoulli(probability) × impact drawn from the risk's distribution over low / most likely / high;
+ *   inherent risks carry no cost
+ * - Standard correlation: one shared normal shock per driver group, mixed into each item's
+ *   uniform draw (Gaussian copula) with a loading of sensitivity weight × driver strength
+ *   (payload.sensitivityWeights / payload.drivers, see driverGroups.js). An item may load on several
+ *   drivers (cbsItem.driver_assignments); loadings whose combined √(Σ loading²) exceeds 1 are scaled down to 1
+ * - Advanced correlation: correlated normals from the Cholesky factor of payload.correlationMatrix drive each
+ *   listed item's draw (Gaussian copula). A risk's draw goes through the inverse CDF of its whole cost
+ *   (0 with probability 1 − p, else its impact distribution), so it sets both whether the risk occurs and how much it costs
+ * - Deterministic for a given seed
+ * - With payload.cbsHierarchy, also reports percentiles and ρ for every CBS summary item
+ *   (sum of the leaves below it) so results can be read at any CBS level
+ * - Contingency is P(to) − P(from) from settings.contingency (default P90 − P50), reported as
+ *   contingency_p90_minus_p50 etc., and allocated back to the CBS items: each item's inherent range spread
+ *   plus its share of the linked risks (risk.cbsLinks), see allocateContingency
+ * - With payload.timePhasing and dated items, also reports the cost per financial year, unescalated and
+ *   escalated, at the contingency percentiles (see cashflowByPeriod and timePhasing.js)
+ */
+
+import { parseIsoDate, isoFromDay, dateSpan, financialYears, spreadOverPeriods } from "./timePhasing";
+import { DEFAULT_SENSITIVITY_WEIGHTS, driverLoading } from "./driverGroups";
+import { choleskyLower, entityKey } from "./correlationMatrix";
+import { triangularInv, quantileFunction } from "./itemDistributions";
+
+// mulberry32: small, fast, seedable PRNG returning [0, 1)
+export function createRng(seed) {
+  let a = Number(seed) >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box–Muller (one value per call; the pair's second value is discarded for simplicity)
+function normal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Φ(z), Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+}
+
+// Percentile with linear interpolation between order statistics (same as numpy's default)
+export function percentileSorted(sorted, p) {
+  const n = sorted.length;
+  if (n === 0) return NaN;
+  const h = (n - 1) * Math.min(1, Math.max(0, p));
+  const lo = Math.floor(h);
+  const hi = Math.min(n - 1, lo + 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+}
+
+// Ranks 1..n with ties given their average rank
+function ranks(values) {
+  const n = values.length;
+  const idx = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+  const out = new Float64Array(n);
+  let i = 0;
+  while (i < n) {
+    let j = i;
+    while (j + 1 < n && values[idx[j + 1]] === values[idx[i]]) j++;
+    const r = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) out[idx[k]] = r;
+    i = j + 1;
+  }
+  return out;
+}
+
+function pearson(a, b) {
+  const n = a.length;
+  let ma = 0;
+  let mb = 0;
+  for (let i = 0; i < n; i++) {
+    ma += a[i];
+    mb += b[i];
+  }
+  ma /= n;
+  mb /= n;
+  let cov = 0;
+  let va = 0;
+  let vb = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - ma;
+    const db = b[i] - mb;
+    cov += da * db;
+    va += da * da;
+    vb += db * db;
+  }
+  return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : 0;
+}
+
+export function spearman(a, b, rankB = null) {
+  return pearson(ranks(a), rankB || ranks(b));
+}
+
+export function percentileKey(p) {
+  return `p${Math.round(Number(p) * 100)}`;
+}
+
+/**
+ * Three-point range for a CBS item: User defined values, else base × confidence factor multipliers.
+ * Throws when the factor is not in the table (e.g. backend never reached and nothing cached).
+ */
+export function cbsRange(item, confidenceFactors) {
+  if (String(item.confidenceFactor || "").toLowerCase() === "user defined") {
+    return { best: Number(item.bestCaseCost) || 0, ml: Number(item.mostLikelyCost) || 0, worst: Number(item.worstCaseCost) || 0 };
+  }
+  const f = confidenceFactors?.[item.confidenceFactor];
+  if (!f) throw new Error(`No confidence factor table entry for '${item.confidenceFactor}' (${item.id}).`);
+  const base = Number(item.baseCost) || 0;
+  return {
+    best: base * Number(f.best ?? 1),
+    ml: base * Number(f.most_likely ?? 1),
+    worst: base * Number(f.worst ?? 1),
+  };
+}
+
+/**
+ * Per-node statistics for the CBS outline: each node's samples are the sum of its leaf items.
+ * hierarchy: [{ id, name, parentId, wbsCode }] (payload.cbsHierarchy); leaves: engine CBS items with samples.
+ */
+function cbsBreakdown(hierarchy, leaves, totals, totalRanks, percentiles) {
+  const n = totals.length;
+  const parentOf = new Map(hierarchy.map((h) => [h.id, h.parentId || null]));
+  const sums = new Map(hierarchy.map((h) => [h.id, new Float64Array(n)]));
+  const bases = new Map(hierarchy.map((h) => [h.id, 0]));
+  leaves.forEach((x) => {
+    const seen = new Set();
+    for (let id = x.id; id && !seen.has(id); id = parentOf.get(id)) {
+      seen.add(id);
+      const acc = sums.get(id);
+      if (!acc) break;
+      for (let i = 0; i < n; i++) acc[i] += x.samples[i];
+      bases.set(id, bases.get(id) + x.base);
+    }
+  });
+
+  return hierarchy.map((h) => {
+    const samples = sums.get(h.id);
+    const sorted = Float64Array.from(samples).sort();
+    const stats = {};
+    percentiles.forEach((p) => {
+      stats[percentileKey(p)] = percentileSorted(sorted, p);
+    });
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += samples[i];
+    const rho = spearman(samples, totals, totalRanks);
+    return {
+      id: h.id,
+      name: h.name,
+      wbsCode: h.wbsCode,
+      base: bases.get(h.id),
+      mean: mean / n,
+      percentiles: stats,
+      spearman_rho: rho,
+      abs_rho: Math.abs(rho),
+    };
+  });
+}
+
+/**
+ * Splits the contingency (total at `to` minus total at `from`) over the CBS items by covariance:
+ * each component carries Cov(component, total) / Var(total) of it, so the parts add up exactly and an
+ * item's part grows with its own spread and with how much it moves with the total.
+ * Risk parts follow risk.links ([{ cbsId, share }], shares 0–1); the rest of a risk is unallocated.
+ */
+function allocateContingency(cbs, risks, totals, sorted, { from = 0.5, to = 0.9 } = {}) {
+  const n = totals.length;
+  let meanTotal = 0;
+  for (let i = 0; i < n; i++) meanTotal += totals[i];
+  meanTotal /= n;
+  let varTotal = 0;
+  for (let i = 0; i < n; i++) varTotal += (totals[i] - meanTotal) ** 2;
+
+  const weightOf = (samples) => {
+    if (varTotal <= 0) return 0;
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += samples[i];
+    mean /= n;
+    let cov = 0;
+    for (let i = 0; i < n; i++) cov += (samples[i] - mean) * (totals[i] - meanTotal);
+    return cov / varTotal;
+  };
+
+  const contingency = percentileSorted(sorted, to) - percentileSorted(sorted, from);
+  const part = (samples) => weightOf(samples) * contingency;
+
+  const items = cbs.map((x) => ({ cbsId: x.id, inherent: part(x.samples), contingent: 0, total: 0 }));
+  const byId = new Map(items.map((x) => [x.cbsId, x]));
+  let unallocated = 0;
+  risks.forEach((r) => {
+    const amount = part(r.samples);
+    let linked = 0;
+    r.links.forEach((l) => {
+      const item = byId.get(l.cbsId);
+      if (!item) return;
+      item.contingent += amount * l.share;
+      linked += l.share;
+    });
+    unallocated += amount * Math.max(0, 1 - linked);
+  });
+  items.forEach((x) => {
+    x.total = x.inherent + x.contingent;
+  });
+
+  return { from, to, total: contingency, items, unallocated };
+}
+
+function columnStats(values, percentiles) {
+  const sorted = Float64Array.from(values).sort();
+  const out = { mean: 0 };
+  for (let i = 0; i < values.length; i++) out.mean += values[i];
+  out.mean /= values.length || 1;
+  percentiles.forEach((p) => {
+    out[percentileKey(p)] = percentileSorted(sorted, p);
+  });
+  return out;
+}
+
+/**
+ * Risk-adjusted cost per financial year from the simulated item samples.
+ * - CBS items are spread over their own dates, undated ones over the project span
+ * - Risks with dates use them; undated risks follow their linked CBS items, the unlinked rest the project span
+ * - Escalation rates are drawn once per iteration and driver group (triangular low / most likely / high),
+ *   from a separate random stream so the total-cost results do not change with the escalation inputs.
+ *   An item with several drivers escalates an equal share of its cost at each driver's rate
+ * Cumulative figures are percentiles of each iteration's running total, not sums of period percentiles.
+ * Returns null when nothing is dated.
+ */
+function cashflowByPeriod(timePhasing, cbs, risks, n, seed, percentiles) {
+  const span = dateSpan([...cbs, ...risks]);
+  if (!span) return null;
+  const spanStart = parseIsoDate(span.start);
+  const spanFinish = parseIsoDate(span.finish);
+  const periods = financialYears(spanStart, spanFinish, Number(timePhasing.fyStartMonth) || 7);
+  const P = periods.length;
+  const baseDay = parseIsoDate(timePhasing.baseDate) ?? spanStart;
+
+  const ranges = new Map((timePhasing.escalation || []).map((e) => [e.driverGroup || "", e]));
+  const groupOf = (g) => (g && ranges.has(g) ? g : "");
+  const groups = [...new Set(["", ...ranges.keys()])];
+
+  const datedDays = (x) => {
+    const s = parseIsoDate(x.startDate);
+    const f = parseIsoDate(x.finishDate);
+    return s !== null && f !== null && f >= s ? [s, f] : null;
+  };
+  // Equal cost shares of an item's escalation groups (one "" group for items without a driver)
+  const groupShares = (x) => {
+    const list = x.escalationGroups.length ? x.escalationGroups : [""];
+    return list.map((g) => ({ group: groupOf(g), share: 1 / list.length }));
+  };
+  const phase = (days, group, scale = 1) =>
+    spreadOverPeriods(days[0], days[1], periods).map((e) => ({
+      period: e.period,
+      share: e.share * scale,
+      years: Math.max(0, (e.midDay - baseDay) / 365.25),
+      group,
+    }));
+
+  let undatedCbs = 0;
+  let undatedRisks = 0;
+  const profiles = new Map();
+  cbs.forEach((x) => {
+    const days = datedDays(x);
+    if (!days) undatedCbs += 1;
+    profiles.set(x.id, groupShares(x).flatMap((g) => phase(days || [spanStart, spanFinish], g.group, g.share)));
+  });
+  const components = cbs.map((x) => ({ samples: x.samples, profile: profiles.get(x.id) }));
+  risks.forEach((r) => {
+    const days = datedDays(r);
+    if (days) {
+      components.push({ samples: r.samples, profile: phase(days, "") });
+      return;
+    }
+    undatedRisks += 1;
+    const profile = [];
+    let linked = 0;
+    r.links.forEach((l) => {
+      const itemProfile = profiles.get(l.cbsId);
+      if (!itemProfile) return;
+      itemProfile.forEach((e) => profile.push({ ...e, share: e.share * l.share }));
+      linked += l.share;
+    });
+    if (linked < 1) profile.push(...phase([spanStart, spanFinish], "", 1 - linked));
+    components.push({ samples: r.samples, profile });
+  });
+
+  const rng = createRng(((Number(seed) || 0) ^ 0x5bd1e995) >>> 0);
+  const unescalated = new Float64Array(n * P);
+  const escalated = new Float64Array(n * P);
+  const rate = {};
+  for (let it = 0; it < n; it++) {
+    groups.forEach((g) => {
+      const r = ranges.get(g);
+      rate[g] = r ? triangularInv(rng(), Number(r.low) || 0, Number(r.mostLikely) || 0, Number(r.high) || 0) : 0;
+    });
+    for (const c of components) {
+      const v = c.samples[it];
+      if (v === 0) continue;
+      for (const e of c.profile) {
+        const amount = v * e.share;
+        unescalated[it * P + e.period] += amount;
+        escalated[it * P + e.period] += amount * Math.pow(1 + rate[e.group], e.years);
+      }
+    }
+  }
+
+  const column = (arr, period, cumulative) => {
+    const out = new Float64Array(n);
+    for (let it = 0; it < n; it++) {
+      let v = 0;
+      for (let k = cumulative ? 0 : period; k <= period; k++) v += arr[it * P + k];
+      out[it] = v;
+    }
+    return out;
+  };
+
+  return {
+    percentiles,
+    fyStartMonth: Number(timePhasing.fyStartMonth) || 7,
+    baseDate: isoFromDay(baseDay),
+    periods: periods.map((p, k) => ({
+      label: p.label,
+      start: isoFromDay(Math.max(p.start, spanStart)),
+      finish: isoFromDay(Math.min(p.end - 1, spanFinish)),
+      unescalated: columnStats(column(unescalated, k, false), percentiles),
+      escalated: columnStats(column(escalated, k, false), percentiles),
+      cumulativeUnescalated: columnStats(column(unescalated, k, true), percentiles),
+      cumulativeEscalated: columnStats(column(escalated, k, true), percentiles),
+    })),
+    undated: { cbs: undatedCbs, risks: undatedRisks },
+  };
+}
+
+/**
+ * Runs the simulation. Returns { results, sensitivity, samples, cbsBreakdown, contingencyAllocation, cashflow } where
+ * samples are the simulated totals (used for the distribution charts), cbsBreakdown is null without a hierarchy
+ * and cashflow is null without time phasing.
+ */
+export function runSimulation(payload, { confidenceFactors = {} } = {}) {
+  const settings = payload.settings || {};
+  const n = Math.round(Number(settings.iterations));
+  if (!Number.isFinite(n) || n <= 0) throw new Error("Iterations must be a positive number.");
+  const percentiles = Array.isArray(settings.percentiles) && settings.percentiles.length ? settings.percentiles : [0.05, 0.1, 0.5, 0.9];
+  const contingency = { from: Number(settings.contingency?.from ?? 0.5), to: Number(settings.contingency?.to ?? 0.9) };
+  const mode = String(payload.correlation_mode || "none").toLowerCase();
+  const correlated = mode === "standard";
+  const rng = createRng(settings.seed ?? 0);
+  const weights = { ...DEFAULT_SENSITIVITY_WEIGHTS, ...(payload.sensitivityWeights || {}) };
+  const strengths = new Map((payload.drivers || []).map((d) => [d.name, Number(d.strength ?? 1)]));
+
+  // Copula loadings of an item on its drivers' shocks: [{ driver, weight }] with Σ weight² ≤ 1.
+  // Payloads from before multiple drivers only carry driver_group / sensitivity.
+  const loadings = (x) => {
+    if (!correlated) return [];
+    const assignments = Array.isArray(x.driver_assignments)
+      ? x.driver_assignments
+      : x.driver_group
+        ? [{ driver_group: x.driver_group, sensitivity: x.sensitivity }]
+        : [];
+    const out = assignments
+      .filter((a) => a?.driver_group)
+      .map((a) => ({
+        driver: a.driver_group,
+        weight: driverLoading({ driverGroup: a.driver_group, sensitivity: a.sensitivity }, strengths, weights),
+      }))
+      .filter((l) => l.weight > 0);
+    const combined = Math.sqrt(out.reduce((sum, l) => sum + l.weight * l.weight, 0));
+    return combined > 1 ? out.map((l) => ({ ...l, weight: l.weight / combined })) : out;
+  };
+
+  const cbs = (payload.cbsItems || []).map((x) => {
+    const range = cbsRange(x, confidenceFactors);
+    const drivers = loadings(x);
+    return {
+      id: x.id,
+      base: Number(x.baseCost) || 0,
+      ...range,
+      draw: quantileFunction(x.distribution, { low: range.best, ml: range.ml, high: range.worst }, x.discreteOutcomes),
+      drivers,
+      // Share of the draw that is the item's own noise
+      ownWeight: Math.sqrt(Math.max(0, 1 - drivers.reduce((sum, l) => sum + l.weight * l.weight, 0))),
+      startDate: x.startDate || null,
+      finishDate: x.finishDate || null,
+      // Payloads from before multi-driver escalation name one group
+      escalationGroups: Array.isArray(x.escalationGroups)
+        ? x.escalationGroups.filter(Boolean)
+        : [x.escalationGroup ?? x.driver_group].filter(Boolean),
+      samples: new Float64Array(n),
+    };
+  });
+
+  const risks = (payload.contingentRisks || [])
+    .filter((r) => String(r.riskType || "contingent").toLowerCase() !== "inherent")
+    .map((r) => ({
+      id: r.id,
+      p: Math.min(1, Math.max(0, Number(r.probability) || 0)),
+      draw: quantileFunction(
+        r.distribution,
+        { low: Number(r.lowCost) || 0, ml: Number(r.mostLikelyCost) || 0, high: Number(r.highCost) || 0 },
+        r.discreteOutcomes
+      ),
+      links: (Array.isArray(r.cbsLinks) ? r.cbsLinks : [])
+        .map((l) => ({ cbsId: l.cbsId, share: Math.min(1, Math.max(0, Number(l.share) || 0)) }))
+        .filter((l) => l.share > 0),
+      startDate: r.startDate || null,
+      finishDate: r.finishDate || null,
+      samples: new Float64Array(n),
+    }));
+
+  // Advanced: the matrix position of each item (items not in the matrix stay independent)
+  const matrix = mode === "advanced" ? payload.correlationMatrix : null;
+  const factor = matrix ? choleskyLower(matrix.matrix || []) : null;
+  if (matrix) {
+    const position = new Map((matrix.items || []).map((it, i) => [entityKey(it.type === "risk" ? "risk" : "cbs", it.id), i]));
+    cbs.forEach((x) => {
+      x.slot = position.get(entityKey("cbs", x.id)) ?? null;
+    });
+    risks.forEach((r) => {
+      r.slot = position.get(entityKey("risk", r.id)) ?? null;
+    });
+  }
+  const m = factor ? factor.length : 0;
+  const iid = new Float64Array(m);
+  const correlatedU = new Float64Array(m);
+
+  const drivers = [...new Set(cbs.flatMap((x) => x.drivers.map((l) => l.driver)))];
+  const totals = new Float64Array(n);
+
+  for (let it = 0; it < n; it++) {
+    const shocks = {};
+    drivers.forEach((d) => {
+      shocks[d] = normal(rng);
+    });
+    if (factor) {
+      for (let i = 0; i < m; i++) iid[i] = normal(rng);
+      for (let i = 0; i < m; i++) {
+        let z = 0;
+        for (let k = 0; k <= i; k++) z += factor[i][k] * iid[k];
+        correlatedU[i] = normalCdf(z);
+      }
+    }
+
+    let total = 0;
+    for (const x of cbs) {
+      let u;
+      if (x.slot !== undefined && x.slot !== null) {
+        u = correlatedU[x.slot];
+      } else if (x.drivers.length) {
+        let z = x.ownWeight * normal(rng);
+        for (const l of x.drivers) z += l.weight * shocks[l.driver];
+        u = normalCdf(z);
+      } else {
+        u = rng();
+      }
+      const v = x.draw(u);
+      x.samples[it] = v;
+      total += v;
+    }
+    for (const r of risks) {
+      let v;
+      if (r.slot !== undefined && r.slot !== null) {
+        // Inverse CDF of the risk cost: no cost below 1 − p, the impact range above it
+        const u = correlatedU[r.slot];
+        v = r.p > 0 && u >= 1 - r.p ? r.draw((u - (1 - r.p)) / r.p) : 0;
+      } else {
+        const occurs = rng() < r.p;
+        v = occurs ? r.draw(rng()) : 0;
+      }
+      r.samples[it] = v;
+      total += v;
+    }
+    totals[it] = total;
+  }
+
+  const sorted = Float64Array.from(totals).sort();
+  const results = {};
+  percentiles.forEach((p) => {
+    results[percentileKey(p)] = percentileSorted(sorted, p);
+  });
+  results[`contingency_${percentileKey(contingency.to)}_minus_${percentileKey(contingency.from)}`] =
+    percentileSorted(sorted, contingency.to) - percentileSorted(sorted, contingency.from);
+
+  const totalRanks = ranks(totals);
+  const sensitivity = [
+    ...cbs.map((x) => ({ name: x.id, category: "CBS", samples: x.samples })),
+    ...risks.map((r) => ({ name: r.id, category: "RISK", samples: r.samples })),
+  ]
+    .map(({ name, category, samples }) => {
+      const rho = spearman(samples, totals, totalRanks);
+      return { name, category, spearman_rho: rho, abs_rho: Math.abs(rho) };
+    })
+    .sort((a, b) => b.abs_rho - a.abs_rho);
+
+  const hierarchy = Array.isArray(payload.cbsHierarchy) ? payload.cbsHierarchy : [];
+  const breakdown = hierarchy.length ? cbsBreakdown(hierarchy, cbs, totals, totalRanks, percentiles) : null;
+
+  return {
+    results,
+    sensitivity,
+    samples: Array.from(totals),
+    cbsBreakdown: breakdown,
+    contingencyAllocation: allocateContingency(cbs, risks, totals, sorted, contingency),
+    cashflow: payload.timePhasing
+      ? cashflowByPeriod(payload.timePhasing, cbs, risks, n, settings.seed, [contingency.from, contingency.to])
+      : null,
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Shared inline style objects (panels, tables, form fields)
+ */
+
+// Keep panel geometry consistent across tabs to avoid perceived layout "jump".
+// Cost model is naturally taller; this minHeight gives the other tabs a similar canvas.
+export const card = {
+  background: "var(--card-bg)",
+  border: "1px solid var(--border-card)",
+  boxShadow: "0 1px 2px rgba(0,0,0,0.06)",
+  borderRadius: 10,
+  padding: 16,
+  marginBottom: 18,
+  width: "100%",
+  boxSizing: "border-box",
+  minHeight: 640,
+  minWidth: 1200,
+};
+
+export const table = { width: "100%", borderCollapse: "collapse", background: "var(--table-bg)" };
+
+export const th = {
+  textAlign: "left",
+  borderBottom: "1px solid var(--border-card)",
+  padding: "12px 10px",
+  background: "var(--table-head-bg)",
+  color: "var(--text-primary)",
+  fontWeight: 700,
+  fontSize: 13,
+};
+
+export const stickyTh = {
+  ...th,
+  position: "sticky",
+  top: 0,
+  zIndex: 3,
+};
+
+export const td = {
+  borderBottom: "1px solid var(--border-card)",
+  padding: "12px 10px",
+  verticalAlign: "top",
+  color: "var(--text-primary)",
+};
+
+export const input = {
+  width: "100%",
+  padding: 8,
+  border: "1px solid var(--border-input)",
+  borderRadius: 8,
+  boxSizing: "border-box",
+  background: "var(--input-bg)",
+  color: "var(--text-primary)",
+};
+
+export const label = { display: "block", fontSize: 12, color: "var(--text-secondary)", marginBottom: 6 };
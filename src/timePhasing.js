@@ -0,0 +1,212 @@
+/**
+ * Time phasing + escalation
+ * - CBS items carry startDate / finishDate ("YYYY-MM-DD"); their cost is spread evenly per day between them.
+ *   Risks may carry dates too; undated risks follow the CBS items they are linked to (risk.cbsLinks)
+ * - Undated items are spread over the project span (earliest start to latest finish of anything dated)
+ * - Periods are financial years starting in fyStartMonth (7 = July–June, 1 = calendar years)
+ * - Escalation: an annual rate per driver group ("" = items without a driver) given as a low / most likely / high
+ *   range, compounded from the base date to the middle of each period's spend. A CBS item with several drivers
+ *   escalates an equal share of its cost at each driver's rate
+ * - State keeps rates in % (3 = 3%); payload.timePhasing carries fractions
+ */
+
+import { toCsv } from "./csv";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+// Escalation group for items without a driver group
+export const NO_DRIVER_GROUP = "";
+
+export const DEFAULT_ESCALATION = { low: 2, mostLikely: 3, high: 5 };
+
+export const DEFAULT_TIME_PHASING = { fyStartMonth: 7, baseDate: "", escalation: {} };
+
+// Days since 1970-01-01 for "YYYY-MM-DD"; null when blank or not a real date
+export function parseIsoDate(s) {
+  const m = String(s ?? "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const t = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const d = new Date(t);
+  if (d.getUTCFullYear() !== Number(m[1]) || d.getUTCMonth() !== Number(m[2]) - 1 || d.getUTCDate() !== Number(m[3])) return null;
+  return t / DAY_MS;
+}
+
+export function isoFromDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Date cell from a CSV / spreadsheet: 2026-07-01, 1/7/2026 (day first), or an Excel date serial.
+ * Returns { value: "YYYY-MM-DD" | null, invalid }
+ */
+export function parseDateCell(raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return { value: null, invalid: false };
+  if (parseIsoDate(s) !== null) return { value: s, invalid: false };
+  const dmy = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dmy) {
+    const iso = `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")}`;
+    if (parseIsoDate(iso) !== null) return { value: iso, invalid: false };
+  }
+  // Excel serial day numbers (1900 date system) for years ~1955–2119
+  if (/^\d{5}(\.\d+)?$/.test(s)) {
+    const serial = Math.floor(Number(s));
+    if (serial >= 20000 && serial < 80000) return { value: isoFromDay(serial - 25569), invalid: false };
+  }
+  return { value: null, invalid: true };
+}
+
+// Problem with an item's dates, or null (both blank = undated, which is allowed)
+export function dateRangeIssue(startDate, finishDate) {
+  const hasStart = String(startDate ?? "").trim() !== "";
+  const hasFinish = String(finishDate ?? "").trim() !== "";
+  if (!hasStart && !hasFinish) return null;
+  if (!hasStart || !hasFinish) return "Enter both a start and a finish date (or neither).";
+  const s = parseIsoDate(startDate);
+  const f = parseIsoDate(finishDate);
+  if (s === null || f === null) return "Start / finish is not a valid date.";
+  if (f < s) return "Finish date is before the start date.";
+  return null;
+}
+
+// Earliest start / latest finish over items with valid dates; null when none are dated
+export function dateSpan(items) {
+  let start = null;
+  let finish = null;
+  items.forEach((x) => {
+    const s = parseIsoDate(x.startDate);
+    const f = parseIsoDate(x.finishDate);
+    if (s === null || f === null || f < s) return;
+    start = start === null ? s : Math.min(start, s);
+    finish = finish === null ? f : Math.max(finish, f);
+  });
+  return start === null ? null : { start: isoFromDay(start), finish: isoFromDay(finish) };
+}
+
+export function escalationRange(timePhasing, group) {
+  return timePhasing.escalation?.[group || NO_DRIVER_GROUP] || DEFAULT_ESCALATION;
+}
+
+// Rows of the escalation table: items without a driver first, then each driver group
+export function escalationGroups(driverOptions) {
+  return [{ key: NO_DRIVER_GROUP, label: "No driver group" }, ...driverOptions.map((d) => ({ key: d, label: d }))];
+}
+
+export function timePhasingIssues(timePhasing, driverOptions) {
+  const issues = [];
+  if (timePhasing.baseDate && parseIsoDate(timePhasing.baseDate) === null) issues.push("Escalation base date is not a valid date.");
+  escalationGroups(driverOptions).forEach(({ key, label }) => {
+    const { low, mostLikely, high } = escalationRange(timePhasing, key);
+    const values = [low, mostLikely, high].map(Number);
+    if (values.some((v) => !Number.isFinite(v) || v <= -100 || v > 100)) {
+      issues.push(`Escalation (${label}): rates must be numbers between -100% and 100%.`);
+    } else if (!(values[0] <= values[1] && values[1] <= values[2])) {
+      issues.push(`Escalation (${label}): expected low ≤ most likely ≤ high.`);
+    }
+  });
+  return issues;
+}
+
+export function timePhasingToPayload(timePhasing, driverOptions) {
+  return {
+    fyStartMonth: Number(timePhasing.fyStartMonth) || 7,
+    baseDate: timePhasing.baseDate || null,
+    escalation: escalationGroups(driverOptions).map(({ key }) => {
+      const r = escalationRange(timePhasing, key);
+      return { driverGroup: key || null, low: Number(r.low) / 100, mostLikely: Number(r.mostLikely) / 100, high: Number(r.high) / 100 };
+    }),
+  };
+}
+
+/**
+ * State from payload.timePhasing (absent in files saved before time phasing = defaults).
+ * Rates for driver groups that are not in driverOptions are dropped with a warning.
+ */
+export function timePhasingFromPayload(raw, driverOptions, warnings = []) {
+  if (!raw || typeof raw !== "object") return DEFAULT_TIME_PHASING;
+  const month = Math.round(Number(raw.fyStartMonth));
+  const baseDate = parseIsoDate(raw.baseDate) !== null ? raw.baseDate : "";
+  if (raw.baseDate && !baseDate) warnings.push(`Escalation base date '${raw.baseDate}' is not a valid date; cleared.`);
+  const escalation = {};
+  (Array.isArray(raw.escalation) ? raw.escalation : []).forEach((e) => {
+    const key = e.driverGroup || NO_DRIVER_GROUP;
+    if (key && !driverOptions.includes(key)) {
+      warnings.push(`Escalation rates for unknown driver group '${key}' ignored.`);
+      return;
+    }
+    const pct = (v, fallback) => (Number.isFinite(Number(v)) ? Math.round(Number(v) * 100 * 1000) / 1000 : fallback);
+    escalation[key] = {
+      low: pct(e.low, DEFAULT_ESCALATION.low),
+      mostLikely: pct(e.mostLikely, DEFAULT_ESCALATION.mostLikely),
+      high: pct(e.high, DEFAULT_ESCALATION.high),
+    };
+  });
+  return { fyStartMonth: month >= 1 && month <= 12 ? month : 7, baseDate, escalation };
+}
+
+function fyLabel(startYear, fyStartMonth) {
+  if (fyStartMonth === 1) return String(startYear);
+  return `FY${startYear}–${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Financial years covering [startDay, finishDay] (inclusive days).
+ * Returns [{ label, start, end }] with start/end as day numbers (end exclusive).
+ */
+export function financialYears(startDay, finishDay, fyStartMonth = 7) {
+  const first = new Date(startDay * DAY_MS);
+  let year = first.getUTCFullYear() - (first.getUTCMonth() + 1 < fyStartMonth ? 1 : 0);
+  const out = [];
+  for (;;) {
+    const start = Date.UTC(year, fyStartMonth - 1, 1) / DAY_MS;
+    if (start > finishDay) break;
+    out.push({ label: fyLabel(year, fyStartMonth), start, end: Date.UTC(year + 1, fyStartMonth - 1, 1) / DAY_MS });
+    year += 1;
+  }
+  return out;
+}
+
+/**
+ * Even daily spread of [startDay, finishDay] over the periods.
+ * Returns [{ period, share, midDay }] for the periods it touches (shares add up to 1).
+ */
+export function spreadOverPeriods(startDay, finishDay, periods) {
+  const days = finishDay - startDay + 1;
+  const out = [];
+  periods.forEach((p, period) => {
+    const lo = Math.max(startDay, p.start);
+    const hi = Math.min(finishDay + 1, p.end);
+    if (hi > lo) out.push({ period, share: (hi - lo) / days, midDay: (lo + hi) / 2 });
+  });
+  return out;
+}
+
+// Cashflow table (runSimulation().cashflow) as CSV: one row per financial year, plain numbers
+export function cashflowToCsv(cashflow) {
+  const keys = cashflow.percentiles.map((p) => `p${Math.round(p * 100)}`);
+  const labels = keys.map((k) => k.toUpperCase());
+  const header = [
+    "period",
+    "start",
+    "finish",
+    ...labels.map((l) => `${l} unescalated`),
+    ...labels.map((l) => `${l} escalated`),
+    ...labels.map((l) => `${l} cumulative unescalated`),
+    ...labels.map((l) => `${l} cumulative escalated`),
+  ];
+  const round = (v) => (Number.isFinite(v) ? Math.round(v) : "");
+  return toCsv([
+    header,
+    ...cashflow.periods.map((pd) => [
+      pd.label,
+      pd.start,
+      pd.finish,
+      ...keys.map((k) => round(pd.unescalated[k])),
+      ...keys.map((k) => round(pd.escalated[k])),
+      ...keys.map((k) => round(pd.cumulativeUnescalated[k])),
+      ...keys.map((k) => round(pd.cumulativeEscalated[k])),
+    ]),
+  ]);
+}
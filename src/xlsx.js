@@ -0,0 +1,178 @@
+/**
+ * Minimal .xlsx reader for register imports (runs in the browser, no dependencies)
+ * - Unzips with DecompressionStream("deflate-raw") and parses the sheet XML with DOMParser
+ * - Returns every worksheet as a grid of cell strings (same shape as parseCsv rows), so the
+ *   register mapping in registerImport.js applies unchanged
+ * - Grid index = spreadsheet row - 1 and column index = column letter, so warnings point at real cells
+ * - Values only: formulas give their last calculated value; formatting is ignored
+ *   (a cell formatted as 20% arrives as 0.2)
+ */
+
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// ---- zip ----
+
+function readZipDirectory(buf) {
+  const view = new DataView(buf);
+  const min = Math.max(0, buf.byteLength - 22 - 0xffff);
+  let eocd = -1;
+  for (let i = buf.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not an .xlsx workbook (zip directory not found).");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+  const decoder = new TextDecoder();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Workbook zip directory is corrupt.");
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(new Uint8Array(buf, p + 46, nameLen));
+    entries.set(name, { method, compressedSize, localOffset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+async function readZipText(buf, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  const view = new DataView(buf);
+  const p = entry.localOffset;
+  const start = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+  const data = new Uint8Array(buf, start, entry.compressedSize);
+
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error(`Unsupported compression in workbook part '${name}'.`);
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+// ---- xml ----
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("Workbook contains invalid XML.");
+  return doc;
+}
+
+// Namespace-agnostic lookup (some writers prefix the spreadsheet namespace, e.g. <x:c>)
+function byTag(node, tag) {
+  return [...node.getElementsByTagNameNS("*", tag)];
+}
+
+// Text of a string item: plain <t> or rich-text runs, skipping phonetic (<rPh>) hints
+function stringItemText(node) {
+  return byTag(node, "t")
+    .filter((t) => t.parentNode?.localName !== "rPh")
+    .map((t) => t.textContent)
+    .join("");
+}
+
+// "AB12" -> 27 (0-based column)
+function columnIndex(ref) {
+  const letters = String(ref || "").match(/^[A-Z]+/i)?.[0] || "";
+  let n = 0;
+  for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function resolveTarget(target) {
+  if (target.startsWith("/")) return target.slice(1);
+  const parts = ["xl"];
+  target.split("/").forEach((seg) => {
+    if (seg === "..") parts.pop();
+    else if (seg && seg !== ".") parts.push(seg);
+  });
+  return parts.join("/");
+}
+
+function cellText(c, sharedStrings) {
+  const type = c.getAttribute("t") || "n";
+  if (type === "inlineStr") {
+    const is = byTag(c, "is")[0];
+    return is ? stringItemText(is) : "";
+  }
+  const v = byTag(c, "v")[0]?.textContent ?? "";
+  if (type === "s") return sharedStrings[Number(v)] ?? "";
+  if (type === "b") return v === "1" ? "TRUE" : "FALSE";
+  return v;
+}
+
+function readSheetRows(doc, sharedStrings) {
+  const rows = [];
+  let nextRow = 0;
+  byTag(doc, "row").forEach((rowEl) => {
+    const r = Number(rowEl.getAttribute("r"));
+    const rowIdx = Number.isInteger(r) && r > 0 ? r - 1 : nextRow;
+    nextRow = rowIdx + 1;
+
+    const cells = [];
+    let nextCol = 0;
+    byTag(rowEl, "c").forEach((c) => {
+      const ref = c.getAttribute("r");
+      const colIdx = ref ? columnIndex(ref) : nextCol;
+      nextCol = colIdx + 1;
+      cells[colIdx] = cellText(c, sharedStrings).trim();
+    });
+    rows[rowIdx] = Array.from(cells, (v) => v ?? "");
+  });
+  return Array.from(rows, (row) => row || []);
+}
+
+/**
+ * Reads an .xlsx/.xlsm workbook.
+ * Returns [{ name, rows }] in workbook tab order; rows are arrays of cell strings.
+ */
+export async function readXlsx(arrayBuffer) {
+  const head = new Uint8Array(arrayBuffer, 0, Math.min(4, arrayBuffer.byteLength));
+  if (head[0] === 0xd0 && head[1] === 0xcf) {
+    throw new Error("Legacy .xls workbooks are not supported. Save the file as .xlsx (or CSV) and import again.");
+  }
+  if (head[0] !== 0x50 || head[1] !== 0x4b) throw new Error("Not an .xlsx workbook.");
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot read .xlsx files. Save the sheet as CSV and import that instead.");
+  }
+
+  const entries = readZipDirectory(arrayBuffer);
+  const workbookXml = await readZipText(arrayBuffer, entries, "xl/workbook.xml");
+  if (!workbookXml) throw new Error("Not an .xlsx workbook (xl/workbook.xml missing).");
+
+  const relsXml = await readZipText(arrayBuffer, entries, "xl/_rels/workbook.xml.rels");
+  const targets = {};
+  if (relsXml) {
+    byTag(parseXml(relsXml), "Relationship").forEach((rel) => {
+      targets[rel.getAttribute("Id")] = resolveTarget(rel.getAttribute("Target") || "");
+    });
+  }
+
+  const sstXml = await readZipText(arrayBuffer, entries, "xl/sharedStrings.xml");
+  const sharedStrings = sstXml ? byTag(parseXml(sstXml), "si").map(stringItemText) : [];
+
+  const sheets = [];
+  for (const [i, sheetEl] of byTag(parseXml(workbookXml), "sheet").entries()) {
+    const relId = sheetEl.getAttributeNS(NS_REL, "id") || sheetEl.getAttribute("r:id");
+    const path = targets[relId] || `xl/worksheets/sheet${i + 1}.xml`;
+    const xml = await readZipText(arrayBuffer, entries, path);
+    sheets.push({
+      name: sheetEl.getAttribute("name") || `Sheet${i + 1}`,
+      rows: xml ? readSheetRows(parseXml(xml), sharedStrings) : [],
+    });
+  }
+  return sheets;
+}
+
+export function isSpreadsheetFile(file) {
+  return /\.(xlsx|xlsm)$/i.test(file?.name || "");
+}